@@ -1,7 +1,8 @@
 #!/usr/bin/env node
 /**
  * CLI entry: auth, moo start/stop/status/restart, update, and skill add/install.
- * Usage: cowcode auth | cowcode moo start|stop|status|restart | cowcode logs | cowcode add <skill-id> | cowcode update [--force]
+ * Usage: cowcode auth | cowcode moo start|stop|status|restart | cowcode logs | cowcode add <skill-id> |
+ *        cowcode skills install|list|update|uninstall | cowcode update [--force]
  */
 
 import { spawn, spawnSync, execSync } from 'child_process';
@@ -218,58 +219,126 @@ if (sub === 'moo') {
     cwd: INSTALL_DIR,
   });
   child.on('close', (code) => process.exit(code ?? 0));
+} else if (sub === 'eval') {
+  const evalScript = join(INSTALL_DIR, 'scripts', 'eval-cli.js');
+  if (!existsSync(evalScript)) {
+    console.error('cowcode: scripts/eval-cli.js not found.');
+    process.exit(1);
+  }
+  const child = spawn(process.execPath, [evalScript, ...args.slice(1)], {
+    stdio: 'inherit',
+    env: { ...process.env, COWCODE_STATE_DIR: process.env.COWCODE_STATE_DIR },
+    cwd: INSTALL_DIR,
+  });
+  child.on('close', (code) => process.exit(code ?? 0));
 } else if (sub === 'skills' || sub === 'add') {
-  const skillSub = args[1];
+  const skillSub = sub === 'add' ? 'install' : args[1];
   const skillArg = sub === 'add' ? args[1] : args[2];
-  const wantsInstall = sub === 'add' ? !!skillArg : (skillSub === 'install' && !!skillArg);
-  if (wantsInstall) {
+  const restartBot = () => {
+    const daemonScript = join(INSTALL_DIR, 'scripts', 'daemon.sh');
+    if (existsSync(daemonScript)) {
+      console.log('');
+      console.log('Restarting bot to apply skill changes...');
+      const restartResult = spawnSync('bash', [daemonScript, 'restart'], {
+        stdio: 'inherit',
+        env: { ...process.env, COWCODE_INSTALL_DIR: INSTALL_DIR },
+        cwd: INSTALL_DIR,
+      });
+      if (restartResult.status === 0) {
+        console.log('  ✓ Bot restarted.');
+      } else {
+        console.error('  ✗ Auto-restart failed. Run: cowcode moo restart');
+      }
+    } else {
+      console.log('Restart skipped (daemon script not found). Run: cowcode moo restart');
+    }
+  };
+  const importLib = (name) => import(pathToFileURL(join(INSTALL_DIR, 'lib', name)).href);
+  if (skillSub === 'install' && skillArg) {
     (async () => {
       try {
-        const skillInstallPath = join(INSTALL_DIR, 'lib', 'skill-install.js');
-        const mod = await import(pathToFileURL(skillInstallPath).href);
-        const skillId = mod.normalizeSkillId(skillArg);
+        const mod = await importLib('skill-install.js');
+        const packages = await importLib('skill-packages.js');
+        let skillId = mod.normalizeSkillId(skillArg);
+        if (packages.isPackageSource(skillArg)) {
+          const installed = await packages.installSkillPackage(skillArg);
+          if (!installed.ok) {
+            console.error('cowCode:', installed.message);
+            process.exit(1);
+          }
+          console.log('  ✓', installed.message);
+          skillId = installed.id;
+        }
         const result = await mod.runSkillInstall(skillId, INSTALL_DIR);
         if (!result.ok) {
           console.error('cowCode:', result.message);
           process.exit(1);
         }
-        const daemonScript = join(INSTALL_DIR, 'scripts', 'daemon.sh');
-        if (existsSync(daemonScript)) {
-          console.log('');
-          console.log('Restarting bot to apply skill changes...');
-          const restartResult = spawnSync('bash', [daemonScript, 'restart'], {
-            stdio: 'inherit',
-            env: { ...process.env, COWCODE_INSTALL_DIR: INSTALL_DIR },
-            cwd: INSTALL_DIR,
-          });
-          if (restartResult.status === 0) {
-            console.log('  ✓ Bot restarted.');
-          } else {
-            console.error('  ✗ Auto-restart failed. Run: cowcode moo restart');
-          }
-        } else {
-          console.log('Restart skipped (daemon script not found). Run: cowcode moo restart');
-        }
+        restartBot();
       } catch (err) {
         console.error('cowCode: skills install failed.', err?.message || err);
         process.exit(1);
       }
     })();
+  } else if (skillSub === 'list') {
+    (async () => {
+      const { listSkillDirs, readSkillManifest } = await importLib('skill-dirs.js');
+      const { listSkillPackages } = await importLib('skill-packages.js');
+      const { getSkillsEnabled } = await import(pathToFileURL(join(INSTALL_DIR, 'skills', 'loader.js')).href);
+      const enabled = getSkillsEnabled();
+      const packages = new Map(listSkillPackages().map((p) => [p.id, p]));
+      for (const { id, dir, source } of listSkillDirs()) {
+        const pkg = packages.get(id);
+        const version = pkg?.version || readSkillManifest(dir)?.version || '';
+        const where = source === 'builtin' ? 'built-in' : `installed${pkg?.source ? ' from ' + pkg.source : ''}`;
+        console.log(`${enabled.includes(id) ? '✓' : ' '} ${id.padEnd(16)} ${version.padEnd(10)} ${where}`);
+      }
+    })();
+  } else if (skillSub === 'update') {
+    (async () => {
+      const { updateSkillPackages } = await importLib('skill-packages.js');
+      const results = await updateSkillPackages(skillArg);
+      if (results.length === 0) console.log('No installed skill packages. Install one with: cowcode skills install <folder|tarball|git-url>');
+      for (const r of results) {
+        if (r.ok) console.log('  ✓', r.message);
+        else console.error('  ✗', r.message);
+      }
+      if (results.some((r) => r.ok)) restartBot();
+      process.exitCode = results.some((r) => !r.ok) ? 1 : 0;
+    })();
+  } else if (skillSub === 'uninstall' && skillArg) {
+    (async () => {
+      const { uninstallSkillPackage } = await importLib('skill-packages.js');
+      const result = uninstallSkillPackage(skillArg);
+      if (!result.ok) {
+        console.error('cowCode:', result.message);
+        process.exit(1);
+      }
+      console.log('  ✓', result.message);
+      restartBot();
+    })();
   } else {
     console.log('Usage: cowcode add <skill-id>');
-    console.log('   or: cowcode skills install <skill-id>');
+    console.log('   or: cowcode skills install <skill-id | folder | tarball | git-url>');
+    console.log('       cowcode skills list');
+    console.log('       cowcode skills update [skill-id]');
+    console.log('       cowcode skills uninstall <skill-id>');
     console.log('  Example: cowcode add speech');
+    console.log('  Example: cowcode skills install https://github.com/you/cowcode-weather.git');
     console.log('  Installs/enables a skill and prompts only for that skill\'s required env vars.');
-    process.exit((sub === 'add' || skillSub === 'install') ? 1 : 0);
+    console.log('  Packages go to ~/.cowcode/skills, so cowcode update keeps them.');
+    process.exit(sub === 'add' || skillSub === 'install' || skillSub === 'uninstall' ? 1 : 0);
   }
 } else {
   console.log('Usage: cowcode moo start | stop | status | restart');
   console.log('       cowcode logs');
   console.log('       cowcode dashboard');
   console.log('       cowcode index [full] [--source memory] [--source filesystem] [--root <path>] [--limit N]');
+  console.log('       cowcode eval [--models a,b] [--skills cron,write] [--limit N] [--save-baseline] [--fail-on-regression]');
   console.log('       cowcode auth [options]');
   console.log('       cowcode add <skill-id>');
-  console.log('       cowcode skills install <skill-id>');
+  console.log('       cowcode skills install <skill-id | folder | tarball | git-url>');
+  console.log('       cowcode skills list | update [skill-id] | uninstall <skill-id>');
   console.log('       cowcode update [--force]');
   console.log('       cowcode uninstall');
   process.exit(sub ? 1 : 0);
@@ -34,7 +34,7 @@ async function main() {
   const storePath = payload.storePath && String(payload.storePath).trim() || getCronStorePath();
   const workspaceDir = payload.workspaceDir && String(payload.workspaceDir).trim() || getWorkspaceDir();
   const noop = () => {};
-  const ctx = { storePath, jid, workspaceDir, scheduleOneShot: noop, startCron: noop };
+  const ctx = { storePath, jid, workspaceDir, scheduleOneShot: noop, startCron: noop, source: 'cron' };
   const { runSkillTool, getFullSkillDoc, resolveToolName } = getSkillContext();
   const toolsToUse = Array.isArray(runSkillTool) && runSkillTool.length > 0 ? runSkillTool : [];
   const { textToSend } = await runAgentTurn({
@@ -45,6 +45,7 @@ async function main() {
     historyMessages: [],
     getFullSkillDoc,
     resolveToolName,
+    route: 'cron',
   });
   process.stdout.write(JSON.stringify({ textToSend }) + '\n');
 }
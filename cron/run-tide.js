@@ -15,6 +15,7 @@ import { getSkillContext } from '../skills/loader.js';
 import { runAgentTurn } from '../lib/agent.js';
 import { getSchedulingTimeContext } from '../lib/timezone.js';
 import { buildOneOnOneSystemPrompt } from '../lib/system-prompt.js';
+import { getChatSummary, formatChatSummary } from '../lib/chat-summary.js';
 
 dotenv.config({ path: getEnvPath() });
 
@@ -44,10 +45,10 @@ async function main() {
     timeCtx.nowIso +
     '. Based on the last few messages: is there one short, useful thing to say? (e.g. follow-up on something we are waiting on, or "I finished X—what next?") If yes, reply with that only. If no, reply with nothing or "nothing to do".';
   const noop = () => {};
-  const ctx = { storePath, jid, workspaceDir, scheduleOneShot: noop, startCron: noop, groupNonOwner: false };
+  const ctx = { storePath, jid, workspaceDir, scheduleOneShot: noop, startCron: noop, groupNonOwner: false, source: 'tide' };
   const { runSkillTool, getFullSkillDoc, resolveToolName } = getSkillContext();
   const toolsToUse = Array.isArray(runSkillTool) && runSkillTool.length > 0 ? runSkillTool : [];
-  const systemPrompt = buildOneOnOneSystemPrompt(workspaceDir) + TIDE_INSTRUCTION;
+  const systemPrompt = buildOneOnOneSystemPrompt(workspaceDir) + formatChatSummary(getChatSummary(workspaceDir, jid)) + TIDE_INSTRUCTION;
   const { textToSend } = await runAgentTurn({
     userText,
     ctx,
@@ -56,6 +57,7 @@ async function main() {
     historyMessages,
     getFullSkillDoc,
     resolveToolName,
+    route: 'tide',
   });
   process.stdout.write(JSON.stringify({ textToSend: textToSend || '' }) + '\n');
 }
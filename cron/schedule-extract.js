@@ -3,8 +3,9 @@
  * Used only to create cron jobs; the JSON is never sent to the user.
  */
 
-import { chat as llmChat } from '../llm.js';
+import { chatJson } from '../llm.js';
 import { getResolvedTimezone, getResolvedTimeFormat } from '../lib/timezone.js';
+import { isAbortError } from '../lib/abort.js';
 
 const SCHEDULE_SYSTEM = `You are a task interpreter. The user may:
 A) Ask to schedule a reminder or to be sent a message at a future time.
@@ -12,7 +13,7 @@ B) Ask to list or see their existing scheduled jobs (crons, reminders, what's sc
 
 Current date and time (use for "tomorrow", "8am", etc.): {{NOW_ISO}} (readable: {{NOW_READABLE}}).
 
-Respond with ONLY a single JSON object. No markdown, no code fence, no <think> blocks, no other text. Do not use <think> or any thinking tags—output only the JSON object.
+Respond with a single JSON object.
 
 If the user wants to LIST or SEE their scheduled jobs (e.g. "what are my crons?", "show my reminders", "list scheduled", "what do I have scheduled?", "do I have any reminders?"), respond with: {"schedule":false,"action":"list_schedules"}
 
@@ -31,53 +32,60 @@ Rules:
 - "message" is the exact content to send (e.g. "hello", "HI").
 - For "every minute for the next 3 minutes" use type "series" with 3 "times" at 1min, 2min, 3min from now.
 - For "send me X in 1 minute and Y in 2 minutes" (two different messages at two times) use type "multiple" with "items": [{"message":"X","at":"ISO8601"},{"message":"Y","at":"ISO8601"}].
-- tz is IANA. Omit for recurring if unclear.
-- Output only the JSON object, nothing else.`;
+- tz is IANA. Omit for recurring if unclear.`;
 
-function stripThinking(text) {
-  if (!text || typeof text !== 'string') return '';
-  let s = text
-    .replace(/<think>[\s\S]*?<\/think>/gi, '')
-    .replace(/<\/think>/gi, '')
-    .trim();
-  // Unclosed <think>: drop from <think> up to (and keep) first { so we keep JSON
-  if (/<think>/i.test(s)) {
-    const open = s.search(/\{/);
-    if (open >= 0) s = s.slice(open);
-    else s = s.replace(/<think>[\s\S]*/gi, '').trim();
-  }
-  return s;
-}
+/** Shape of the interpreter's reply; chatJson sends it to the provider and validates the reply against it. */
+const SCHEDULE_SCHEMA = {
+  type: 'object',
+  properties: {
+    schedule: { type: 'boolean' },
+    action: { type: 'string', enum: ['list_schedules'] },
+    type: { type: 'string', enum: ['once', 'recurring', 'series', 'multiple'] },
+    message: { type: 'string' },
+    at: { type: 'string', format: 'date-time' },
+    cron: { type: 'string' },
+    tz: { type: 'string' },
+    times: { type: 'array', items: { type: 'string', format: 'date-time' } },
+    items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { message: { type: 'string' }, at: { type: 'string', format: 'date-time' } },
+        required: ['message', 'at'],
+      },
+    },
+  },
+  required: ['schedule'],
+};
 
-/**
- * Extract JSON from LLM response. Handles <think>...</think>, ```json```, or raw {...}.
- */
-function parseJsonReply(raw) {
-  let s = stripThinking(raw).trim();
-  // If response is "<think>...</think>\n{...}", take the part after </think>
-  const afterThink = s.replace(/<think>[\s\S]*?<\/think>/gi, '').trim();
-  if (afterThink !== s) s = afterThink;
-  const jsonBlock = s.match(/```(?:json)?\s*([\s\S]*?)```/);
-  let toParse = jsonBlock ? jsonBlock[1].trim() : s;
-  const brace = toParse.indexOf('{');
-  if (brace > 0) toParse = toParse.slice(brace);
-  try {
-    return JSON.parse(toParse);
-  } catch {
-    return null;
+/** True when a schedule:true reply has the fields its type needs (the schema cannot express this per type). */
+function isCompleteSchedule(parsed) {
+  const hasMessage = typeof parsed.message === 'string' && parsed.message.trim() !== '';
+  switch (parsed.type) {
+    case 'once':
+      return hasMessage && !!parsed.at;
+    case 'recurring':
+      return hasMessage && typeof parsed.cron === 'string' && parsed.cron.trim().split(/\s+/).length === 5;
+    case 'series':
+      return hasMessage && Array.isArray(parsed.times) && parsed.times.length > 0;
+    case 'multiple':
+      return Array.isArray(parsed.items) && parsed.items.length > 0;
+    default:
+      return false;
   }
 }
 
-const MAX_SCHEDULE_RETRIES = 3;
-
 /**
  * Call LLM to interpret user message as a schedule request. Returns structured schedule or { schedule: false }.
- * Retries up to MAX_SCHEDULE_RETRIES when the response is not valid JSON or missing required fields.
+ * Uses structured output (chatJson, llm.routes.schedule when configured), so the reply is already valid JSON
+ * matching SCHEDULE_SCHEMA; a schedule that is missing the fields for its type is treated as not understood.
  * @param {string} userMessage
  * @param {Date} [now]
- * @returns {Promise<{ schedule: boolean, type?: string, message?: string, at?: string, cron?: string, tz?: string, times?: string[] } | null>}
+ * @param {{ signal?: AbortSignal }} [opts]
+ * @returns {Promise<{ schedule: boolean, action?: string, type?: string, message?: string, at?: string, cron?: string, tz?: string, times?: string[], items?: Array<{ message: string, at: string }> } | null>}
+ *   null when the message could not be interpreted.
  */
-export async function extractSchedule(userMessage, now = new Date()) {
+export async function extractSchedule(userMessage, now = new Date(), { signal } = {}) {
   if (!userMessage || typeof userMessage !== 'string' || !userMessage.trim()) return null;
   const nowIso = now.toISOString();
   const tz = getResolvedTimezone();
@@ -93,28 +101,20 @@ export async function extractSchedule(userMessage, now = new Date()) {
     .replace('{{NOW_ISO}}', nowIso)
     .replace('{{NOW_READABLE}}', nowReadable + ` (${tz})`);
 
-  let messages = [
-    { role: 'system', content: system },
-    { role: 'user', content: userMessage },
-  ];
-
-  for (let attempt = 0; attempt <= MAX_SCHEDULE_RETRIES; attempt++) {
-    const raw = await llmChat(messages);
-    const parsed = parseJsonReply(raw);
-    if (parsed && typeof parsed.schedule === 'boolean') return parsed;
-    const preview = typeof raw === 'string' ? raw.slice(0, 200).replace(/\s+/g, ' ') : '';
-    console.log('[schedule extract] attempt', attempt + 1, '— invalid response (first 200 chars):', preview);
-    if (attempt >= MAX_SCHEDULE_RETRIES) {
-      console.log('[schedule extract] Parsed:', parsed == null ? 'null' : `schedule=${parsed?.schedule} (typeof schedule=${typeof parsed?.schedule})`);
-      return null;
-    }
-    messages = messages.concat(
-      { role: 'assistant', content: typeof raw === 'string' ? raw : '' },
-      {
-        role: 'user',
-        content: 'Your previous reply was not valid. Respond with ONLY a single JSON object, no markdown, no code fence, no other text. Required: "schedule" must be true or false. If scheduling, include "type", "message", and "at" (ISO 8601) or "cron" as specified in the system prompt.',
-      }
-    );
+  let parsed;
+  try {
+    parsed = await chatJson([
+      { role: 'system', content: system },
+      { role: 'user', content: userMessage },
+    ], SCHEDULE_SCHEMA, { name: 'schedule', route: 'schedule', signal });
+  } catch (err) {
+    if (isAbortError(err)) throw err;
+    console.log('[schedule extract] failed:', err.message);
+    return null;
+  }
+  if (parsed.schedule && !isCompleteSchedule(parsed)) {
+    console.log('[schedule extract] incomplete schedule:', JSON.stringify(parsed).slice(0, 200));
+    return null;
   }
-  return null;
+  return parsed;
 }
@@ -19,6 +19,15 @@ import { getResolvedTimezone, getResolvedTimeFormat } from '../lib/timezone.js';
 import { loadStore } from '../cron/store.js';
 import { DEFAULT_ENABLED } from '../skills/loader.js';
 import { ensureGroupConfigFor } from '../lib/group-config.js';
+import { loadConfig as loadLlmConfig } from '../llm.js';
+import { getModelHealth } from '../lib/model-health.js';
+import { getUsageSummary } from '../lib/usage-ledger.js';
+import { listTraces, listTraceDays, getTrace } from '../lib/trace.js';
+import { listFolderExecutors } from '../skills/executor-loader.js';
+import { findSkillMd, getSkillDir, listSkillDirs, readSkillManifest } from '../lib/skill-dirs.js';
+import { listSkillPackages } from '../lib/skill-packages.js';
+import { getSkillPermissions } from '../lib/skill-permissions.js';
+import { listOllamaModels, hasOllamaModel, ollamaHost, pullOllamaModel } from '../lib/ollama.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const ROOT = join(__dirname, '..');
@@ -30,7 +39,6 @@ const app = express();
 app.use(express.json({ limit: '2mb' }));
 
 const DAEMON_SCRIPT = join(INSTALL_DIR, 'scripts', 'daemon.sh');
-const SKILLS_DIR = join(INSTALL_DIR, 'skills');
 
 function getDaemonRunning() {
   return new Promise((resolve) => {
@@ -84,54 +92,32 @@ function saveGroupConfig(groupId, config) {
   writeFileSync(getGroupConfigPath(id), JSON.stringify(config, null, 2), 'utf8');
 }
 
-const SKILL_MD_NAMES = ['SKILL.md', 'skill.md'];
-
+/** Built-in skills and installed packages (~/.cowcode/skills), built-in first. */
 function getAllSkillIds() {
-  if (!existsSync(SKILLS_DIR)) return [];
-  return readdirSync(SKILLS_DIR, { withFileTypes: true })
-    .filter((d) => d.isDirectory())
-    .filter((d) => SKILL_MD_NAMES.some((name) => existsSync(join(SKILLS_DIR, d.name, name))))
-    .map((d) => d.name);
-}
-
-/** Parse YAML-like front matter (--- ... ---) and return { description } (and id/name if present). */
-function parseSkillFrontMatter(content) {
-  const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---/);
-  if (!match) return {};
-  const block = match[1];
-  const out = {};
-  for (const line of block.split(/\r?\n/)) {
-    const colon = line.indexOf(':');
-    if (colon === -1) continue;
-    const key = line.slice(0, colon).trim();
-    const value = line.slice(colon + 1).trim();
-    if (key && value) out[key] = value;
-  }
-  return out;
+  return listSkillDirs().map((d) => d.id);
 }
 
 function getSkillDescription(skillId) {
-  for (const name of SKILL_MD_NAMES) {
-    const mdPath = join(SKILLS_DIR, skillId, name);
-    if (!existsSync(mdPath)) continue;
-    try {
-      const content = readFileSync(mdPath, 'utf8');
-      const fm = parseSkillFrontMatter(content);
-      return fm.description || '';
-    } catch (_) {}
-  }
-  return '';
+  const dir = getSkillDir(skillId);
+  return (dir && readSkillManifest(dir)?.description) || '';
 }
 
 function getSkillMdPath(skillId) {
   if (!/^[a-z0-9-]+$/i.test(skillId)) return null;
-  const dir = join(SKILLS_DIR, skillId);
-  if (!existsSync(dir)) return null;
-  for (const name of SKILL_MD_NAMES) {
-    const p = join(dir, name);
-    if (existsSync(p)) return p;
+  const dir = getSkillDir(skillId);
+  if (!dir) return null;
+  return findSkillMd(dir) || join(dir, 'SKILL.md');
+}
+
+/** id → { source: 'builtin' | 'installed', version, from } for /api/skills. */
+function getSkillSources() {
+  const packages = new Map(listSkillPackages().map((p) => [p.id, p]));
+  const out = {};
+  for (const { id, dir, source } of listSkillDirs()) {
+    const pkg = packages.get(id);
+    out[id] = { source, version: pkg?.version ?? readSkillManifest(dir)?.version ?? null, from: pkg?.source ?? null };
   }
-  return join(dir, 'SKILL.md');
+  return out;
 }
 
 function getDaemonUptimeSeconds() {
@@ -179,6 +165,10 @@ app.get('/api/overview', async (_req, res) => {
     const timezone = getResolvedTimezone();
     const timeFormat = getResolvedTimeFormat();
     const daemonUptimeSeconds = daemonRunning ? getDaemonUptimeSeconds() : null;
+    let modelHealth = [];
+    try {
+      modelHealth = getModelHealth(loadLlmConfig().models);
+    } catch (_) {}
     res.json({
       daemonRunning,
       dashboardUrl,
@@ -190,12 +180,106 @@ app.get('/api/overview', async (_req, res) => {
       timezone,
       timeFormat,
       daemonUptimeSeconds,
+      modelHealth,
     });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+/** Ollama servers named in config (native and /v1 entries alike), by host, with the model names configured for each. */
+function getConfiguredOllamaHosts() {
+  const hosts = new Map();
+  let llm = { models: [], routes: {}, visionFallback: null };
+  try {
+    llm = loadLlmConfig();
+  } catch (_) {}
+  const entries = [...llm.models, ...Object.values(llm.routes || {}).flat(), ...(llm.visionFallback ? [llm.visionFallback] : [])];
+  for (const m of entries) {
+    if (m.api !== 'ollama' && !/:11434(\/|$)/.test(m.baseUrl || '')) continue;
+    const host = ollamaHost(m.baseUrl);
+    if (!hosts.has(host)) hosts.set(host, new Set());
+    if (m.model && m.model !== 'local') hosts.get(host).add(m.model);
+  }
+  return hosts;
+}
+
+// GET /api/ollama/models: installed models per configured Ollama server, plus configured models that are missing.
+app.get('/api/ollama/models', async (_req, res) => {
+  try {
+    const servers = [];
+    for (const [host, configured] of getConfiguredOllamaHosts()) {
+      try {
+        const models = await listOllamaModels(host);
+        servers.push({
+          host,
+          reachable: true,
+          models: models.map((m) => ({ ...m, configured: [...configured].some((name) => hasOllamaModel([m], name)) })),
+          missing: [...configured].filter((name) => !hasOllamaModel(models, name)),
+        });
+      } catch (err) {
+        servers.push({ host, reachable: false, error: err.message, models: [], missing: [...configured] });
+      }
+    }
+    res.json({ servers });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/ollama/pull { host, model }: pull a model; streams progress as one JSON object per line.
+app.post('/api/ollama/pull', async (req, res) => {
+  const model = req.body?.model && String(req.body.model).trim();
+  const host = req.body?.host && String(req.body.host).trim();
+  if (!model || !host) return res.status(400).json({ error: 'host and model required' });
+  if (!getConfiguredOllamaHosts().has(ollamaHost(host))) return res.status(400).json({ error: 'Not a configured Ollama server' });
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+  res.setHeader('Content-Type', 'application/x-ndjson');
+  const write = (obj) => res.write(JSON.stringify(obj) + '\n');
+  try {
+    await pullOllamaModel(host, model, { onProgress: write, signal: controller.signal });
+    write({ status: 'success' });
+  } catch (err) {
+    write({ error: err.message });
+  }
+  res.end();
+});
+
+// GET /api/usage?days=30: daily token and estimated cost totals per model and per chat (from the usage ledger).
+app.get('/api/usage', (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 366);
+    res.json(getUsageSummary({ days }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/traces?day=YYYY-MM-DD&jid=...&q=...&limit=100: per-turn trace summaries, newest first (lib/trace.js).
+app.get('/api/traces', (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+    const day = req.query.day ? String(req.query.day) : undefined;
+    const jid = req.query.jid ? String(req.query.jid) : undefined;
+    const q = req.query.q ? String(req.query.q) : undefined;
+    res.json({ days: listTraceDays(), traces: listTraces({ day, jid, q, limit }) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/traces/:day/:id: one full trace (model calls, tool calls, messages).
+app.get('/api/traces/:day/:id', (req, res) => {
+  try {
+    const trace = getTrace(req.params.day, req.params.id);
+    if (!trace) return res.status(404).json({ error: 'Trace not found' });
+    res.json(trace);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 app.get('/api/crons', (_req, res) => {
   try {
     const storePath = getCronStorePath();
@@ -210,14 +294,23 @@ app.get('/api/skills', (_req, res) => {
   try {
     const config = loadConfig();
     const enabled = Array.isArray(config.skills?.enabled) ? config.skills.enabled : DEFAULT_ENABLED;
-    const allIds = getAllSkillIds();
-    const list = allIds.map((id) => ({ id, enabled: enabled.includes(id), description: getSkillDescription(id) }));
+    const sources = getSkillSources();
+    const list = getAllSkillIds().map((id) => ({ id, enabled: enabled.includes(id), description: getSkillDescription(id), ...sources[id], permissions: getSkillPermissions(id) }));
     res.json({ skills: list, enabled });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// GET /api/skills/executors: skill folders with an executor.js and their load status (skills/executor-loader.js).
+app.get('/api/skills/executors', (_req, res) => {
+  try {
+    res.json({ executors: listFolderExecutors() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 app.get('/api/skills/:id/doc', (req, res) => {
   try {
     const id = req.params.id;
@@ -541,6 +634,13 @@ app.put('/api/config', (req, res) => {
 
 const CHAT_SCRIPT = join(INSTALL_DIR, 'scripts', 'chat-dashboard.js');
 
+/** Strip the [CowCode] prefix the agent adds for chat channels; the dashboard shows plain replies. */
+function cleanChatReply(text) {
+  return String(text || '').replace(/(^|\n)\s*\[CowCode\]\s*/gi, '$1').trim();
+}
+
+// POST /api/chat: { message, history, stream? }. With stream: true (or Accept: text/event-stream) the reply is sent
+// as SSE: "delta" events carry { text } (reply so far), then one "done" { reply } or "error" { error } event.
 app.post('/api/chat', (req, res) => {
   const message = req.body?.message != null ? String(req.body.message).trim() : '';
   const history = Array.isArray(req.body?.history) ? req.body.history : [];
@@ -548,7 +648,8 @@ app.post('/api/chat', (req, res) => {
     res.status(400).json({ error: 'message is required' });
     return;
   }
-  const payload = JSON.stringify({ message, history });
+  const wantsStream = req.body?.stream === true || /text\/event-stream/i.test(req.get('accept') || '');
+  const payload = JSON.stringify({ message, history, stream: wantsStream });
   const child = spawn(process.execPath, [CHAT_SCRIPT], {
     cwd: INSTALL_DIR,
     stdio: ['pipe', 'pipe', 'inherit'],
@@ -556,6 +657,47 @@ app.post('/api/chat', (req, res) => {
   });
   let out = '';
   child.stdout.setEncoding('utf8');
+
+  if (wantsStream) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    const sendEvent = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    let finished = false;
+    const finish = (event, data) => {
+      if (finished) return;
+      finished = true;
+      sendEvent(event, data);
+      res.end();
+    };
+    let pending = '';
+    child.stdout.on('data', (chunk) => {
+      pending += chunk;
+      const lines = pending.split('\n');
+      pending = lines.pop();
+      for (const line of lines) {
+        let parsed;
+        try {
+          parsed = JSON.parse(line);
+        } catch (_) {
+          continue; // log output from the agent
+        }
+        if (parsed.delta != null) sendEvent('delta', { text: cleanChatReply(parsed.delta) });
+        else if (parsed.error) finish('error', { error: parsed.error });
+        else if (parsed.textToSend != null) finish('done', { reply: cleanChatReply(parsed.textToSend) });
+      }
+    });
+    child.on('error', (err) => finish('error', { error: err.message || String(err) }));
+    child.on('close', () => finish('error', { error: 'Chat script produced invalid output' }));
+    res.on('close', () => {
+      if (!finished && child.exitCode == null) child.kill();
+    });
+    child.stdin.end(payload, 'utf8');
+    return;
+  }
+
   child.stdout.on('data', (chunk) => { out += chunk; });
   child.on('error', (err) => {
     res.status(500).json({ error: err.message || String(err) });
@@ -568,9 +710,7 @@ app.post('/api/chat', (req, res) => {
         res.status(500).json({ error: parsed.error });
         return;
       }
-      let reply = parsed.textToSend != null ? String(parsed.textToSend) : '';
-      reply = reply.replace(/(^|\n)\s*\[CowCode\]\s*/gi, '$1').trim();
-      res.json({ reply });
+      res.json({ reply: cleanChatReply(parsed.textToSend) });
     } catch (_) {
       res.status(500).json({ error: lastLine.slice(0, 200) || 'Chat script produced invalid output' });
     }
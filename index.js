@@ -32,8 +32,9 @@ import { rmSync, mkdirSync, existsSync, readFileSync, writeFileSync, copyFileSyn
 import { spawn } from 'child_process';
 import pino from 'pino';
 import { startCron, stopCron, scheduleOneShot, runPastDueOneShots } from './cron/runner.js';
+import { syncMcpServers } from './lib/mcp.js';
 import { getSkillsEnabled, getSkillContext, DEFAULT_ENABLED } from './skills/loader.js';
-import { initBot, createTelegramSock, isTelegramChatId, isTelegramGroupJid, sendLongText } from './lib/telegram.js';
+import { initBot, createTelegramSock, isTelegramChatId, isTelegramGroupJid, sendLongText, handleConfirmCallback } from './lib/telegram.js';
 import { isWhatsAppGroupJid } from './lib/whatsapp.js';
 import { addPending as addPendingTelegram, clearPending as clearPendingTelegram, flushPending } from './lib/pending-telegram.js';
 import { getChannelsConfig } from './lib/channels-config.js';
@@ -49,10 +50,17 @@ import { handleTelegramGroupMessage } from './lib/telegram-group-handler.js';
 import { ensureGroupConfigFor, readGroupMd } from './lib/group-config.js';
 import { loadGroupMd, buildGroupPromptBlock } from './lib/group-prompt.js';
 import { buildOneOnOneSystemPrompt } from './lib/system-prompt.js';
+import { getChatSummary, formatChatSummary, updateChatSummary } from './lib/chat-summary.js';
 import { getGroupDisplayName, setGroupDisplayName, parseSetDisplayNameMessage } from './lib/group-display-names.js';
 import { resetBrowseSession } from './lib/executors/browse.js';
 import { toUserMessage, getErrorMessageForLog } from './lib/user-error.js';
 import { getSpeechConfig, transcribe, synthesizeToBuffer } from './lib/speech-client.js';
+import { takeBudgetNotice } from './lib/budget.js';
+import { pullMissingOllamaModels } from './lib/ollama.js';
+import { tryReminderFastPath } from './lib/reminder-fast-path.js';
+import { requestConfirmation, answerConfirmation } from './lib/confirm.js';
+import { enqueueTurn, stopChat, isStopCommand } from './lib/chat-queue.js';
+import { throwIfAborted } from './lib/abort.js';
 import { createRequire } from 'module';
 
 const require = createRequire(import.meta.url);
@@ -67,6 +75,12 @@ if (typeof makeWASocket !== 'function') {
 const authOnly = process.argv.includes('--auth-only');
 const pairIndex = process.argv.indexOf('--pair');
 const pairNumber = pairIndex !== -1 ? process.argv[pairIndex + 1] : null;
+const simulateIndex = process.argv.indexOf('--simulate');
+const simulatePath = simulateIndex !== -1 ? process.argv[simulateIndex + 1] : null;
+if (simulateIndex !== -1 && !simulatePath) {
+  console.error('Usage: node index.js --simulate <script.yaml> [--keep-state]');
+  process.exit(1);
+}
 
 // Keys we never log (signal/session key material and noisy proto fields)
 const REDACT_KEYS = new Set([
@@ -309,10 +323,22 @@ function migrateTideConfig() {
   } catch (_) {}
 }
 
+/** Media bytes of an incoming WhatsApp message (the simulator's fake socket serves its own). */
+function downloadMessageMedia(sock, m) {
+  if (typeof sock.downloadMedia === 'function') return sock.downloadMedia(m);
+  return downloadMediaMessage(m, 'buffer', {});
+}
+
 async function main() {
+  // --simulate: scripted conversation against fake WhatsApp/Telegram in a temp state dir (lib/simulator).
+  const simulation = simulatePath
+    ? (await import('./lib/simulator/index.js')).prepareSimulation(simulatePath, { keepState: process.argv.includes('--keep-state') })
+    : null;
   ensureStateDir();
-  migrateSkillsConfigToIncludeDefaults();
-  migrateTideConfig();
+  if (!simulation) {
+    migrateSkillsConfigToIncludeDefaults();
+    migrateTideConfig();
+  }
   if (authOnly && existsSync(getAuthDir())) {
     rmSync(getAuthDir(), { recursive: true });
     mkdirSync(getAuthDir(), { recursive: true });
@@ -346,6 +372,8 @@ async function main() {
       sendPresenceUpdate: async () => {},
       readMessages: async () => {},
     };
+  } else if (simulation) {
+    sock = simulation.sock;
   } else if (telegramOnlyMode) {
     sock = null;
   } else if (needAuth) {
@@ -404,6 +432,14 @@ async function main() {
     : { baseUrl: first.baseUrl, model: first.model });
   const skillsEnabled = getSkillsEnabled();
   console.log('Skills enabled:', skillsEnabled?.length ? skillsEnabled.join(', ') : 'cron (default)');
+  // Pull configured Ollama models (chat, routes, vision fallback, memory embeddings) that are not installed yet.
+  const memoryEmbedding = getMemoryConfig()?.embedding;
+  pullMissingOllamaModels([
+    ...config.models,
+    ...Object.values(config.routes || {}).flat(),
+    ...(config.visionFallback ? [config.visionFallback] : []),
+    ...(memoryEmbedding ? [memoryEmbedding] : []),
+  ]).catch(() => {});
 
   const MAX_REPLIED_IDS = 500;
   const MAX_OUR_SENT_IDS = 200;
@@ -432,6 +468,31 @@ async function main() {
     chatHistoryByJid.set(jid, list);
   }
 
+  /**
+   * Budget alert (lib/budget.js): any process (chat, cron, tide) can trip the budget; this process tells the
+   * owner once per day — Telegram owner chat when configured, else the WhatsApp self-chat.
+   */
+  const BUDGET_NOTICE_INTERVAL_MS = 60_000;
+  let budgetNoticeTimer = null;
+  async function deliverBudgetNotice() {
+    const ownerTelegramId = getOwnerConfig().telegramUserId;
+    const waSock = whatsappSockRef.current;
+    const canTelegram = telegramBot && ownerTelegramId != null;
+    const canWhatsApp = waSock?.sendMessage && waSock.user?.id;
+    if (!canTelegram && !canWhatsApp) return;
+    const notice = takeBudgetNotice();
+    if (!notice) return;
+    if (canTelegram) await sendLongText(telegramBot, ownerTelegramId, notice);
+    else await waSock.sendMessage(waSock.user.id, { text: '[CowCode] ' + notice });
+  }
+  function startBudgetNotices() {
+    if (budgetNoticeTimer) return;
+    budgetNoticeTimer = setInterval(() => {
+      deliverBudgetNotice().catch((e) => console.error('[budget] notice failed:', getErrorMessageForLog(e)));
+    }, BUDGET_NOTICE_INTERVAL_MS);
+    budgetNoticeTimer.unref?.();
+  }
+
   // Agent logic: getSkillContext() called on every run; compact list in tool; full doc injected when a skill is called.
 
   /** Tide: one follow-up per "round". When we reply to a private chat, we schedule a single follow-up after silenceCooldownMinutes. If the user replies before then, the timer is cleared and a new one set after our next reply. If they don't reply, we send one follow-up and do not message again until they reply. */
@@ -724,6 +785,38 @@ async function main() {
     return soulContent + identityBlock + timeBlock;
   }
 
+  /**
+   * runAgentWithSkills through the chat's turn queue (lib/chat-queue.js): one turn per chat at a time, /stop cancels.
+   * Same arguments; resolves without a reply when the message was merged, dropped or stopped.
+   */
+  function runAgentQueued(sock, jid, text, lastSentByJidMap, selfJidForCron, ourSentIdsRef, bioOpts = {}) {
+    const isGroup = isTelegramGroupJid(jid) || isWhatsAppGroupJid(jid);
+    return enqueueTurn(jid, text, (turnText, { signal, onToolsStarted }) =>
+      runAgentWithSkills(sock, jid, turnText, lastSentByJidMap, selfJidForCron, ourSentIdsRef, { ...bioOpts, signal, onToolsStarted }),
+    { isGroup });
+  }
+
+  /** Reply to /stop: cancel the chat's running turn and drop its waiting messages. */
+  function stopReplyText(jid) {
+    const { stopped, dropped } = stopChat(jid);
+    if (!stopped && !dropped) return 'Nothing to stop.';
+    return 'Stopped.' + (dropped ? ` Dropped ${dropped} waiting message${dropped === 1 ? '' : 's'}.` : '');
+  }
+
+  /** Ask in the chat before a destructive skill call (lib/confirm.js). --test answers yes itself and prints E2E_CONFIRM. */
+  function confirmInChat(sock, jid, summary, signal) {
+    if (process.argv.includes('--test')) {
+      console.log('E2E_CONFIRM: ' + summary);
+      return Promise.resolve(true);
+    }
+    return requestConfirmation({
+      jid,
+      summary,
+      signal,
+      send: (text, buttons) => sock.sendMessage(jid, isTelegramChatId(jid) ? { text, buttons } : { text: '[CowCode] ' + text }),
+    });
+  }
+
   async function runAgentWithSkills(sock, jid, text, lastSentByJidMap, selfJidForCron, ourSentIdsRef, bioOpts = {}) {
     let skillsCalled = [];
     console.log('[agent] handling:', text.slice(0, 50) + (text.length > 50 ? '…' : ''));
@@ -739,6 +832,9 @@ async function main() {
       startCron: () => startCron({ sock, selfJid: selfJidForCron, storePath: getCronStorePath(), telegramBot: telegramBot || undefined }),
       groupNonOwner: !!bioOpts.groupNonOwner,
       isGroup: isGroupJid,
+      // Destructive skill calls wait for a yes in private chats; groups have no one to ask, so they are refused.
+      confirm: isGroupJid ? undefined : (summary) => confirmInChat(sock, jid, summary, ctx.signal),
+      signal: bioOpts.signal,
     };
     const isGroupNonOwner = !!bioOpts.groupNonOwner;
     const skillContext = isGroupNonOwner
@@ -759,15 +855,42 @@ async function main() {
     const historyMessages = isGroupJid
       ? readLastGroupExchanges(getWorkspaceDir(), jid, MAX_CHAT_HISTORY_EXCHANGES)
       : (inMemoryHistory.length > 0 ? inMemoryHistory : readLastPrivateExchanges(getWorkspaceDir(), jid, MAX_CHAT_HISTORY_EXCHANGES));
-    const turnResult = await runAgentTurn({
-      userText: text,
-      ctx,
-      systemPrompt: buildSystemPrompt(systemPromptOpts),
-      tools: toolsForRequest,
-      historyMessages,
-      getFullSkillDoc: skillContext.getFullSkillDoc,
-      resolveToolName: skillContext.resolveToolName,
-    });
+    // Telegram private/owner chats: show the reply as it is generated. WhatsApp and group non-owners stay buffered.
+    const stream = typeof sock.createStream === 'function' && !isGroupNonOwner && getChannelsConfig().telegram.streaming
+      ? sock.createStream(jid)
+      : null;
+    let turnResult = null;
+    // Reminders ("remind me in 10 minutes", "what's scheduled?") skip the agent when they can be handled directly.
+    if (!isGroupNonOwner && getSkillsEnabled().includes('cron')) {
+      const reminderReply = await tryReminderFastPath(text, ctx, { signal: bioOpts.signal });
+      // Stopped or replaced by a newer message while the reminder was handled: send nothing.
+      throwIfAborted(bioOpts.signal);
+      if (reminderReply) {
+        bioOpts.onToolsStarted?.();
+        turnResult = { textToSend: '[CowCode] ' + reminderReply, skillsCalled: ['cron'] };
+      }
+    }
+    if (!turnResult) {
+      try {
+        turnResult = await runAgentTurn({
+          userText: text,
+          ctx,
+          systemPrompt: buildSystemPrompt(systemPromptOpts) + (isGroupJid ? '' : formatChatSummary(getChatSummary(getWorkspaceDir(), jid))),
+          tools: toolsForRequest,
+          historyMessages,
+          getFullSkillDoc: skillContext.getFullSkillDoc,
+          resolveToolName: skillContext.resolveToolName,
+          onPartialText: stream ? (partial) => stream.update(partial.replace(/^\[CowCode\]\s*/i, '')) : null,
+          signal: bioOpts.signal,
+          onToolsStarted: bioOpts.onToolsStarted,
+        });
+        // Stopped or replaced by a newer message (chat queue) after the model answered: send nothing.
+        throwIfAborted(bioOpts.signal);
+      } catch (err) {
+        if (stream) await stream.discard();
+        throw err;
+      }
+    }
     const { textToSend, voiceReplyText, imageReplyPath, imageReplyCaption, skillsCalled: called } = turnResult || {};
     if (Array.isArray(called) && called.length) skillsCalled = called;
     const textForSend = isTelegramChatId(jid) ? textToSend.replace(/^\[CowCode\]\s*/i, '').trim() : textToSend;
@@ -800,6 +923,7 @@ async function main() {
       }
       const replyText = (voiceReplyText && voiceReplyText.trim()) ? voiceReplyText.trim() : textForSend;
       const captionForImage = (replyText && replyText.trim()) ? replyText.replace(/^\[CowCode\]\s*/i, '').trim() : (imageReplyCaption || '');
+      if (stream && (voiceBuffer || imageBuffer)) await stream.discard();
       try {
         let sent;
         if (voiceBuffer) {
@@ -808,6 +932,8 @@ async function main() {
           sent = await sock.sendMessage(jid, isTelegramChatId(jid)
             ? { image: imageBuffer, caption: captionForImage }
             : { image: imageBuffer, caption: captionForImage, mimetype: 'image/png' });
+        } else if (stream) {
+          sent = await stream.finish(replyText);
         } else {
           sent = await sock.sendMessage(jid, { text: replyText });
         }
@@ -837,11 +963,20 @@ async function main() {
               const indexPromise = indexChatExchange(memoryConfig, exchange).catch((err) =>
                 console.error('[memory] auto-index failed:', err.message)
               );
-              if (process.argv.includes('--test')) await indexPromise;
+              if (process.argv.includes('--test') || simulation) await indexPromise;
+            } else {
+              try {
+                appendExchange(getWorkspaceDir(), exchange);
+              } catch (err) {
+                console.error('[chat-log] write failed:', err.message);
+              }
             }
           }
         }
+        // Private chats: fold exchanges older than the history window into the rolling summary (background).
+        if (!isGroupJid) updateChatSummary(getWorkspaceDir(), jid, MAX_CHAT_HISTORY_EXCHANGES);
         console.log('[replied]', toolsForRequest.length > 0 ? '(agent + skills)' : '(chat)');
+        deliverBudgetNotice().catch((e) => console.error('[budget] notice failed:', getErrorMessageForLog(e)));
         if (!isGroupJid || isTelegramGroupJid(jid)) scheduleTideFollowUp(jid);
         const alreadySentBioPrompt = bioOpts.bioPromptSentJids?.has(jid);
         if (bioOpts.pendingBioConfirmJids != null && !isBioSet() && !alreadySentBioPrompt) {
@@ -883,11 +1018,13 @@ async function main() {
     for (const [i, testMsg] of [testMsg1, testMsg2].filter(Boolean).entries()) {
       console.log('[test] Running main code path with message', i + 1 + ':', testMsg.slice(0, 60));
       let runRet = { skillsCalled: [] };
+      const startedAt = Date.now();
       try {
         runRet = await runAgentWithSkills(sock, 'test@s.whatsapp.net', testMsg, lastSent, 'test@s.whatsapp.net', sentIds) || runRet;
       } catch (err) {
         lastSent.set('test@s.whatsapp.net', 'Moo — ' + (err && err.message ? err.message : String(err)));
       }
+      console.log('E2E_LATENCY_MS: ' + (Date.now() - startedAt));
       const reply = lastSent.get('test@s.whatsapp.net');
       if (reply != null && (testMsg2 ? (i === 1) : true)) {
         if (Array.isArray(runRet.skillsCalled) && runRet.skillsCalled.length) {
@@ -902,6 +1039,13 @@ async function main() {
     process.exit(0);
   }
 
+  // --simulate: run the bot on the fake transports, play the script, exit non-zero when a step fails.
+  if (simulation) {
+    runBot(sock, { telegramBot: simulation.telegramBot, trackTask: simulation.trackTask });
+    const ok = await simulation.run();
+    process.exit(ok ? 0 : 1);
+  }
+
   // Telegram-only mode: no WhatsApp; run only Telegram bot and cron.
   if (telegramOnlyMode) {
     const telegramToken = channelsConfig.telegram.botToken;
@@ -919,7 +1063,12 @@ async function main() {
 
   async function runBot(sock, opts = {}) {
     console.log('[tide] runBot entered');
+    startBudgetNotices();
+    // Connect the MCP servers from config.json so their tools are there for the first message.
+    syncMcpServers().catch((err) => console.log('[mcp] sync failed:', err.message));
     const { telegramOnly, telegramBot: optsTelegramBot } = opts;
+    // Background agent runs are handed to trackTask (the simulator waits on them); the live bot ignores it.
+    const trackTask = opts.trackTask || ((p) => p);
     if (telegramOnly && optsTelegramBot) {
       telegramBot = optsTelegramBot;
       writeDaemonStarted();
@@ -952,11 +1101,14 @@ async function main() {
         MAX_TELEGRAM_REPLIED,
         resetBrowseSession,
         runPastDueOneShots,
-        runAgentWithSkills,
+        runAgentWithSkills: runAgentQueued,
+        stopReplyText,
+        answerConfirmation,
         lastSentByJid,
         ourSentMessageIds,
         getMemoryConfig,
         indexChatExchange,
+        appendExchange,
         getWorkspaceDir,
         toUserMessage,
         getBotUsername: createGetBotUsername(optsTelegramBot),
@@ -969,6 +1121,7 @@ async function main() {
           await handleTelegramPrivateMessage(msg, telegramCtx);
         }
       });
+      optsTelegramBot.on('callback_query', (query) => handleConfirmCallback(optsTelegramBot, query));
       return;
     }
 
@@ -982,7 +1135,7 @@ async function main() {
     const telegramToken = getChannelsConfig().telegram.botToken;
     // Only init and log Telegram when configured; when not set up we don't show or log anything about Telegram.
     if (telegramToken) {
-      telegramBot = initBot(telegramToken);
+      telegramBot = optsTelegramBot || initBot(telegramToken);
       telegramSock = createTelegramSock(telegramBot);
       console.log('  Telegram bot enabled.');
       console.log('[tide] Calling startTide (Telegram path)');
@@ -1050,7 +1203,7 @@ async function main() {
         let userText = (content?.conversation || content?.extendedTextMessage?.text || '').trim();
         if (!userText && content?.imageMessage) {
           try {
-            const buf = await downloadMediaMessage(m, 'buffer', {});
+            const buf = await downloadMessageMedia(sock, m);
             const uploadsDir = getUploadsDir();
             if (!existsSync(uploadsDir)) mkdirSync(uploadsDir, { recursive: true });
             const msgId = m.key?.id || Date.now();
@@ -1077,6 +1230,11 @@ async function main() {
         const participant = m.key.participant || '';
         const preferredName = participant ? getGroupDisplayName('whatsapp', participant) : null;
         const senderName = (preferredName && preferredName.trim()) || (m.pushName && String(m.pushName).trim()) || (participant ? participant.split('@')[0] || 'A group member' : 'A group member');
+        if (isStopCommand(userText)) {
+          const reply = '[CowCode] ' + stopReplyText(jid);
+          sock.sendMessage(jid, { text: reply }).catch(() => pendingReplies.push({ jid, text: reply }));
+          continue;
+        }
         const setMyName = parseSetDisplayNameMessage(userText);
         if (setMyName != null) {
           if (participant) setGroupDisplayName('whatsapp', participant, setMyName);
@@ -1097,7 +1255,7 @@ async function main() {
         };
         console.log('[whatsapp-group]', String(jid), userText.slice(0, 50) + (userText.length > 50 ? '…' : ''));
         await runPastDueOneShots().catch((e) => console.error('[cron] runPastDueOneShots:', e.message));
-        runAgentWithSkills(sock, jid, textForAgent, lastSentByJid, selfJid ?? sock.user?.id, { current: ourSentMessageIds }, {
+        trackTask(runAgentQueued(sock, jid, textForAgent, lastSentByJid, selfJid ?? sock.user?.id, { current: ourSentMessageIds }, {
           groupNonOwner: true,
           groupSenderName: senderName,
           groupJid: jid,
@@ -1106,8 +1264,8 @@ async function main() {
         }).catch((err) => {
           console.error('WhatsApp group agent error:', err.message);
           const errorText = '[CowCode] Moo — ' + toUserMessage(err);
-          sock.sendMessage(jid, { text: errorText }).catch(() => pendingReplies.push({ jid, text: errorText }));
-        });
+          return sock.sendMessage(jid, { text: errorText }).catch(() => pendingReplies.push({ jid, text: errorText }));
+        }));
         continue;
       }
 
@@ -1120,7 +1278,7 @@ async function main() {
       let userSentVoice = false;
       if (!userText && content?.imageMessage) {
         try {
-          const buf = await downloadMediaMessage(m, 'buffer', {});
+          const buf = await downloadMessageMedia(sock, m);
           const uploadsDir = getUploadsDir();
           if (!existsSync(uploadsDir)) mkdirSync(uploadsDir, { recursive: true });
           const msgId = m.key?.id || Date.now();
@@ -1137,7 +1295,7 @@ async function main() {
         try {
           const speechConfig = getSpeechConfig();
           if (speechConfig?.whisperApiKey) {
-            const buf = await downloadMediaMessage(m, 'buffer', {});
+            const buf = await downloadMessageMedia(sock, m);
             const uploadsDir = getUploadsDir();
             if (!existsSync(uploadsDir)) mkdirSync(uploadsDir, { recursive: true });
             const msgId = m.key?.id || Date.now();
@@ -1176,6 +1334,18 @@ async function main() {
         }
       }
 
+      if (isStopCommand(userText)) {
+        const reply = '[CowCode] ' + stopReplyText(jid);
+        try {
+          await sock.sendMessage(jid, { text: reply });
+        } catch (e) {
+          pendingReplies.push({ jid, text: reply });
+        }
+        continue;
+      }
+
+      if (answerConfirmation(jid, userText)) continue;
+
       if (pendingBioConfirmJids.has(jid)) {
         pendingBioConfirmJids.delete(jid);
         if (isYesReply(userText)) {
@@ -1233,7 +1403,7 @@ async function main() {
           } catch (_) {}
         }
 
-        runAgentWithSkills(sock, jid, userText, lastSentByJid, selfJid ?? sock.user?.id, { current: ourSentMessageIds }, {
+        trackTask(runAgentQueued(sock, jid, userText, lastSentByJid, selfJid ?? sock.user?.id, { current: ourSentMessageIds }, {
           pendingBioJids,
           pendingBioConfirmJids,
           bioPromptSentJids,
@@ -1241,10 +1411,10 @@ async function main() {
         }).catch((err) => {
           console.error('Background agent error:', err.message);
           const errorText = '[CowCode] Moo — ' + toUserMessage(err);
-          sock.sendMessage(jid, { text: errorText }).catch(() => {
+          return sock.sendMessage(jid, { text: errorText }).catch(() => {
             pendingReplies.push({ jid, text: errorText });
           });
-        });
+        }));
       } catch (err) {
         console.error('LLM error:', err.message);
         const errorText = '[CowCode] Moo — ' + toUserMessage(err);
@@ -1280,11 +1450,14 @@ async function main() {
       MAX_TELEGRAM_REPLIED,
       resetBrowseSession,
       runPastDueOneShots,
-      runAgentWithSkills,
+      runAgentWithSkills: runAgentQueued,
+      stopReplyText,
+      answerConfirmation,
       lastSentByJid,
       ourSentMessageIds,
       getMemoryConfig,
       indexChatExchange,
+      appendExchange,
       getWorkspaceDir,
       toUserMessage,
       getBotUsername: createGetBotUsername(telegramBot),
@@ -1317,6 +1490,7 @@ async function main() {
         await handleTelegramPrivateMessage(msg, telegramCtx);
       }
     });
+    telegramBot.on('callback_query', (query) => handleConfirmCallback(telegramBot, query));
   }
   }
 
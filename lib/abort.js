@@ -0,0 +1,53 @@
+/**
+ * Cancellation helpers for an agent turn. runAgentTurn takes an AbortSignal and passes it on as ctx.signal,
+ * so LLM calls, skills and browse sessions can stop early. A cancelled turn throws an error named AbortError.
+ */
+
+/** True if err means the turn was cancelled (not a failure to fall back from or report). */
+export function isAbortError(err) {
+  return err?.name === 'AbortError';
+}
+
+/**
+ * AbortError for a signal (keeps the abort reason's message when one was given).
+ * @param {AbortSignal} [signal]
+ */
+export function abortError(signal) {
+  const reason = signal?.reason;
+  if (isAbortError(reason)) return reason;
+  const err = new Error((reason && reason.message) || (typeof reason === 'string' && reason) || 'Cancelled');
+  err.name = 'AbortError';
+  return err;
+}
+
+/** Throw an AbortError if the signal is already aborted. */
+export function throwIfAborted(signal) {
+  if (signal?.aborted) throw abortError(signal);
+}
+
+/**
+ * Resolve with the promise, or reject with an AbortError as soon as the signal aborts. The work itself is not
+ * stopped; use this for steps that cannot be interrupted so the turn still ends promptly.
+ * @param {Promise<T>} promise
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<T>}
+ * @template T
+ */
+export function abortable(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(abortError(signal));
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(abortError(signal));
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(
+      (value) => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      (err) => {
+        signal.removeEventListener('abort', onAbort);
+        reject(err);
+      }
+    );
+  });
+}
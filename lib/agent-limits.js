@@ -0,0 +1,103 @@
+/**
+ * Tool-loop limits for agent turns, read from config.json:
+ *   agents.defaults: { maxToolRounds?: 4, turnTimeoutSeconds?: 0, parallelToolCalls?: true }
+ *   skills.<id>:     { maxToolRounds?, turnTimeoutSeconds? }   // apply once that skill is called in the turn
+ * maxToolRounds is how many times the model may call tools in one turn; turnTimeoutSeconds is a wall-clock
+ * budget for the turn (0 = none), checked before each model call. When several called skills set a limit,
+ * the largest wins, so a skill that needs long chains (browse, search) can raise it for its own turns.
+ *
+ * Turn queue (lib/chat-queue.js), also in agents.defaults: { queueMode?: 'queue', groupQueueDepth?: 5 }.
+ * queueMode says what a message does while a turn in the same chat has not run any skill yet: 'queue' waits,
+ * 'merge' restarts that turn with both messages, 'interrupt' drops it for the new one. groupQueueDepth caps the
+ * messages waiting in a group chat (the oldest are dropped).
+ */
+
+import { readFileSync } from 'fs';
+import { getConfigPath } from './paths.js';
+
+export const DEFAULT_MAX_TOOL_ROUNDS = 4;
+export const DEFAULT_GROUP_QUEUE_DEPTH = 5;
+const QUEUE_MODES = ['queue', 'merge', 'interrupt'];
+
+function positiveInt(val) {
+  const n = Math.floor(Number(val));
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+/**
+ * Current limits (config is read on every call, so edits apply to the next turn).
+ * @returns {{ maxToolRounds: number, turnTimeoutMs: number, parallelToolCalls: boolean, queueMode: 'queue' | 'merge' | 'interrupt', groupQueueDepth: number, skills: Record<string, { maxToolRounds: number | null, turnTimeoutMs: number | null }> }}
+ */
+export function loadAgentLimits() {
+  let config = {};
+  try {
+    const raw = readFileSync(getConfigPath(), 'utf8');
+    config = (raw?.trim() && JSON.parse(raw)) || {};
+  } catch {
+    config = {};
+  }
+  const defaults = config.agents?.defaults && typeof config.agents.defaults === 'object' ? config.agents.defaults : {};
+  const skills = {};
+  const skillsConfig = config.skills && typeof config.skills === 'object' ? config.skills : {};
+  for (const [id, value] of Object.entries(skillsConfig)) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) continue;
+    const maxToolRounds = positiveInt(value.maxToolRounds);
+    const turnTimeoutSeconds = positiveInt(value.turnTimeoutSeconds);
+    if (maxToolRounds || turnTimeoutSeconds) {
+      skills[id] = { maxToolRounds, turnTimeoutMs: turnTimeoutSeconds ? turnTimeoutSeconds * 1000 : null };
+    }
+  }
+  const turnTimeoutSeconds = positiveInt(defaults.turnTimeoutSeconds);
+  return {
+    maxToolRounds: positiveInt(defaults.maxToolRounds) || DEFAULT_MAX_TOOL_ROUNDS,
+    turnTimeoutMs: turnTimeoutSeconds ? turnTimeoutSeconds * 1000 : 0,
+    parallelToolCalls: defaults.parallelToolCalls !== false,
+    queueMode: QUEUE_MODES.includes(defaults.queueMode) ? defaults.queueMode : 'queue',
+    groupQueueDepth: positiveInt(defaults.groupQueueDepth) || DEFAULT_GROUP_QUEUE_DEPTH,
+    skills,
+  };
+}
+
+/**
+ * Limits in effect for a turn that has called these skills so far.
+ * @param {ReturnType<typeof loadAgentLimits>} limits
+ * @param {string[]} skillsCalled
+ * @returns {{ maxToolRounds: number, turnTimeoutMs: number }}
+ */
+export function limitsForSkills(limits, skillsCalled) {
+  let maxToolRounds = null;
+  let turnTimeoutMs = null;
+  for (const id of new Set(skillsCalled)) {
+    const own = limits.skills[id];
+    if (!own) continue;
+    if (own.maxToolRounds) maxToolRounds = Math.max(maxToolRounds || 0, own.maxToolRounds);
+    if (own.turnTimeoutMs) turnTimeoutMs = Math.max(turnTimeoutMs || 0, own.turnTimeoutMs);
+  }
+  return {
+    maxToolRounds: maxToolRounds ?? limits.maxToolRounds,
+    turnTimeoutMs: turnTimeoutMs ?? limits.turnTimeoutMs,
+  };
+}
+
+/**
+ * Skills that read or change workspace files share one queue, so parallel calls never race on the same file
+ * (a read never sees a half-applied write from the same turn).
+ */
+const SERIAL_GROUPS = {
+  read: 'files',
+  'go-read': 'files',
+  write: 'files',
+  edit: 'files',
+  'apply-patch': 'files',
+  'go-write': 'files',
+  core: 'files',
+};
+
+/**
+ * Queue key for running a tool call: calls with the same key run in order, different keys run concurrently.
+ * Calls to the same skill always share a key (e.g. two cron adds both write jobs.json).
+ * @param {string} skillId
+ */
+export function concurrencyKey(skillId) {
+  return SERIAL_GROUPS[skillId] || `skill:${skillId}`;
+}
@@ -7,6 +7,12 @@ import { existsSync } from 'fs';
 import { chat as llmChat, chatWithTools } from '../llm.js';
 import { executeSkill } from '../skills/executor.js';
 import { toUserMessage } from './user-error.js';
+import { withUsageContext, noteSkillCalled } from './usage-ledger.js';
+import { throwIfAborted } from './abort.js';
+import { loadAgentLimits, limitsForSkills, concurrencyKey } from './agent-limits.js';
+import { startTrace, withTrace, finishTrace, annotateTrace, traceToolCall, traceMessages } from './trace.js';
+import { SKILL_DOC_MARKER, fitMessages, fitToolResult, getPromptBudget, roomForToolResult } from './context-window.js';
+import { applyDefaults, coerceToSchema, validateJson } from './json-schema.js';
 
 export function stripThinking(text) {
   if (!text || typeof text !== 'string') return '';
@@ -23,7 +29,6 @@ function stripAsterisks(text) {
   return text.replace(/\*\*/g, '').replace(/\*/g, '');
 }
 
-const MAX_TOOL_ROUNDS = 3;
 const MAX_TOOL_CALL_RETRIES = 3;
 
 function unquote(s) {
@@ -159,24 +164,175 @@ function validateToolCalls(toolCalls, tools) {
   return true;
 }
 
+/**
+ * Coerce, fill defaults and check arguments against the action tool's parameters schema (from the skill's
+ * tool-schema). Null optionals, numeric strings and enum case are forgiven, as the executors forgive them.
+ * @returns {{ args: object, error: string | null }} error: what is wrong, worded for the model.
+ */
+function checkToolArguments(name, args, tools) {
+  const schema = Array.isArray(tools) ? tools.find((t) => t?.function?.name === name)?.function?.parameters : null;
+  if (!schema) return { args, error: null };
+  const filled = applyDefaults(coerceToSchema(args, schema), schema);
+  const problems = validateJson(filled, schema, 'arguments');
+  if (problems.length === 0) return { args: filled, error: null };
+  return { args: filled, error: `Invalid arguments for ${name}: ${problems.join('; ')}. Fix them and call ${name} again.` };
+}
+
+/**
+ * Parse one tool call into the skill to run and its arguments. skillId is empty when a run_skill call names no skill.
+ * Action tool arguments are checked against the tool's schema; invalidArgs is set when they do not match.
+ * @returns {{ tc: object, skillId: string, runArgs: object, toolName?: string, action: string, invalidArgs?: string }}
+ */
+function prepareToolCall(tc, { resolveToolName, userText, historyMessages, tools }) {
+  let payload = {};
+  try {
+    payload = JSON.parse(tc.arguments || '{}');
+  } catch {
+    payload = {};
+  }
+  let skillId;
+  let runArgs;
+  let toolName;
+  const resolved = typeof resolveToolName === 'function' ? resolveToolName(tc.name) : null;
+  if (resolved) {
+    skillId = resolved.skillId;
+    runArgs = typeof payload === 'object' && payload !== null ? { ...payload } : {};
+    if (resolved.action != null) runArgs.action = resolved.action;
+    toolName = resolved.toolName || undefined;
+  } else {
+    skillId = payload.skill && String(payload.skill).trim();
+    runArgs = payload.arguments && typeof payload.arguments === 'object' ? { ...payload.arguments } : {};
+    if (payload.command && String(payload.command).trim()) runArgs.action = String(payload.command).trim();
+    toolName = skillId === 'memory' ? (runArgs.tool || 'memory_search') : undefined;
+    if (skillId === 'memory' && (toolName === 'memory_search') && !(runArgs.query && String(runArgs.query).trim())) {
+      const q = (payload.query && String(payload.query).trim()) || (payload.q && String(payload.q).trim()) || '';
+      if (q) runArgs.query = q;
+    }
+  }
+  if (skillId === 'vision' && !hasVisionImageArg(runArgs)) {
+    const action = (runArgs?.action && String(runArgs.action).trim().toLowerCase()) || 'describe';
+    if (action !== 'generate') {
+      const extractedPath = extractImagePathFromMessage(userText) || getLastImagePathFromHistory(historyMessages);
+      if (extractedPath) runArgs.image = extractedPath;
+    }
+  }
+  let invalidArgs;
+  if (resolved) {
+    const checked = checkToolArguments(tc.name, runArgs, tools);
+    runArgs = checked.args;
+    if (checked.error) invalidArgs = checked.error;
+  }
+  const action = runArgs?.action && String(runArgs.action).trim().toLowerCase();
+  return { tc, skillId: skillId || '', runArgs, toolName, action, ...(invalidArgs ? { invalidArgs } : {}) };
+}
+
+/**
+ * Run the tool calls of one assistant message. In parallel mode, calls with different concurrency keys run at
+ * the same time and calls sharing a key run in order; otherwise one after another. Results keep call order.
+ * @returns {Promise<Array<string | undefined>>}
+ */
+async function executeToolCalls(calls, ctx, parallel) {
+  const results = new Array(calls.length);
+  const run = async (i) => {
+    const { tc, skillId, runArgs, toolName, invalidArgs } = calls[i];
+    if (!skillId) return;
+    if (invalidArgs) {
+      console.log('[agent]', tc.name, 'arguments rejected:', invalidArgs);
+      results[i] = JSON.stringify({ error: invalidArgs });
+      traceToolCall({ skill: skillId, tool: tc.name, args: runArgs, startedAt: Date.now(), result: results[i], error: true });
+      return;
+    }
+    results[i] = await runTracedSkill(skillId, ctx, runArgs, toolName, tc.name);
+  };
+  if (!parallel || calls.length < 2) {
+    for (let i = 0; i < calls.length; i++) await run(i);
+    return results;
+  }
+  const queues = new Map();
+  calls.forEach((call, i) => {
+    if (!call.skillId) return;
+    const key = concurrencyKey(call.skillId);
+    queues.set(key, [...(queues.get(key) || []), i]);
+  });
+  await Promise.all([...queues.values()].map(async (indexes) => {
+    for (const i of indexes) await run(i);
+  }));
+  return results;
+}
+
+/** executeSkill, recorded on the turn's trace. */
+async function runTracedSkill(skillId, ctx, runArgs, toolName, calledAs = null) {
+  const startedAt = Date.now();
+  const result = await executeSkill(skillId, ctx, runArgs, toolName);
+  const error = typeof result === 'string' && result.trim().startsWith('{"error":');
+  traceToolCall({ skill: skillId, tool: calledAs || toolName, args: runArgs, startedAt, result, error });
+  return result;
+}
+
+/** Message telling the model the tool loop is over, so it answers with what it has. */
+function wrapUpNote(reason) {
+  const why = reason === 'time' ? 'The time budget for this turn is used up' : 'You have used all tool rounds for this turn';
+  return `${why}, so no more tools can be called. Reply to the user now with what you found so far. If part of the request is not done, say briefly what is left so they can ask you to continue.`;
+}
+
 /**
  * Run one agent turn: messages -> optional tool calls -> final text to send.
  * @param {object} opts
  * @param {string} opts.userText - User message (or cron job message).
- * @param {object} opts.ctx - { storePath, jid, workspaceDir, scheduleOneShot, startCron }
+ * @param {object} opts.ctx - { storePath, jid, workspaceDir, scheduleOneShot, startCron, source? } (source tags usage: chat, cron, tide, dashboard; default chat)
  * @param {string} opts.systemPrompt - Role-only system prompt (soul, Who am I, My human, timezone). Skill descriptions are in the run_skill tool, not here.
  * @param {Array} opts.tools - Skills: run_skill tool array from getSkillContext() (compact list in tool description).
  * @param {Array<{ role: string, content: string }>} [opts.historyMessages] - Optional prior exchanges for context (default []).
  * @param {(skillId: string) => string} [opts.getFullSkillDoc] - When a skill is called, inject full skill doc into the tool result (from getSkillContext()).
- * @param {(toolName: string) => { skillId: string, action: string, toolName?: string } | null} [opts.resolveToolName] - Resolve action tool name to skillId + action (from getSkillContext()).
+ * @param {(toolName: string) => { skillId: string, action?: string, toolName?: string } | null} [opts.resolveToolName] - Resolve action tool name to skillId + action, or an MCP tool to its server (from getSkillContext()).
+ * @param {(text: string) => void} [opts.onPartialText] - Streams the reply: called with the visible text so far while the LLM is generating.
+ * @param {string} [opts.route] - llm.routes entry for this turn (e.g. "tide", "cron"); falls back to "toolCalls" (or "chat" without tools).
+ * @param {AbortSignal} [opts.signal] - Cancels the whole turn: passed to every LLM call and to skills as ctx.signal. A cancelled turn rejects with an AbortError.
+ * @param {() => void} [opts.onToolsStarted] - Called once, just before the first skill runs (until then the turn has no side effects).
  * @returns {Promise<{ textToSend: string }>}
  */
-export async function runAgentTurn({ userText, ctx, systemPrompt, tools, historyMessages = [], getFullSkillDoc = null, resolveToolName = null }) {
+export function runAgentTurn(opts) {
+  const ctx = opts?.ctx || {};
+  const source = ctx.source || 'chat';
+  const trace = startTrace({
+    jid: ctx.jid,
+    source,
+    route: opts?.route,
+    systemPrompt: opts?.systemPrompt,
+    userText: opts?.userText,
+    historyCount: opts?.historyMessages?.length || 0,
+    tools: opts?.tools,
+  });
+  return withUsageContext({ jid: ctx.jid, source }, () => withTrace(trace, async () => {
+    try {
+      const result = await runAgentTurnInContext(opts);
+      finishTrace(trace, { reply: result.textToSend, skillsCalled: result.skillsCalled });
+      return result;
+    } catch (err) {
+      finishTrace(trace, { error: err });
+      throw err;
+    }
+  }));
+}
+
+/** Body of runAgentTurn; runs inside the turn's usage context and trace so every LLM call is attributed to this chat. */
+async function runAgentTurnInContext({ userText, ctx, systemPrompt, tools, historyMessages = [], getFullSkillDoc = null, resolveToolName = null, onPartialText = null, route = null, signal = null, onToolsStarted = null }) {
+  throwIfAborted(signal);
+  if (signal) ctx = { ...ctx, signal };
+  let toolsStarted = false;
+  /** Tell the caller (once) that skills are about to run, so the turn is no longer safe to restart. */
+  const markToolsStarted = () => {
+    if (toolsStarted) return;
+    toolsStarted = true;
+    if (typeof onToolsStarted === 'function') onToolsStarted();
+  };
   const useTools = Array.isArray(tools) && tools.length > 0;
   const toolsToUse = useTools ? tools : [];
   const forcedWrite = hasSkillEnabled(toolsToUse, 'write') ? parseWriteIntent(userText) : null;
   if (forcedWrite) {
-    const result = await executeSkill('write', ctx, forcedWrite);
+    markToolsStarted();
+    const result = await runTracedSkill('write', ctx, forcedWrite);
+    annotateTrace({ replyFrom: 'forcedWrite' });
     let body = 'Done.';
     try {
       const parsed = JSON.parse(result);
@@ -187,7 +343,9 @@ export async function runAgentTurn({ userText, ctx, systemPrompt, tools, history
   }
   const forcedEdit = hasSkillEnabled(toolsToUse, 'edit') ? parseEditIntent(userText) : null;
   if (forcedEdit) {
-    const result = await executeSkill('edit', ctx, forcedEdit);
+    markToolsStarted();
+    const result = await runTracedSkill('edit', ctx, forcedEdit);
+    annotateTrace({ replyFrom: 'forcedEdit' });
     let body = 'Done.';
     try {
       const parsed = JSON.parse(result);
@@ -198,7 +356,9 @@ export async function runAgentTurn({ userText, ctx, systemPrompt, tools, history
   }
   const forcedHa = hasSkillEnabled(toolsToUse, 'home-assistant') ? parseHomeAssistantListIntent(userText) : null;
   if (forcedHa) {
-    const result = await executeSkill('home-assistant', ctx, { command: forcedHa.command });
+    markToolsStarted();
+    const result = await runTracedSkill('home-assistant', ctx, { command: forcedHa.command });
+    annotateTrace({ replyFrom: 'forcedHomeAssistant' });
     let body = result || '';
     try {
       const parsed = JSON.parse(result || '{}');
@@ -229,10 +389,11 @@ export async function runAgentTurn({ userText, ctx, systemPrompt, tools, history
     const safeBody = String(body || '').trim() || 'No entities found.';
     return { textToSend: stripAsterisks('[CowCode] ' + safeBody), skillsCalled: ['home-assistant'] };
   }
+  const userMessage = { role: 'user', content: userText };
   let messages = [
     { role: 'system', content: systemPrompt },
     ...historyMessages,
-    { role: 'user', content: userText },
+    userMessage,
   ];
   let finalContent = '';
   let cronListResult = null;
@@ -245,18 +406,50 @@ export async function runAgentTurn({ userText, ctx, systemPrompt, tools, history
   let voiceReplyText = null;
   let lastRoundHadToolError = false;
   const skillsCalled = [];
+  const llmOpts = {
+    route: [route, useTools ? 'toolCalls' : 'chat'].filter(Boolean),
+    ...(signal ? { signal } : {}),
+    ...(typeof onPartialText === 'function'
+      ? {
+          onDelta: (text) => {
+            const visible = stripAsterisks(stripThinking(text));
+            if (visible) onPartialText(visible);
+          },
+        }
+      : {}),
+  };
+  /** Trim messages to the context budget of the route's models before a call with this tool list. */
+  const fitted = (toolList) => {
+    messages = fitMessages(messages, getPromptBudget(llmOpts.route, toolList), userMessage);
+    return messages;
+  };
+  const skillDocsShown = new Set();
+
+  const limits = useTools ? loadAgentLimits() : null;
+  const turnStartedAt = Date.now();
+  /** Why the tool loop stopped before the model was done: 'rounds' or 'time' (null when it finished). */
+  let cutShort = null;
 
-  for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+  for (let round = 0; ; round++) {
     if (!useTools) {
-      const rawReply = await llmChat(messages);
+      const rawReply = await llmChat(fitted([]), llmOpts);
       finalContent = stripThinking(rawReply);
       break;
     }
+    if (round > 0) {
+      const { maxToolRounds, turnTimeoutMs } = limitsForSkills(limits, skillsCalled);
+      if (round >= maxToolRounds) cutShort = 'rounds';
+      else if (turnTimeoutMs && Date.now() - turnStartedAt >= turnTimeoutMs) cutShort = 'time';
+      if (cutShort) {
+        console.log('[agent] tool loop cut short:', cutShort === 'rounds' ? `${round} rounds` : `${Math.round((Date.now() - turnStartedAt) / 1000)}s`);
+        break;
+      }
+    }
     let content;
     let toolCalls;
     let toolCallRetries = 0;
     while (toolCallRetries <= MAX_TOOL_CALL_RETRIES) {
-      const response = await chatWithTools(messages, toolsToUse);
+      const response = await chatWithTools(fitted(toolsToUse), toolsToUse, llmOpts);
       content = response.content;
       toolCalls = response.toolCalls;
       if (!toolCalls || toolCalls.length === 0) {
@@ -284,49 +477,24 @@ export async function runAgentTurn({ userText, ctx, systemPrompt, tools, history
     };
     messages = messages.concat(assistantMsg);
     lastRoundHadToolError = false;
-    for (const tc of toolCalls) {
-      let payload = {};
-      try {
-        payload = JSON.parse(tc.arguments || '{}');
-      } catch {
-        payload = {};
-      }
-      let skillId;
-      let runArgs;
-      let toolName;
-      const resolved = typeof resolveToolName === 'function' ? resolveToolName(tc.name) : null;
-      if (resolved) {
-        skillId = resolved.skillId;
-        runArgs = typeof payload === 'object' && payload !== null ? { ...payload } : {};
-        runArgs.action = resolved.action;
-        toolName = resolved.toolName || undefined;
-      } else {
-        skillId = payload.skill && String(payload.skill).trim();
-        runArgs = payload.arguments && typeof payload.arguments === 'object' ? { ...payload.arguments } : {};
-        if (payload.command && String(payload.command).trim()) runArgs.action = String(payload.command).trim();
-        toolName = skillId === 'memory' ? (runArgs.tool || 'memory_search') : undefined;
-        if (skillId === 'memory' && (toolName === 'memory_search') && !(runArgs.query && String(runArgs.query).trim())) {
-          const q = (payload.query && String(payload.query).trim()) || (payload.q && String(payload.q).trim()) || '';
-          if (q) runArgs.query = q;
-        }
-      }
-      if (skillId === 'vision' && !hasVisionImageArg(runArgs)) {
-        const action = (runArgs?.action && String(runArgs.action).trim().toLowerCase()) || 'describe';
-        if (action !== 'generate') {
-          const extractedPath = extractImagePathFromMessage(userText) || getLastImagePathFromHistory(historyMessages);
-          if (extractedPath) runArgs.image = extractedPath;
-        }
-      }
-      const action = runArgs?.action && String(runArgs.action).trim().toLowerCase();
+    const calls = toolCalls.map((tc) => prepareToolCall(tc, { resolveToolName, userText, historyMessages, tools: toolsToUse }));
+    for (const call of calls) {
+      if (!call.skillId) continue;
+      console.log('[agent] skill called:', call.skillId);
+      skillsCalled.push(call.skillId);
+      noteSkillCalled(call.skillId);
+    }
+    markToolsStarted();
+    const results = await executeToolCalls(calls, ctx, limits.parallelToolCalls);
+    for (let i = 0; i < calls.length; i++) {
+      const { tc, skillId, runArgs, action } = calls[i];
       if (!skillId) {
         const errContent = JSON.stringify({ error: 'run_skill requires "skill" and "arguments".' });
         lastRoundHadToolError = true;
         messages.push({ role: 'tool', tool_call_id: tc.id, content: errContent });
         continue;
       }
-      console.log('[agent] skill called:', skillId);
-      skillsCalled.push(skillId);
-      const result = await executeSkill(skillId, ctx, runArgs, toolName);
+      const result = results[i];
       const isToolError = typeof result === 'string' && result.trim().startsWith('{"error":');
       if (isToolError) lastRoundHadToolError = true;
       if (skillId === 'cron' && action === 'list' && result && typeof result === 'string' && !isToolError) {
@@ -357,39 +525,53 @@ export async function runAgentTurn({ userText, ctx, systemPrompt, tools, history
       if (skillId === 'speech' && action === 'reply_as_voice' && !isToolError && runArgs.text && typeof runArgs.text === 'string') {
         voiceReplyText = String(runArgs.text).trim();
       }
-      let toolContent = result;
-      if (typeof getFullSkillDoc === 'function') {
+      const room = roomForToolResult(messages, getPromptBudget(llmOpts.route, toolsToUse), userMessage);
+      let toolContent = await fitToolResult(result, { room, userText, signal });
+      if (typeof getFullSkillDoc === 'function' && !skillDocsShown.has(skillId)) {
         const fullDoc = getFullSkillDoc(skillId);
-        if (fullDoc) toolContent = result + '\n\n---\nFull skill doc for ' + skillId + ':\n' + fullDoc;
+        if (fullDoc) {
+          skillDocsShown.add(skillId); // once per turn; later calls of the same skill reuse it
+          toolContent = toolContent + SKILL_DOC_MARKER + skillId + ':\n' + fullDoc;
+        }
       }
       messages.push({ role: 'tool', tool_call_id: tc.id, content: toolContent });
     }
   }
 
+  if (cutShort) {
+    // Out of rounds or time: no more tools, but let the model wrap up with what it has.
+    messages = messages.concat({ role: 'user', content: wrapUpNote(cutShort) });
+    try {
+      const { content: wrapUp } = await chatWithTools(fitted([]), [], llmOpts);
+      const text = wrapUp && stripThinking(wrapUp).trim();
+      if (text) finalContent = text;
+    } catch (_) {}
+  }
+
   if (useTools && !stripThinking(finalContent).trim() && lastRoundHadToolError) {
     try {
-      const { content: clarification } = await chatWithTools(messages, []);
+      const { content: clarification } = await chatWithTools(fitted([]), [], llmOpts);
       const text = clarification && stripThinking(clarification).trim();
       if (text) finalContent = text;
     } catch (_) {}
   }
   if (searchResult && !stripThinking(finalContent).trim()) {
     try {
-      const synthesized = await chatWithTools(messages, []);
+      const synthesized = await chatWithTools(fitted([]), [], llmOpts);
       const reply = synthesized?.content && stripThinking(synthesized.content).trim();
       if (reply) finalContent = reply;
     } catch (_) {}
   }
   if (browseResult && !stripThinking(finalContent).trim()) {
     try {
-      const synthesized = await chatWithTools(messages, []);
+      const synthesized = await chatWithTools(fitted([]), [], llmOpts);
       const reply = synthesized?.content && stripThinking(synthesized.content).trim();
       if (reply) finalContent = reply;
     } catch (_) {}
   }
   if (visionResult && !stripThinking(finalContent).trim()) {
     try {
-      const synthesized = await chatWithTools(messages, []);
+      const synthesized = await chatWithTools(fitted([]), [], llmOpts);
       const reply = synthesized?.content && stripThinking(synthesized.content).trim();
       if (reply) finalContent = reply;
     } catch (_) {}
@@ -397,11 +579,12 @@ export async function runAgentTurn({ userText, ctx, systemPrompt, tools, history
   const looksLikeBrushOff = (s) => /^(Done\.?|Anything else\?|Done\.\s*Anything else\?)\s*$/i.test((s || '').trim());
   if (lastToolResult && (!stripThinking(finalContent).trim() || looksLikeBrushOff(finalContent))) {
     try {
-      const { content: synthesized } = await chatWithTools(messages, []);
+      const { content: synthesized } = await chatWithTools(fitted([]), [], llmOpts);
       const reply = synthesized && stripThinking(synthesized).trim();
       if (reply && !looksLikeBrushOff(reply)) finalContent = reply;
     } catch (_) {}
   }
+  throwIfAborted(signal); // the synthesis calls above swallow errors, including a cancel
 
   const trimmedFinal = stripThinking(finalContent).trim();
   const looksLikeToolCallJson = /"skill"\s*:|\"run_skill\"|"action"\s*:\s*"search"|"parameters"\s*:\s*\{/.test(trimmedFinal);
@@ -415,6 +598,8 @@ export async function runAgentTurn({ userText, ctx, systemPrompt, tools, history
 
   const withPrefix = (s) => (s && /^\[CowCode\]\s*/i.test(s.trim()) ? s.trim() : '[CowCode] ' + (s || '').trim());
   let textToSend;
+  /** Which branch built the reply (recorded on the trace). */
+  let replyFrom;
   if (useSearchResultAsReply) {
     let reply = searchResult.trim();
     try {
@@ -430,10 +615,13 @@ export async function runAgentTurn({ userText, ctx, systemPrompt, tools, history
     } catch (_) {}
     reply = reply.slice(0, 2000) + (reply.length > 2000 ? '…' : '');
     textToSend = withPrefix(reply);
+    replyFrom = 'searchResult';
   } else if (trimmedFinal) {
     textToSend = withPrefix(trimmedFinal);
+    replyFrom = 'model';
   } else if (cronListResult && cronListResult.trim()) {
     textToSend = withPrefix(cronListResult.trim());
+    replyFrom = 'cronListResult';
   } else if (searchResult && searchResult.trim()) {
     let reply = searchResult.trim();
     try {
@@ -449,6 +637,7 @@ export async function runAgentTurn({ userText, ctx, systemPrompt, tools, history
     } catch (_) {}
     reply = reply.slice(0, 2000) + (reply.length > 2000 ? '…' : '');
     textToSend = withPrefix(reply);
+    replyFrom = 'searchResult';
   } else if (browseResult && browseResult.trim()) {
     let reply = browseResult.trim();
     try {
@@ -464,6 +653,7 @@ export async function runAgentTurn({ userText, ctx, systemPrompt, tools, history
     } catch (_) {}
     reply = reply.slice(0, 2000) + (reply.length > 2000 ? '…' : '');
     textToSend = withPrefix(reply);
+    replyFrom = 'browseResult';
   } else if (visionResult && visionResult.trim()) {
     let reply = visionResult.trim();
     if (imageReplyPath) {
@@ -480,6 +670,7 @@ export async function runAgentTurn({ userText, ctx, systemPrompt, tools, history
       reply = reply.slice(0, 2000) + (reply.length > 2000 ? '…' : '');
     }
     textToSend = withPrefix(reply);
+    replyFrom = 'visionResult';
   } else if (lastToolResult && lastToolResult.trim() && !lastToolResult.trim().startsWith('{"error":')) {
     let reply = lastToolResult.trim();
     try {
@@ -488,13 +679,17 @@ export async function runAgentTurn({ userText, ctx, systemPrompt, tools, history
     } catch (_) {}
     reply = reply.slice(0, 2000) + (reply.length > 2000 ? '…' : '');
     textToSend = withPrefix(reply);
+    replyFrom = 'lastToolResult';
   } else {
     textToSend = '[CowCode] Done. Anything else?';
+    replyFrom = 'default';
   }
   const body = textToSend.replace(/^\[CowCode\]\s*/i, '').trim();
   if (body.startsWith('{"error":')) {
     textToSend = '[CowCode] I need a bit more detail—when should I remind you, and what message would you like?';
+    replyFrom = 'detailPrompt';
   }
+  annotateTrace({ replyFrom, cutShort, messages: traceMessages(messages) });
   return {
     textToSend: stripAsterisks(textToSend),
     voiceReplyText: voiceReplyText || undefined,
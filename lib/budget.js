@@ -0,0 +1,167 @@
+/**
+ * Spending caps for cloud LLMs, read from config.json llm.budget:
+ *   { daily: { cost?, tokens? }, monthly: { cost?, tokens? },
+ *     perJid: { daily?, monthly? },              // default cap for every chat
+ *     jids: { "<jid>": { daily?, monthly? } } }  // per-chat overrides
+ * cost is in llm.currency (estimated from llm.prices); tokens are input + output.
+ * Spend is read from the usage ledger. When a cap is hit, cloud models are dropped from the chain so
+ * local (lmstudio/ollama, also on the local network) entries answer instead; image generation and vision fallback are refused.
+ * The first trip of the day is stored so the main process can tell the owner once (see takeBudgetNotice).
+ * Cost caps only see models with an llm.prices entry; a cloud model without one is logged once (warnUnpriced).
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { getConfigPath, getStateDir } from './paths.js';
+import { sumUsage, usageDay, getUsageContext, isLocalBaseUrl, estimateCost } from './usage-ledger.js';
+
+const STATE_FILENAME = 'budget-state.json';
+
+function loadBudgetConfig() {
+  try {
+    const raw = readFileSync(getConfigPath(), 'utf8');
+    const llm = (raw?.trim() && JSON.parse(raw)?.llm) || {};
+    const budget = llm.budget && typeof llm.budget === 'object' ? llm.budget : null;
+    return { budget, currency: llm.currency || 'USD' };
+  } catch {
+    return { budget: null, currency: 'USD' };
+  }
+}
+
+function getStatePath() {
+  return join(getStateDir(), STATE_FILENAME);
+}
+
+function loadState() {
+  try {
+    const path = getStatePath();
+    if (!existsSync(path)) return {};
+    const raw = readFileSync(path, 'utf8');
+    return raw?.trim() ? JSON.parse(raw) || {} : {};
+  } catch {
+    return {};
+  }
+}
+
+function saveState(state) {
+  try {
+    const dir = getStateDir();
+    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+    writeFileSync(getStatePath(), JSON.stringify(state, null, 2), 'utf8');
+  } catch (err) {
+    console.log('[budget] state write failed:', err.message);
+  }
+}
+
+/** True if the model runs on this machine or the local network and is never limited by the budget. */
+export function isLocalModel(opts) {
+  return isLocalBaseUrl(opts?.baseUrl);
+}
+
+function capExceeded(cap, spend) {
+  if (!cap || typeof cap !== 'object') return null;
+  const cost = Number(cap.cost);
+  const tokens = Number(cap.tokens);
+  if (Number.isFinite(cost) && cost > 0 && spend.cost >= cost) return { kind: 'cost', limit: cost, used: spend.cost };
+  if (Number.isFinite(tokens) && tokens > 0 && spend.tokens >= tokens) return { kind: 'tokens', limit: tokens, used: spend.tokens };
+  return null;
+}
+
+function describeTrip(period, jid, hit, currency) {
+  const amount = hit.kind === 'cost'
+    ? `${hit.used.toFixed(2)} / ${hit.limit} ${currency}`
+    : `${Math.round(hit.used)} / ${hit.limit} tokens`;
+  return `${period} ${jid == null ? 'budget' : `budget for chat ${jid}`} reached (${amount})`;
+}
+
+/**
+ * Check global and per-chat caps for today and this month.
+ * @param {string | null} [jid] - Chat to check per-chat caps for (default: current usage context).
+ * @returns {{ exceeded: boolean, reason?: string }}
+ */
+export function getBudgetStatus(jid = getUsageContext()?.jid ?? null) {
+  const { budget, currency } = loadBudgetConfig();
+  if (!budget) return { exceeded: false };
+  const today = usageDay();
+  const monthStart = today.slice(0, 8) + '01';
+  const chatCaps = jid != null ? (budget.jids?.[String(jid)] || budget.perJid) : null;
+  const checks = [
+    ['Daily', null, budget.daily, () => sumUsage({ fromDay: today })],
+    ['Monthly', null, budget.monthly, () => sumUsage({ fromDay: monthStart })],
+    ['Daily', jid, chatCaps?.daily, () => sumUsage({ fromDay: today, jid })],
+    ['Monthly', jid, chatCaps?.monthly, () => sumUsage({ fromDay: monthStart, jid })],
+  ];
+  for (const [period, scopeJid, cap, spend] of checks) {
+    if (!cap) continue;
+    const hit = capExceeded(cap, spend());
+    if (hit) return { exceeded: true, reason: describeTrip(period, scopeJid, hit, currency) };
+  }
+  return { exceeded: false };
+}
+
+/** Store the first trip of the day so the owner is told once. */
+function noteTrip(reason) {
+  const state = loadState();
+  const today = usageDay();
+  if (state.trippedDay === today) return;
+  console.log('[budget]', reason, '— cloud models paused');
+  saveState({ ...state, trippedDay: today, reason });
+}
+
+/** True when any cap in the budget limits cost (rather than only tokens). */
+function hasCostCap(budget) {
+  const caps = [budget.daily, budget.monthly, budget.perJid?.daily, budget.perJid?.monthly];
+  for (const chat of Object.values(budget.jids || {})) caps.push(chat?.daily, chat?.monthly);
+  return caps.some((cap) => Number(cap?.cost) > 0);
+}
+
+const warnedUnpriced = new Set();
+
+/** Log once per model that a cost cap cannot see its calls: they are stored without a cost. */
+function warnUnpriced(models) {
+  const { budget, currency } = loadBudgetConfig();
+  if (!budget || !hasCostCap(budget)) return;
+  for (const opts of models) {
+    if (isLocalModel(opts) || warnedUnpriced.has(opts.model)) continue;
+    if (estimateCost({ model: opts.model, baseUrl: opts.baseUrl, inputTokens: 1 }) !== null) continue;
+    warnedUnpriced.add(opts.model);
+    console.log('[budget]', `${opts.model} has no llm.prices entry, so the ${currency} caps do not count its calls; add a price or a tokens cap`);
+  }
+}
+
+/**
+ * Drop cloud models when the budget is spent. Throws when nothing local is left to fall back to.
+ * @param {Array<{ baseUrl: string, model: string }>} models
+ * @returns {Array<object>}
+ */
+export function applyBudget(models) {
+  warnUnpriced(models);
+  const status = getBudgetStatus();
+  if (!status.exceeded) return models;
+  noteTrip(status.reason);
+  const local = models.filter(isLocalModel);
+  if (local.length === 0) throw new Error(`LLM budget reached: ${status.reason}. No local model is configured to fall back to.`);
+  return local;
+}
+
+/**
+ * Throw a clear error if the budget is spent (used for image generation and vision fallback).
+ * @param {string} what - e.g. "Image generation"
+ */
+export function assertBudgetAvailable(what) {
+  const status = getBudgetStatus();
+  if (!status.exceeded) return;
+  noteTrip(status.reason);
+  throw new Error(`LLM budget reached: ${status.reason}. ${what} is paused until the budget resets.`);
+}
+
+/**
+ * Owner notice for today's budget trip, returned once per day (marks it delivered).
+ * @returns {string | null}
+ */
+export function takeBudgetNotice() {
+  const state = loadState();
+  if (!state.trippedDay || state.trippedDay !== usageDay() || state.notifiedDay === state.trippedDay) return null;
+  saveState({ ...state, notifiedDay: state.trippedDay });
+  return `Budget alert: ${state.reason}. Cloud models are paused for now; local models will answer until the budget resets. Change llm.budget in config to adjust.`;
+}
@@ -0,0 +1,90 @@
+/**
+ * Record/replay of LLM exchanges ("cassettes") for deterministic tests without network or keys.
+ * COWCODE_CASSETTE names a JSON file; COWCODE_CASSETTE_MODE is "record" (call the real models and append every
+ * exchange to the file) or "replay" (the default: answer from the file, never call a model).
+ * chat, chatWithTools, chatJson (llm.js) and embed (embeddings.js) go through withCassette.
+ *
+ * Replay looks for an unused recording with the same request first. System prompts are left out of that match
+ * because they carry the current date and time; when nothing matches, the next unused recording of the same kind
+ * is played, so a script that drifts slightly still replays in order. Running out of recordings is an error.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
+import { createHash } from 'crypto';
+import { dirname, resolve } from 'path';
+
+const CASSETTE_VERSION = 1;
+
+/** Loaded cassettes by path: { entries, used: Set<number> }. */
+const cassettes = new Map();
+
+function cassetteSettings() {
+  const path = process.env.COWCODE_CASSETTE?.trim();
+  if (!path) return null;
+  const mode = (process.env.COWCODE_CASSETTE_MODE || 'replay').trim().toLowerCase();
+  if (mode !== 'record' && mode !== 'replay') throw new Error(`COWCODE_CASSETTE_MODE must be "record" or "replay", not "${mode}"`);
+  return { path: resolve(path), mode };
+}
+
+function loadCassette(path) {
+  if (!cassettes.has(path)) {
+    let entries = [];
+    if (existsSync(path)) {
+      const data = JSON.parse(readFileSync(path, 'utf8'));
+      entries = Array.isArray(data?.entries) ? data.entries : [];
+    }
+    cassettes.set(path, { entries, used: new Set() });
+  }
+  return cassettes.get(path);
+}
+
+/** Request key: hash of the request with system messages left out. */
+function requestKey(kind, request) {
+  const { messages, ...rest } = request;
+  const stable = { kind, ...rest, ...(messages ? { messages: messages.filter((m) => m.role !== 'system') } : {}) };
+  return createHash('sha256').update(JSON.stringify(stable)).digest('hex').slice(0, 16);
+}
+
+/** Short description of a request for people reading the cassette file. */
+function describeRequest(request) {
+  if (Array.isArray(request.texts)) return request.texts.map((t) => String(t).slice(0, 80)).join(' | ');
+  const lastUser = [...(request.messages || [])].reverse().find((m) => m.role === 'user');
+  const text = typeof lastUser?.content === 'string' ? lastUser.content : JSON.stringify(lastUser?.content ?? '');
+  return text.slice(0, 200);
+}
+
+/**
+ * Run an LLM call through the active cassette. Without COWCODE_CASSETTE this is just run().
+ * @template T
+ * @param {string} kind - "chat", "chatWithTools", "chatJson" or "embed".
+ * @param {object} request - JSON-serializable request (messages, tool names, texts, ...).
+ * @param {() => Promise<T>} run - The real call.
+ * @param {{ onReplay?: (response: T) => void }} [opts] - onReplay gets a replayed response (e.g. to stream it).
+ * @returns {Promise<T>}
+ */
+export async function withCassette(kind, request, run, { onReplay } = {}) {
+  const settings = cassetteSettings();
+  if (!settings) return run();
+  const cassette = loadCassette(settings.path);
+  const key = requestKey(kind, request);
+
+  if (settings.mode === 'record') {
+    const response = await run();
+    cassette.entries.push({ kind, key, request: describeRequest(request), response });
+    mkdirSync(dirname(settings.path), { recursive: true });
+    writeFileSync(settings.path, JSON.stringify({ version: CASSETTE_VERSION, entries: cassette.entries }, null, 2), 'utf8');
+    return response;
+  }
+
+  const unused = (e, i) => e.kind === kind && !cassette.used.has(i);
+  let index = cassette.entries.findIndex((e, i) => unused(e, i) && e.key === key);
+  if (index < 0) {
+    index = cassette.entries.findIndex(unused);
+    if (index < 0) throw new Error(`Cassette ${settings.path} has no ${kind} recording left for: ${describeRequest(request)}`);
+    console.log('[cassette] no exact match for', kind + '; replaying the next recording:', cassette.entries[index].request);
+  }
+  cassette.used.add(index);
+  const { response } = cassette.entries[index];
+  if (typeof onReplay === 'function') onReplay(response);
+  return response;
+}
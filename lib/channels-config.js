@@ -14,7 +14,7 @@ function fromEnv(val) {
 }
 
 /**
- * @returns {{ whatsapp: { enabled: boolean }, telegram: { enabled: boolean, botToken: string | null } }}
+ * @returns {{ whatsapp: { enabled: boolean }, telegram: { enabled: boolean, botToken: string | null, streaming: boolean } }}
  */
 export function getChannelsConfig() {
   let config = {};
@@ -42,6 +42,8 @@ export function getChannelsConfig() {
     telegram: {
       enabled: telegramEnabled,
       botToken: hasToken ? String(telegramToken).trim() : null,
+      // Edit the reply in place as tokens arrive; set channels.telegram.streaming: false for one message at the end.
+      streaming: telegram?.streaming !== false,
     },
   };
 }
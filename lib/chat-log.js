@@ -23,6 +23,41 @@ function safeJidForFile(jid) {
   return String(jid).trim().replace(/[^0-9a-zA-Z._-]/g, '_') || 'unknown';
 }
 
+/**
+ * Path of the per-chat log (chat-log/private/<jid>.jsonl). Other per-chat files (e.g. the rolling summary) sit next to it.
+ * @param {string} workspaceDir
+ * @param {string} jid
+ * @param {string} [ext] - File extension (default .jsonl)
+ * @returns {string}
+ */
+export function getPrivateChatLogPath(workspaceDir, jid, ext = '.jsonl') {
+  return join(getChatLogDir(workspaceDir), PRIVATE_CHAT_DIR, safeJidForFile(jid) + ext);
+}
+
+/**
+ * All exchanges in a private chat's per-jid log, oldest first.
+ * @param {string} workspaceDir
+ * @param {string} jid
+ * @returns {Array<{ ts: number, user: string, assistant: string }>}
+ */
+export function readPrivateExchanges(workspaceDir, jid) {
+  if (!workspaceDir || typeof workspaceDir !== 'string' || jid == null || String(jid).trim() === '') return [];
+  const path = getPrivateChatLogPath(workspaceDir, jid);
+  if (!existsSync(path)) return [];
+  const out = [];
+  try {
+    for (const line of readFileSync(path, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const row = JSON.parse(line);
+        if (row == null) continue;
+        out.push({ ts: row.ts || 0, user: String(row.user ?? '').trim(), assistant: String(row.assistant ?? '').trim() });
+      } catch (_) {}
+    }
+  } catch (_) {}
+  return out;
+}
+
 /**
  * Append one exchange. When jid is present, appends to chat-log/private/<jid>.jsonl (one file per chat, so we can just tail last N). Otherwise appends to chat-log/YYYY-MM-DD.jsonl.
  * @param {string} workspaceDir
@@ -0,0 +1,105 @@
+/**
+ * Per-chat turn queue: one agent turn at a time per jid, run in arrival order, so quick messages in a row read
+ * each other's history and get their replies in order. A message that arrives while a turn has not run any skill
+ * yet can merge into it or interrupt it instead of waiting (agents.defaults.queueMode, see agent-limits.js).
+ * /stop cancels the running turn and drops the waiting messages (stopChat).
+ */
+
+import { isAbortError } from './abort.js';
+import { loadAgentLimits } from './agent-limits.js';
+
+/**
+ * jid → { running, waiting }. running: { entry, controller, toolsStarted } while a turn runs.
+ * waiting: entries { text, run, resolve, reject } in arrival order.
+ */
+const chats = new Map();
+
+function getChat(jid) {
+  let chat = chats.get(jid);
+  if (!chat) {
+    chat = { running: null, waiting: [] };
+    chats.set(jid, chat);
+  }
+  return chat;
+}
+
+/**
+ * Queue one message's turn.
+ * @param {string} jid
+ * @param {string} text - The message (merged messages are joined with a blank line).
+ * @param {(text: string, opts: { signal: AbortSignal, onToolsStarted: () => void }) => Promise<unknown>} run - Runs the
+ *   turn; should pass signal and onToolsStarted on to runAgentTurn.
+ * @param {{ isGroup?: boolean }} [opts] - Group chats keep at most agents.defaults.groupQueueDepth messages waiting.
+ * @returns {Promise<void>} Settles when this message has been handled: its turn finished, it was merged into another,
+ *   dropped or stopped. Rejects only with the turn's own error (a cancelled turn is not an error).
+ */
+export function enqueueTurn(jid, text, run, { isGroup = false } = {}) {
+  const key = String(jid);
+  const chat = getChat(key);
+  const { queueMode, groupQueueDepth } = loadAgentLimits();
+  return new Promise((resolve, reject) => {
+    const entry = { text, run, resolve, reject };
+    const current = chat.running;
+    if (current && !current.toolsStarted && chat.waiting.length === 0 && queueMode !== 'queue') {
+      if (queueMode === 'merge') {
+        entry.text = `${current.entry.text}\n\n${text}`;
+        console.log('[queue]', key, 'merging into the running turn');
+      } else {
+        console.log('[queue]', key, 'interrupting the running turn');
+      }
+      chat.waiting.push(entry);
+      current.controller.abort();
+      return;
+    }
+    if (isGroup && chat.waiting.length >= groupQueueDepth) {
+      const dropped = chat.waiting.splice(0, chat.waiting.length - groupQueueDepth + 1);
+      console.log('[queue]', key, `group queue full, dropping ${dropped.length} oldest message(s)`);
+      for (const d of dropped) d.resolve();
+    }
+    chat.waiting.push(entry);
+    if (!current) drain(key, chat);
+  });
+}
+
+async function drain(jid, chat) {
+  while (chat.waiting.length > 0) {
+    const entry = chat.waiting.shift();
+    const controller = new AbortController();
+    const running = { entry, controller, toolsStarted: false };
+    chat.running = running;
+    try {
+      await entry.run(entry.text, {
+        signal: controller.signal,
+        onToolsStarted: () => {
+          running.toolsStarted = true;
+        },
+      });
+      entry.resolve();
+    } catch (err) {
+      if (isAbortError(err)) entry.resolve();
+      else entry.reject(err);
+    }
+  }
+  chat.running = null;
+  if (chats.get(jid) === chat) chats.delete(jid);
+}
+
+/**
+ * Cancel the chat's running turn and drop its waiting messages (/stop).
+ * @returns {{ stopped: boolean, dropped: number }} stopped: a turn was running.
+ */
+export function stopChat(jid) {
+  const chat = chats.get(String(jid));
+  if (!chat) return { stopped: false, dropped: 0 };
+  const dropped = chat.waiting.splice(0);
+  for (const d of dropped) d.resolve();
+  const stopped = !!chat.running && !chat.running.controller.signal.aborted;
+  if (chat.running) chat.running.controller.abort();
+  if (stopped || dropped.length) console.log('[queue]', String(jid), 'stopped' + (dropped.length ? `, dropped ${dropped.length} waiting` : ''));
+  return { stopped, dropped: dropped.length };
+}
+
+/** True for the /stop command. */
+export function isStopCommand(text) {
+  return /^\/stop(@\w+)?$/i.test(String(text || '').trim());
+}
@@ -0,0 +1,121 @@
+/**
+ * Rolling per-chat summary of exchanges that have scrolled out of the recent-history window.
+ * Stored next to the chat log as chat-log/private/<jid>.summary.json: { summary, coveredExchanges, updatedAt }.
+ * Every `everyExchanges` new out-of-window exchanges, a background LLM call folds them into the summary
+ * (llm.routes.summarize, else the chat route). The summary goes into the system prompt so long conversations
+ * keep their thread across restarts.
+ * Config (optional): chatSummary: { enabled (default true), everyExchanges (default 5), maxWords (default 250) }.
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { chat } from '../llm.js';
+import { getConfigPath } from './paths.js';
+import { getPrivateChatLogPath, readPrivateExchanges } from './chat-log.js';
+import { withUsageContext } from './usage-ledger.js';
+
+const SUMMARY_EXT = '.summary.json';
+const DEFAULT_EVERY_EXCHANGES = 5;
+const DEFAULT_MAX_WORDS = 250;
+/** Exchanges sent to one summary call; a long backlog is caught up over several calls. */
+const MAX_EXCHANGES_PER_UPDATE = 40;
+const MAX_EXCHANGE_CHARS = 1500;
+
+/** jids with a summary update running in this process. */
+const updating = new Set();
+
+function getSummaryConfig() {
+  let cfg = {};
+  try {
+    const raw = readFileSync(getConfigPath(), 'utf8');
+    cfg = (raw?.trim() && JSON.parse(raw)?.chatSummary) || {};
+  } catch (_) {}
+  return {
+    enabled: cfg.enabled !== false,
+    everyExchanges: Math.max(1, Math.floor(Number(cfg.everyExchanges)) || DEFAULT_EVERY_EXCHANGES),
+    maxWords: Math.max(50, Math.floor(Number(cfg.maxWords)) || DEFAULT_MAX_WORDS),
+  };
+}
+
+function loadState(workspaceDir, jid) {
+  try {
+    const path = getPrivateChatLogPath(workspaceDir, jid, SUMMARY_EXT);
+    if (!existsSync(path)) return null;
+    const data = JSON.parse(readFileSync(path, 'utf8'));
+    return data && typeof data === 'object' ? data : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Current summary for a private chat, or '' when there is none (or summaries are disabled).
+ * @param {string} workspaceDir
+ * @param {string} jid
+ * @returns {string}
+ */
+export function getChatSummary(workspaceDir, jid) {
+  if (!workspaceDir || jid == null || !getSummaryConfig().enabled) return '';
+  const summary = loadState(workspaceDir, jid)?.summary;
+  return typeof summary === 'string' ? summary.trim() : '';
+}
+
+/**
+ * System prompt block for a chat summary ('' when there is none).
+ * @param {string} summary
+ * @returns {string}
+ */
+export function formatChatSummary(summary) {
+  const s = summary && String(summary).trim();
+  if (!s) return '';
+  return `\n\n# Earlier in this conversation\nSummary of older messages with this user (the most recent messages follow as chat history):\n${s}`;
+}
+
+function formatExchanges(exchanges) {
+  const clip = (t) => (t.length > MAX_EXCHANGE_CHARS ? t.slice(0, MAX_EXCHANGE_CHARS) + '…' : t);
+  return exchanges
+    .map((ex) => `[${new Date(ex.ts || 0).toISOString().slice(0, 16).replace('T', ' ')}]\nUser: ${clip(ex.user || '(no text)')}\nAssistant: ${clip(ex.assistant || '(no text)')}`)
+    .join('\n\n');
+}
+
+/**
+ * Fold exchanges that are older than the history window into the summary once enough have piled up.
+ * Runs one LLM call at most; never throws (a failed update is retried after the next exchange).
+ * @param {string} workspaceDir
+ * @param {string} jid
+ * @param {number} historyExchanges - How many recent exchanges are already sent as chat history.
+ * @returns {Promise<boolean>} True if the summary was updated.
+ */
+export async function updateChatSummary(workspaceDir, jid, historyExchanges) {
+  const { enabled, everyExchanges, maxWords } = getSummaryConfig();
+  if (!enabled || !workspaceDir || jid == null || updating.has(String(jid))) return false;
+  const exchanges = readPrivateExchanges(workspaceDir, jid);
+  const outOfWindow = exchanges.length - Math.max(0, Math.floor(Number(historyExchanges)) || 0);
+  const state = loadState(workspaceDir, jid) || {};
+  const covered = Math.min(Math.max(0, Number(state.coveredExchanges) || 0), Math.max(0, outOfWindow));
+  if (outOfWindow - covered < everyExchanges) return false;
+  const batch = exchanges.slice(covered, Math.min(outOfWindow, covered + MAX_EXCHANGES_PER_UPDATE));
+  updating.add(String(jid));
+  try {
+    const previous = typeof state.summary === 'string' ? state.summary.trim() : '';
+    const summary = await withUsageContext({ jid, source: 'summary' }, () => chat([
+      {
+        role: 'system',
+        content: `You maintain a running summary of a chat between a user and their assistant. Merge the new messages into the existing summary. Keep what matters later: the user's goals and preferences, facts about them, decisions made, promises and open tasks, names, dates and numbers. Drop small talk and anything resolved and no longer relevant. Write plain prose or short bullets, at most ${maxWords} words. Reply with the updated summary only.`,
+      },
+      {
+        role: 'user',
+        content: `Existing summary:\n${previous || '(none yet)'}\n\nNew messages:\n${formatExchanges(batch)}`,
+      },
+    ], { route: ['summarize', 'chat'] }));
+    if (!summary.trim()) return false;
+    const next = { summary: summary.trim(), coveredExchanges: covered + batch.length, updatedAt: Date.now() };
+    writeFileSync(getPrivateChatLogPath(workspaceDir, jid, SUMMARY_EXT), JSON.stringify(next, null, 2), 'utf8');
+    console.log('[summary] updated for', String(jid).slice(0, 24), `(${next.coveredExchanges} exchanges covered)`);
+    return true;
+  } catch (err) {
+    console.log('[summary] update failed:', err.message);
+    return false;
+  } finally {
+    updating.delete(String(jid));
+  }
+}
@@ -0,0 +1,139 @@
+/**
+ * Confirmation for destructive skill calls. A hook returns { confirm: summary } (see skills/hooks.js); the turn
+ * then waits here while the user is asked "<summary> Reply YES within 5 minutes." Their next message in that chat
+ * (or a Yes/No button on Telegram) answers it: yes runs the call, anything else or no answer in time cancels it.
+ * One question per chat at a time; later ones wait their turn.
+ * Config (config.json): hooks.confirm: { enabled?: true, timeoutSeconds?: 300 }.
+ */
+
+import { randomBytes } from 'crypto';
+import { readFileSync } from 'fs';
+import { getConfigPath } from './paths.js';
+import { abortError, isAbortError } from './abort.js';
+
+export const DEFAULT_CONFIRM_TIMEOUT_SECONDS = 300;
+const CALLBACK_PREFIX = 'confirm:';
+
+/** jid → { id, summary, settle } for the question being asked. */
+const pending = new Map();
+/** jid → promise of the last queued question, so questions in one chat are asked one by one. */
+const queues = new Map();
+
+/** @returns {{ enabled: boolean, timeoutMs: number }} */
+export function loadConfirmConfig() {
+  let confirm = {};
+  try {
+    const raw = readFileSync(getConfigPath(), 'utf8');
+    confirm = (raw?.trim() && JSON.parse(raw)?.hooks?.confirm) || {};
+  } catch {
+    confirm = {};
+  }
+  const seconds = Math.floor(Number(confirm.timeoutSeconds));
+  return {
+    enabled: confirm.enabled !== false,
+    timeoutMs: (Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_CONFIRM_TIMEOUT_SECONDS) * 1000,
+  };
+}
+
+export function isConfirmYes(text) {
+  const t = String(text || '').trim().toLowerCase().replace(/[.!]+$/, '');
+  return /^(y|yes|yeah|yep|yup|sure|ok|okay|confirm|confirmed|do it|go ahead)$/.test(t);
+}
+
+function formatWait(ms) {
+  const minutes = Math.round(ms / 60_000);
+  if (minutes >= 1) return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+  const seconds = Math.max(1, Math.round(ms / 1000));
+  return seconds === 1 ? '1 second' : `${seconds} seconds`;
+}
+
+/**
+ * Ask the user to confirm and wait for the answer.
+ * @param {{ jid: string, summary: string, send: (text: string, buttons: Array<{ text: string, data: string }>) => Promise<unknown>, signal?: AbortSignal }} opts
+ *   send delivers the question; channels without buttons ignore them.
+ * @returns {Promise<boolean>} true only for a yes in time. Rejects with AbortError when the turn is cancelled.
+ */
+export function requestConfirmation({ jid, summary, send, signal }) {
+  const key = String(jid);
+  const previous = queues.get(key) || Promise.resolve();
+  const asked = previous.catch(() => {}).then(() => ask(key, summary, send, signal));
+  const tail = asked.catch(() => {});
+  queues.set(key, tail);
+  tail.then(() => {
+    if (queues.get(key) === tail) queues.delete(key);
+  });
+  return asked;
+}
+
+function ask(jid, summary, send, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError(signal));
+      return;
+    }
+    const { timeoutMs } = loadConfirmConfig();
+    const id = randomBytes(4).toString('hex');
+    let timer = null;
+    const onAbort = () => settle(null, abortError(signal));
+    function settle(answer, error) {
+      if (pending.get(jid)?.id !== id) return;
+      pending.delete(jid);
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      if (error) reject(error);
+      else resolve(answer);
+    }
+    pending.set(jid, { id, summary, settle });
+    timer = setTimeout(() => {
+      console.log('[confirm] no answer in time:', summary);
+      settle(false);
+    }, timeoutMs);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    const text = `${summary.trim()} Reply YES within ${formatWait(timeoutMs)}.`;
+    const buttons = [
+      { text: 'Yes', data: `${CALLBACK_PREFIX}${id}:yes` },
+      { text: 'No', data: `${CALLBACK_PREFIX}${id}:no` },
+    ];
+    console.log('[confirm] asking:', summary);
+    Promise.resolve()
+      .then(() => send(text, buttons))
+      .catch((err) => {
+        if (isAbortError(err)) return settle(null, err);
+        console.log('[confirm] could not ask:', err.message);
+        settle(false);
+      });
+  });
+}
+
+export function hasPendingConfirmation(jid) {
+  return pending.has(String(jid));
+}
+
+/**
+ * Answer the chat's pending question with the user's message.
+ * @returns {boolean} true when the message was the answer (do not run it as a new turn).
+ */
+export function answerConfirmation(jid, text) {
+  const entry = pending.get(String(jid));
+  if (!entry) return false;
+  const yes = isConfirmYes(text);
+  console.log('[confirm]', yes ? 'confirmed:' : 'declined:', entry.summary);
+  entry.settle(yes);
+  return true;
+}
+
+/**
+ * Answer from a button press (Telegram callback data "confirm:<id>:yes|no").
+ * @returns {{ handled: boolean, answer?: boolean }} handled is false for other callback data; answer is unset when
+ *   the question was already answered or timed out.
+ */
+export function answerConfirmationCallback(jid, data) {
+  const m = String(data || '').match(/^confirm:([0-9a-f]+):(yes|no)$/);
+  if (!m) return { handled: false };
+  const entry = pending.get(String(jid));
+  if (!entry || entry.id !== m[1]) return { handled: true };
+  const yes = m[2] === 'yes';
+  console.log('[confirm]', yes ? 'confirmed:' : 'declined:', entry.summary);
+  entry.settle(yes);
+  return { handled: true, answer: yes };
+}
@@ -0,0 +1,217 @@
+/**
+ * Keep an agent turn inside the model's context window (llm.models[].contextWindow, see getContextWindow).
+ * Tokens are estimated, not exact: about 4 characters per token for ASCII text, one per CJK/emoji character.
+ * When a prompt is over budget we drop, in order: skill docs from earlier tool results, the oldest history
+ * messages, then the tail of the largest tool results. A tool result that cannot fit on its own is summarized
+ * by the LLM (llm.routes.summarize, else the chat route) before it goes into the messages.
+ */
+
+import { chat, getContextWindow } from '../llm.js';
+import { isAbortError } from './abort.js';
+
+/** Separator the agent puts between a tool result and the full skill doc appended to it. */
+export const SKILL_DOC_MARKER = '\n\n---\nFull skill doc for ';
+
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const IMAGE_TOKENS = 1000;
+/** Smallest share of the context a tool result is cut to; below this it would be useless. */
+const MIN_RESULT_TOKENS = 200;
+/** Below this much room a summary is not worth an extra LLM call; the result is cut instead. */
+const MIN_SUMMARY_ROOM_TOKENS = 300;
+const SUMMARY_ROUTE = ['summarize', 'chat'];
+
+/**
+ * Approximate token count of a string.
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  let narrow = 0;
+  let wide = 0;
+  for (const ch of String(text)) {
+    const code = ch.codePointAt(0);
+    if (code < 0x80) narrow += 1;
+    else if (code < 0x2e80) narrow += 2; // accented Latin, Cyrillic, Greek: roughly two chars' worth each
+    else wide += 1;
+  }
+  return Math.ceil(narrow / 4 + wide);
+}
+
+function contentTokens(content) {
+  if (content == null) return 0;
+  if (typeof content === 'string') return estimateTokens(content);
+  if (!Array.isArray(content)) return estimateTokens(JSON.stringify(content));
+  return content.reduce((sum, part) => {
+    if (part?.type === 'text') return sum + estimateTokens(part.text);
+    if (part?.type === 'image_url' || part?.type === 'image') return sum + IMAGE_TOKENS;
+    return sum + estimateTokens(JSON.stringify(part ?? ''));
+  }, 0);
+}
+
+/** Approximate tokens for one chat message, including tool calls. */
+export function estimateMessageTokens(msg) {
+  if (!msg) return 0;
+  let tokens = MESSAGE_OVERHEAD_TOKENS + contentTokens(msg.content);
+  for (const tc of Array.isArray(msg.tool_calls) ? msg.tool_calls : []) {
+    tokens += estimateTokens(tc.function?.name) + estimateTokens(tc.function?.arguments);
+  }
+  return tokens;
+}
+
+/** Approximate tokens for a message list. */
+export function estimateMessagesTokens(messages) {
+  return (messages || []).reduce((sum, m) => sum + estimateMessageTokens(m), 0);
+}
+
+/**
+ * Cut text to about maxTokens, keeping the start and the end (errors often sit at the end of command output).
+ * @param {string} text
+ * @param {number} maxTokens
+ * @returns {string}
+ */
+export function truncateToTokens(text, maxTokens) {
+  const s = String(text ?? '');
+  const tokens = estimateTokens(s);
+  if (tokens <= maxTokens) return s;
+  const keepChars = Math.max(0, Math.floor((s.length * Math.max(0, maxTokens - 20)) / tokens));
+  const head = s.slice(0, Math.ceil(keepChars * 0.75));
+  const tail = keepChars - head.length > 0 ? s.slice(s.length - (keepChars - head.length)) : '';
+  return `${head}\n[... ${s.length - keepChars} characters cut to fit the context window ...]\n${tail}`;
+}
+
+/**
+ * Prompt budget for a route: the context window minus room for the reply and the tool schemas.
+ * @param {string | string[]} route
+ * @param {Array<object>} [tools]
+ * @returns {number}
+ */
+export function getPromptBudget(route, tools = []) {
+  const { contextWindow, maxTokens } = getContextWindow(route);
+  const toolTokens = Array.isArray(tools) && tools.length > 0 ? estimateTokens(JSON.stringify(tools)) : 0;
+  return Math.max(MIN_RESULT_TOKENS * 2, contextWindow - maxTokens - toolTokens);
+}
+
+/**
+ * Tokens left for one more tool result, counting only what cannot be dropped: the system prompt and the current
+ * turn (from currentUserMsg on). Older history is left out because fitMessages drops it when needed. At most
+ * half the budget, so one result cannot crowd out the rest of the turn.
+ * @param {Array<object>} messages
+ * @param {number} budget
+ * @param {object} currentUserMsg - The user message that started this turn (same object as in messages).
+ */
+export function roomForToolResult(messages, budget, currentUserMsg) {
+  const start = messages.indexOf(currentUserMsg);
+  const fixed = estimateMessageTokens(messages[0]) + estimateMessagesTokens(start > 0 ? messages.slice(start) : messages.slice(1));
+  return Math.min(Math.floor(budget / 2), budget - fixed - MESSAGE_OVERHEAD_TOKENS);
+}
+
+/**
+ * Condense a long tool result for the user's request with one LLM call.
+ * @param {string} text
+ * @param {{ userText: string, maxTokens: number, signal?: AbortSignal }} opts
+ * @returns {Promise<string>}
+ */
+async function summarizeToolResult(text, { userText, maxTokens, signal }) {
+  const { contextWindow, maxTokens: replyTokens } = getContextWindow(SUMMARY_ROUTE);
+  const input = truncateToTokens(text, Math.max(MIN_RESULT_TOKENS, contextWindow - replyTokens - 400));
+  const words = Math.max(50, Math.floor(maxTokens * 0.6));
+  const summary = await chat([
+    {
+      role: 'system',
+      content: `You condense tool output for another assistant. Keep every fact, number, name, URL, path and error message that helps answer the user's request; drop boilerplate, navigation and repetition. Plain text, at most ${words} words.`,
+    },
+    { role: 'user', content: `User request: ${String(userText || '').slice(0, 1000)}\n\nTool output:\n${input}` },
+  ], { route: SUMMARY_ROUTE, signal });
+  return summary.trim();
+}
+
+/**
+ * Make a tool result fit in `room` tokens: unchanged when it fits, otherwise summarized (or cut when there is too
+ * little room for a summary or the summary call fails).
+ * @param {string} text
+ * @param {{ room: number, userText: string, signal?: AbortSignal }} opts
+ * @returns {Promise<string>}
+ */
+export async function fitToolResult(text, { room, userText, signal }) {
+  const limit = Math.max(MIN_RESULT_TOKENS, room);
+  const tokens = estimateTokens(text);
+  if (tokens <= limit) return text;
+  if (room >= MIN_SUMMARY_ROOM_TOKENS) {
+    try {
+      const summary = await summarizeToolResult(text, { userText, maxTokens: limit, signal });
+      if (summary) {
+        console.log('[context] tool result summarized:', tokens, '->', estimateTokens(summary), 'tokens');
+        return truncateToTokens(`[Summary of a long tool result (about ${tokens} tokens)]\n${summary}`, limit);
+      }
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      console.log('[context] summarize failed, cutting instead:', err.message);
+    }
+  }
+  return truncateToTokens(text, limit);
+}
+
+/** Drop the skill doc from a tool message's content (the result itself stays). */
+function withoutSkillDoc(msg) {
+  const i = typeof msg.content === 'string' ? msg.content.indexOf(SKILL_DOC_MARKER) : -1;
+  return i >= 0 ? { ...msg, content: msg.content.slice(0, i) } : msg;
+}
+
+/**
+ * Trim a message list to fit the prompt budget. Never drops the system prompt or anything from the current turn;
+ * tool messages keep their tool_call_id so the tool-call pairing stays valid.
+ * @param {Array<object>} messages
+ * @param {number} budget - From getPromptBudget.
+ * @param {object} currentUserMsg - The user message that started this turn (same object as in messages).
+ * @returns {Array<object>} The same array when it already fits, else a trimmed copy.
+ */
+export function fitMessages(messages, budget, currentUserMsg) {
+  let total = estimateMessagesTokens(messages);
+  if (total <= budget) return messages;
+  const before = total;
+  let out = messages.slice();
+  const update = (i, msg) => {
+    total += estimateMessageTokens(msg) - estimateMessageTokens(out[i]);
+    out[i] = msg;
+  };
+
+  // 1. Skill docs on earlier tool results (the newest one is kept).
+  const docIndexes = out.map((m, i) => (m.role === 'tool' && String(m.content || '').includes(SKILL_DOC_MARKER) ? i : -1)).filter((i) => i >= 0);
+  for (const i of docIndexes.slice(0, -1)) {
+    if (total <= budget) break;
+    update(i, withoutSkillDoc(out[i]));
+  }
+
+  // 2. Oldest history, keeping it starting on a user message.
+  let turnStart = out.indexOf(currentUserMsg);
+  let droppedHistory = 0;
+  while (total > budget && turnStart > 1) {
+    do {
+      total -= estimateMessageTokens(out[1]);
+      out.splice(1, 1);
+      turnStart--;
+      droppedHistory++;
+    } while (turnStart > 1 && out[1]?.role !== 'user');
+  }
+
+  // 3. Largest tool results, each cut once down to what is left.
+  const cut = new Set();
+  while (total > budget) {
+    let largest = -1;
+    for (let i = 0; i < out.length; i++) {
+      if (out[i].role !== 'tool' || cut.has(i)) continue;
+      if (estimateMessageTokens(out[i]) <= MIN_RESULT_TOKENS) continue;
+      if (largest < 0 || estimateMessageTokens(out[i]) > estimateMessageTokens(out[largest])) largest = i;
+    }
+    if (largest < 0) break;
+    cut.add(largest);
+    const current = withoutSkillDoc(out[largest]);
+    const target = Math.max(MIN_RESULT_TOKENS, estimateMessageTokens(current) - (total - budget) - MESSAGE_OVERHEAD_TOKENS);
+    update(largest, { ...current, content: truncateToTokens(current.content, target) });
+  }
+
+  console.log('[context] trimmed prompt:', before, '->', total, 'tokens (budget', budget + (droppedHistory ? `, dropped ${droppedHistory} history messages)` : ')'));
+  if (total > budget) console.log('[context] still over budget; the model may truncate or reject the prompt');
+  return out;
+}
@@ -1,21 +1,101 @@
 /**
- * Embedding API client. Calls OpenAI-compatible /embeddings endpoint.
+ * Embedding API client. Calls OpenAI-compatible /embeddings endpoint, Ollama's native /api/embed
+ * when opts.api is 'ollama', or Gemini's batchEmbedContents for the Gemini base URL.
+ * opts.api 'mock' gives deterministic local vectors (lib/mock-llm.js); calls go through the test cassette when set.
  */
 
+import { recordUsage } from './usage-ledger.js';
+import { ollamaHost } from './ollama.js';
+import { mockEmbeddings } from './mock-llm.js';
+import { withCassette } from './cassette.js';
+
 function isContextLengthError(err) {
   const msg = (err && err.message) ? String(err.message) : '';
   return /maximum context length|reduce your prompt|context length|\d+ tokens.*requested|requested.*\d+ tokens|exceeded|too long|invalid_request_error/i.test(msg);
 }
 
+/**
+ * Embed texts with Ollama's /api/embed (keep_alive and options from the embedding config).
+ * truncate: false makes an over-long input fail like the OpenAI endpoint does, so embedWithRetry can split it.
+ * @param {string[]} texts
+ * @param {{ baseUrl: string, model: string, keepAlive?: string | number, options?: object }} opts
+ * @returns {Promise<number[][]>}
+ */
+async function embedOllama(texts, { baseUrl, model, keepAlive, options }) {
+  const body = {
+    model: model || 'nomic-embed-text',
+    input: texts,
+    truncate: false,
+    ...(keepAlive != null ? { keep_alive: keepAlive } : {}),
+    ...(options ? { options } : {}),
+  };
+  const res = await fetch(`${ollamaHost(baseUrl)}/api/embed`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(60_000),
+  });
+  if (!res.ok) {
+    const t = await res.text();
+    throw new Error(`Embeddings API failed ${res.status}: ${t.slice(0, 1200)}`);
+  }
+  const data = await res.json();
+  recordUsage({ kind: 'embedding', model: body.model, baseUrl, usage: { prompt_tokens: Number(data.prompt_eval_count) || 0 } });
+  const list = data.embeddings;
+  if (!Array.isArray(list)) throw new Error('Embeddings API response missing embeddings array');
+  return list.map((emb, i) => {
+    if (!Array.isArray(emb)) throw new Error(`Embedding ${i} is not an array`);
+    return emb.map(Number);
+  });
+}
+
+/**
+ * Embed texts with Gemini's batchEmbedContents (one request per text in a single call).
+ * The API reports no token counts, so usage is estimated at about 4 characters per token.
+ * @param {string[]} texts
+ * @param {{ baseUrl: string, apiKey: string, model: string }} opts
+ * @returns {Promise<number[][]>}
+ */
+async function embedGemini(texts, { baseUrl, apiKey, model }) {
+  const name = `models/${String(model || 'gemini-embedding-001').replace(/^models\//, '')}`;
+  const res = await fetch(`${(baseUrl || '').replace(/\/$/, '')}/${name}:batchEmbedContents`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey || '' },
+    body: JSON.stringify({ requests: texts.map((text) => ({ model: name, content: { parts: [{ text }] } })) }),
+    signal: AbortSignal.timeout(60_000),
+  });
+  if (!res.ok) {
+    const t = await res.text();
+    throw new Error(`Embeddings API failed ${res.status}: ${t.slice(0, 1200)}`);
+  }
+  const data = await res.json();
+  const chars = texts.reduce((sum, t) => sum + String(t).length, 0);
+  recordUsage({ kind: 'embedding', model: name.slice('models/'.length), baseUrl, usage: { prompt_tokens: Math.ceil(chars / 4) } });
+  const list = data.embeddings;
+  if (!Array.isArray(list)) throw new Error('Embeddings API response missing embeddings array');
+  return list.map((emb, i) => {
+    if (!Array.isArray(emb?.values)) throw new Error(`Embedding ${i} is not an array`);
+    return emb.values.map(Number);
+  });
+}
+
 /**
  * Embed one or more texts. Returns array of float arrays.
  * On context-length errors (e.g. 8192 token limit), retries with half the batch and concatenates.
  * @param {string[]} texts - Texts to embed.
- * @param {{ baseUrl: string, apiKey: string, model: string }} opts
+ * @param {{ baseUrl: string, apiKey: string, model: string, api?: 'ollama' | 'mock', keepAlive?: string | number, options?: object }} opts
  * @returns {Promise<number[][]>}
  */
 export async function embed(texts, opts) {
   if (!texts || texts.length === 0) return [];
+  if (opts.api === 'mock') return mockEmbeddings(texts);
+  return withCassette('embed', { texts, model: opts.model }, () => embedRemote(texts, opts));
+}
+
+/** embed() against the configured API. */
+async function embedRemote(texts, opts) {
+  if (opts.api === 'ollama') return embedOllama(texts, opts);
+  if ((opts.baseUrl || '').includes('generativelanguage.googleapis.com')) return embedGemini(texts, opts);
   const { baseUrl, apiKey, model } = opts;
   const url = `${(baseUrl || '').replace(/\/$/, '')}/embeddings`;
   const body = {
@@ -37,6 +117,7 @@ export async function embed(texts, opts) {
     throw new Error(`Embeddings API failed ${res.status}: ${t.slice(0, 1200)}`);
   }
   const data = await res.json();
+  recordUsage({ kind: 'embedding', model: body.model, baseUrl, usage: data.usage });
   const list = data.data;
   if (!Array.isArray(list)) throw new Error('Embeddings API response missing data array');
   const out = [];
@@ -4,12 +4,14 @@
  * Persistent browser context: reuses the same Playwright page object across skill calls
  * for the same chat (jid) when possible; only starts a new browser when stale or missing.
  * After screenshot, runs a quick vision loop: auto-describe the image and suggest next action.
+ * When the turn is cancelled (ctx.signal), the chat's session is closed so pending page calls stop at once.
  */
 
 import { join } from 'path';
 import { mkdirSync, existsSync, readFileSync } from 'fs';
 import { getStateDir } from '../paths.js';
 import { describeImage } from '../../llm.js';
+import { abortError, throwIfAborted } from '../abort.js';
 
 const BROWSER_TIMEOUT_MS = 25_000;
 const MAX_PAGE_TEXT_CHARS = 14_000;
@@ -151,16 +153,19 @@ function isPageClosedOrTimeout(err) {
 
 /**
  * Run an action with the session. If it throws a page-closed/timeout error, close session, create a new one, retry once (transparent to user).
+ * No retry once the turn is cancelled (the session was closed on purpose).
  * @param {string} key
  * @param {string} url - required for getOrCreateSession
+ * @param {AbortSignal | undefined} signal
  * @param {(page: import('playwright').Page, session: object) => Promise<string>} fn
  * @returns {Promise<string>}
  */
-async function runWithSessionRetry(key, url, fn) {
+async function runWithSessionRetry(key, url, signal, fn) {
   const { page, session } = await getOrCreateSession(key, url);
   try {
     return await fn(page, session);
   } catch (err) {
+    if (signal?.aborted) throw abortError(signal);
     if (!isPageClosedOrTimeout(err)) throw err;
     console.log('[browse] session closed or timeout mid-turn, retrying with fresh session');
     await closeSession(key);
@@ -177,11 +182,11 @@ function fileToDataUri(filepath) {
 }
 
 /** After screenshot: describe image and suggest one next action (vision loop). */
-async function visionDescribeAndSuggest(filepath) {
+async function visionDescribeAndSuggest(filepath, signal) {
   try {
     const dataUri = fileToDataUri(filepath);
     const prompt = 'Describe what you see in this screenshot in 1–2 sentences. Then suggest one concrete next action the user might want (e.g. "Scroll down for more", "Click the Tech or Electronics link for that category", "Fill the search box"). One short paragraph.';
-    const out = await describeImage(dataUri, prompt, 'You are a concise assistant. Describe the screenshot and suggest the next action in one short paragraph.');
+    const out = await describeImage(dataUri, prompt, 'You are a concise assistant. Describe the screenshot and suggest the next action in one short paragraph.', { signal });
     return out && String(out).trim() ? out : '';
   } catch (err) {
     console.error('[browse] vision describe failed:', err.message);
@@ -190,11 +195,37 @@ async function visionDescribeAndSuggest(filepath) {
 }
 
 /**
- * @param {object} ctx - { jid } for session key (same tab per chat)
+ * @param {object} ctx - { jid, signal? } for session key (same tab per chat) and turn cancellation
  * @param {object} args - LLM tool args: action, url?, selector?, value?, direction?
  * @returns {Promise<string>}
  */
 export async function executeBrowse(ctx, args) {
+  const signal = ctx?.signal;
+  throwIfAborted(signal);
+  if (!signal) return runBrowseAction(ctx, args);
+  const key = sessionKey(ctx);
+  const onAbort = () => {
+    console.log('[browse] turn cancelled, closing session');
+    closeSession(key);
+  };
+  signal.addEventListener('abort', onAbort, { once: true });
+  let out;
+  try {
+    out = await runBrowseAction(ctx, args);
+  } catch (err) {
+    if (!signal.aborted) throw err;
+  } finally {
+    signal.removeEventListener('abort', onAbort);
+  }
+  if (signal.aborted) {
+    await closeSession(key); // a browser launched while the abort was handled
+    throw abortError(signal);
+  }
+  return out;
+}
+
+/** One browse action (see executeBrowse). */
+async function runBrowseAction(ctx, args) {
   const action = (args?.action && String(args.action).trim().toLowerCase()) || 'navigate';
   const key = sessionKey(ctx);
   const urlArg = args?.url && String(args.url).trim();
@@ -207,7 +238,7 @@ export async function executeBrowse(ctx, args) {
 
   if (action === 'navigate') {
     if (!url) throw new Error('url is required for navigate');
-    return runWithSessionRetry(key, url, async (page, session) => {
+    return runWithSessionRetry(key, url, ctx?.signal, async (page, session) => {
       session.lastUrl = page.url?.() || url;
       const html = await page.content();
       const text = stripHtmlToText(html);
@@ -221,7 +252,7 @@ export async function executeBrowse(ctx, args) {
     if (!url) throw new Error('url is required for click');
     const selector = args?.selector && String(args.selector).trim();
     if (!selector) throw new Error('selector is required for click (e.g. "button.submit", "a#link", "[aria-label=Submit]")');
-    return runWithSessionRetry(key, url, async (page, session) => {
+    return runWithSessionRetry(key, url, ctx?.signal, async (page, session) => {
       await page.waitForSelector(selector, { state: 'visible', timeout: 10_000 }).catch(() => {
         throw new Error(`Element not found or not visible: ${selector}`);
       });
@@ -239,7 +270,7 @@ export async function executeBrowse(ctx, args) {
   if (action === 'scroll') {
     if (!url) throw new Error('url is required for scroll');
     const direction = (args?.direction && String(args.direction).trim().toLowerCase()) || 'down';
-    return runWithSessionRetry(key, url, async (page, session) => {
+    return runWithSessionRetry(key, url, ctx?.signal, async (page, session) => {
       const delta = direction === 'up' ? -400 : direction === 'top' ? -1e9 : direction === 'bottom' ? 1e9 : 400;
       if (delta === -1e9 || delta === 1e9) {
         await page.evaluate((d) => window.scrollBy(0, d), delta);
@@ -260,7 +291,7 @@ export async function executeBrowse(ctx, args) {
     const selector = args?.selector && String(args.selector).trim();
     const value = args?.value != null ? String(args.value) : '';
     if (!selector) throw new Error('selector is required for fill (e.g. "input[name=q]", "#email")');
-    return runWithSessionRetry(key, url, async (page, session) => {
+    return runWithSessionRetry(key, url, ctx?.signal, async (page, session) => {
       await page.waitForSelector(selector, { state: 'visible', timeout: 10_000 }).catch(() => {
         throw new Error(`Element not found or not visible: ${selector}`);
       });
@@ -278,7 +309,7 @@ export async function executeBrowse(ctx, args) {
   if (action === 'screenshot') {
     if (!url) throw new Error('url is required for screenshot');
     const selector = args?.selector && String(args.selector).trim();
-    return runWithSessionRetry(key, url, async (page, session) => {
+    return runWithSessionRetry(key, url, ctx?.signal, async (page, session) => {
       const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
       const filename = `browse-${stamp}.png`;
       const dir = getScreenshotsDir();
@@ -303,7 +334,7 @@ export async function executeBrowse(ctx, args) {
         '',
         'Page summary: ' + (text || 'No text.'),
       ].join('\n');
-      const visionBlurb = await visionDescribeAndSuggest(filepath);
+      const visionBlurb = await visionDescribeAndSuggest(filepath, ctx?.signal);
       if (visionBlurb) {
         body += '\n\n--- Vision (auto-describe + suggest next action)\n' + visionBlurb;
       }
@@ -36,7 +36,7 @@ function getDefaultAccount() {
   }
 }
 
-function normalizeArgv(rawArgv) {
+export function normalizeArgv(rawArgv) {
   if (!Array.isArray(rawArgv) || rawArgv.length === 0) return null;
   const argv = rawArgv.map((v) => String(v)).filter((v) => v.trim().length > 0);
   if (argv.length === 0) return null;
@@ -45,7 +45,8 @@ function normalizeArgv(rawArgv) {
   return argv;
 }
 
-function requiresConfirm(argv) {
+/** gmail send and calendar create/add/insert need the user's confirmation (asked by the confirm hook). */
+export function requiresConfirm(argv) {
   const a0 = (argv[0] || '').toLowerCase();
   const a1 = (argv[1] || '').toLowerCase();
   if (a0 === 'gmail' && a1 === 'send') return true;
@@ -24,7 +24,7 @@ function limitOutput(text) {
 }
 
 /**
- * @param {object} ctx - { workspaceDir }
+ * @param {object} ctx - { workspaceDir, signal? }
  * @param {object} args - { command | action, argv?, cwd? }
  * @param {Set<string>} allowed - e.g. new Set(['ls', 'cat', 'pwd'])
  * @returns {Promise<string>}
@@ -39,6 +39,9 @@ export async function runAllowlisted(ctx, args, allowed) {
   argv = argv.map((a) => expandTilde(a));
   const cwd = args?.cwd ? expandTilde(String(args.cwd)) : (ctx?.workspaceDir || process.cwd());
 
+  // A cancelled turn (ctx.signal, e.g. /stop) kills the command at once instead of leaving it to the timeout.
+  const opts = { cwd, signal: ctx?.signal, killSignal: 'SIGKILL' };
+
   return new Promise((resolve) => {
     let stdout = '';
     let stderr = '';
@@ -46,11 +49,11 @@ export async function runAllowlisted(ctx, args, allowed) {
 
     if (cmd === 'cd') {
       const path = argv[0] || cwd;
-      child = spawn('sh', ['-c', `cd "${path.replace(/"/g, '\\"')}" && pwd`], { cwd });
+      child = spawn('sh', ['-c', `cd "${path.replace(/"/g, '\\"')}" && pwd`], opts);
     } else if (cmd === 'less') {
-      child = spawn(cmd, ['-E', '-X', '-F', ...argv], { cwd });
+      child = spawn(cmd, ['-E', '-X', '-F', ...argv], opts);
     } else {
-      child = spawn(cmd, argv, { cwd });
+      child = spawn(cmd, argv, opts);
     }
 
     const timeout = setTimeout(() => {
@@ -79,7 +79,7 @@ export async function executeVision(ctx, args) {
     const prompt = (args?.prompt && String(args.prompt).trim()) || '';
     if (!prompt) throw new Error('vision action "generate" requires "prompt" (text description of the image to create).');
     const size = (args?.size && String(args.size).trim()) || '1024x1024';
-    const { path: imagePath, caption } = await generateImage(prompt, { size });
+    const { path: imagePath, caption } = await generateImage(prompt, { size, signal: ctx?.signal });
     const sendToChat = args?.sendToChat !== false;
     return JSON.stringify({
       imageReply: sendToChat ? { path: imagePath, caption } : null,
@@ -109,5 +109,5 @@ export async function executeVision(ctx, args) {
   const prompt = (args?.prompt && String(args.prompt).trim()) || 'Describe what you see in this image. If there is text, read it.';
   const systemPrompt = (args?.systemPrompt && String(args.systemPrompt).trim()) || 'You are a helpful vision assistant. Describe or analyze the image concisely. If the user asked a specific question, answer it.';
 
-  return describeImage(imageInput, prompt, systemPrompt);
+  return describeImage(imageInput, prompt, systemPrompt, { signal: ctx?.signal });
 }
@@ -0,0 +1,44 @@
+/**
+ * Built-in hook: audit log of skill calls in <state>/audit/YYYY-MM-DD.jsonl (chat, skill, final arguments,
+ * outcome, duration). Off by default; hooks.audit in config.json: true (all skills) or { skills: [...] }.
+ */
+
+import { appendFileSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { getStateDir } from '../paths.js';
+import { usageDay } from '../usage-ledger.js';
+
+const MAX_ARGS_CHARS = 2000;
+
+/** @param {object} hooksConfig - config.hooks */
+export function createAuditHook(hooksConfig) {
+  const audit = hooksConfig.audit;
+  if (!audit || audit.enabled === false) return null;
+  const skills = Array.isArray(audit.skills) && audit.skills.length ? audit.skills.map(String) : undefined;
+  return {
+    name: 'audit',
+    skills,
+    after(call, result) {
+      const isError = typeof result === 'string' && result.trim().startsWith('{"error":');
+      const args = JSON.stringify(call.args ?? {});
+      const entry = {
+        ts: new Date().toISOString(),
+        jid: call.jid ?? null,
+        group: call.isGroup,
+        skill: call.skillId,
+        tool: call.toolName || null,
+        args: args.length > MAX_ARGS_CHARS ? args.slice(0, MAX_ARGS_CHARS) + '…' : args,
+        outcome: call.vetoedBy ? 'vetoed' : isError ? 'error' : 'ok',
+        ...(call.vetoedBy ? { vetoedBy: call.vetoedBy } : {}),
+        ms: Date.now() - call.startedAt,
+      };
+      try {
+        const dir = join(getStateDir(), 'audit');
+        if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+        appendFileSync(join(dir, `${usageDay()}.jsonl`), JSON.stringify(entry) + '\n', 'utf8');
+      } catch (err) {
+        console.log('[hooks] audit write failed:', err.message);
+      }
+    },
+  };
+}
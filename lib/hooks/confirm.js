@@ -0,0 +1,89 @@
+/**
+ * Built-in hook: ask the user before destructive calls (see lib/confirm.js for the question and answer flow).
+ *   go-write rm, mv and chmod; write over an existing file; apply-patch outside the workspace; gog mail sends and
+ *   calendar creates; and any tool-schema action marked destructive: in its SKILL.md ("destructive: Delete {path}?"
+ *   with {arg} placeholders, or "destructive: true" for a generic summary); and MCP tools their server marks
+ *   destructive (annotations.destructiveHint).
+ * Off with hooks.confirm.enabled: false in config.json.
+ */
+
+import { existsSync } from 'fs';
+import { join, relative, resolve, isAbsolute } from 'path';
+import { loadConfirmConfig } from '../confirm.js';
+import { getDestructiveActions } from '../../skills/loader.js';
+import { normalizeArgv, requiresConfirm } from '../executors/gog.js';
+import { isMcpToolDestructive } from '../mcp.js';
+
+const MAX_SUMMARY_CHARS = 300;
+
+function clip(s) {
+  const text = String(s);
+  return text.length > MAX_SUMMARY_CHARS ? text.slice(0, MAX_SUMMARY_CHARS) + '…' : text;
+}
+
+/** Path as the write and apply-patch executors resolve it (absolute, or relative to the workspace). */
+function resolveLikeExecutor(pathArg, workspaceDir) {
+  const p = String(pathArg).trim();
+  return resolve(p.startsWith('/') ? p : join(workspaceDir || '', p));
+}
+
+function goWriteSummary(args) {
+  const cmd = String(args?.command || args?.action || '').trim().toLowerCase();
+  const argv = Array.isArray(args?.argv) ? args.argv.map(String) : [];
+  const paths = argv.filter((a) => !a.startsWith('-'));
+  if (cmd === 'rm') return `Delete ${paths.join(', ') || '(nothing)'}?`;
+  if (cmd === 'mv') return `Move ${paths.slice(0, -1).join(', ')} to ${paths[paths.length - 1] || '?'}?`;
+  if (cmd === 'chmod') return `Change permissions of ${paths.slice(1).join(', ')} to ${paths[0] || '?'}?`;
+  return null;
+}
+
+function templateSummary(template, call) {
+  if (template === 'true') {
+    return `Run ${call.toolName || call.skillId}${call.args?.action ? ' ' + call.args.action : ''} with ${JSON.stringify(call.args ?? {})}?`;
+  }
+  return template.replace(/\{(\w+)\}/g, (_, key) => {
+    const value = call.args?.[key];
+    if (value == null) return '';
+    return Array.isArray(value) ? value.join(' ') : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+}
+
+/** Summary to confirm for this call, or null when it is not destructive. */
+function destructiveSummary(call) {
+  const { skillId, args } = call;
+  const workspaceDir = call.ctx?.workspaceDir;
+  if (skillId === 'go-write') return goWriteSummary(args);
+  if (skillId === 'write' && args?.path && existsSync(resolveLikeExecutor(args.path, workspaceDir))) {
+    return `Overwrite ${args.path}?`;
+  }
+  if (skillId === 'apply-patch' && args?.path && workspaceDir) {
+    const rel = relative(resolve(workspaceDir), resolveLikeExecutor(args.path, workspaceDir));
+    if (rel.startsWith('..') || isAbsolute(rel)) return `Patch ${args.path} (outside the workspace)?`;
+  }
+  if (skillId === 'gog') {
+    const argv = normalizeArgv(args?.argv);
+    if (argv && requiresConfirm(argv)) {
+      const what = argv[0].toLowerCase() === 'gmail' ? 'Send this email' : 'Create this calendar event';
+      return `${what}: gog ${argv.join(' ')}?`;
+    }
+  }
+  if (isMcpToolDestructive(skillId, call.toolName)) return templateSummary('true', call);
+  const action = args?.action != null ? String(args.action) : '';
+  const template = action ? getDestructiveActions(skillId)[action] : undefined;
+  return template ? templateSummary(template, call) : null;
+}
+
+/** @param {object} _hooksConfig - config.hooks (hooks.confirm is read by loadConfirmConfig) */
+export function createConfirmHook(_hooksConfig) {
+  if (!loadConfirmConfig().enabled) return null;
+  return {
+    name: 'confirm',
+    before(call) {
+      const summary = destructiveSummary(call);
+      if (!summary) return;
+      // gog runs mail sends and calendar creates only with confirm: true, which the user's yes now stands for.
+      const args = call.skillId === 'gog' ? { ...call.args, confirm: true } : undefined;
+      return { confirm: clip(summary), ...(args ? { args } : {}) };
+    },
+  };
+}
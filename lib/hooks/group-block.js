@@ -0,0 +1,19 @@
+/**
+ * Built-in hook: skills that are not available in group chats (default go-read and go-write; allowed in DMs and
+ * the dashboard). Override the list with hooks.groupBlocked in config.json.
+ */
+
+const DEFAULT_BLOCKED = ['go-read', 'go-write'];
+
+/** @param {object} hooksConfig - config.hooks */
+export function createGroupBlockHook(hooksConfig) {
+  const blocked = new Set(Array.isArray(hooksConfig.groupBlocked) ? hooksConfig.groupBlocked.map(String) : DEFAULT_BLOCKED);
+  if (blocked.size === 0) return null;
+  return {
+    name: 'group-block',
+    skills: [...blocked],
+    before(call) {
+      if (call.isGroup) return { veto: `${call.skillId} is not available in group chats.` };
+    },
+  };
+}
@@ -0,0 +1,112 @@
+/**
+ * Built-in hook: keep file skills away from secrets. Checks the path-like arguments of read, write, edit,
+ * apply-patch, go-read, go-write and core (path, cwd and argv entries) against hooks.paths in config.json:
+ *   { deny?: string[], allow?: string[] }  // globs; "~/" is home, relative globs are under the state dir
+ * deny defaults to the state dir's .env and WhatsApp auth, ~/.ssh and ~/.gnupg. With allow set, only matching
+ * paths are permitted. Paths are resolved like the executors do (path relative to the workspace, cwd relative to
+ * the bot's process, argv relative to cwd, "~" expanded) and through symlinks. A path or argv entry that holds a
+ * denied path (e.g. cp -r ~/.ssh, or the state dir holding .env) is denied too; listing it (ls, cd, pwd) is not.
+ */
+
+import { homedir } from 'os';
+import { dirname, isAbsolute, join, resolve } from 'path';
+import { getStateDir, getEnvPath, getAuthDir } from '../paths.js';
+import { realPath } from '../skill-permissions.js';
+
+export const FILE_SKILLS = ['read', 'write', 'edit', 'apply-patch', 'go-read', 'go-write', 'core'];
+
+/** go-read commands that only list or name a folder; they may point at one that holds denied paths. */
+const LISTING_COMMANDS = new Set(['ls', 'cd', 'pwd']);
+
+function defaultDeny() {
+  return [getEnvPath(), join(getAuthDir(), '**'), join(homedir(), '.ssh', '**'), join(homedir(), '.gnupg', '**')];
+}
+
+function expandHome(p) {
+  const s = String(p).trim();
+  return s === '~' || s.startsWith('~/') ? join(homedir(), s.slice(1)) : s;
+}
+
+/** Glob with ** (any depth), * and ? to a RegExp over absolute paths. A trailing /** matches the folder itself too. */
+function globToRegExp(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '/' && glob.slice(i) === '/**') {
+      re += '(?:/.*)?';
+      break;
+    }
+    if (ch === '*' && glob[i + 1] === '*') {
+      re += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += glob[i + 2] === '/' ? 2 : 1;
+    } else if (ch === '*') re += '[^/]*';
+    else if (ch === '?') re += '[^/]';
+    else re += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }
+  return new RegExp('^' + re + '$');
+}
+
+/**
+ * Globs to { re, base }: base is the folder (or file) the glob lives in, with symlinks resolved, e.g. ~/.ssh for
+ * ~/.ssh/**; the RegExp is built on it so it matches resolved paths.
+ */
+function compile(globs) {
+  return globs.map((g) => {
+    const expanded = expandHome(g);
+    const abs = isAbsolute(expanded) ? expanded : join(getStateDir(), expanded);
+    const wild = abs.search(/[*?]/);
+    const literal = wild === -1 ? abs : abs.slice(0, wild);
+    const base = wild === -1 ? abs : literal.endsWith('/') ? literal.slice(0, -1) : dirname(literal);
+    const realBase = realPath(base || '/');
+    return { re: globToRegExp((realBase === '/' ? '' : realBase) + abs.slice(base.length)), base: realBase };
+  });
+}
+
+function matches(p, rules) {
+  return rules.some(({ re }) => re.test(p));
+}
+
+/** p is the base of a rule or a folder above it. */
+function holds(p, rules) {
+  const dir = p.endsWith('/') ? p : p + '/';
+  return rules.some(({ base }) => base === p || base.startsWith(dir));
+}
+
+/**
+ * Absolute, symlink-resolved paths an argument set refers to. operand: a path the command acts on (not cwd, and
+ * not the folder given to a listing command).
+ * @returns {Array<{ path: string, operand: boolean }>}
+ */
+function pathsOf(skillId, args, workspaceDir) {
+  const out = [];
+  const base = workspaceDir || process.cwd();
+  if (args?.path) out.push({ path: resolve(base, expandHome(args.path)), operand: true });
+  const cwd = args?.cwd ? resolve(expandHome(args.cwd)) : null;
+  if (cwd) out.push({ path: cwd, operand: false });
+  if (Array.isArray(args?.argv)) {
+    const command = String(args.command || args.action || '').trim().toLowerCase();
+    const operand = !(skillId === 'go-read' && LISTING_COMMANDS.has(command));
+    for (const a of args.argv) {
+      if (typeof a === 'string' && a && !a.startsWith('-')) out.push({ path: resolve(cwd || base, expandHome(a)), operand });
+    }
+  }
+  return out.map((p) => ({ ...p, path: realPath(p.path) }));
+}
+
+/** @param {object} hooksConfig - config.hooks */
+export function createPathPolicyHook(hooksConfig) {
+  const policy = hooksConfig.paths && typeof hooksConfig.paths === 'object' ? hooksConfig.paths : {};
+  const deny = compile(Array.isArray(policy.deny) ? policy.deny : defaultDeny());
+  const allow = Array.isArray(policy.allow) && policy.allow.length ? compile(policy.allow) : null;
+  return {
+    name: 'path-policy',
+    skills: FILE_SKILLS,
+    before(call) {
+      for (const { path: p, operand } of pathsOf(call.skillId, call.args, call.ctx?.workspaceDir)) {
+        if (matches(p, deny) || (operand && holds(p, deny)) || (allow && !matches(p, allow))) {
+          return { veto: `Access to ${p} is not allowed.` };
+        }
+      }
+    },
+  };
+}
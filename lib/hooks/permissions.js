@@ -0,0 +1,18 @@
+/**
+ * Built-in hook: refuse calls outside the skill's permissions (fs-read, fs-write, network, shell, owner-only from
+ * its SKILL.md, or skills.<id>.permissions in config.json; see lib/skill-permissions.js). Runs after the modules and
+ * skill-folder hooks, so it checks the arguments they settle on, and before confirm, so the user is never asked
+ * about a call that would be refused anyway.
+ */
+
+import { checkSkillPermissions } from '../skill-permissions.js';
+
+export function createPermissionsHook() {
+  return {
+    name: 'permissions',
+    before(call) {
+      const denied = checkSkillPermissions(call.skillId, call.ctx, call.args);
+      if (denied) return { veto: `Permission denied: ${denied}` };
+    },
+  };
+}
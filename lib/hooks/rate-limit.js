@@ -0,0 +1,35 @@
+/**
+ * Built-in hook: per-chat rate limits, from hooks.rateLimit in config.json:
+ *   { "<skill-id>" | "*": { perMinute?: number, perHour?: number } }
+ * "*" applies to every skill without its own entry. Counts are kept in memory per skill and chat.
+ */
+
+/** `${skillId}:${jid}` → call timestamps within the last hour. */
+const calls = new Map();
+
+/** @param {object} hooksConfig - config.hooks */
+export function createRateLimitHook(hooksConfig) {
+  const limits = hooksConfig.rateLimit && typeof hooksConfig.rateLimit === 'object' ? hooksConfig.rateLimit : null;
+  if (!limits || Object.keys(limits).length === 0) return null;
+  return {
+    name: 'rate-limit',
+    before(call) {
+      const limit = limits[call.skillId] || limits['*'];
+      if (!limit) return;
+      const key = `${call.skillId}:${call.jid ?? ''}`;
+      const now = Date.now();
+      const recent = (calls.get(key) || []).filter((t) => now - t < 3_600_000);
+      const lastMinute = recent.filter((t) => now - t < 60_000).length;
+      if (Number(limit.perMinute) > 0 && lastMinute >= Number(limit.perMinute)) {
+        calls.set(key, recent);
+        return { veto: `Rate limit: ${call.skillId} allows ${limit.perMinute} calls per minute. Try again shortly.` };
+      }
+      if (Number(limit.perHour) > 0 && recent.length >= Number(limit.perHour)) {
+        calls.set(key, recent);
+        return { veto: `Rate limit: ${call.skillId} allows ${limit.perHour} calls per hour.` };
+      }
+      recent.push(now);
+      calls.set(key, recent);
+    },
+  };
+}
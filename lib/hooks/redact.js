@@ -0,0 +1,56 @@
+/**
+ * Built-in hook: redact secrets from skill results before the model sees them. Values of secret-looking keys in
+ * the state dir's .env (…KEY, …TOKEN, …SECRET, …PASSWORD) are always replaced; hooks.redact in config.json adds
+ * { patterns?: string[] } (regexes) or turns it off with { enabled: false }.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { getEnvPath } from '../paths.js';
+
+const SECRET_KEY = /(KEY|TOKEN|SECRET|PASSWORD)/i;
+const MIN_SECRET_LENGTH = 8;
+const REPLACEMENT = '[redacted]';
+
+function envSecrets() {
+  const path = getEnvPath();
+  if (!existsSync(path)) return [];
+  const values = [];
+  for (const line of readFileSync(path, 'utf8').split('\n')) {
+    const m = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+    if (!m || !SECRET_KEY.test(m[1])) continue;
+    const value = m[2].trim().replace(/^(['"])(.*)\1$/, '$2');
+    if (value.length >= MIN_SECRET_LENGTH) values.push(value);
+  }
+  return values;
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** @param {object} hooksConfig - config.hooks */
+export function createRedactHook(hooksConfig) {
+  const redact = hooksConfig.redact && typeof hooksConfig.redact === 'object' ? hooksConfig.redact : {};
+  if (redact.enabled === false) return null;
+  const patterns = envSecrets().map(escapeRegExp);
+  for (const p of Array.isArray(redact.patterns) ? redact.patterns : []) {
+    try {
+      new RegExp(p);
+      patterns.push(p);
+    } catch {
+      console.log('[hooks] redact: invalid pattern skipped:', p);
+    }
+  }
+  if (patterns.length === 0) return null;
+  const re = new RegExp(patterns.join('|'), 'g');
+  return {
+    name: 'redact',
+    after(_call, result) {
+      if (typeof result === 'string' && re.test(result)) {
+        re.lastIndex = 0;
+        return result.replace(re, REPLACEMENT);
+      }
+      re.lastIndex = 0;
+    },
+  };
+}
@@ -0,0 +1,156 @@
+/**
+ * Small JSON Schema validator for LLM output (chatJson). Covers the keywords our schemas use: type (single or
+ * list), enum, const, properties, required, additionalProperties, items, anyOf / oneOf, minimum / maximum,
+ * minLength / maxLength, pattern (skipped when it is not a valid JavaScript regex), minItems / maxItems and
+ * format "date-time". Unknown keywords are ignored.
+ * coerceToSchema forgives the usual slips in tool arguments before they are checked.
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * pattern as a RegExp, or null when JavaScript cannot compile it (e.g. Python's (?P<name>…) or (?i) from an MCP
+ * server): such a pattern is not checked rather than failing the whole call.
+ */
+export function compilePattern(pattern) {
+  try {
+    return new RegExp(pattern);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check a value against a JSON Schema.
+ * @param {unknown} value
+ * @param {object} schema
+ * @param {string} [path] - Location used in error messages (default "$").
+ * @returns {string[]} Problems found, e.g. ['$.intent: must be one of CHAT, SEARCH']; empty when valid.
+ */
+export function validateJson(value, schema, path = '$') {
+  if (!schema || typeof schema !== 'object') return [];
+  const errors = [];
+
+  if (schema.type != null) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => matchesType(value, t)) && !(schema.nullable && value === null)) {
+      return [`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.some((e) => e === value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+  }
+  if ('const' in schema && schema.const !== value) errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+
+  for (const key of ['anyOf', 'oneOf']) {
+    if (!Array.isArray(schema[key])) continue;
+    const passing = schema[key].filter((s) => validateJson(value, s, path).length === 0).length;
+    if (key === 'anyOf' ? passing === 0 : passing !== 1) errors.push(`${path}: does not match ${key === 'anyOf' ? 'any' : 'exactly one'} of the allowed shapes`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) errors.push(`${path}: shorter than ${schema.minLength} characters`);
+    if (schema.maxLength != null && value.length > schema.maxLength) errors.push(`${path}: longer than ${schema.maxLength} characters`);
+    const pattern = schema.pattern ? compilePattern(schema.pattern) : null;
+    if (pattern && !pattern.test(value)) errors.push(`${path}: does not match ${schema.pattern}`);
+    if (schema.format === 'date-time' && !Number.isFinite(Date.parse(value))) errors.push(`${path}: not a valid date-time`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${path}: less than ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${path}: greater than ${schema.maximum}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) errors.push(`${path}: fewer than ${schema.minItems} items`);
+    if (schema.maxItems != null && value.length > schema.maxItems) errors.push(`${path}: more than ${schema.maxItems} items`);
+    if (schema.items && typeof schema.items === 'object') {
+      value.forEach((item, i) => errors.push(...validateJson(item, schema.items, `${path}[${i}]`)));
+    }
+  }
+  if (typeOf(value) === 'object') {
+    const props = schema.properties && typeof schema.properties === 'object' ? schema.properties : {};
+    for (const key of Array.isArray(schema.required) ? schema.required : []) {
+      if (value[key] === undefined) errors.push(`${path}.${key}: required`);
+    }
+    for (const [key, v] of Object.entries(value)) {
+      if (props[key]) errors.push(...validateJson(v, props[key], `${path}.${key}`));
+      else if (schema.additionalProperties === false) errors.push(`${path}.${key}: not allowed`);
+      else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateJson(v, schema.additionalProperties, `${path}.${key}`));
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Copy of value with missing object properties set to their schema default (nested objects and array items too).
+ * @param {unknown} value
+ * @param {object} schema
+ * @returns {unknown}
+ */
+export function applyDefaults(value, schema) {
+  if (!schema || typeof schema !== 'object') return value;
+  if (Array.isArray(value)) {
+    return schema.items && typeof schema.items === 'object' ? value.map((item) => applyDefaults(item, schema.items)) : value;
+  }
+  if (typeOf(value) !== 'object' || !schema.properties || typeof schema.properties !== 'object') return value;
+  const out = { ...value };
+  for (const [key, prop] of Object.entries(schema.properties)) {
+    if (out[key] === undefined && prop && 'default' in prop) out[key] = structuredClone(prop.default);
+    else if (out[key] !== undefined) out[key] = applyDefaults(out[key], prop);
+  }
+  return out;
+}
+
+function allowsNull(schema) {
+  const types = Array.isArray(schema?.type) ? schema.type : [schema?.type];
+  return types.includes('null') || schema?.nullable === true;
+}
+
+/**
+ * Copy of value with the slips a model makes turned into what the schema asks for, the way the executors read their
+ * arguments anyway: null optional properties are dropped, numeric strings become numbers ("10" for a number),
+ * "true" / "false" become booleans and enum values match case-insensitively ("CRON" for enum[at|cron]).
+ * @param {unknown} value
+ * @param {object} schema
+ * @returns {unknown}
+ */
+export function coerceToSchema(value, schema) {
+  if (!schema || typeof schema !== 'object') return value;
+  const types = Array.isArray(schema.type) ? schema.type : schema.type != null ? [schema.type] : [];
+  if (typeof value === 'string') {
+    const t = value.trim();
+    if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+      const match = schema.enum.find((e) => typeof e === 'string' && e.toLowerCase() === t.toLowerCase());
+      if (match !== undefined) return match;
+    }
+    if (!types.includes('string')) {
+      const n = t === '' ? NaN : Number(t);
+      if (types.includes('integer') && Number.isInteger(n)) return n;
+      if (types.includes('number') && Number.isFinite(n)) return n;
+      if (types.includes('boolean') && /^(true|false)$/i.test(t)) return t.toLowerCase() === 'true';
+    }
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return schema.items && typeof schema.items === 'object' ? value.map((item) => coerceToSchema(item, schema.items)) : value;
+  }
+  if (typeOf(value) !== 'object' || !schema.properties || typeof schema.properties !== 'object') return value;
+  const required = Array.isArray(schema.required) ? schema.required : [];
+  const out = { ...value };
+  for (const [key, prop] of Object.entries(schema.properties)) {
+    if (out[key] === null && !required.includes(key) && !allowsNull(prop)) delete out[key];
+    else if (out[key] !== undefined) out[key] = coerceToSchema(out[key], prop);
+  }
+  return out;
+}
@@ -0,0 +1,543 @@
+/**
+ * MCP client bridge: connects to the Model Context Protocol servers in config.json and offers their tools to the
+ * model next to the skill tools (getSkillContext in skills/loader.js) as mcp_<server>_<tool>. Calls run through
+ * executeSkill as skill id mcp-<server>, so hooks (group blocking, rate limits, audit, redaction) and
+ * skills.mcp-<server>.permissions apply to them like to any skill.
+ *
+ * config.json:
+ *   "mcp": { "servers": {
+ *     "filesystem": { "command": "npx", "args": ["-y", "@modelcontextprotocol/server-filesystem", "~/Documents"] },
+ *     "internal": { "url": "http://localhost:8931/mcp", "headers": { "Authorization": "INTERNAL_MCP_AUTH" } }
+ *   } }
+ * A server has either command (+ args, env, cwd; stdio transport, one JSON-RPC message per line) or url (+ headers;
+ * streamable HTTP transport). env and header values that name a variable in ~/.cowcode/.env are replaced by it.
+ * Optional per server: enabled (default true), timeoutSeconds (per request, default 60).
+ *
+ * Tool names that need changing get a short hash suffix; input schemas are reduced to the keywords every provider
+ * accepts (normalizeSchema).
+ *
+ * Servers are started by syncMcpServers (at bot start, and again in the background whenever the tools are listed,
+ * so config changes apply on the next message). A server that fails to start or exits is retried a minute later.
+ */
+
+import { spawn } from 'child_process';
+import { createHash } from 'crypto';
+import { readFileSync } from 'fs';
+import { homedir } from 'os';
+import { join } from 'path';
+import { abortError } from './abort.js';
+import { compilePattern } from './json-schema.js';
+import { getConfigPath } from './paths.js';
+import { getCowcodeVersion } from './skill-packages.js';
+
+const PROTOCOL_VERSION = '2025-03-26';
+const DEFAULT_TIMEOUT_SECONDS = 60;
+const RETRY_AFTER_MS = 60_000;
+const SERVER_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+/** OpenAI-style tool names: letters, digits, _ and -, at most 64 characters. */
+const MAX_TOOL_NAME_LENGTH = 64;
+
+/** name → { key, connection, tools, ready, error, failedAt, starting } */
+const servers = new Map();
+let exitHookInstalled = false;
+
+function fromEnv(val) {
+  if (val == null) return val;
+  const s = String(val).trim();
+  if (process.env[s] !== undefined) return process.env[s];
+  return String(val);
+}
+
+function expandHome(p) {
+  const s = String(p);
+  return s === '~' || s.startsWith('~/') ? join(homedir(), s.slice(1)) : s;
+}
+
+/** Configured servers that are switched on: name → config. Names that cannot form a tool name are skipped. */
+function loadMcpServers() {
+  let configured = {};
+  try {
+    const raw = readFileSync(getConfigPath(), 'utf8');
+    configured = (raw?.trim() && JSON.parse(raw)?.mcp?.servers) || {};
+  } catch {
+    return {};
+  }
+  const out = {};
+  for (const [name, config] of Object.entries(configured)) {
+    if (!config || typeof config !== 'object' || config.enabled === false) continue;
+    if (!SERVER_NAME_PATTERN.test(name) || (!config.command && !config.url)) continue;
+    out[name] = config;
+  }
+  return out;
+}
+
+/**
+ * JSON-RPC bookkeeping shared by both transports: numbered requests waiting for their response, and answers to
+ * the few requests a server may send us (ping; anything else is "method not found").
+ * @param {(message: object) => Promise<void> | void} write
+ * @param {{ onNotification?: (message: object) => void }} [opts]
+ */
+function createRpc(write, { onNotification } = {}) {
+  const pending = new Map();
+  let nextId = 1;
+
+  function handle(message) {
+    if (!message || typeof message !== 'object') return;
+    if (message.id != null && !message.method) {
+      const waiting = pending.get(message.id);
+      if (!waiting) return;
+      if (message.error) waiting.reject(new Error(message.error.message || `MCP error ${message.error.code}`));
+      else waiting.resolve(message.result);
+      return;
+    }
+    if (message.id != null && message.method) {
+      const reply = message.method === 'ping'
+        ? { jsonrpc: '2.0', id: message.id, result: {} }
+        : { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } };
+      Promise.resolve(write(reply)).catch(() => {});
+      return;
+    }
+    if (message.method) onNotification?.(message);
+  }
+
+  /** signal: a cancelled turn drops the request and tells the server (notifications/cancelled) to stop working on it. */
+  function request(method, params, timeoutMs, signal) {
+    if (signal?.aborted) return Promise.reject(abortError(signal));
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      const settle = (fn, value) => {
+        if (!pending.has(id)) return;
+        const waiting = pending.get(id);
+        pending.delete(id);
+        clearTimeout(waiting.timer);
+        signal?.removeEventListener('abort', onAbort);
+        fn(value);
+      };
+      const onAbort = () => {
+        if (!pending.has(id)) return;
+        settle(reject, abortError(signal));
+        notify('notifications/cancelled', { requestId: id, reason: 'The user cancelled the turn.' }).catch(() => {});
+      };
+      const timer = setTimeout(() => settle(reject, new Error(`${method} timed out after ${Math.round(timeoutMs / 1000)}s`)), timeoutMs);
+      // resolve and reject also clear the entry, its timer and the abort listener (see handle and failAll).
+      pending.set(id, { resolve: (v) => settle(resolve, v), reject: (e) => settle(reject, e), timer });
+      signal?.addEventListener('abort', onAbort, { once: true });
+      Promise.resolve(write({ jsonrpc: '2.0', id, method, ...(params ? { params } : {}) })).catch((err) => settle(reject, err));
+    });
+  }
+
+  function notify(method, params) {
+    return Promise.resolve(write({ jsonrpc: '2.0', method, ...(params ? { params } : {}) }));
+  }
+
+  function failAll(err) {
+    for (const waiting of [...pending.values()]) waiting.reject(err);
+  }
+
+  return { handle, request, notify, failAll };
+}
+
+/** stdio transport: spawn the server, newline-delimited JSON-RPC on stdin/stdout. */
+function connectStdio(name, config, { onNotification, onClose }) {
+  const env = { ...process.env };
+  for (const [k, v] of Object.entries(config.env && typeof config.env === 'object' ? config.env : {})) env[k] = fromEnv(v);
+  const args = Array.isArray(config.args) ? config.args.map((a) => expandHome(a)) : [];
+  const child = spawn(expandHome(config.command), args, {
+    cwd: config.cwd ? expandHome(config.cwd) : undefined,
+    env,
+    stdio: ['pipe', 'pipe', 'pipe'],
+  });
+  let stderrTail = '';
+  let closed = false;
+  const rpc = createRpc((message) => {
+    if (closed || !child.stdin.writable) throw new Error(`MCP server ${name} is not running`);
+    child.stdin.write(JSON.stringify(message) + '\n');
+  }, { onNotification });
+
+  let buffer = '';
+  child.stdout.setEncoding('utf8');
+  child.stdout.on('data', (chunk) => {
+    buffer += chunk;
+    let nl;
+    while ((nl = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, nl).trim();
+      buffer = buffer.slice(nl + 1);
+      if (!line) continue;
+      try {
+        rpc.handle(JSON.parse(line));
+      } catch (_) {}
+    }
+  });
+  child.stderr.setEncoding('utf8');
+  child.stderr.on('data', (chunk) => {
+    stderrTail = (stderrTail + chunk).slice(-500);
+  });
+  const close = (err) => {
+    if (closed) return;
+    closed = true;
+    rpc.failAll(err);
+    onClose(err);
+  };
+  child.on('error', (err) => close(new Error(`could not start ${config.command}: ${err.message}`)));
+  child.on('exit', (code, signal) => {
+    const tail = stderrTail.trim().split('\n').pop();
+    close(new Error(`exited (${signal || `code ${code}`})${tail ? `: ${tail}` : ''}`));
+  });
+  child.stdin.on('error', () => {});
+
+  return {
+    request: rpc.request,
+    notify: rpc.notify,
+    close() {
+      closed = true;
+      rpc.failAll(new Error(`MCP server ${name} was stopped`));
+      try {
+        child.stdin.end();
+        child.kill();
+      } catch (_) {}
+    },
+  };
+}
+
+/** Server-sent events in a response body → the JSON-RPC messages in their data lines. */
+async function readEventStream(body, onMessage) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  const flush = (block) => {
+    const data = block.split(/\r?\n/).filter((l) => l.startsWith('data:')).map((l) => l.slice(5).trimStart()).join('\n');
+    if (!data) return;
+    try {
+      onMessage(JSON.parse(data));
+    } catch (_) {}
+  };
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let match;
+    while ((match = buffer.match(/\r?\n\r?\n/))) {
+      flush(buffer.slice(0, match.index));
+      buffer = buffer.slice(match.index + match[0].length);
+    }
+  }
+  if (buffer.trim()) flush(buffer);
+}
+
+/** Streamable HTTP transport: each message is POSTed; the reply is JSON or an event stream. */
+function connectHttp(name, config, { onNotification, onClose }) {
+  const url = String(config.url);
+  const headers = {};
+  for (const [k, v] of Object.entries(config.headers && typeof config.headers === 'object' ? config.headers : {})) headers[k] = fromEnv(v);
+  let sessionId = null;
+  let initialized = false;
+
+  const rpc = createRpc(async (message) => {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: {
+        ...headers,
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+        ...(sessionId ? { 'Mcp-Session-Id': sessionId } : {}),
+        ...(initialized ? { 'MCP-Protocol-Version': PROTOCOL_VERSION } : {}),
+      },
+      body: JSON.stringify(message),
+    });
+    if (res.status === 404 && sessionId) {
+      const err = new Error(`session expired (HTTP 404 from ${url})`);
+      onClose(err);
+      throw err;
+    }
+    sessionId = res.headers.get('mcp-session-id') || sessionId;
+    if (!res.ok) throw new Error(`HTTP ${res.status} from ${url}`);
+    if (res.status === 202 || !res.body) return;
+    const type = res.headers.get('content-type') || '';
+    if (type.includes('text/event-stream')) {
+      await readEventStream(res.body, rpc.handle);
+    } else if (type.includes('application/json')) {
+      const body = await res.json();
+      for (const m of Array.isArray(body) ? body : [body]) rpc.handle(m);
+    }
+  }, { onNotification });
+
+  return {
+    async request(method, params, timeoutMs, signal) {
+      const result = await rpc.request(method, params, timeoutMs, signal);
+      if (method === 'initialize') initialized = true;
+      return result;
+    },
+    notify: rpc.notify,
+    close() {
+      rpc.failAll(new Error(`MCP server ${name} was stopped`));
+      if (!sessionId) return;
+      fetch(url, { method: 'DELETE', headers: { ...headers, 'Mcp-Session-Id': sessionId } }).catch(() => {});
+    },
+  };
+}
+
+function timeoutMs(config) {
+  const n = Number(config.timeoutSeconds);
+  return (Number.isFinite(n) && n > 0 ? n : DEFAULT_TIMEOUT_SECONDS) * 1000;
+}
+
+/** tools/list, following nextCursor. */
+async function listTools(connection, config) {
+  const tools = [];
+  let cursor;
+  do {
+    const page = await connection.request('tools/list', cursor ? { cursor } : undefined, timeoutMs(config));
+    tools.push(...(Array.isArray(page?.tools) ? page.tools : []));
+    cursor = page?.nextCursor;
+  } while (cursor);
+  return tools.filter((t) => t && typeof t.name === 'string' && t.name);
+}
+
+async function startServer(name, config, key) {
+  const entry = { key, connection: null, tools: [], ready: false, error: null, failedAt: null, starting: null };
+  servers.set(name, entry);
+  const onClose = (err) => {
+    if (servers.get(name) !== entry) return;
+    if (entry.ready) console.log('[mcp]', name, 'stopped:', err.message);
+    entry.ready = false;
+    entry.connection = null;
+    entry.tools = [];
+    entry.error = err.message;
+    entry.failedAt = Date.now();
+  };
+  const onNotification = (message) => {
+    if (message.method !== 'notifications/tools/list_changed' || !entry.connection) return;
+    listTools(entry.connection, config)
+      .then((tools) => {
+        entry.tools = tools;
+        console.log('[mcp]', name, 'tools changed:', tools.length);
+      })
+      .catch((err) => console.log('[mcp]', name, 'tools/list failed:', err.message));
+  };
+  try {
+    const connection = config.command
+      ? connectStdio(name, config, { onNotification, onClose })
+      : connectHttp(name, config, { onNotification, onClose });
+    entry.connection = connection;
+    await connection.request('initialize', {
+      protocolVersion: PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: { name: 'cowcode', version: getCowcodeVersion() },
+    }, timeoutMs(config));
+    await connection.notify('notifications/initialized');
+    entry.tools = await listTools(connection, config);
+    entry.ready = true;
+    console.log('[mcp]', name, 'connected,', entry.tools.length, 'tool(s)');
+  } catch (err) {
+    entry.connection?.close();
+    entry.connection = null;
+    entry.error = err.message;
+    entry.failedAt = Date.now();
+    console.log('[mcp]', name, 'failed to start:', err.message);
+  }
+}
+
+/**
+ * Start configured servers that are not running (or whose config changed), stop removed ones. Servers that
+ * failed less than a minute ago are left alone.
+ * @returns {Promise<void>} Settles when every server has started or failed.
+ */
+export async function syncMcpServers() {
+  const configured = loadMcpServers();
+  for (const [name, entry] of servers) {
+    if (configured[name] && entry.key === JSON.stringify(configured[name])) continue;
+    if (entry.starting) continue;
+    entry.connection?.close();
+    servers.delete(name);
+    if (!configured[name]) console.log('[mcp]', name, 'removed from config');
+  }
+  const starting = [];
+  for (const [name, config] of Object.entries(configured)) {
+    const entry = servers.get(name);
+    if (entry?.starting) {
+      starting.push(entry.starting);
+      continue;
+    }
+    if (entry?.connection || (entry?.failedAt && Date.now() - entry.failedAt < RETRY_AFTER_MS)) continue;
+    if (!exitHookInstalled) {
+      exitHookInstalled = true;
+      process.once('exit', stopMcpServers);
+    }
+    const promise = startServer(name, config, JSON.stringify(config));
+    servers.get(name).starting = promise;
+    starting.push(promise.finally(() => {
+      const current = servers.get(name);
+      if (current) current.starting = null;
+    }));
+  }
+  await Promise.all(starting);
+}
+
+/** Close every connection (stdio servers are stopped). */
+export function stopMcpServers() {
+  for (const entry of servers.values()) entry.connection?.close();
+  servers.clear();
+}
+
+/** Skill id that MCP calls to a server run as (hooks, permissions, traces). */
+export function mcpSkillId(server) {
+  return `mcp-${server}`;
+}
+
+/**
+ * mcp_<server>_<tool> with characters providers reject replaced by _. A name that had to be changed or cut to 64
+ * characters gets a short hash of the original, so two tools cannot end up with the same name.
+ */
+function toolNameFor(server, tool) {
+  const raw = `mcp_${server}_${tool}`;
+  const name = raw.replace(/[^a-zA-Z0-9_-]/g, '_');
+  if (name === raw && name.length <= MAX_TOOL_NAME_LENGTH) return name;
+  const hash = createHash('sha256').update(raw).digest('hex').slice(0, 6);
+  return `${name.slice(0, MAX_TOOL_NAME_LENGTH - hash.length - 1)}_${hash}`;
+}
+
+/** Keywords every provider accepts in tool parameters; the rest ($schema, $ref, anyOf, if/then, …) are rewritten or dropped. */
+const SCHEMA_KEYWORDS = new Set([
+  'type', 'description', 'enum', 'default', 'properties', 'required', 'items', 'additionalProperties',
+  'minimum', 'maximum', 'minLength', 'maxLength', 'pattern', 'minItems', 'maxItems', 'format',
+]);
+/** Deeper levels (and recursive $refs) are left open. */
+const MAX_SCHEMA_DEPTH = 8;
+
+/** schema with a local $ref ("#/$defs/name") replaced by what it points to; other keys of schema win. */
+function inlineRef(schema, root) {
+  if (!schema || typeof schema !== 'object' || typeof schema.$ref !== 'string') return schema || {};
+  const { $ref, ...rest } = schema;
+  const target = $ref.startsWith('#/')
+    ? $ref.slice(2).split('/').reduce((node, key) => node?.[key.replace(/~1/g, '/').replace(/~0/g, '~')], root)
+    : null;
+  return { ...(target && typeof target === 'object' ? target : {}), ...rest };
+}
+
+/**
+ * A server's JSON Schema reduced to what the providers and lib/json-schema.js understand: local $refs inlined,
+ * anyOf / oneOf with one non-null shape (the usual "optional" encoding) merged in, allOf merged, type lists reduced to
+ * their first non-null type, patterns JavaScript cannot compile dropped. Shapes that cannot be expressed are left open (any value); the server still checks them.
+ */
+function normalizeSchema(schema, root = schema, depth = 0) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema) || depth > MAX_SCHEMA_DEPTH) return {};
+  let s = inlineRef(schema, root);
+  for (const key of ['anyOf', 'oneOf']) {
+    if (!Array.isArray(s[key])) continue;
+    const shapes = s[key].filter((b) => !(b && typeof b === 'object' && b.type === 'null'));
+    const { [key]: _, ...rest } = s;
+    s = shapes.length === 1 ? { ...inlineRef(shapes[0], root), ...rest } : rest;
+  }
+  if (Array.isArray(s.allOf)) {
+    const { allOf, ...rest } = s;
+    s = allOf.map((b) => inlineRef(b, root)).reduce((acc, b) => ({
+      ...acc,
+      ...b,
+      properties: { ...acc.properties, ...b.properties },
+      required: [...(acc.required || []), ...(b.required || [])],
+    }), rest);
+    if (!Object.keys(s.properties).length) delete s.properties;
+  }
+  const out = {};
+  for (const [key, value] of Object.entries(s)) {
+    if (!SCHEMA_KEYWORDS.has(key)) continue;
+    if (key === 'default' && value === null) continue;
+    if (key === 'pattern' && (typeof value !== 'string' || !compilePattern(value))) continue;
+    if (key === 'type') {
+      const type = Array.isArray(value) ? value.find((t) => t !== 'null') : value;
+      if (typeof type === 'string') out.type = type;
+    } else if (key === 'properties' && value && typeof value === 'object') {
+      out.properties = Object.fromEntries(Object.entries(value).map(([k, v]) => [k, normalizeSchema(v, root, depth + 1)]));
+    } else if (key === 'items' || key === 'additionalProperties') {
+      out[key] = typeof value === 'boolean' ? value : normalizeSchema(Array.isArray(value) ? value[0] : value, root, depth + 1);
+    } else out[key] = value;
+  }
+  if (Array.isArray(out.required)) {
+    out.required = [...new Set(out.required)].filter((k) => out.properties && k in out.properties);
+    if (!out.required.length) delete out.required;
+  }
+  return out;
+}
+
+/** Names already reported as taken, so each is logged once rather than on every message. */
+const reportedNames = new Set();
+
+/** Log once that a tool was left out because its name is taken (here or by a skill tool, see skills/loader.js). */
+export function reportSkippedTool(name, server, tool, takenBy) {
+  const key = `${name} ${server} ${tool}`;
+  if (reportedNames.has(key)) return;
+  reportedNames.add(key);
+  console.log('[mcp]', `${server} tool ${tool} not offered: the name ${name} is already used by ${takenBy}`);
+}
+
+/**
+ * Tools of the connected servers, in the format getSkillContext returns, plus how to route each name.
+ * Also checks the servers against config.json in the background (syncMcpServers).
+ * @param {{ skillIds?: string[] }} [opts] - Only servers whose skill id (mcp-<server>) is listed, e.g. for a group's skills.
+ * @returns {{ tools: Array<{ type: 'function', function: object }>, routes: Record<string, { skillId: string, toolName: string }> }}
+ */
+export function getMcpTools({ skillIds } = {}) {
+  syncMcpServers().catch((err) => console.log('[mcp] sync failed:', err.message));
+  const tools = [];
+  const routes = Object.create(null);
+  for (const [server, entry] of servers) {
+    const skillId = mcpSkillId(server);
+    if (!entry.ready || (skillIds && !skillIds.includes(skillId))) continue;
+    for (const tool of entry.tools) {
+      const name = toolNameFor(server, tool.name);
+      if (routes[name]) {
+        reportSkippedTool(name, server, tool.name, `${routes[name].skillId} tool ${routes[name].toolName}`);
+        continue;
+      }
+      const schema = normalizeSchema(tool.inputSchema);
+      tools.push({
+        type: 'function',
+        function: {
+          name,
+          description: `[MCP ${server}] ${tool.description || tool.title || tool.name}`.trim(),
+          parameters: { ...schema, type: 'object', properties: schema.properties || {} },
+        },
+      });
+      routes[name] = { skillId, toolName: tool.name };
+    }
+  }
+  return { tools, routes };
+}
+
+/** True when the server marks the tool destructive (annotations.destructiveHint: true); the confirm hook asks first. */
+export function isMcpToolDestructive(skillId, toolName) {
+  const entry = String(skillId || '').startsWith('mcp-') ? servers.get(skillId.slice(4)) : null;
+  return entry?.tools.find((t) => t.name === toolName)?.annotations?.destructiveHint === true;
+}
+
+/** MCP tool result → text for the model: text parts joined, other parts described; isError becomes { error }. */
+function formatResult(result) {
+  const parts = [];
+  for (const item of Array.isArray(result?.content) ? result.content : []) {
+    if (item?.type === 'text') parts.push(item.text);
+    else if (item?.type === 'resource') parts.push(item.resource?.text ?? `[resource ${item.resource?.uri || ''}]`);
+    else if (item?.type === 'resource_link') parts.push(`[resource ${item.uri}]`);
+    else if (item?.type) parts.push(`[${item.type}${item.mimeType ? ` ${item.mimeType}` : ''}]`);
+  }
+  let text = parts.join('\n').trim();
+  if (!text && result?.structuredContent != null) text = JSON.stringify(result.structuredContent);
+  if (result?.isError) return JSON.stringify({ error: text || 'The MCP tool reported an error.' });
+  return text || 'Done (no output).';
+}
+
+/**
+ * Executor for an MCP server's skill id (see executeSkill), or null when skillId is not a configured server.
+ * toolName is the server's own tool name (from the routes of getMcpTools).
+ * @returns {((ctx: object, args: object, toolName: string) => Promise<string>) | null}
+ */
+export function getMcpExecutor(skillId) {
+  const server = String(skillId || '').startsWith('mcp-') ? skillId.slice(4) : null;
+  const config = server && loadMcpServers()[server];
+  if (!config) return null;
+  return async (ctx, args, toolName) => {
+    const entry = servers.get(server);
+    if (!entry?.ready) {
+      throw new Error(`MCP server ${server} is not connected${entry?.error ? ` (${entry.error})` : ''}.`);
+    }
+    if (!toolName || !entry.tools.some((t) => t.name === toolName)) throw new Error(`MCP server ${server} has no tool ${toolName}.`);
+    const result = await entry.connection.request('tools/call', { name: toolName, arguments: args || {} }, timeoutMs(config), ctx?.signal);
+    return formatResult(result);
+  };
+}
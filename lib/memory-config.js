@@ -1,6 +1,7 @@
 /**
  * Resolve memory feature config from config.json.
  * When memory.embedding is not set: use OpenAI if key is available, otherwise use local (Ollama).
+ * Ollama embeddings use the native /api/embed endpoint unless memory.embedding.api is "openai".
  */
 
 import { readFileSync } from 'fs';
@@ -12,8 +13,10 @@ const EMBEDDING_PRESETS = {
   xai: 'https://api.x.ai/v1',
   together: 'https://api.together.xyz/v1',
   deepseek: 'https://api.deepseek.com/v1',
+  gemini: 'https://generativelanguage.googleapis.com/v1beta',
   ollama: 'http://127.0.0.1:11434/v1',
   lmstudio: 'http://127.0.0.1:1234/v1',
+  mock: 'mock://llm',
 };
 
 const DEFAULT_EMBEDDING_MODELS = {
@@ -22,8 +25,10 @@ const DEFAULT_EMBEDDING_MODELS = {
   xai: 'grok-2-embedding',
   together: 'togethercomputer/m2-bert-80M-8k-retrieval',
   deepseek: 'deepseek-embedding',
+  gemini: 'gemini-embedding-001',
   ollama: 'nomic-embed-text',
   lmstudio: 'local',
+  mock: 'mock',
 };
 
 function fromEnv(val) {
@@ -33,6 +38,16 @@ function fromEnv(val) {
   return val;
 }
 
+/** Native Ollama embedding settings: { api: 'ollama', keepAlive?, options? } from memory.embedding. */
+function ollamaEmbeddingSettings(emb) {
+  const keepAlive = emb.keepAlive != null ? fromEnv(emb.keepAlive) : undefined;
+  return {
+    api: 'ollama',
+    ...(keepAlive != null && keepAlive !== '' ? { keepAlive } : {}),
+    ...(emb.options && typeof emb.options === 'object' ? { options: emb.options } : {}),
+  };
+}
+
 /**
  * Load raw config object from config.json.
  * @returns {Record<string, unknown>}
@@ -67,6 +82,14 @@ export function getOpenAIKey(raw) {
   return null;
 }
 
+/** Gemini API key from the first llm.models entry with provider "gemini", or null. */
+function getGeminiKey(raw) {
+  const models = Array.isArray(raw.llm?.models) ? raw.llm.models : [];
+  const entry = models.find((m) => m && String(m.provider || '').toLowerCase() === 'gemini');
+  const key = entry && fromEnv(entry.apiKey);
+  return key && String(key).trim() && String(key) !== 'not-needed' ? key : null;
+}
+
 /**
  * Get resolved memory config. Returns null if memory is disabled or not configured.
  * When memory.embedding is missing: use OpenAI if key available, else local (Ollama).
@@ -74,7 +97,7 @@ export function getOpenAIKey(raw) {
  * @returns {{
  *   workspaceDir: string,
  *   indexPath: string,
- *   embedding: { baseUrl: string, apiKey: string, model: string },
+ *   embedding: { baseUrl: string, apiKey: string, model: string, api?: 'ollama' | 'mock', keepAlive?: string | number, options?: object },
  *   chunking: { tokens: number, overlap: number },
  *   search: { maxResults: number, minScore: number },
  *   sync: { onSearch: boolean, watch: boolean }
@@ -94,12 +117,15 @@ export function getMemoryConfig(config = null) {
 
   // Embedding: from memory.embedding, or OpenAI if key available, else local (Ollama)
   let baseUrl, apiKey, model;
+  let apiSettings = null;
   const emb = memory.embedding && typeof memory.embedding === 'object' ? memory.embedding : {};
   const provider = (emb.provider && String(emb.provider).toLowerCase()) || null;
   if (provider && EMBEDDING_PRESETS[provider] !== undefined) {
     baseUrl = fromEnv(emb.baseUrl) || EMBEDDING_PRESETS[provider];
-    apiKey = fromEnv(emb.apiKey) ?? fromEnv('LLM_API_KEY');
+    apiKey = fromEnv(emb.apiKey) ?? (provider === 'gemini' ? getGeminiKey(raw) : null) ?? fromEnv('LLM_API_KEY');
     model = fromEnv(emb.model) || DEFAULT_EMBEDDING_MODELS[provider] || 'text-embedding-3-small';
+    if (provider === 'ollama' && String(emb.api || '').toLowerCase() !== 'openai') apiSettings = ollamaEmbeddingSettings(emb);
+    if (provider === 'mock') apiSettings = { api: 'mock' };
   } else {
     const openaiKey = getOpenAIKey(raw);
     if (openaiKey) {
@@ -110,6 +136,7 @@ export function getMemoryConfig(config = null) {
       baseUrl = EMBEDDING_PRESETS.ollama;
       apiKey = 'not-needed';
       model = fromEnv(emb.model) || DEFAULT_EMBEDDING_MODELS.ollama;
+      apiSettings = ollamaEmbeddingSettings(emb);
     }
   }
 
@@ -124,6 +151,7 @@ export function getMemoryConfig(config = null) {
       baseUrl: (baseUrl || '').replace(/\/$/, ''),
       apiKey: apiKey || '',
       model: model || 'text-embedding-3-small',
+      ...(apiSettings || {}),
     },
     chunking: {
       tokens: Math.max(100, Math.min(2000, Number(chunking.tokens) || 512)),
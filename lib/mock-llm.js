@@ -0,0 +1,145 @@
+/**
+ * Scripted mock LLM for offline tests. An llm.models entry { provider: "mock", script: "mock-script.json" } (or
+ * inline "rules") answers from rules instead of a server; memory.embedding { provider: "mock" } gives
+ * deterministic embeddings. Script: { "rules": [ ... ], "default": "optional fallback reply" }. Each rule:
+ *   match    - regex (case-insensitive) tested against the latest user message; $0, $1... in content are its groups
+ *   system   - regex tested against the system prompt (tell agent turns from summaries, judges, ...)
+ *   after    - tool name (or "*"): the rule only answers right after that tool's result. Rules without "after"
+ *              never answer right after a tool result, so a tool call is not repeated forever.
+ *   schema   - chatJson name (e.g. "intent", "schedule"); only for rules with "json"
+ *   content  - reply text; toolCalls - [{ name, arguments }] (arguments: object or JSON string)
+ *   json     - reply for chatJson calls; rules without it never answer chatJson and the other way round
+ * The first matching rule wins.
+ */
+
+import { readFileSync } from 'fs';
+import { isAbsolute, join } from 'path';
+import { getStateDir } from './paths.js';
+
+export const MOCK_BASE_URL = 'mock://llm';
+
+const EMBEDDING_DIMENSIONS = 256;
+
+/** Text of a message's content (string or OpenAI content parts). */
+function textOf(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) return content.filter((p) => p?.type === 'text').map((p) => p.text || '').join('\n');
+  return '';
+}
+
+/** Rules for a mock model entry: inline rules first, then the script file's (path relative to the state dir). */
+function loadRules({ script, rules }) {
+  const list = Array.isArray(rules) ? [...rules] : [];
+  let fallback;
+  if (script) {
+    const path = isAbsolute(script) ? script : join(getStateDir(), script);
+    let data;
+    try {
+      data = JSON.parse(readFileSync(path, 'utf8'));
+    } catch (err) {
+      throw new Error(`Mock LLM script ${path} could not be read: ${err.message}`);
+    }
+    list.push(...(Array.isArray(data) ? data : Array.isArray(data?.rules) ? data.rules : []));
+    if (typeof data?.default === 'string') fallback = data.default;
+  }
+  return { rules: list, fallback };
+}
+
+/** Name of the tool whose result is the last message, or null when the last message is not a tool result. */
+function lastToolName(messages) {
+  const last = messages[messages.length - 1];
+  if (last?.role !== 'tool') return null;
+  for (let i = messages.length - 2; i >= 0; i--) {
+    const call = messages[i].tool_calls?.find((tc) => tc.id === last.tool_call_id);
+    if (call) return call.function?.name || '';
+  }
+  return '';
+}
+
+function testRegex(pattern, text) {
+  if (pattern == null || pattern === '') return [text];
+  return new RegExp(pattern, 'i').exec(text);
+}
+
+function fillGroups(text, groups) {
+  return String(text).replace(/\$(\d)/g, (m, n) => groups?.[Number(n)] ?? m);
+}
+
+function estimateTokens(value) {
+  return Math.ceil(String(typeof value === 'string' ? value : JSON.stringify(value ?? '')).length / 4);
+}
+
+/**
+ * Answer a chat request from the entry's rules, as OpenAI chat/completions JSON.
+ * Throws an error with status 422 when no rule matches and the script has no default reply.
+ * @param {Array<{ role: string, content?: unknown, tool_calls?: Array<object>, tool_call_id?: string }>} messages
+ * @param {{ script?: string, rules?: Array<object> }} opts - The parsed model entry.
+ * @param {{ json?: { name: string } }} [request]
+ * @returns {{ choices: Array<{ message: { content: string, tool_calls: Array<object> } }>, usage: object }}
+ */
+export function mockChatCompletion(messages, opts, { json } = {}) {
+  const { rules, fallback } = loadRules(opts);
+  const userText = textOf([...messages].reverse().find((m) => m.role === 'user')?.content);
+  const systemText = messages.filter((m) => m.role === 'system').map((m) => textOf(m.content)).join('\n');
+  const afterTool = lastToolName(messages);
+  let reply = null;
+  for (const rule of rules) {
+    if (!rule || typeof rule !== 'object') continue;
+    if (('json' in rule) !== Boolean(json)) continue;
+    if (json && rule.schema && rule.schema !== json.name) continue;
+    if (rule.after ? afterTool == null || (rule.after !== '*' && rule.after !== afterTool) : afterTool != null) continue;
+    if (rule.system && !testRegex(rule.system, systemText)) continue;
+    const groups = testRegex(rule.match, userText);
+    if (!groups) continue;
+    const toolCalls = (Array.isArray(rule.toolCalls) ? rule.toolCalls : []).map((tc, i) => ({
+      id: `mock_call_${messages.length}_${i}`,
+      type: 'function',
+      function: {
+        name: tc.name,
+        arguments: typeof tc.arguments === 'string' ? tc.arguments : JSON.stringify(tc.arguments ?? {}),
+      },
+    }));
+    const content = json ? JSON.stringify(rule.json) : fillGroups(rule.content ?? '', groups);
+    reply = { content, tool_calls: toolCalls };
+    break;
+  }
+  if (!reply && fallback != null && !json) reply = { content: fallback, tool_calls: [] };
+  if (!reply) {
+    const err = new Error(`Mock LLM: no rule matches ${json ? `chatJson "${json.name}" for ` : ''}${JSON.stringify(userText.slice(0, 120))}`);
+    err.status = 422;
+    throw err;
+  }
+  const promptTokens = messages.reduce((sum, m) => sum + estimateTokens(m.content) + estimateTokens(m.tool_calls || ''), 0);
+  return {
+    choices: [{ message: reply }],
+    usage: { prompt_tokens: promptTokens, completion_tokens: estimateTokens(reply.content) + estimateTokens(reply.tool_calls) },
+  };
+}
+
+/** FNV-1a hash of a word, for bucketing. */
+function hashWord(word) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < word.length; i++) {
+    h ^= word.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Deterministic embeddings: hashed bag of words, normalized. Texts sharing words score as similar, so memory
+ * search behaves sensibly without an embedding model.
+ * @param {string[]} texts
+ * @returns {number[][]}
+ */
+export function mockEmbeddings(texts) {
+  return texts.map((text) => {
+    const vec = new Array(EMBEDDING_DIMENSIONS).fill(0);
+    for (const word of String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+      vec[hashWord(word) % EMBEDDING_DIMENSIONS] += 1;
+    }
+    const norm = Math.sqrt(vec.reduce((sum, x) => sum + x * x, 0));
+    if (norm === 0) vec[0] = 1;
+    return norm === 0 ? vec : vec.map((x) => x / norm);
+  });
+}
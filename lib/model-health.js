@@ -0,0 +1,210 @@
+/**
+ * Per-model health for the llm.js fallback chain (circuit breaker).
+ * After `failureThreshold` consecutive failures a model is "open" (skipped) for a cooldown window;
+ * when the window ends one request is let through as a "half-open" probe. Success closes the circuit,
+ * failure re-opens it with a doubled cooldown (capped at maxCooldownMs).
+ * State is stored in the state dir so the daemon, cron child processes and the dashboard share it. It is written
+ * (temp file + rename) when a circuit changes, and at most once a minute for the latest success and latency.
+ * Config (optional): llm.health: { failureThreshold, cooldownMs, maxCooldownMs }.
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync, renameSync } from 'fs';
+import { join } from 'path';
+import { getStateDir, getConfigPath } from './paths.js';
+
+const FILENAME = 'model-health.json';
+const DEFAULT_FAILURE_THRESHOLD = 2;
+const DEFAULT_COOLDOWN_MS = 30_000;
+const DEFAULT_MAX_COOLDOWN_MS = 10 * 60_000;
+/** How long one half-open probe holds the model before another caller may probe again. */
+const PROBE_WINDOW_MS = 60_000;
+/** A success on a healthy model refreshes lastSuccessAt / lastLatencyMs on disk no more often than this. */
+const SUCCESS_WRITE_INTERVAL_MS = 60_000;
+
+function getPath() {
+  return join(getStateDir(), FILENAME);
+}
+
+function load() {
+  try {
+    const path = getPath();
+    if (!existsSync(path)) return {};
+    const raw = readFileSync(path, 'utf8');
+    if (!raw?.trim()) return {};
+    const data = JSON.parse(raw);
+    return typeof data === 'object' && data !== null ? data : {};
+  } catch {
+    return {};
+  }
+}
+
+function save(data) {
+  try {
+    const dir = getStateDir();
+    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+    const tmp = `${getPath()}.${process.pid}.tmp`;
+    writeFileSync(tmp, JSON.stringify(data, null, 0), 'utf8');
+    renameSync(tmp, getPath());
+  } catch (err) {
+    console.log('[LLM] health state write failed:', err.message);
+  }
+}
+
+function getHealthConfig() {
+  let health = {};
+  try {
+    const raw = readFileSync(getConfigPath(), 'utf8');
+    health = (raw?.trim() && JSON.parse(raw)?.llm?.health) || {};
+  } catch (_) {}
+  const num = (v, d) => (Number.isFinite(Number(v)) && Number(v) > 0 ? Number(v) : d);
+  return {
+    failureThreshold: num(health.failureThreshold, DEFAULT_FAILURE_THRESHOLD),
+    cooldownMs: num(health.cooldownMs, DEFAULT_COOLDOWN_MS),
+    maxCooldownMs: num(health.maxCooldownMs, DEFAULT_MAX_COOLDOWN_MS),
+  };
+}
+
+/** Stable key for one model entry (same model name on two endpoints is tracked separately). */
+export function modelKey({ baseUrl, model }) {
+  return `${String(baseUrl || '').replace(/\/$/, '')}|${model || ''}`;
+}
+
+/** Human label used in logs and on the dashboard. */
+export function modelLabel(opts) {
+  return opts.model || opts.baseUrl?.replace(/^https?:\/\//, '').slice(0, 20) || 'unknown';
+}
+
+/** 'closed' (healthy), 'open' (skipped until cooldown ends) or 'half-open' (cooldown over; next call is a probe). */
+function circuitState(entry, now) {
+  if (!entry || !entry.openUntil) return 'closed';
+  return now < entry.openUntil ? 'open' : 'half-open';
+}
+
+/**
+ * Filter the configured model list down to the ones worth trying now, in the same order.
+ * Open models are skipped, and so are half-open ones another caller is probing. If every model is open,
+ * the full list is returned so the user still gets an attempt rather than an instant error.
+ * Call claimProbe right before calling each model.
+ * @param {Array<{ baseUrl: string, model: string }>} models
+ * @returns {Array<object>}
+ */
+export function selectHealthyModels(models) {
+  const data = load();
+  const now = Date.now();
+  const usable = models.filter((opts) => {
+    const entry = data[modelKey(opts)];
+    const state = circuitState(entry, now);
+    if (state === 'closed') return true;
+    if (state === 'open') {
+      console.log('[LLM] skipping unhealthy model:', modelLabel(opts), `(retry in ${Math.ceil((entry.openUntil - now) / 1000)}s)`);
+      return false;
+    }
+    return !(entry.probeUntil && now < entry.probeUntil); // another caller is probing
+  });
+  return usable.length > 0 ? usable : models;
+}
+
+/**
+ * Claim a half-open model for this caller's probe, right before it is called (models earlier in the chain may
+ * answer first, so nothing is claimed up front). Healthy and open models need no claim.
+ * @param {{ baseUrl: string, model: string }} opts
+ * @returns {boolean} false when another caller is already probing the model: skip it.
+ */
+export function claimProbe(opts) {
+  const data = load();
+  const now = Date.now();
+  const entry = data[modelKey(opts)];
+  if (circuitState(entry, now) !== 'half-open') return true;
+  if (entry.probeUntil && now < entry.probeUntil) return false;
+  entry.probeUntil = now + PROBE_WINDOW_MS;
+  save(data);
+  return true;
+}
+
+/**
+ * Record a successful call; closes the circuit.
+ * @param {{ baseUrl: string, model: string }} opts
+ * @param {number} [latencyMs]
+ */
+export function recordModelSuccess(opts, latencyMs) {
+  const data = load();
+  const key = modelKey(opts);
+  const prev = data[key];
+  const now = Date.now();
+  const healthy = prev && !prev.openUntil && !prev.probeUntil && !prev.consecutiveFailures;
+  if (healthy && now - (prev.lastSuccessAt || 0) < SUCCESS_WRITE_INTERVAL_MS) return;
+  if (prev?.openUntil) console.log('[LLM] model recovered:', modelLabel(opts));
+  data[key] = {
+    label: modelLabel(opts),
+    consecutiveFailures: 0,
+    lastSuccessAt: now,
+    ...(typeof latencyMs === 'number' ? { lastLatencyMs: latencyMs } : {}),
+    ...(prev?.lastFailureAt ? { lastFailureAt: prev.lastFailureAt, lastError: prev.lastError } : {}),
+  };
+  save(data);
+}
+
+/**
+ * Record a failed call. Opens the circuit after failureThreshold consecutive failures; a failed
+ * half-open probe re-opens it with a doubled cooldown.
+ * @param {{ baseUrl: string, model: string }} opts
+ * @param {Error} err
+ */
+export function recordModelFailure(opts, err) {
+  const { failureThreshold, cooldownMs, maxCooldownMs } = getHealthConfig();
+  const data = load();
+  const key = modelKey(opts);
+  const now = Date.now();
+  const prev = data[key] || {};
+  const wasProbe = circuitState(prev, now) === 'half-open';
+  const entry = {
+    ...prev,
+    label: modelLabel(opts),
+    consecutiveFailures: (prev.consecutiveFailures || 0) + 1,
+    lastFailureAt: now,
+    lastError: String(err?.message || err || 'unknown error').slice(0, 200),
+  };
+  delete entry.probeUntil;
+  if (wasProbe || entry.consecutiveFailures >= failureThreshold) {
+    entry.cooldownMs = wasProbe ? Math.min((prev.cooldownMs || cooldownMs) * 2, maxCooldownMs) : cooldownMs;
+    entry.openUntil = now + entry.cooldownMs;
+    console.log('[LLM] model marked unhealthy:', entry.label, `for ${Math.round(entry.cooldownMs / 1000)}s`);
+  }
+  data[key] = entry;
+  save(data);
+}
+
+/**
+ * True if the error says more about the request than the model (bad input, context too long), so it
+ * should not count against the model's health.
+ * @param {Error & { status?: number }} err
+ */
+export function isRequestError(err) {
+  return err?.status === 400 || err?.status === 413 || err?.status === 422;
+}
+
+/**
+ * Health snapshot for each configured model (dashboard overview).
+ * @param {Array<{ baseUrl: string, model: string }>} models
+ * @returns {Array<{ label: string, baseUrl: string, model: string, state: 'closed'|'open'|'half-open', consecutiveFailures: number, retryInMs: number | null, lastError: string | null, lastSuccessAt: number | null, lastFailureAt: number | null, lastLatencyMs: number | null }>}
+ */
+export function getModelHealth(models) {
+  const data = load();
+  const now = Date.now();
+  return models.map((opts) => {
+    const entry = data[modelKey(opts)] || {};
+    const state = circuitState(entry, now);
+    return {
+      label: modelLabel(opts),
+      baseUrl: opts.baseUrl,
+      model: opts.model,
+      state,
+      consecutiveFailures: entry.consecutiveFailures || 0,
+      retryInMs: state === 'open' ? entry.openUntil - now : null,
+      lastError: entry.lastError || null,
+      lastSuccessAt: entry.lastSuccessAt || null,
+      lastFailureAt: entry.lastFailureAt || null,
+      lastLatencyMs: entry.lastLatencyMs ?? null,
+    };
+  });
+}
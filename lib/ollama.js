@@ -0,0 +1,191 @@
+/**
+ * Ollama native API helpers: host resolution, installed model listing (/api/tags) and model pulls (/api/pull)
+ * with progress. llm.js talks to /api/chat and embeddings.js to /api/embed for llm.models entries with
+ * provider "ollama" (set api: "openai" on an entry to keep using the OpenAI-compatible /v1 endpoint instead).
+ */
+
+export const DEFAULT_OLLAMA_HOST = 'http://127.0.0.1:11434';
+
+const LIST_TIMEOUT_MS = 5_000;
+/** A pull can take a long while for big models; it only fails when the server stops sending progress. */
+const PULL_IDLE_TIMEOUT_MS = 120_000;
+
+/**
+ * Ollama server root for a configured base URL ("http://host:11434/v1" -> "http://host:11434").
+ * @param {string} [baseUrl]
+ * @returns {string}
+ */
+export function ollamaHost(baseUrl) {
+  const s = String(baseUrl || '').trim().replace(/\/+$/, '');
+  return s ? s.replace(/\/(v1|api)$/, '') : DEFAULT_OLLAMA_HOST;
+}
+
+/** True when a configured model name is already installed (Ollama adds ":latest" when no tag is given). */
+export function hasOllamaModel(installed, model) {
+  const want = String(model || '').trim();
+  const withTag = want.includes(':') ? want : `${want}:latest`;
+  return (installed || []).some((m) => m.name === want || m.name === withTag);
+}
+
+/**
+ * Read a newline-delimited JSON body (Ollama streams) and yield one parsed object per line.
+ * Lines that are not valid JSON are skipped.
+ * @param {Response} res - fetch Response with a streaming body
+ */
+export async function* readNdjson(res) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  const parse = (line) => {
+    try {
+      return line.trim() ? JSON.parse(line) : null;
+    } catch {
+      return null;
+    }
+  };
+  for await (const chunk of res.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let nl;
+    while ((nl = buffer.indexOf('\n')) >= 0) {
+      const obj = parse(buffer.slice(0, nl));
+      buffer = buffer.slice(nl + 1);
+      if (obj) yield obj;
+    }
+  }
+  const obj = parse(buffer + decoder.decode());
+  if (obj) yield obj;
+}
+
+/**
+ * Models installed on an Ollama server.
+ * @param {string} [baseUrl] - Configured base URL (with or without /v1).
+ * @returns {Promise<Array<{ name: string, size: number, modifiedAt: string | null, family: string | null, parameterSize: string | null, quantization: string | null }>>}
+ */
+export async function listOllamaModels(baseUrl) {
+  const res = await fetch(`${ollamaHost(baseUrl)}/api/tags`, { signal: AbortSignal.timeout(LIST_TIMEOUT_MS) });
+  if (!res.ok) throw new Error(`Ollama /api/tags failed ${res.status}: ${(await res.text()).slice(0, 200)}`);
+  const data = await res.json();
+  return (Array.isArray(data?.models) ? data.models : []).map((m) => ({
+    name: m.name || m.model || '',
+    size: Number(m.size) || 0,
+    modifiedAt: m.modified_at || null,
+    family: m.details?.family || null,
+    parameterSize: m.details?.parameter_size || null,
+    quantization: m.details?.quantization_level || null,
+  }));
+}
+
+function formatBytes(n) {
+  if (!(n > 0)) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.min(units.length - 1, Math.floor(Math.log(n) / Math.log(1024)));
+  return `${(n / 1024 ** i).toFixed(i >= 3 ? 1 : 0)} ${units[i]}`;
+}
+
+/**
+ * One-line description of a pull progress event, e.g. "pulling 8eeb52dfb3bb: 42% (1.9 GB / 4.4 GB)".
+ * @param {{ status: string, total?: number, completed?: number }} progress
+ * @returns {string}
+ */
+export function formatPullProgress({ status, total, completed }) {
+  if (!(total > 0)) return status;
+  const done = Math.min(Number(completed) || 0, total);
+  return `${status}: ${Math.floor((done / total) * 100)}% (${formatBytes(done)} / ${formatBytes(total)})`;
+}
+
+/**
+ * Download a model to an Ollama server. onProgress gets every progress event from /api/pull.
+ * @param {string} baseUrl
+ * @param {string} model
+ * @param {{ onProgress?: (p: { status: string, digest?: string, total?: number, completed?: number }) => void, signal?: AbortSignal }} [opts]
+ * @returns {Promise<void>} Resolves when Ollama reports success; rejects with the server's error otherwise.
+ */
+export async function pullOllamaModel(baseUrl, model, { onProgress, signal } = {}) {
+  const controller = new AbortController();
+  let idleTimer;
+  const resetIdle = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => controller.abort(new Error(`Ollama pull stalled (no progress for ${PULL_IDLE_TIMEOUT_MS / 1000}s)`)), PULL_IDLE_TIMEOUT_MS);
+  };
+  const onAbort = () => controller.abort(signal.reason);
+  signal?.addEventListener('abort', onAbort, { once: true });
+  resetIdle();
+  try {
+    const res = await fetch(`${ollamaHost(baseUrl)}/api/pull`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ model, stream: true }),
+      signal: controller.signal,
+    });
+    if (!res.ok) throw new Error(`Ollama pull failed ${res.status}: ${(await res.text()).slice(0, 200)}`);
+    let last = '';
+    for await (const ev of readNdjson(res)) {
+      resetIdle();
+      if (ev.error) throw new Error(`Ollama pull failed: ${ev.error}`);
+      if (typeof onProgress === 'function' && ev.status) onProgress(ev);
+      last = ev.status || last;
+    }
+    if (last !== 'success') throw new Error(`Ollama pull ended early (last status: ${last || 'none'})`);
+  } catch (err) {
+    if (controller.signal.aborted && controller.signal.reason instanceof Error) throw controller.signal.reason;
+    throw err;
+  } finally {
+    clearTimeout(idleTimer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * onProgress for pullOllamaModel that logs a line per status change and every 10% of a download.
+ * @param {string} model
+ * @param {(line: string) => void} [log]
+ */
+export function logPullProgress(model, log = (line) => console.log('[ollama]', line)) {
+  let lastStatus = '';
+  let lastStep = -1;
+  return (p) => {
+    if (p.status === 'success') return;
+    const step = p.total > 0 ? Math.floor(((Number(p.completed) || 0) / p.total) * 10) : -1;
+    if (p.status === lastStatus && step === lastStep) return;
+    lastStatus = p.status;
+    lastStep = step;
+    log(`${model}: ${formatPullProgress(p)}`);
+  };
+}
+
+/**
+ * Pull every configured Ollama model that is not installed yet (run at startup). Servers that are not running
+ * are skipped with a log line; the placeholder model name "local" is never pulled. Never throws.
+ * @param {Array<{ api?: string, baseUrl: string, model: string }>} models - Parsed llm.js model entries.
+ * @returns {Promise<string[]>} Models that were pulled.
+ */
+export async function pullMissingOllamaModels(models) {
+  const byHost = new Map();
+  for (const m of models || []) {
+    if (m?.api !== 'ollama' || !m.model || m.model === 'local') continue;
+    const host = ollamaHost(m.baseUrl);
+    if (!byHost.has(host)) byHost.set(host, new Set());
+    byHost.get(host).add(m.model);
+  }
+  const pulled = [];
+  for (const [host, names] of byHost) {
+    let installed;
+    try {
+      installed = await listOllamaModels(host);
+    } catch (err) {
+      console.log('[ollama] cannot list models at', host + ':', err.message);
+      continue;
+    }
+    for (const model of names) {
+      if (hasOllamaModel(installed, model)) continue;
+      console.log('[ollama]', model, 'is not installed at', host + '; pulling it');
+      try {
+        await pullOllamaModel(host, model, { onProgress: logPullProgress(model) });
+        console.log('[ollama] pulled', model);
+        pulled.push(model);
+      } catch (err) {
+        console.log('[ollama] pull failed for', model + ':', err.message);
+      }
+    }
+  }
+  return pulled;
+}
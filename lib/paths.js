@@ -114,6 +114,22 @@ export function getMemoryIndexPath() {
   return join(getMemoryDir(), 'index.db');
 }
 
+/**
+ * SQLite usage ledger (tokens and estimated cost per LLM call).
+ * @returns {string} Absolute path (e.g. ~/.cowcode/usage.db).
+ */
+export function getUsageDbPath() {
+  return join(getStateDir(), 'usage.db');
+}
+
+/**
+ * Skill packages installed with cowcode skills install (outside the install dir, so updates keep them).
+ * @returns {string} Absolute path (e.g. ~/.cowcode/skills).
+ */
+export function getUserSkillsDir() {
+  return join(getStateDir(), 'skills');
+}
+
 /**
  * Uploads directory for user-sent images (vision).
  * @returns {string} Absolute path (e.g. ~/.cowcode/uploads).
@@ -0,0 +1,122 @@
+/**
+ * Reminder fast path. A message that looks like a reminder request is classified (classifyIntent); when it creates
+ * or lists reminders it is handled with extractSchedule and the cron skill (through executeSkill, so hooks and
+ * skills.cron.permissions apply) without an agent turn.
+ * Anything else, or anything that fails, returns null and the message goes through the agent as usual.
+ * Config (optional): reminderFastPath: { enabled (default true) }.
+ */
+
+import { readFileSync } from 'fs';
+import { classifyIntent } from '../llm.js';
+import { extractSchedule } from '../cron/schedule-extract.js';
+import { loadJobs, removeJob } from '../cron/store.js';
+import { executeSkill } from '../skills/executor.js';
+import { getConfigPath } from './paths.js';
+import { isAbortError, throwIfAborted } from './abort.js';
+import { withUsageContext } from './usage-ledger.js';
+
+/** Cheap check before spending an LLM call on classification. */
+const REMINDER_HINT = /\b(remind(ers?)?|schedul\w*|crons?|alarm)\b/i;
+/** "tell me …", "ping me …" only count with a time cue, so "tell me about X" does not cost a classification call. */
+const ASK_ME = /\b(send|text|message|ping|tell) me\b/i;
+const TIME_CUE = /\b(in \d+|at \d|every|daily|hourly|weekly|tomorrow|tonight|today|later|morning|afternoon|evening|noon|midnight|o'?clock|(mon|tues|wednes|thurs|fri|satur|sun)day|\d{1,2}(:\d{2})? ?(am|pm))\b/i;
+
+function looksLikeReminder(text) {
+  return REMINDER_HINT.test(text) || (ASK_ME.test(text) && TIME_CUE.test(text));
+}
+
+function isEnabled() {
+  try {
+    const raw = readFileSync(getConfigPath(), 'utf8');
+    return (raw?.trim() && JSON.parse(raw)?.reminderFastPath?.enabled) !== false;
+  } catch (_) {
+    return true;
+  }
+}
+
+/** Cron executor jobs for an extracted schedule (see SCHEDULE_SCHEMA in cron/schedule-extract.js). */
+function toCronJobs(parsed) {
+  const at = (message, time) => ({ message, schedule: { kind: 'at', at: time } });
+  switch (parsed.type) {
+    case 'once':
+      return [at(parsed.message, parsed.at)];
+    case 'recurring':
+      return [{ message: parsed.message, schedule: { kind: 'cron', expr: parsed.cron, ...(parsed.tz ? { tz: parsed.tz } : {}) } }];
+    case 'series':
+      return parsed.times.map((time) => at(parsed.message, time));
+    case 'multiple':
+      return parsed.items.map((item) => at(item.message, item.at));
+    default:
+      return [];
+  }
+}
+
+/** Run a cron action through executeSkill; an { error } result (a failed add, a hook's veto) is thrown. */
+async function runCron(ctx, args) {
+  const result = await executeSkill('cron', ctx, args);
+  let error = null;
+  try {
+    error = JSON.parse(result)?.error ?? null;
+  } catch (_) {}
+  if (error) throw new Error(String(error));
+  return result;
+}
+
+/**
+ * Add all jobs or none: one-shot timers and the cron restart wait until every add has succeeded, and the jobs already
+ * added are removed again when a later one fails or the turn is cancelled.
+ * @returns {Promise<string[]>} The cron skill's replies.
+ */
+async function addJobs(ctx, jobs) {
+  const before = new Set(loadJobs(ctx.storePath).map((j) => j.id));
+  const deferred = [];
+  const staged = {
+    ...ctx,
+    scheduleOneShot: (job) => deferred.push(() => ctx.scheduleOneShot(job)),
+    startCron: typeof ctx.startCron === 'function' ? () => deferred.push(() => ctx.startCron()) : undefined,
+  };
+  const replies = [];
+  try {
+    for (const job of jobs) replies.push(await runCron(staged, { action: 'add', job }));
+    // A turn stopped meanwhile sends no reply, so it keeps no jobs either (a merged follow-up would add them again).
+    throwIfAborted(ctx.signal);
+  } catch (err) {
+    for (const job of loadJobs(ctx.storePath)) {
+      if (!before.has(job.id)) removeJob(job.id, ctx.storePath);
+    }
+    throw err;
+  }
+  for (const run of deferred) run();
+  return replies;
+}
+
+/**
+ * Handle a reminder request without the agent when possible.
+ * @param {string} text - The user's message.
+ * @param {object} ctx - Skill context: { storePath, jid, workspaceDir, scheduleOneShot, startCron, isGroup, confirm, signal }.
+ * @param {{ signal?: AbortSignal }} [opts] - Cancels the classification and extraction calls (default ctx.signal).
+ * @returns {Promise<string | null>} Reply to send, or null to run the agent instead.
+ */
+export async function tryReminderFastPath(text, ctx, { signal = ctx?.signal } = {}) {
+  if (!text || !looksLikeReminder(text) || !isEnabled()) return null;
+  return withUsageContext({ jid: ctx.jid, source: ctx.source || 'chat' }, async () => {
+    try {
+      const intent = await classifyIntent(text, { signal });
+      if (intent === 'SCHEDULE_LIST') return await runCron(ctx, { action: 'list' });
+      if (intent !== 'SCHEDULE_CREATE') return null;
+      const parsed = await extractSchedule(text, new Date(), { signal });
+      if (parsed?.action === 'list_schedules') return await runCron(ctx, { action: 'list' });
+      if (!parsed?.schedule) return null;
+      const jobs = toCronJobs(parsed);
+      // All or nothing: a past or unparseable time leaves the whole request to the agent.
+      if (jobs.length === 0 || jobs.some((j) => j.schedule.kind === 'at' && !(Date.parse(j.schedule.at) > Date.now()))) return null;
+      const replies = await addJobs(ctx, jobs);
+      console.log('[reminder] fast path:', parsed.type, `(${jobs.length} job${jobs.length === 1 ? '' : 's'})`);
+      return replies.join('\n');
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      console.log('[reminder] fast path failed, using agent:', err.message);
+      return null;
+    }
+  });
+}
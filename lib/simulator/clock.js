@@ -0,0 +1,131 @@
+/**
+ * Virtual clock for simulations. Replaces the global Date, setTimeout and setInterval so that time can jump:
+ * Date.now() is real time plus an offset, and timers of at least minDelayMs wait in a virtual queue until
+ * advance() reaches them (cron one-shots, croner, Tide cooldowns, retry backoff). Shorter timers (stream edits,
+ * small sleeps) stay real so ordinary work keeps running. Child processes (cron/run-job.js, cron/run-tide.js)
+ * see real time.
+ */
+
+const RealDate = globalThis.Date;
+const real = {
+  setTimeout: globalThis.setTimeout,
+  clearTimeout: globalThis.clearTimeout,
+  setInterval: globalThis.setInterval,
+  clearInterval: globalThis.clearInterval,
+};
+
+/** Handle returned for virtual timers; mimics Node's Timeout enough for callers that ref/unref or clear it. */
+class VirtualTimer {
+  constructor(id, clock) {
+    this.id = id;
+    this.clock = clock;
+  }
+  ref() {
+    return this;
+  }
+  unref() {
+    return this;
+  }
+  hasRef() {
+    return true;
+  }
+  refresh() {
+    this.clock.refresh(this.id);
+    return this;
+  }
+  [Symbol.toPrimitive]() {
+    return this.id;
+  }
+}
+
+/**
+ * Install the virtual clock. Only one can be installed at a time.
+ * @param {{ start?: number, minDelayMs?: number }} [opts] - start: virtual epoch ms (default now).
+ * @returns {{ now: () => number, advance: (ms: number, afterFire?: (result: unknown) => Promise<void>) => Promise<number>, pending: () => Array<{ due: number, interval: number | null }>, uninstall: () => void }}
+ */
+export function installVirtualClock({ start, minDelayMs = 5000 } = {}) {
+  let offset = Number.isFinite(start) ? start - RealDate.now() : 0;
+  let nextId = 1;
+  /** id → { id, due, delay, interval, fn, args } */
+  const timers = new Map();
+  const now = () => RealDate.now() + offset;
+
+  class SimDate extends RealDate {
+    constructor(...args) {
+      if (args.length === 0) super(now());
+      else super(...args);
+    }
+    static now() {
+      return now();
+    }
+  }
+
+  const clock = {
+    refresh(id) {
+      const t = timers.get(id);
+      if (t) t.due = now() + t.delay;
+    },
+  };
+
+  function addTimer(fn, ms, args, repeat) {
+    const delay = Math.max(0, Number(ms) || 0);
+    const id = nextId++;
+    timers.set(id, { id, due: now() + delay, delay, interval: repeat ? delay : null, fn, args });
+    return new VirtualTimer(id, clock);
+  }
+
+  function clearTimer(handle, realClear) {
+    const id = handle instanceof VirtualTimer ? handle.id : typeof handle === 'number' ? handle : null;
+    if (id != null && timers.delete(id)) return;
+    if (!(handle instanceof VirtualTimer)) realClear(handle);
+  }
+
+  globalThis.Date = SimDate;
+  globalThis.setTimeout = (fn, ms, ...args) => (Number(ms) >= minDelayMs ? addTimer(fn, ms, args, false) : real.setTimeout(fn, ms, ...args));
+  globalThis.setInterval = (fn, ms, ...args) => (Number(ms) >= minDelayMs ? addTimer(fn, ms, args, true) : real.setInterval(fn, ms, ...args));
+  globalThis.clearTimeout = (handle) => clearTimer(handle, real.clearTimeout);
+  globalThis.clearInterval = (handle) => clearTimer(handle, real.clearInterval);
+
+  return {
+    now,
+    /**
+     * Move virtual time forward by ms, firing due timers in order. afterFire gets each callback's return value
+     * (often a promise) and is awaited before the next timer, so work started by one timer settles first.
+     * @returns {Promise<number>} Number of timers fired.
+     */
+    async advance(ms, afterFire) {
+      const target = now() + Math.max(0, ms);
+      let fired = 0;
+      for (;;) {
+        let next = null;
+        for (const t of timers.values()) {
+          if (t.due <= target && (!next || t.due < next.due || (t.due === next.due && t.id < next.id))) next = t;
+        }
+        if (!next) break;
+        if (next.due > now()) offset += next.due - now();
+        if (next.interval != null) next.due += Math.max(next.interval, 1);
+        else timers.delete(next.id);
+        fired++;
+        let result;
+        try {
+          result = next.fn(...next.args);
+        } catch (err) {
+          console.error('[simulate] timer callback failed:', err?.message || err);
+        }
+        if (afterFire) await afterFire(result);
+      }
+      if (target > now()) offset += target - now();
+      return fired;
+    },
+    pending() {
+      return [...timers.values()].map((t) => ({ due: t.due, interval: t.interval }));
+    },
+    uninstall() {
+      globalThis.Date = RealDate;
+      Object.assign(globalThis, real);
+      timers.clear();
+    },
+  };
+}
+
+export { real as realTimers };
@@ -0,0 +1,550 @@
+/**
+ * Conversation simulator: `node index.js --simulate <script.yaml>` runs the real bot (runBot, handlers, agent,
+ * cron, Tide) against in-process fakes of WhatsApp and Telegram, plays the script's user turns and checks every
+ * outbound message, file written and cron job created. Scripts run in a throwaway state dir on a virtual clock,
+ * so "advance: 2h" fires reminders and Tide follow-ups without waiting. See scripts/test/E2E.md for the format.
+ *
+ * prepareSimulation() must run before anything reads the state dir (it points COWCODE_STATE_DIR at the temp dir).
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, mkdtempSync, existsSync, readdirSync, statSync, cpSync, rmSync } from 'fs';
+import { join, dirname, resolve, relative, sep } from 'path';
+import { tmpdir } from 'os';
+import { createRequire, syncBuiltinESMExports } from 'module';
+import { parseYaml } from './yaml.js';
+import { installVirtualClock, realTimers } from './clock.js';
+import { createFakeWhatsApp, createFakeTelegram, mediaBytes, SIMULATED_VOICE_PREFIX, SIMULATED_SPEECH_PREFIX } from './transports.js';
+import { getConfigPath, getCronStorePath } from '../paths.js';
+import { loadJobs } from '../../cron/store.js';
+
+const require = createRequire(import.meta.url);
+
+const SELF_JID = '15550000000@s.whatsapp.net';
+const TELEGRAM_TOKEN = 'simulated-token';
+/** Env var holding the fake speech API key (speech config names keys by env var). */
+const SPEECH_KEY_ENV = 'COWCODE_SIMULATED_SPEECH_KEY';
+/** No new activity for this long (real time) and nothing in flight: the bot is done reacting. */
+const QUIET_MS = 300;
+const DEFAULT_STEP_TIMEOUT_MS = 60_000;
+
+/** Files the bot rewrites as bookkeeping; not reported as "written" unless a step lists them. */
+const DEFAULT_IGNORED_FILES = [
+  'config.json',
+  'daemon.started',
+  'model-health.json',
+  'budget*.json',
+  'usage*',
+  'cron/jobs.json',
+  'uploads/**',
+  'traces/**',
+  'audit/**',
+  'skill-executors.json',
+  'memory/**',
+  'group/**',
+  'groups/*/config.json',
+  'workspace/SOUL.md',
+  'workspace/WhoAmI.md',
+  'workspace/MyHuman.md',
+  'workspace/group.md',
+  'workspace/chat-log/**',
+  'workspace/group-chat-log/**',
+  'workspace/chat-summaries/**',
+  '**/*.db',
+  '**/*.db-*',
+  '**/*.sqlite*',
+];
+
+function realNow() {
+  return performance.timeOrigin + performance.now();
+}
+
+function sleep(ms) {
+  return new Promise((r) => realTimers.setTimeout(r, ms));
+}
+
+/** "90s", "10m", "1h30m", "2d" or a number of milliseconds. */
+export function parseDuration(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+  const s = String(value ?? '').trim();
+  const units = { ms: 1, s: 1000, m: 60_000, h: 3_600_000, d: 86_400_000 };
+  let total = 0;
+  let rest = s;
+  const part = /^(\d+(?:\.\d+)?)(ms|s|m|h|d)/;
+  while (rest) {
+    const m = part.exec(rest);
+    if (!m) throw new Error(`Invalid duration: "${s}" (use e.g. 30s, 10m, 1h30m, 2d)`);
+    total += Number(m[1]) * units[m[2]];
+    rest = rest.slice(m[0].length).trim();
+  }
+  if (!s) throw new Error('Empty duration');
+  return total;
+}
+
+function globToRegExp(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') {
+      re += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += glob[i + 2] === '/' ? 2 : 1;
+    } else if (ch === '*') re += '[^/]*';
+    else if (ch === '?') re += '[^/]';
+    else re += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }
+  return new RegExp('^' + re + '$');
+}
+
+/** Matcher for expectations: "/re/flags" is a regex, anything else a case-insensitive substring. */
+function textMatcher(pattern) {
+  const s = String(pattern);
+  const re = /^\/(.*)\/([a-z]*)$/s.exec(s);
+  if (re) {
+    const regex = new RegExp(re[1], re[2]);
+    return { test: (text) => regex.test(String(text ?? '')), label: s };
+  }
+  return { test: (text) => String(text ?? '').toLowerCase().includes(s.toLowerCase()), label: JSON.stringify(s) };
+}
+
+function isPlainObject(value) {
+  return value != null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepMerge(base, patch) {
+  if (!isPlainObject(base) || !isPlainObject(patch)) return patch === undefined ? base : patch;
+  const out = { ...base };
+  for (const [key, value] of Object.entries(patch)) out[key] = deepMerge(base[key], value);
+  return out;
+}
+
+/** Relative path → "size:mtime" for every file under dir. */
+function snapshotFiles(dir) {
+  const files = new Map();
+  const walk = (d) => {
+    let entries;
+    try {
+      entries = readdirSync(d, { withFileTypes: true });
+    } catch (_) {
+      return;
+    }
+    for (const entry of entries) {
+      const full = join(d, entry.name);
+      if (entry.isDirectory()) walk(full);
+      else if (entry.isFile()) {
+        try {
+          const st = statSync(full);
+          files.set(relative(dir, full).split(sep).join('/'), `${st.size}:${st.mtimeMs}`);
+        } catch (_) {}
+      }
+    }
+  };
+  walk(dir);
+  return files;
+}
+
+function readJobIds() {
+  try {
+    return new Set(loadJobs(getCronStorePath()).map((j) => j.id));
+  } catch (_) {
+    return new Set();
+  }
+}
+
+/**
+ * Chat aliases from the script. Each becomes { name, channel, jid, ... } with the ids the fakes need.
+ * whatsapp: self chat, or { group, sender, name } for a group; telegram: { id, name } private or
+ * { group, sender, name, title } group.
+ */
+function resolveChats(chats) {
+  const entries = Object.entries(isPlainObject(chats) && Object.keys(chats).length ? chats : { me: { channel: 'whatsapp' } });
+  const resolved = new Map();
+  entries.forEach(([name, spec], i) => {
+    const c = isPlainObject(spec) ? spec : { channel: spec };
+    const channel = String(c.channel || 'whatsapp').toLowerCase();
+    if (channel === 'whatsapp') {
+      if (c.group != null) {
+        const group = String(c.group);
+        const sender = String(c.sender || `1555000${String(i + 1).padStart(4, '0')}`);
+        resolved.set(name, {
+          name,
+          channel,
+          jid: group.includes('@') ? group : `${group}@g.us`,
+          participant: sender.includes('@') ? sender : `${sender}@s.whatsapp.net`,
+          senderName: c.name || 'Group member',
+          group: true,
+        });
+      } else {
+        resolved.set(name, { name, channel, jid: SELF_JID, group: false });
+      }
+    } else if (channel === 'telegram') {
+      if (c.group != null) {
+        const chatId = Number(c.group);
+        resolved.set(name, {
+          name,
+          channel,
+          jid: String(chatId),
+          chatId,
+          chatType: 'supergroup',
+          title: c.title || name,
+          from: { id: Number(c.sender ?? 2000 + i), first_name: c.name || 'Group member' },
+          group: true,
+        });
+      } else {
+        const id = Number(c.id ?? 1000 + i);
+        resolved.set(name, {
+          name,
+          channel,
+          jid: String(id),
+          chatId: id,
+          chatType: 'private',
+          from: { id, first_name: c.name || 'Simulated user' },
+          group: false,
+        });
+      }
+    } else {
+      throw new Error(`Chat "${name}": channel must be whatsapp or telegram`);
+    }
+  });
+  return resolved;
+}
+
+/** Config for the simulation's state dir: mock or inherited models, simulated channels and speech keys. */
+function buildConfig(script, scriptDir, chats, realConfig) {
+  const usesTelegram = [...chats.values()].some((c) => c.channel === 'telegram');
+  const usesVoice = (script.steps || []).some((s) => isPlainObject(s) && s.voice != null);
+  let config = script.mock
+    ? {
+        llm: { models: [{ provider: 'mock', script: resolve(scriptDir, String(script.mock)) }] },
+        memory: { embedding: { provider: 'mock' } },
+        chatSummary: { enabled: false },
+      }
+    : { ...realConfig };
+  // No bio prompt after the first reply unless the script asks for it.
+  config.bio = config.bio || 'Simulated user.';
+  if (usesVoice) {
+    process.env[SPEECH_KEY_ENV] = 'simulated';
+    config = deepMerge(config, { skills: { speech: { whisper: { apiKey: SPEECH_KEY_ENV }, elevenLabs: { apiKey: SPEECH_KEY_ENV } } } });
+  }
+  config = deepMerge(config, script.config || {});
+  const telegram = config.channels?.telegram || {};
+  config.channels = {
+    ...config.channels,
+    whatsapp: { ...config.channels?.whatsapp, enabled: true },
+    telegram: usesTelegram ? { ...telegram, enabled: true, botToken: TELEGRAM_TOKEN } : { enabled: false },
+  };
+  return config;
+}
+
+/**
+ * Load a simulation script and set up its state dir, virtual clock, network stubs and fake transports.
+ * @param {string} scriptPath - YAML script.
+ * @param {{ keepState?: boolean }} [opts] - keepState: leave the temp state dir in place after a passing run.
+ * @returns {{ sock: object, telegramBot: object, trackTask: (p: Promise<unknown>) => Promise<unknown>, run: () => Promise<boolean> }}
+ */
+export function prepareSimulation(scriptPath, { keepState = false } = {}) {
+  const path = resolve(scriptPath);
+  const scriptDir = dirname(path);
+  const script = parseYaml(readFileSync(path, 'utf8')) || {};
+  if (!Array.isArray(script.steps) || script.steps.length === 0) throw new Error(`${scriptPath}: "steps" must be a non-empty list`);
+  const chats = resolveChats(script.chats);
+
+  let realConfig = {};
+  try {
+    realConfig = JSON.parse(readFileSync(getConfigPath(), 'utf8'));
+  } catch (_) {}
+  const stateDir = mkdtempSync(join(tmpdir(), 'cowcode-sim-'));
+  if (script.fixture) cpSync(resolve(scriptDir, String(script.fixture)), stateDir, { recursive: true });
+  process.env.COWCODE_STATE_DIR = stateDir;
+  delete process.env.COWCODE_TELEGRAM_ONLY;
+  writeFileSync(getConfigPath(), JSON.stringify(buildConfig(script, scriptDir, chats, realConfig), null, 2), 'utf8');
+  if (!existsSync(getCronStorePath())) {
+    mkdirSync(dirname(getCronStorePath()), { recursive: true });
+    writeFileSync(getCronStorePath(), JSON.stringify({ version: 1, jobs: [] }, null, 2), 'utf8');
+  }
+
+  const start = script.start != null ? Date.parse(String(script.start)) : Date.now();
+  if (!Number.isFinite(start)) throw new Error(`${scriptPath}: "start" is not a valid date: ${script.start}`);
+  const clock = installVirtualClock({ start });
+
+  // Pending work: handler promises, fetches and child processes (cron/run-job.js, cron/run-tide.js).
+  const tasks = new Set();
+  let inflight = 0;
+  let children = 0;
+  let activity = 0;
+  const trackTask = (p) => {
+    tasks.add(p);
+    activity++;
+    Promise.resolve(p).catch(() => {}).finally(() => {
+      tasks.delete(p);
+      activity++;
+    });
+    return p;
+  };
+
+  const childProcess = require('child_process');
+  const realSpawn = childProcess.spawn;
+  childProcess.spawn = function spawn(...args) {
+    const child = realSpawn.apply(this, args);
+    children++;
+    activity++;
+    child.once('close', () => {
+      children--;
+      activity++;
+    });
+    return child;
+  };
+  syncBuiltinESMExports();
+
+  const outbound = [];
+  let outId = 0;
+  const record = (entry) => {
+    const full = { ...entry, at: new Date().toISOString() };
+    outbound.push(full);
+    activity++;
+    return full;
+  };
+  const unrecord = (entry) => {
+    const i = outbound.indexOf(entry);
+    if (i >= 0) outbound.splice(i, 1);
+    activity++;
+  };
+  const whatsapp = createFakeWhatsApp({ selfJid: SELF_JID, record, nextId: () => `SIM${++outId}`, trackTask });
+  const telegram = createFakeTelegram({ record, unrecord, trackTask });
+
+  // Network: Telegram file downloads, Whisper and ElevenLabs are answered locally; anything else goes to the
+  // real network only when the script allows it (default: only when not using the mock LLM).
+  const allowNetwork = script.network != null ? script.network === true : !script.mock;
+  const realFetch = globalThis.fetch;
+  async function simulatedFetch(url, init) {
+    const fileMatch = /^https:\/\/api\.telegram\.org\/file\/bot[^/]+\/(.+)$/.exec(url);
+    if (fileMatch) {
+      const bytes = telegram.fileBytes(fileMatch[1]);
+      return bytes ? new Response(bytes) : new Response('Not Found', { status: 404 });
+    }
+    if (url.startsWith('https://api.openai.com/v1/audio/transcriptions')) {
+      const file = init?.body?.get?.('file');
+      const text = file ? Buffer.from(await file.arrayBuffer()).toString('utf8') : '';
+      return new Response(text.startsWith(SIMULATED_VOICE_PREFIX) ? text.slice(SIMULATED_VOICE_PREFIX.length) : '');
+    }
+    if (url.startsWith('https://api.elevenlabs.io/')) {
+      const { text } = JSON.parse(init?.body || '{}');
+      return new Response(Buffer.from(SIMULATED_SPEECH_PREFIX + (text || ''), 'utf8'));
+    }
+    return null;
+  }
+  globalThis.fetch = async (input, init) => {
+    const url = typeof input === 'string' ? input : input?.url ?? String(input);
+    inflight++;
+    activity++;
+    try {
+      const simulated = await simulatedFetch(url, init);
+      if (simulated) return simulated;
+      if (!allowNetwork) throw new Error(`Network disabled in simulation: ${url.slice(0, 80)}`);
+      return await realFetch(input, init);
+    } finally {
+      inflight--;
+      activity++;
+    }
+  };
+
+  const busy = () => tasks.size > 0 || inflight > 0 || children > 0;
+
+  /** Wait until nothing is pending, at least minMessages were sent since fromIndex and the bot has gone quiet. */
+  async function settle({ fromIndex = 0, minMessages = 0, timeoutMs }) {
+    const deadline = realNow() + timeoutMs;
+    let seen = activity;
+    let quietSince = realNow();
+    for (;;) {
+      await sleep(25);
+      if (activity !== seen) {
+        seen = activity;
+        quietSince = realNow();
+      }
+      if (!busy() && outbound.length - fromIndex >= minMessages && realNow() - quietSince >= QUIET_MS) return true;
+      if (realNow() > deadline) return false;
+    }
+  }
+
+  /** After a virtual timer fires: cheap check first, full settle only when the timer started work. */
+  async function afterTimer(result, timeoutMs) {
+    if (result && typeof result.then === 'function') trackTask(result);
+    const before = activity;
+    await sleep(5);
+    if (activity === before && !busy()) return;
+    await settle({ timeoutMs });
+  }
+
+  const ignored = [...DEFAULT_IGNORED_FILES, ...(Array.isArray(script.ignoreFiles) ? script.ignoreFiles : [])].map(globToRegExp);
+  const chatNameByJid = new Map([...chats.values()].map((c) => [c.jid, c.name]));
+  const chatLabel = (jid) => chatNameByJid.get(jid) || jid;
+  const readMedia = (kind, value) => {
+    if (typeof value === 'string' && kind === 'image') {
+      const file = resolve(scriptDir, value);
+      if (existsSync(file)) return readFileSync(file);
+    }
+    return mediaBytes(kind, value === true ? '' : value);
+  };
+
+  function deliver(step) {
+    const chat = chats.get(step.chat ?? chats.keys().next().value);
+    if (!chat) throw new Error(`Unknown chat "${step.chat}"`);
+    const image = step.image != null ? readMedia('image', step.image) : null;
+    const voice = step.voice != null ? readMedia('voice', step.voice) : null;
+    const text = step.text != null ? String(step.text) : '';
+    if (chat.channel === 'whatsapp') {
+      whatsapp.receive({
+        jid: chat.jid,
+        participant: chat.participant,
+        pushName: chat.senderName,
+        text,
+        mentions: chat.group && step.mention ? [SELF_JID] : [],
+        image,
+        caption: step.caption,
+        voice,
+      });
+    } else {
+      telegram.receive({
+        chatId: chat.chatId,
+        chatType: chat.chatType,
+        title: chat.title,
+        from: chat.from,
+        text,
+        mention: !!step.mention,
+        image,
+        caption: step.caption,
+        voice,
+      });
+    }
+    return chat;
+  }
+
+  function describeStep(step) {
+    if (step.name) return String(step.name);
+    if (step.advance != null) return `advance ${step.advance}`;
+    const what = step.text != null ? String(step.text) : step.voice != null ? `(voice) ${step.voice}` : step.image != null ? `(image) ${step.caption || ''}` : '';
+    return `${step.chat ?? chats.keys().next().value}: ${what.replace(/\s+/g, ' ').slice(0, 70)}`;
+  }
+
+  /** Check one step's outcome against its expect block. Returns failure strings. */
+  function check(expect, sentMessages, writtenFiles, newJobs) {
+    const failures = [];
+    const strict = expect.strict !== false;
+
+    const expectedMessages = Array.isArray(expect.messages) ? expect.messages : expect.messages != null ? [expect.messages] : [];
+    const unused = [...sentMessages];
+    for (const exp of expectedMessages) {
+      const spec = isPlainObject(exp) ? exp : { text: exp };
+      const text = spec.text != null ? textMatcher(spec.text) : null;
+      const chat = spec.chat != null ? chats.get(String(spec.chat)) : null;
+      if (spec.chat != null && !chat) {
+        failures.push(`expected message names unknown chat "${spec.chat}"`);
+        continue;
+      }
+      const i = unused.findIndex((m) =>
+        (!text || text.test(m.text)) && (!chat || m.chat === chat.jid) && (!spec.kind || m.kind === spec.kind));
+      if (i < 0) {
+        const parts = [text?.label, spec.kind && `kind ${spec.kind}`, chat && `in ${chat.name}`].filter(Boolean).join(' ');
+        failures.push(`expected message ${parts || '(any)'} — not sent`);
+      } else {
+        unused.splice(i, 1);
+      }
+    }
+    if (strict) for (const m of unused) failures.push(`unexpected message to ${chatLabel(m.chat)}: ${JSON.stringify(m.text.slice(0, 120))}`);
+
+    const expectedJobs = Array.isArray(expect.cron) ? expect.cron : expect.cron != null ? [expect.cron] : [];
+    const jobsLeft = [...newJobs];
+    for (const exp of expectedJobs) {
+      const spec = isPlainObject(exp) ? exp : { message: exp };
+      const checks = Object.entries(spec).map(([key, pattern]) => {
+        const matcher = key === 'chat' ? null : textMatcher(pattern);
+        return (job) => {
+          if (key === 'chat') return job.jid === chats.get(String(pattern))?.jid;
+          if (key === 'at') return Date.parse(job.schedule?.at) === Date.parse(String(pattern)) || matcher.test(job.schedule?.at);
+          if (key === 'expr') return matcher.test(job.schedule?.expr);
+          return matcher.test(job[key]);
+        };
+      });
+      const i = jobsLeft.findIndex((job) => checks.every((c) => c(job)));
+      if (i < 0) failures.push(`expected cron job ${JSON.stringify(spec)} — not created`);
+      else jobsLeft.splice(i, 1);
+    }
+    if (strict) for (const job of jobsLeft) failures.push(`unexpected cron job: ${JSON.stringify({ message: job.message, schedule: job.schedule })}`);
+
+    const expectedFiles = Array.isArray(expect.files)
+      ? Object.fromEntries(expect.files.map((f) => [f, null]))
+      : isPlainObject(expect.files) ? expect.files : {};
+    const filesLeft = new Set(writtenFiles);
+    for (const [file, pattern] of Object.entries(expectedFiles)) {
+      const re = globToRegExp(file);
+      const matches = writtenFiles.filter((f) => re.test(f));
+      if (matches.length === 0) {
+        failures.push(`expected file ${file} — not written`);
+        continue;
+      }
+      matches.forEach((f) => filesLeft.delete(f));
+      if (pattern != null && pattern !== true) {
+        const matcher = textMatcher(pattern);
+        if (!matches.some((f) => matcher.test(readFileSync(join(stateDir, f), 'utf8')))) {
+          failures.push(`file ${file} does not contain ${matcher.label}`);
+        }
+      }
+    }
+    if (strict) for (const f of filesLeft) if (!ignored.some((re) => re.test(f))) failures.push(`unexpected file written: ${f}`);
+    return failures;
+  }
+
+  async function runStep(step, index) {
+    const timeoutMs = step.timeout != null ? parseDuration(step.timeout) : script.timeout != null ? parseDuration(script.timeout) : DEFAULT_STEP_TIMEOUT_MS;
+    const expect = isPlainObject(step.expect) ? step.expect : null;
+    const minMessages = Array.isArray(expect?.messages) ? expect.messages.length : expect?.messages != null ? 1 : 0;
+    const filesBefore = snapshotFiles(stateDir);
+    const jobsBefore = readJobIds();
+    const fromIndex = outbound.length;
+    let settled;
+    if (step.advance != null) {
+      await clock.advance(parseDuration(step.advance), (result) => afterTimer(result, timeoutMs));
+      settled = await settle({ fromIndex, minMessages, timeoutMs });
+    } else {
+      deliver(step);
+      settled = await settle({ fromIndex, minMessages, timeoutMs });
+    }
+    const sentMessages = outbound.slice(fromIndex);
+    const filesAfter = snapshotFiles(stateDir);
+    const writtenFiles = [...filesAfter.keys()].filter((f) => filesBefore.get(f) !== filesAfter.get(f));
+    const newJobs = (() => {
+      try {
+        return loadJobs(getCronStorePath()).filter((j) => !jobsBefore.has(j.id));
+      } catch (_) {
+        return [];
+      }
+    })();
+    const failures = expect ? check(expect, sentMessages, writtenFiles, newJobs) : [];
+    if (!settled) failures.unshift(`timed out after ${Math.round(timeoutMs / 1000)}s waiting for the bot`);
+
+    console.log(`${failures.length ? '  ✗' : '  ✓'} ${index + 1}. ${describeStep(step)}`);
+    for (const m of sentMessages) {
+      const kind = m.kind === 'text' ? '' : `(${m.kind}) `;
+      console.log(`      → ${chatLabel(m.chat)}: ${kind}${m.text.replace(/\s+/g, ' ').slice(0, 100)}`);
+    }
+    for (const job of newJobs) console.log(`      + cron: ${job.message} (${job.schedule?.at || job.schedule?.expr || job.schedule?.kind})`);
+    for (const f of failures) console.log(`      ! ${f}`);
+    return failures.length === 0;
+  }
+
+  async function run() {
+    console.log(`[simulate] ${script.name || scriptPath} — state dir ${stateDir}`);
+    whatsapp.open();
+    await settle({ timeoutMs: DEFAULT_STEP_TIMEOUT_MS });
+    let passed = 0;
+    for (const [i, step] of script.steps.entries()) {
+      if (!isPlainObject(step)) throw new Error(`Step ${i + 1} must be a mapping`);
+      if (await runStep(step, i)) passed++;
+    }
+    const ok = passed === script.steps.length;
+    console.log(`[simulate] ${passed}/${script.steps.length} steps passed`);
+    if (ok && !keepState) rmSync(stateDir, { recursive: true, force: true });
+    else console.log('[simulate] State kept in', stateDir);
+    return ok;
+  }
+
+  return { sock: whatsapp.sock, telegramBot: telegram.bot, trackTask, run };
+}
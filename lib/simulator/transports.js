@@ -0,0 +1,220 @@
+/**
+ * In-process stand-ins for the Baileys socket and the node-telegram-bot-api bot. They feed scripted user
+ * messages into the same handlers index.js uses for real chats and record everything the bot sends.
+ * Media is fake bytes: images are a tiny placeholder, voice notes carry "SIMULATED-VOICE:<transcript>" (the
+ * simulator's fetch stub returns that transcript from Whisper) and synthesized speech is
+ * "SIMULATED-SPEECH:<text>", so voice replies can be asserted by what they say.
+ */
+
+import { EventEmitter } from 'events';
+
+export const SIMULATED_VOICE_PREFIX = 'SIMULATED-VOICE:';
+export const SIMULATED_SPEECH_PREFIX = 'SIMULATED-SPEECH:';
+
+/** 1x1 PNG, used for simulated photos. */
+const PLACEHOLDER_IMAGE = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+/** Bytes for a simulated upload: a file path's contents are read by the caller; otherwise the placeholder. */
+export function mediaBytes(kind, value) {
+  if (Buffer.isBuffer(value)) return value;
+  if (kind === 'voice') return Buffer.from(SIMULATED_VOICE_PREFIX + String(value ?? ''), 'utf8');
+  return PLACEHOLDER_IMAGE;
+}
+
+/** Spoken text of a simulated speech buffer, or null for other audio. */
+function spokenText(buf) {
+  if (!Buffer.isBuffer(buf)) return null;
+  const s = buf.toString('utf8');
+  return s.startsWith(SIMULATED_SPEECH_PREFIX) ? s.slice(SIMULATED_SPEECH_PREFIX.length) : null;
+}
+
+/** Calls listener and hands a returned promise to trackTask, so async handlers count as pending work. */
+function tracked(listener, trackTask) {
+  return (...args) => {
+    const result = listener(...args);
+    if (result && typeof result.then === 'function') trackTask(result);
+  };
+}
+
+/**
+ * Fake Baileys socket for the WhatsApp path of runBot.
+ * @param {{ selfJid: string, record: (entry: object) => object, nextId: () => string, trackTask: (p: Promise<unknown>) => void }} opts
+ */
+export function createFakeWhatsApp({ selfJid, record, nextId, trackTask }) {
+  const emitter = new EventEmitter();
+  const ev = {
+    on(event, listener) {
+      emitter.on(event, tracked(listener, trackTask));
+      return ev;
+    },
+  };
+  /** message id → media bytes, served by sock.downloadMedia. */
+  const media = new Map();
+
+  const sock = {
+    ev,
+    user: { id: selfJid, name: 'Simulated user' },
+    async sendMessage(jid, content = {}) {
+      const id = nextId();
+      const base = { channel: 'whatsapp', chat: String(jid), id };
+      if (content.image) record({ ...base, kind: 'image', text: content.caption || '', caption: content.caption || '' });
+      else if (content.audio) record({ ...base, kind: 'voice', text: spokenText(content.audio) ?? '' });
+      else if (content.document) record({ ...base, kind: 'document', text: content.caption || content.fileName || '' });
+      else record({ ...base, kind: 'text', text: String(content.text ?? '') });
+      return { key: { id, remoteJid: jid, fromMe: true } };
+    },
+    async sendPresenceUpdate() {},
+    async readMessages() {},
+    /** Used by index.js instead of Baileys downloadMediaMessage when present. */
+    async downloadMedia(m) {
+      const buf = media.get(m.key?.id);
+      if (!buf) throw new Error('Simulated message has no media');
+      return buf;
+    },
+  };
+
+  return {
+    sock,
+    /** Emit connection.update "open" (starts cron and Tide in runBot). */
+    open() {
+      emitter.emit('connection.update', { connection: 'open' });
+    },
+    /**
+     * Deliver one incoming message. Self-chat messages are fromMe (the owner writes to their own number);
+     * group messages come from participant.
+     * @param {{ jid: string, participant?: string, pushName?: string, text?: string, mentions?: string[], image?: Buffer, caption?: string, voice?: Buffer }} msg
+     */
+    receive({ jid, participant, pushName, text, mentions, image, caption, voice }) {
+      const id = nextId();
+      let message;
+      if (image) {
+        media.set(id, image);
+        message = { imageMessage: { caption: caption || '', mimetype: 'image/jpeg' } };
+      } else if (voice) {
+        media.set(id, voice);
+        message = { audioMessage: { mimetype: 'audio/ogg; codecs=opus', ptt: true } };
+      } else if (mentions?.length) {
+        message = { extendedTextMessage: { text: text || '', contextInfo: { mentionedJid: mentions } } };
+      } else {
+        message = { conversation: text || '' };
+      }
+      const m = {
+        key: { remoteJid: jid, fromMe: !participant, id, ...(participant ? { participant } : {}) },
+        message,
+        pushName: pushName || undefined,
+        messageTimestamp: Math.floor(Date.now() / 1000),
+      };
+      emitter.emit('messages.upsert', { messages: [m], type: 'notify' });
+    },
+  };
+}
+
+/**
+ * Fake node-telegram-bot-api bot. Streaming replies are recorded as one message whose text follows the edits;
+ * deleted messages are dropped from the record.
+ * @param {{ username?: string, record: (entry: object) => object, unrecord: (entry: object) => void, trackTask: (p: Promise<unknown>) => void }} opts
+ */
+export function createFakeTelegram({ username = 'cowcode_sim_bot', record, unrecord, trackTask }) {
+  const emitter = new EventEmitter();
+  const botUser = { id: 7000000001, is_bot: true, first_name: 'CowCode', username };
+  /** File id → bytes, served through the simulator's fetch stub. */
+  const files = new Map();
+  /** `${chatId}:${message_id}` → recorded entry, for edits and deletes. */
+  const sent = new Map();
+  let messageId = 1000;
+  let fileId = 0;
+
+  function send(chatId, fields) {
+    const id = ++messageId;
+    const entry = record({ channel: 'telegram', chat: String(chatId), id: String(id), ...fields });
+    sent.set(`${chatId}:${id}`, entry);
+    return { message_id: id, chat: { id: chatId }, date: Math.floor(Date.now() / 1000), text: fields.text };
+  }
+
+  const bot = {
+    on(event, listener) {
+      emitter.on(event, tracked(listener, trackTask));
+      return bot;
+    },
+    async getMe() {
+      return botUser;
+    },
+    async sendMessage(chatId, text) {
+      return send(chatId, { kind: 'text', text: String(text ?? '') });
+    },
+    async editMessageText(text, { chat_id: chatId, message_id: id } = {}) {
+      const entry = sent.get(`${chatId}:${id}`);
+      if (!entry) throw new Error('Bad Request: message to edit not found');
+      entry.text = String(text ?? '');
+      entry.edits = (entry.edits || 0) + 1;
+      return true;
+    },
+    async deleteMessage(chatId, id) {
+      const entry = sent.get(`${chatId}:${id}`);
+      if (!entry) throw new Error('Bad Request: message to delete not found');
+      sent.delete(`${chatId}:${id}`);
+      unrecord(entry);
+      return true;
+    },
+    async sendPhoto(chatId, _photo, opts = {}) {
+      return send(chatId, { kind: 'image', text: opts.caption || '', caption: opts.caption || '' });
+    },
+    async sendVoice(chatId, voice) {
+      return send(chatId, { kind: 'voice', text: spokenText(voice) ?? '' });
+    },
+    async sendDocument(chatId, _doc, opts = {}) {
+      return send(chatId, { kind: 'document', text: opts.caption || '' });
+    },
+    async sendChatAction() {
+      return true;
+    },
+    async answerCallbackQuery() {
+      return true;
+    },
+    async getFile(id) {
+      if (!files.has(id)) throw new Error('Bad Request: invalid file_id');
+      return { file_id: id, file_path: id };
+    },
+  };
+
+  return {
+    bot,
+    botUser,
+    /** Bytes of a file id, for the fetch stub (https://api.telegram.org/file/bot<token>/<file_path>). */
+    fileBytes(id) {
+      return files.get(id) ?? null;
+    },
+    /**
+     * Deliver one incoming message.
+     * @param {{ chatId: number, chatType: string, title?: string, from: { id: number, first_name: string }, text?: string, mention?: boolean, image?: Buffer, caption?: string, voice?: Buffer }} msg
+     */
+    receive({ chatId, chatType, title, from, text, mention, image, caption, voice }) {
+      const msg = {
+        message_id: ++messageId,
+        date: Math.floor(Date.now() / 1000),
+        chat: { id: chatId, type: chatType, ...(title ? { title } : { first_name: from.first_name }) },
+        from: { is_bot: false, ...from },
+      };
+      if (image) {
+        const id = `photos/sim-${++fileId}.jpg`;
+        files.set(id, image);
+        msg.photo = [{ file_id: id, width: 1, height: 1, file_size: image.length }];
+        if (caption) msg.caption = caption;
+      } else if (voice) {
+        const id = `voice/sim-${++fileId}.ogg`;
+        files.set(id, voice);
+        msg.voice = { file_id: id, duration: 2, mime_type: 'audio/ogg' };
+      } else {
+        const body = String(text ?? '');
+        const handle = `@${username}`;
+        msg.text = mention && !body.includes(handle) ? `${handle} ${body}` : body;
+        const at = msg.text.indexOf(handle);
+        if (at >= 0) msg.entities = [{ type: 'mention', offset: at, length: handle.length }];
+      }
+      emitter.emit('message', msg);
+    },
+  };
+}
@@ -0,0 +1,278 @@
+/**
+ * Small YAML reader for simulation scripts (no dependency). Supports the subset scripts need: block mappings and
+ * sequences by indentation, "- key: value" items, plain / 'single' / "double" quoted scalars, numbers, booleans,
+ * null, flow [lists] and {maps}, | and > block scalars, and # comments. Anchors, tags and multi-document streams
+ * are not supported.
+ */
+
+/** Text of a line with a trailing comment removed (quote-aware). */
+function stripComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quote) {
+      if (ch === '\\' && quote === '"') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      if (i === 0 || /[\s[{,:-]/.test(line[i - 1])) quote = ch;
+    } else if (ch === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+}
+
+function parseError(message, lineNo) {
+  return new Error(`YAML line ${lineNo}: ${message}`);
+}
+
+/** Plain scalar: number, boolean, null or string. */
+function plainScalar(text) {
+  const s = text.trim();
+  if (s === '' || s === '~' || s === 'null') return null;
+  if (s === 'true') return true;
+  if (s === 'false') return false;
+  if (/^-?\d+$/.test(s)) return Number(s);
+  if (/^-?(\d+\.\d*|\.\d+)$/.test(s)) return Number(s);
+  return s;
+}
+
+const DOUBLE_ESCAPES = { n: '\n', t: '\t', r: '\r', '0': '\0', '"': '"', '\\': '\\', '/': '/' };
+
+/** Quoted scalar starting at text[pos]; returns { value, end } (end is the index after the closing quote). */
+function readQuoted(text, pos, lineNo) {
+  const quote = text[pos];
+  let out = '';
+  for (let i = pos + 1; i < text.length; i++) {
+    const ch = text[i];
+    if (quote === "'" && ch === "'") {
+      if (text[i + 1] === "'") {
+        out += "'";
+        i++;
+        continue;
+      }
+      return { value: out, end: i + 1 };
+    }
+    if (quote === '"' && ch === '\\') {
+      const next = text[++i];
+      if (next === 'u') {
+        out += String.fromCharCode(parseInt(text.slice(i + 1, i + 5), 16));
+        i += 4;
+      } else {
+        out += DOUBLE_ESCAPES[next] ?? next;
+      }
+      continue;
+    }
+    if (quote === '"' && ch === '"') return { value: out, end: i + 1 };
+    out += ch;
+  }
+  throw parseError('unterminated quoted string', lineNo);
+}
+
+/** Flow value ([...], {...}, quoted or plain) at text[pos]; returns { value, end }. */
+function readFlow(text, pos, lineNo, stops = ',]}') {
+  while (text[pos] === ' ') pos++;
+  const ch = text[pos];
+  if (ch === '[') {
+    const list = [];
+    pos++;
+    for (;;) {
+      while (text[pos] === ' ') pos++;
+      if (text[pos] === ']') return { value: list, end: pos + 1 };
+      const item = readFlow(text, pos, lineNo);
+      list.push(item.value);
+      pos = item.end;
+      while (text[pos] === ' ') pos++;
+      if (text[pos] === ',') pos++;
+      else if (text[pos] !== ']') throw parseError('expected "," or "]" in flow list', lineNo);
+    }
+  }
+  if (ch === '{') {
+    const map = {};
+    pos++;
+    for (;;) {
+      while (text[pos] === ' ') pos++;
+      if (text[pos] === '}') return { value: map, end: pos + 1 };
+      const key = readFlow(text, pos, lineNo, ':,}');
+      pos = key.end;
+      while (text[pos] === ' ') pos++;
+      let value = null;
+      if (text[pos] === ':') {
+        const item = readFlow(text, pos + 1, lineNo);
+        value = item.value;
+        pos = item.end;
+      }
+      map[String(key.value)] = value;
+      while (text[pos] === ' ') pos++;
+      if (text[pos] === ',') pos++;
+      else if (text[pos] !== '}') throw parseError('expected "," or "}" in flow map', lineNo);
+    }
+  }
+  if (ch === '"' || ch === "'") return readQuoted(text, pos, lineNo);
+  let end = pos;
+  while (end < text.length && !stops.includes(text[end])) {
+    // In flow context ":" only ends a key when followed by a space (so "10:30" and URLs stay whole).
+    if (text[end] === ':' && stops.includes(':') && /[\s,}]/.test(text[end + 1] ?? ' ')) break;
+    end++;
+  }
+  return { value: plainScalar(text.slice(pos, end)), end };
+}
+
+/** Inline value after "key:" or "- ": flow collection, quoted or plain scalar. */
+function inlineValue(text, lineNo) {
+  const s = text.trim();
+  if (s[0] === '[' || s[0] === '{' || s[0] === '"' || s[0] === "'") {
+    const { value, end } = readFlow(s, 0, lineNo, '');
+    if (s.slice(end).trim()) throw parseError(`unexpected text after value: ${s.slice(end).trim()}`, lineNo);
+    return value;
+  }
+  return plainScalar(s);
+}
+
+/** Index of the ":" separating a mapping key from its value, or -1. */
+function keySeparator(text) {
+  let i = 0;
+  if (text[0] === '"' || text[0] === "'") {
+    const q = text[0];
+    i = 1;
+    while (i < text.length && text[i] !== q) i += text[i] === '\\' && q === '"' ? 2 : 1;
+    i++;
+  }
+  for (; i < text.length; i++) {
+    if (text[i] === ':' && (i === text.length - 1 || text[i + 1] === ' ')) return i;
+    if (i === 0 && (text[0] === '[' || text[0] === '{')) return -1;
+  }
+  return -1;
+}
+
+function keyText(raw, lineNo) {
+  const s = raw.trim();
+  if (s[0] === '"' || s[0] === "'") return readQuoted(s, 0, lineNo).value;
+  return s;
+}
+
+/**
+ * Parse a YAML document.
+ * @param {string} source
+ * @returns {unknown}
+ */
+export function parseYaml(source) {
+  const raw = String(source).replace(/\r\n?/g, '\n').split('\n');
+  /** Structural lines: { indent, text, lineNo, index } (blank and comment-only lines skipped). */
+  const lines = [];
+  raw.forEach((line, index) => {
+    if (/^\s*(---|\.\.\.)\s*$/.test(line) && lines.length === 0) return;
+    const text = stripComment(line).replace(/\s+$/, '');
+    if (!text.trim()) return;
+    if (/^\t/.test(text)) throw parseError('tabs are not allowed for indentation', index + 1);
+    const indent = text.length - text.trimStart().length;
+    lines.push({ indent, text: text.trim(), lineNo: index + 1, index });
+  });
+  let pos = 0;
+
+  /** Block scalar (| or >) whose header is on raw line headerIndex; parentIndent is the owning key's indent. */
+  function blockScalar(header, headerLine, parentIndent) {
+    const style = header[0];
+    const chomp = header.includes('-') ? 'strip' : header.includes('+') ? 'keep' : 'clip';
+    const body = [];
+    let blockIndent = null;
+    let i = headerLine.index + 1;
+    for (; i < raw.length; i++) {
+      const line = raw[i];
+      if (!line.trim()) {
+        body.push('');
+        continue;
+      }
+      const indent = line.length - line.trimStart().length;
+      if (indent <= parentIndent) break;
+      if (blockIndent == null) blockIndent = indent;
+      if (indent < blockIndent) break;
+      body.push(line.slice(blockIndent));
+    }
+    while (pos < lines.length && lines[pos].index < i) pos++;
+    let trailing = 0;
+    while (body.length && body[body.length - 1] === '') {
+      body.pop();
+      trailing++;
+    }
+    let text = style === '|'
+      ? body.join('\n')
+      : body.reduce((acc, line, n) => (n === 0 ? line : acc + (line === '' ? '\n' : acc.endsWith('\n') ? line : ' ' + line)), '');
+    if (chomp === 'clip' && body.length) text += '\n';
+    if (chomp === 'keep') text += '\n'.repeat(trailing + (body.length ? 1 : 0));
+    return text;
+  }
+
+  function parseNode(indent) {
+    const line = lines[pos];
+    if (!line || line.indent < indent) return null;
+    if (line.text === '-' || line.text.startsWith('- ')) return parseSequence(line.indent);
+    return parseMapping(line.indent);
+  }
+
+  /** Value after "key:" / "- " when it is empty (nested block) or a block scalar; else inline. */
+  function valueAfter(rest, line, ownerIndent, allowSameIndentSequence) {
+    if (rest === '') {
+      const next = lines[pos];
+      if (next && next.indent > ownerIndent) return parseNode(next.indent);
+      if (allowSameIndentSequence && next && next.indent === ownerIndent && (next.text === '-' || next.text.startsWith('- '))) {
+        return parseSequence(ownerIndent);
+      }
+      return null;
+    }
+    if (/^[|>][-+]?$/.test(rest)) return blockScalar(rest, line, ownerIndent);
+    return inlineValue(rest, line.lineNo);
+  }
+
+  function parseSequence(indent) {
+    const list = [];
+    while (pos < lines.length) {
+      const line = lines[pos];
+      if (line.indent !== indent || !(line.text === '-' || line.text.startsWith('- '))) break;
+      pos++;
+      const rest = line.text.slice(1).trim();
+      const sep = keySeparator(rest);
+      const nestedSequence = rest === '-' || rest.startsWith('- ');
+      if (nestedSequence || (rest && sep > 0 && !/^[[{]/.test(rest))) {
+        // "- key: value" / "- - item": the item is a mapping or sequence starting at the column after "- ".
+        const itemIndent = indent + (line.text.length - rest.length);
+        pos--;
+        lines[pos] = { ...line, indent: itemIndent, text: rest };
+        list.push(nestedSequence ? parseSequence(itemIndent) : parseMapping(itemIndent));
+      } else {
+        list.push(valueAfter(rest, line, indent, false));
+      }
+    }
+    return list;
+  }
+
+  function parseMapping(indent) {
+    const map = {};
+    while (pos < lines.length) {
+      const line = lines[pos];
+      if (line.indent !== indent) {
+        if (line.indent > indent) throw parseError('unexpected indentation', line.lineNo);
+        break;
+      }
+      if (line.text === '-' || line.text.startsWith('- ')) break;
+      const sep = keySeparator(line.text);
+      if (sep < 0) throw parseError(`expected "key: value", got: ${line.text}`, line.lineNo);
+      pos++;
+      const key = keyText(line.text.slice(0, sep), line.lineNo);
+      map[key] = valueAfter(line.text.slice(sep + 1).trim(), line, indent, true);
+    }
+    return map;
+  }
+
+  if (lines.length === 0) return null;
+  const first = lines[0];
+  let result;
+  if (!(first.text === '-' || first.text.startsWith('- ')) && keySeparator(first.text) < 0) {
+    result = inlineValue(first.text, first.lineNo);
+    pos = 1;
+  } else {
+    result = parseNode(first.indent);
+  }
+  if (pos < lines.length) throw parseError('unexpected content', lines[pos].lineNo);
+  return result;
+}
@@ -0,0 +1,106 @@
+/**
+ * Where skill folders live: built-in skills in <install>/skills, packages installed with cowcode skills install in
+ * ~/.cowcode/skills (see skill-packages.js). A built-in id always wins, so a package cannot replace a core skill.
+ * Also reads the package fields of SKILL.md frontmatter (version, env, cowcode).
+ */
+
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { getUserSkillsDir } from './paths.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const BUILTIN_SKILLS_DIR = join(__dirname, '..', 'skills');
+
+export const SKILL_MD_NAMES = ['SKILL.md', 'skill.md'];
+export const SKILL_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+export function getBuiltinSkillsDir() {
+  return BUILTIN_SKILLS_DIR;
+}
+
+/** SKILL.md (or skill.md) in dir, or null. */
+export function findSkillMd(dir) {
+  for (const name of SKILL_MD_NAMES) {
+    const p = join(dir, name);
+    if (existsSync(p)) return p;
+  }
+  return null;
+}
+
+function skillIdsIn(root) {
+  if (!existsSync(root)) return [];
+  try {
+    return readdirSync(root, { withFileTypes: true })
+      .filter((d) => d.isDirectory() && SKILL_ID_PATTERN.test(d.name) && findSkillMd(join(root, d.name)))
+      .map((d) => d.name);
+  } catch {
+    return [];
+  }
+}
+
+export function isBuiltinSkill(skillId) {
+  return SKILL_ID_PATTERN.test(String(skillId || '')) && !!findSkillMd(join(BUILTIN_SKILLS_DIR, skillId));
+}
+
+/**
+ * Folder of a skill: built-in first, then installed packages.
+ * @returns {string | null}
+ */
+export function getSkillDir(skillId) {
+  if (!SKILL_ID_PATTERN.test(String(skillId || ''))) return null;
+  for (const root of [BUILTIN_SKILLS_DIR, getUserSkillsDir()]) {
+    const dir = join(root, skillId);
+    if (findSkillMd(dir)) return dir;
+  }
+  return null;
+}
+
+/**
+ * Every skill folder, built-in first, sorted by id within each source.
+ * @returns {Array<{ id: string, dir: string, source: 'builtin' | 'installed' }>}
+ */
+export function listSkillDirs() {
+  const builtin = skillIdsIn(BUILTIN_SKILLS_DIR).sort();
+  const out = builtin.map((id) => ({ id, dir: join(BUILTIN_SKILLS_DIR, id), source: 'builtin' }));
+  for (const id of skillIdsIn(getUserSkillsDir()).sort()) {
+    if (!builtin.includes(id)) out.push({ id, dir: join(getUserSkillsDir(), id), source: 'installed' });
+  }
+  return out;
+}
+
+/**
+ * Frontmatter of a skill folder's SKILL.md (key: value lines between --- markers), with the package fields parsed:
+ *   version: 1.2.0
+ *   env: WEATHER_API_KEY, WEATHER_UNITS (optional)   — env vars to ask for on install
+ *   cowcode: 2.1.0                                   — minimum cowCode version
+ * @param {string} dir - Skill folder.
+ * @returns {{ id?: string, name?: string, description?: string, version?: string, cowcode?: string, env: Array<{ name: string, optional: boolean }> } | null}
+ *   null when the folder has no SKILL.md.
+ */
+export function readSkillManifest(dir) {
+  const mdPath = findSkillMd(dir);
+  if (!mdPath) return null;
+  let content = '';
+  try {
+    content = readFileSync(mdPath, 'utf8');
+  } catch {
+    return null;
+  }
+  const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---/);
+  const out = {};
+  for (const line of (match ? match[1] : '').split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon === -1) continue;
+    const key = line.slice(0, colon).trim();
+    const value = line.slice(colon + 1).trim().replace(/^["']|["']$/g, '');
+    if (key && value) out[key] = value;
+  }
+  const env = String(out.env || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((s) => ({ name: s.replace(/\s*\(optional\)$/i, ''), optional: /\(optional\)$/i.test(s) }))
+    .filter((e) => /^[A-Z_][A-Z0-9_]*$/i.test(e.name));
+  return { ...out, env };
+}
@@ -1,12 +1,14 @@
 /**
- * Skill install: add a skill to skills.enabled and prompt for required env vars.
- * Used by: cowcode skills install <skill-id>
+ * Skill install: add a skill to skills.enabled and prompt for required env vars (from the table below, or the env:
+ * line in the skill's SKILL.md frontmatter). Packages are copied in first by skill-packages.js.
+ * Used by: cowcode skills install <skill-id|dir|tarball|git-url>
  */
 
 import { createInterface } from 'readline';
 import { existsSync, readFileSync, writeFileSync } from 'fs';
 import { join } from 'path';
 import { getConfigPath, getEnvPath, ensureStateDir } from './paths.js';
+import { getSkillDir, readSkillManifest } from './skill-dirs.js';
 
 /** Aliases for skill id (e.g. homeassistant -> home-assistant). */
 const SKILL_ALIASES = {
@@ -87,13 +89,25 @@ export function normalizeSkillId(raw) {
 }
 
 /**
- * Check if a skill exists (has SKILL.md in skills/<id>/).
+ * Check if a skill exists (has SKILL.md in skills/<id>/ or is an installed package).
  * @param {string} installDir - CowCode install root (contains skills/)
  * @param {string} skillId - Canonical skill id
  */
 export function skillExists(installDir, skillId) {
   const mdPath = join(installDir, 'skills', skillId, 'SKILL.md');
-  return existsSync(mdPath);
+  return existsSync(mdPath) || !!getSkillDir(skillId);
+}
+
+/** Install prompts for a skill: the table above, else the env: line of its SKILL.md. */
+function getInstallMeta(skillId) {
+  if (SKILL_INSTALL_PROMPTS[skillId]) return SKILL_INSTALL_PROMPTS[skillId];
+  const dir = getSkillDir(skillId);
+  const manifest = dir ? readSkillManifest(dir) : null;
+  if (!manifest?.env?.length) return manifest?.name ? { prompt: manifest.name, envVars: [] } : null;
+  return {
+    prompt: manifest.name || skillId,
+    envVars: manifest.env.map(({ name, optional }) => ({ name, prompt: optional ? `${name} (optional, press Enter to skip)` : name })),
+  };
 }
 
 /**
@@ -121,7 +135,7 @@ export async function runSkillInstall(skillId, installDir) {
     };
   }
 
-  const meta = SKILL_INSTALL_PROMPTS[skillId];
+  const meta = getInstallMeta(skillId);
 
   ensureStateDir();
   const configPath = getConfigPath();
@@ -0,0 +1,281 @@
+/**
+ * Skill packages: install a skill folder from a directory, a tarball (.tgz, .tar.gz, .tar; path or URL) or a git URL
+ * into ~/.cowcode/skills/<id>, so cowCode updates don't touch it. SKILL.md frontmatter declares id, version, env
+ * vars to ask for and the minimum cowCode version (see skill-dirs.js readSkillManifest).
+ * Installed packages and where they came from are kept in ~/.cowcode/skills/packages.json for update and uninstall.
+ * Used by: cowcode skills install | list | update | uninstall (cli.js) and the dashboard.
+ */
+
+import { spawnSync } from 'child_process';
+import { cpSync, existsSync, mkdirSync, mkdtempSync, readdirSync, readFileSync, renameSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { basename, dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { getConfigPath, getUserSkillsDir } from './paths.js';
+import { findSkillMd, isBuiltinSkill, readSkillManifest, SKILL_ID_PATTERN } from './skill-dirs.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const REGISTRY_FILE = 'packages.json';
+const TARBALL = /\.(tgz|tar\.gz|tar)$/i;
+const GIT_TIMEOUT_MS = 120_000;
+const DOWNLOAD_TIMEOUT_MS = 60_000;
+/** Not copied into the installed folder. */
+const SKIPPED_NAMES = new Set(['.git', 'node_modules']);
+
+function registryPath() {
+  return join(getUserSkillsDir(), REGISTRY_FILE);
+}
+
+/** @returns {Record<string, { source: string, version: string | null, installedAt: string, updatedAt: string }>} */
+function loadRegistry() {
+  try {
+    const data = JSON.parse(readFileSync(registryPath(), 'utf8'));
+    return data && typeof data === 'object' ? data : {};
+  } catch {
+    return {};
+  }
+}
+
+function saveRegistry(registry) {
+  mkdirSync(getUserSkillsDir(), { recursive: true });
+  writeFileSync(registryPath(), JSON.stringify(registry, null, 2), 'utf8');
+}
+
+/** cowCode version from package.json. */
+export function getCowcodeVersion() {
+  try {
+    return JSON.parse(readFileSync(join(__dirname, '..', 'package.json'), 'utf8')).version || '0.0.0';
+  } catch {
+    return '0.0.0';
+  }
+}
+
+/** Compare dotted versions numerically (1.10.0 > 1.9.2); a leading v or >= is ignored. */
+export function compareVersions(a, b) {
+  const parts = (v) => String(v || '0').replace(/^[>=v\s]+/, '').split(/[.+-]/).map((n) => parseInt(n, 10) || 0);
+  const pa = parts(a);
+  const pb = parts(b);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const d = (pa[i] || 0) - (pb[i] || 0);
+    if (d !== 0) return d > 0 ? 1 : -1;
+  }
+  return 0;
+}
+
+function isGitSource(source) {
+  return /^(git@|git\+|git:\/\/)/.test(source) || /\.git(#.*)?$/.test(source) || (/^https?:\/\//.test(source) && !TARBALL.test(source));
+}
+
+/**
+ * True when the argument names a package (path, tarball or URL) rather than a built-in skill id.
+ * @param {string} arg
+ */
+export function isPackageSource(arg) {
+  const s = String(arg || '').trim();
+  if (!s) return false;
+  return /^(https?:|git@|git\+|git:|file:)/.test(s) || /[\\/]/.test(s) || TARBALL.test(s) || s.startsWith('.');
+}
+
+function run(cmd, args, cwd) {
+  const res = spawnSync(cmd, args, { cwd, encoding: 'utf8', timeout: GIT_TIMEOUT_MS });
+  if (res.error) throw new Error(`${cmd} failed: ${res.error.message}`);
+  if (res.status !== 0) throw new Error(`${cmd} failed: ${(res.stderr || res.stdout || '').trim().split('\n').pop()}`);
+}
+
+async function download(url, dest) {
+  const res = await fetch(url, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) });
+  if (!res.ok) throw new Error(`Download failed: HTTP ${res.status} for ${url}`);
+  writeFileSync(dest, Buffer.from(await res.arrayBuffer()));
+}
+
+/** The folder with SKILL.md: dir itself or its only subfolder (tarballs often wrap files in package/). */
+function packageRoot(dir) {
+  if (findSkillMd(dir)) return dir;
+  const subdirs = readdirSync(dir, { withFileTypes: true }).filter((d) => d.isDirectory() && !SKIPPED_NAMES.has(d.name));
+  if (subdirs.length === 1 && findSkillMd(join(dir, subdirs[0].name))) return join(dir, subdirs[0].name);
+  return null;
+}
+
+/**
+ * Fetch source into workDir (git clone, download, extract) or use it in place (local dir).
+ * @returns {Promise<{ root: string, name: string }>} root: folder with SKILL.md; name: id fallback from the source.
+ */
+async function fetchSource(source, workDir) {
+  const trimmed = source.replace(/^file:\/\//, '');
+  const local = resolve(trimmed);
+  const extractDir = join(workDir, 'pkg');
+  let name;
+  if (TARBALL.test(trimmed)) {
+    let file = local;
+    if (/^https?:\/\//.test(trimmed)) {
+      file = join(workDir, 'package.tgz');
+      await download(trimmed, file);
+    } else if (!existsSync(local)) {
+      throw new Error(`File not found: ${local}`);
+    }
+    mkdirSync(extractDir, { recursive: true });
+    run('tar', ['-xf', file, '-C', extractDir]);
+    name = basename(trimmed).replace(TARBALL, '').replace(/-v?\d+(\.\d+)*$/, '');
+  } else if (isGitSource(source)) {
+    const [url, ref] = source.replace(/^git\+/, '').split('#');
+    run('git', ['clone', '--depth', '1', ...(ref ? ['--branch', ref] : []), '--', url, extractDir]);
+    name = basename(url.replace(/\/\.git$/, '')).replace(/\.git$/, '');
+  } else if (existsSync(local)) {
+    const root = packageRoot(local);
+    if (!root) throw new Error(`No SKILL.md in ${local}`);
+    return { root, name: basename(local) };
+  } else {
+    throw new Error(`Not a skill package: ${source} (use a folder, a .tgz/.tar.gz file or URL, or a git URL)`);
+  }
+  const root = packageRoot(extractDir);
+  if (!root) throw new Error(`No SKILL.md found in ${source}`);
+  return { root, name };
+}
+
+/**
+ * Install (or reinstall) a skill package into ~/.cowcode/skills/<id>. Does not enable it or ask for env vars
+ * (skill-install.js runSkillInstall does that).
+ * @param {string} source - Folder, tarball path or URL, or git URL (optionally #branch-or-tag).
+ * @param {{ expectedId?: string }} [options] - expectedId: refuse, before anything is copied, a package whose id differs
+ * (update uses it so a renamed upstream package cannot overwrite another skill).
+ * @returns {Promise<{ ok: boolean, message: string, id?: string, version?: string | null, previousVersion?: string | null, env?: Array<{ name: string, optional: boolean }> }>}
+ */
+export async function installSkillPackage(source, { expectedId } = {}) {
+  const src = String(source || '').trim();
+  if (!src) return { ok: false, message: 'Give a folder, tarball or git URL. Example: cowcode skills install ./my-skill' };
+  const workDir = mkdtempSync(join(tmpdir(), 'cowcode-skill-'));
+  try {
+    const { root, name } = await fetchSource(src, workDir);
+    const manifest = readSkillManifest(root);
+    const id = String(manifest.id || name || '').trim().toLowerCase();
+    if (!SKILL_ID_PATTERN.test(id)) {
+      return { ok: false, message: `Invalid skill id "${id}". Set id: in the SKILL.md frontmatter (letters, digits, - and _).` };
+    }
+    if (expectedId && id !== expectedId) return { ok: false, id, message: `${src} now contains skill "${id}", not "${expectedId}".` };
+    if (isBuiltinSkill(id)) return { ok: false, message: `"${id}" is a built-in skill; pick another id for the package.` };
+    const current = getCowcodeVersion();
+    if (manifest.cowcode && compareVersions(current, manifest.cowcode) < 0) {
+      return { ok: false, message: `${id} needs cowCode ${manifest.cowcode.replace(/^[>=\s]+/, '')} or newer (this is ${current}). Run: cowcode update` };
+    }
+    const skillsDir = getUserSkillsDir();
+    const dest = join(skillsDir, id);
+    const staging = join(skillsDir, `.${id}.installing`);
+    mkdirSync(skillsDir, { recursive: true });
+    rmSync(staging, { recursive: true, force: true });
+    cpSync(root, staging, { recursive: true, filter: (p) => !SKIPPED_NAMES.has(basename(p)) });
+    rmSync(dest, { recursive: true, force: true });
+    renameSync(staging, dest);
+
+    const registry = loadRegistry();
+    const previous = registry[id];
+    const now = new Date().toISOString();
+    const local = resolve(src.replace(/^file:\/\//, ''));
+    registry[id] = {
+      source: existsSync(local) ? local : src,
+      version: manifest.version || null,
+      installedAt: previous?.installedAt || now,
+      updatedAt: now,
+    };
+    saveRegistry(registry);
+    const version = manifest.version || null;
+    console.log('[skills] installed package', id, version || '', 'from', registry[id].source);
+    return {
+      ok: true,
+      message: `${id}${version ? ' ' + version : ''} installed in ${dest}.`,
+      id,
+      version,
+      previousVersion: previous ? previous.version : null,
+      env: manifest.env,
+    };
+  } catch (err) {
+    return { ok: false, message: err.message };
+  } finally {
+    rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Reinstall packages from where they were installed from.
+ * @param {string} [skillId] - One package; all when omitted.
+ * @returns {Promise<Array<{ id: string, ok: boolean, message: string, version?: string | null, previousVersion?: string | null }>>}
+ */
+export async function updateSkillPackages(skillId) {
+  const registry = loadRegistry();
+  const ids = skillId ? [skillId] : Object.keys(registry).sort();
+  const out = [];
+  for (const id of ids) {
+    const entry = registry[id];
+    if (!entry) {
+      out.push({ id, ok: false, message: `${id} was not installed with cowcode skills install.` });
+      continue;
+    }
+    const result = await installSkillPackage(entry.source, { expectedId: id });
+    const changed = result.ok && compareVersions(result.version, result.previousVersion) !== 0;
+    out.push({
+      ...result,
+      id,
+      message: result.ok
+        ? changed
+          ? `${id} updated ${result.previousVersion || '?'} → ${result.version || '?'}.`
+          : `${id} is up to date (${result.version || 'no version'}).`
+        : `Could not update ${id}: ${result.message}`,
+    });
+  }
+  return out;
+}
+
+/**
+ * Remove an installed package and take it out of skills.enabled. Env vars in .env are left alone.
+ * @returns {{ ok: boolean, message: string }}
+ */
+export function uninstallSkillPackage(skillId) {
+  const id = String(skillId || '').trim();
+  if (!SKILL_ID_PATTERN.test(id)) return { ok: false, message: 'Skill id is required. Example: cowcode skills uninstall weather' };
+  const dir = join(getUserSkillsDir(), id);
+  const registry = loadRegistry();
+  if (!existsSync(dir) && !registry[id]) {
+    return {
+      ok: false,
+      message: isBuiltinSkill(id) ? `${id} is built in; disable it in the dashboard instead.` : `${id} is not installed.`,
+    };
+  }
+  rmSync(dir, { recursive: true, force: true });
+  delete registry[id];
+  saveRegistry(registry);
+  try {
+    const configPath = getConfigPath();
+    const config = JSON.parse(readFileSync(configPath, 'utf8'));
+    if (Array.isArray(config.skills?.enabled) && config.skills.enabled.includes(id)) {
+      config.skills.enabled = config.skills.enabled.filter((s) => s !== id);
+      writeFileSync(configPath, JSON.stringify(config, null, 2), 'utf8');
+    }
+  } catch (_) {}
+  console.log('[skills] uninstalled package', id);
+  return { ok: true, message: `${id} uninstalled.` };
+}
+
+/**
+ * Installed packages: folders in ~/.cowcode/skills with where they came from (source is null for folders copied
+ * there by hand).
+ * @returns {Array<{ id: string, dir: string, version: string | null, source: string | null, installedAt: string | null, updatedAt: string | null }>}
+ */
+export function listSkillPackages() {
+  const registry = loadRegistry();
+  const skillsDir = getUserSkillsDir();
+  if (!existsSync(skillsDir)) return [];
+  return readdirSync(skillsDir, { withFileTypes: true })
+    .filter((d) => d.isDirectory() && SKILL_ID_PATTERN.test(d.name) && findSkillMd(join(skillsDir, d.name)))
+    .map((d) => {
+      const dir = join(skillsDir, d.name);
+      const entry = registry[d.name];
+      return {
+        id: d.name,
+        dir,
+        version: readSkillManifest(dir)?.version || entry?.version || null,
+        source: entry?.source || null,
+        installedAt: entry?.installedAt || null,
+        updatedAt: entry?.updatedAt || null,
+      };
+    })
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
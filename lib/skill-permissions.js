@@ -0,0 +1,213 @@
+/**
+ * Skill permissions: what a skill may touch, declared in its SKILL.md frontmatter and checked for every call that
+ * goes through executeSkill (by the permissions hook, lib/hooks/permissions.js):
+ *   fs-read: workspace, state, ~/Documents   — folders (or files) its path arguments may read; fs-write roots count too
+ *   fs-write: workspace                      — folders (or files) its path arguments may change
+ *   network: *.wikipedia.org, *              — hosts its url arguments may open (http/https only); * is any public
+ *                                              host. localhost and private addresses only when listed by name, or
+ *                                              all of them with "private"
+ *   shell: ls, cat                           — values of its command argument
+ *   owner-only: true                         — refused for non-owners in group chats
+ * "workspace" is the chat's workspace, "state" is ~/.cowcode, relative entries are under ~/.cowcode, "none" allows
+ * nothing. A key the skill does not declare is not restricted. The owner can replace any key in config.json:
+ *   "skills": { "read": { "permissions": { "fs-read": ["workspace", "~/code"] } } }
+ * No skill may change config.json itself (or a folder holding it), whatever its permissions say.
+ */
+
+import { existsSync, readFileSync, realpathSync } from 'fs';
+import { homedir } from 'os';
+import { basename, dirname, isAbsolute, join, resolve, sep } from 'path';
+import { getConfigPath, getStateDir, getWorkspaceDir } from './paths.js';
+import { getSkillDir, readSkillManifest } from './skill-dirs.js';
+
+export const PERMISSION_KEYS = ['fs-read', 'fs-write', 'network', 'shell', 'owner-only'];
+
+/** Skills whose path arguments are changed rather than read (go-write cp reads its sources). */
+const WRITE_SKILLS = new Set(['write', 'edit', 'apply-patch', 'go-write']);
+
+function loadOverrides(skillId) {
+  try {
+    const raw = readFileSync(getConfigPath(), 'utf8');
+    const perms = raw?.trim() && JSON.parse(raw)?.skills?.[skillId]?.permissions;
+    return perms && typeof perms === 'object' && !Array.isArray(perms) ? perms : {};
+  } catch {
+    return {};
+  }
+}
+
+/** "a, b" or ["a", "b"] to a list; "none" (or nothing) is the empty list. */
+function parseList(value) {
+  const items = (Array.isArray(value) ? value : String(value ?? '').split(','))
+    .map((s) => String(s).trim())
+    .filter(Boolean);
+  return items.length === 1 && items[0].toLowerCase() === 'none' ? [] : items;
+}
+
+function parseFlag(value) {
+  return value === true || /^(true|yes|1)$/i.test(String(value ?? '').trim());
+}
+
+/**
+ * Effective permissions of a skill: SKILL.md frontmatter with config.json skills.<id>.permissions on top.
+ * @param {string} skillId
+ * @returns {{ 'fs-read': string[] | null, 'fs-write': string[] | null, network: string[] | null, shell: string[] | null,
+ *   'owner-only': boolean, overridden: string[] }} null = not restricted. overridden lists the keys set in config.json.
+ */
+export function getSkillPermissions(skillId) {
+  const dir = getSkillDir(skillId);
+  const manifest = (dir && readSkillManifest(dir)) || {};
+  const overrides = loadOverrides(skillId);
+  const out = { overridden: [] };
+  for (const key of PERMISSION_KEYS) {
+    const fromConfig = Object.prototype.hasOwnProperty.call(overrides, key);
+    if (fromConfig) out.overridden.push(key);
+    const value = fromConfig ? overrides[key] : manifest[key];
+    if (key === 'owner-only') out[key] = parseFlag(value);
+    else out[key] = value == null ? null : parseList(value);
+  }
+  return out;
+}
+
+function expandHome(p) {
+  const s = String(p).trim();
+  return s === '~' || s.startsWith('~/') ? join(homedir(), s.slice(1)) : s;
+}
+
+/** Resolve symlinks in the part of the path that exists, so a link in the workspace cannot point elsewhere. */
+export function realPath(p) {
+  if (existsSync(p)) {
+    try {
+      return realpathSync(p);
+    } catch {
+      return p;
+    }
+  }
+  const parent = dirname(p);
+  return parent === p ? p : join(realPath(parent), basename(p));
+}
+
+function rootsOf(entries, workspaceDir) {
+  return entries.map((entry) => {
+    const e = entry.toLowerCase();
+    if (e === '*') return '*';
+    if (e === 'workspace') return realPath(resolve(workspaceDir));
+    if (e === 'state') return realPath(getStateDir());
+    const abs = expandHome(entry);
+    return realPath(isAbsolute(abs) ? resolve(abs) : join(getStateDir(), abs));
+  });
+}
+
+function isUnder(p, roots) {
+  return roots.some((root) => root === '*' || p === root || p.startsWith(root.endsWith(sep) ? root : root + sep));
+}
+
+/**
+ * Paths an argument set refers to, resolved the way the executors do: path against the workspace, cwd against the
+ * process (go-read/go-write spawn there), argv against cwd.
+ * @returns {Array<{ path: string, write: boolean }>}
+ */
+function pathsOf(skillId, args, workspaceDir) {
+  const writes = WRITE_SKILLS.has(skillId);
+  const out = [];
+  for (const key of ['path', 'file', 'filePath']) {
+    if (typeof args?.[key] === 'string' && args[key].trim()) out.push({ path: resolve(workspaceDir, expandHome(args[key])), write: writes });
+  }
+  if (typeof args?.outputPath === 'string' && args.outputPath.trim()) {
+    out.push({ path: resolve(workspaceDir, expandHome(args.outputPath)), write: true });
+  }
+  const cwd = typeof args?.cwd === 'string' && args.cwd.trim() ? resolve(expandHome(args.cwd)) : null;
+  if (cwd) out.push({ path: cwd, write: false });
+  if (Array.isArray(args?.argv)) {
+    const command = String(args.command || args.action || '').trim().toLowerCase();
+    let operands = args.argv.filter((a) => typeof a === 'string' && a.trim() && !a.startsWith('-'));
+    if (command === 'chmod') operands = operands.slice(1);
+    operands.forEach((a, i) => {
+      const write = writes && !(command === 'cp' && i < operands.length - 1);
+      out.push({ path: resolve(cwd || workspaceDir, expandHome(a)), write });
+    });
+  }
+  return out.map((p) => ({ ...p, path: realPath(p.path) }));
+}
+
+/** True for localhost, .local names and loopback, private and link-local addresses (IPv4 and IPv6). */
+export function isPrivateHost(host) {
+  const h = host.replace(/^\[|\]$/g, '').toLowerCase();
+  if (h === 'localhost' || h.endsWith('.localhost') || h.endsWith('.local')) return true;
+  const v4 = h.replace(/^::ffff:/, '').match(/^(\d+)\.(\d+)\.\d+\.\d+$/);
+  if (v4) {
+    const [a, b] = [Number(v4[1]), Number(v4[2])];
+    return a === 0 || a === 10 || a === 127 || (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168);
+  }
+  return h === '::' || h === '::1' || /^f[cd][0-9a-f]{2}:/.test(h) || /^fe80:/.test(h);
+}
+
+function hostAllowed(host, allowed) {
+  const h = host.toLowerCase();
+  const privateHost = isPrivateHost(h);
+  return allowed.some((entry) => {
+    const e = entry.toLowerCase();
+    if (e === h) return true;
+    if (privateHost) return e === 'private';
+    if (e === '*') return true;
+    return e.startsWith('*.') && (h === e.slice(2) || h.endsWith(e.slice(1)));
+  });
+}
+
+function urlsOf(args) {
+  const out = [];
+  for (const key of ['url', 'image']) {
+    const v = typeof args?.[key] === 'string' ? args[key].trim() : '';
+    if (!v || (key === 'image' && !/^[a-z][a-z0-9+.-]*:\/\//i.test(v))) continue;
+    out.push(v);
+  }
+  return out;
+}
+
+/**
+ * Check one skill call against the skill's permissions.
+ * @param {string} skillId
+ * @param {object} ctx - workspaceDir, groupNonOwner
+ * @param {object} args - The call's arguments.
+ * @returns {string | null} Why the call is refused, or null when it is allowed.
+ */
+export function checkSkillPermissions(skillId, ctx, args) {
+  const perms = getSkillPermissions(skillId);
+  if (perms['owner-only'] && ctx?.groupNonOwner) return `${skillId} is only available to the owner.`;
+
+  if (perms.shell) {
+    const command = String(args?.command || args?.action || '').trim().toLowerCase();
+    if (command && !perms.shell.some((c) => c.toLowerCase() === command)) {
+      return `${skillId} may not run ${command}. Allowed: ${perms.shell.join(', ') || 'none'}.`;
+    }
+  }
+
+  const workspaceDir = ctx?.workspaceDir || getWorkspaceDir();
+  const paths = pathsOf(skillId, args, workspaceDir);
+  // config.json holds these permissions and the hooks; a skill that could change it could lift its own limits.
+  const configPath = realPath(getConfigPath());
+  const config = paths.find((p) => p.write && (p.path === configPath || isUnder(configPath, [p.path])));
+  if (config) return `${skillId} may not change ${config.path}: it holds the skill permissions and hooks.`;
+
+  if (perms['fs-read'] || perms['fs-write']) {
+    const writeRoots = perms['fs-write'] ? rootsOf(perms['fs-write'], workspaceDir) : null;
+    const readRoots = perms['fs-read'] ? [...rootsOf(perms['fs-read'], workspaceDir), ...(writeRoots || [])] : null;
+    for (const { path, write } of paths) {
+      if (write && writeRoots && !isUnder(path, writeRoots)) return `${skillId} may not change ${path}.`;
+      if (!write && readRoots && !isUnder(path, readRoots)) return `${skillId} may not read ${path}.`;
+    }
+  }
+
+  if (perms.network) {
+    for (const raw of urlsOf(args)) {
+      let url;
+      try {
+        url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(raw) ? raw : `https://${raw}`);
+      } catch {
+        return `${skillId} may not open ${raw}: not a valid URL.`;
+      }
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') return `${skillId} may not open ${url.protocol} URLs.`;
+      if (!hostAllowed(url.hostname, perms.network)) return `${skillId} may not connect to ${url.hostname}.`;
+    }
+  }
+  return null;
+}
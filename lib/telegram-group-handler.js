@@ -13,6 +13,7 @@ import {
   recordMemberSeen,
 } from './group-guard.js';
 import { appendGroupExchange } from './chat-log.js';
+import { isStopCommand } from './chat-queue.js';
 import { getGroupDisplayName, setGroupDisplayName, parseSetDisplayNameMessage } from './group-display-names.js';
 
 /**
@@ -133,6 +134,12 @@ export async function handleTelegramGroupMessage(msg, ctx) {
     if (first) ctx.telegramRepliedIds.delete(first);
   }
 
+  if (ctx.stopReplyText && isStopCommand(text)) {
+    const reply = ctx.stopReplyText(jidKey);
+    await ctx.bot.sendMessage(chatId, reply).catch(() => ctx.addPendingTelegram(jidKey, reply));
+    return;
+  }
+
   if (text.toLowerCase() === '/browse-reset') {
     await ctx.resetBrowseSession({ jid: jidKey });
     const reply = 'Browser reset. Next browse will start fresh.';
@@ -5,6 +5,7 @@
  */
 
 import { normalizeTelegramMessage } from './telegram-normalize.js';
+import { isStopCommand } from './chat-queue.js';
 
 const BIO_CONFIRM_PROMPT = "Hey, we haven't done some basic setup. Do you want to do it now?";
 const BIO_PROMPT =
@@ -38,10 +39,13 @@ function isYesReply(text) {
  *   resetBrowseSession: (opts: { jid: string }) => Promise<void>,
  *   runPastDueOneShots: () => Promise<void>,
  *   runAgentWithSkills: (sock: object, jid: string, text: string, lastSentByJid: Map, selfJid: string, ourSentIdsRef: object, bioOpts: object) => Promise<void>,
+ *   answerConfirmation?: (jid: string, text: string) => boolean,
+ *   stopReplyText?: (jid: string) => string,
  *   lastSentByJid: Map<string, string>,
  *   ourSentMessageIds: Set<string>,
  *   getMemoryConfig: () => object | null,
  *   indexChatExchange: (config: object, exchange: object) => Promise<void>,
+ *   appendExchange: (workspaceDir: string, exchange: object) => object,
  *   getWorkspaceDir: () => string,
  *   toUserMessage: (err: Error) => string,
  * }} ctx
@@ -70,6 +74,15 @@ export async function handleTelegramPrivateMessage(msg, ctx) {
   if (ctx.flushPendingTelegram) await ctx.flushPendingTelegram(chatId);
   const jidKey = String(chatId);
 
+  if (ctx.stopReplyText && isStopCommand(text)) {
+    const reply = ctx.stopReplyText(jidKey);
+    await ctx.bot.sendMessage(chatId, reply).catch(() => ctx.addPendingTelegram(jidKey, reply));
+    return;
+  }
+
+  // A paused turn is waiting for a yes/no on a destructive skill call: this message is the answer.
+  if (ctx.answerConfirmation?.(jidKey, normalized.text.trim())) return;
+
   if (ctx.pendingBioConfirmJids.has(jidKey)) {
     ctx.pendingBioConfirmJids.delete(jidKey);
     if (isYesReply(text)) {
@@ -109,6 +122,12 @@ export async function handleTelegramPrivateMessage(msg, ctx) {
   const logExchange = (exchange) => {
     if (memoryConfig) {
       ctx.indexChatExchange(memoryConfig, exchange).catch((err) => console.error('[memory] auto-index failed:', err.message));
+    } else {
+      try {
+        ctx.appendExchange(ctx.getWorkspaceDir(), exchange);
+      } catch (err) {
+        console.error('[chat-log] write failed:', err.message);
+      }
     }
   };
 
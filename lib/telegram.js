@@ -5,6 +5,7 @@
 
 import TelegramBot from 'node-telegram-bot-api';
 import { getErrorMessageForLog } from './user-error.js';
+import { answerConfirmationCallback } from './confirm.js';
 
 let bot = null;
 let lastConnectionIssueLog = 0;
@@ -125,11 +126,102 @@ export async function sendLongText(bot, chatId, text) {
   return { key: { id: lastSent?.message_id?.toString?.() ?? 'tg-' + Date.now() } };
 }
 
+/** Minimum gap between edits of a streaming reply (Telegram rate-limits editMessageText). */
+const STREAM_EDIT_INTERVAL_MS = 1000;
+
+/**
+ * Progressive reply for one chat: the first update sends a message, later updates edit it (throttled).
+ * update(text) takes the full text so far; finish(text) writes the final text (extra parts are sent as new
+ * messages when over the limit); discard() removes the partial message (e.g. when replying with voice).
+ * @param {import('node-telegram-bot-api')} telegramBot
+ * @param {number|string} chatId
+ */
+export function createTelegramStream(telegramBot, chatId) {
+  let messageId = null;
+  let shownText = '';
+  let latestText = '';
+  let timer = null;
+  let lastFlushAt = 0;
+  let closed = false;
+  let queue = Promise.resolve();
+
+  const enqueue = (fn) => {
+    queue = queue.then(fn).catch((e) => {
+      console.log('[Telegram] stream update failed:', getErrorMessageForLog(e).slice(0, 80));
+    });
+    return queue;
+  };
+  const show = async (text) => {
+    const t = text.length > TELEGRAM_MAX_MESSAGE_LENGTH ? text.slice(0, TELEGRAM_MAX_MESSAGE_LENGTH - 1) + '…' : text;
+    if (!t.trim() || t === shownText) return;
+    if (messageId == null) {
+      const sent = await telegramBot.sendMessage(chatId, t);
+      messageId = sent.message_id;
+    } else {
+      await telegramBot.editMessageText(t, { chat_id: chatId, message_id: messageId });
+    }
+    shownText = t;
+  };
+  const flush = () => {
+    timer = null;
+    lastFlushAt = Date.now();
+    const text = latestText;
+    return enqueue(() => show(text));
+  };
+  const stop = async () => {
+    closed = true;
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    await queue;
+  };
+
+  return {
+    /** True once a partial message has been sent to the chat. */
+    get started() {
+      return messageId != null;
+    },
+    update(text) {
+      if (closed) return;
+      latestText = String(text || '');
+      if (timer) return;
+      const wait = Math.max(0, STREAM_EDIT_INTERVAL_MS - (Date.now() - lastFlushAt));
+      timer = setTimeout(flush, wait);
+    },
+    async finish(text) {
+      await stop();
+      const full = String(text ?? '');
+      const chunks = chunkTextForTelegram(full, TELEGRAM_MAX_MESSAGE_LENGTH - MAX_PART_HEADER_LEN);
+      if (messageId == null || chunks.length === 0) return sendLongText(telegramBot, chatId, full);
+      const partText = (i) => (chunks.length > 1 ? `(Part ${i + 1}/${chunks.length})\n\n${chunks[i]}` : chunks[i]);
+      if (partText(0) !== shownText) {
+        await sendWithRetry(() => telegramBot.editMessageText(partText(0), { chat_id: chatId, message_id: messageId }));
+      }
+      let lastId = messageId;
+      for (let i = 1; i < chunks.length; i++) {
+        const sent = await sendWithRetry(() => telegramBot.sendMessage(chatId, partText(i)));
+        lastId = sent.message_id;
+      }
+      return { key: { id: lastId?.toString?.() ?? 'tg-' + Date.now() } };
+    },
+    async discard() {
+      await stop();
+      if (messageId == null) return;
+      const id = messageId;
+      messageId = null;
+      await telegramBot.deleteMessage(chatId, id).catch(() => {});
+    },
+  };
+}
+
 /**
  * Sock-like object for runAgentWithSkills and sendMessage compatibility.
  * sendMessage(chatId, { text }) -> sends text, paginated if over Telegram limit
  * sendMessage(chatId, { voice: buffer }) -> bot.sendVoice(chatId, buffer) for voice replies
  * sendMessage(chatId, { image: buffer, caption }) -> bot.sendPhoto(chatId, buffer, { caption }) for image replies
+ * sendMessage(chatId, { text, buttons: [{ text, data }] }) -> text with one row of inline keyboard buttons
+ * createStream(chatId) -> progressive reply (see createTelegramStream)
  */
 export function createTelegramSock(telegramBot) {
   if (!telegramBot) return null;
@@ -149,9 +241,33 @@ export function createTelegramSock(telegramBot) {
         return { key: { id: sent.message_id?.toString?.() ?? 'tg-' + Date.now() } };
       }
       const text = opts?.text ?? '';
+      if (Array.isArray(opts?.buttons) && opts.buttons.length) {
+        const inline_keyboard = [opts.buttons.map((b) => ({ text: b.text, callback_data: b.data }))];
+        const sent = await sendWithRetry(() => telegramBot.sendMessage(chatId, text, { reply_markup: { inline_keyboard } }));
+        return { key: { id: sent.message_id?.toString?.() ?? 'tg-' + Date.now() } };
+      }
       return sendLongText(telegramBot, chatId, text);
     },
+    createStream: (chatId) => createTelegramStream(telegramBot, chatId),
     sendPresenceUpdate: () => {},
     user: { id: 'telegram' },
   };
 }
+
+/**
+ * Inline button press on a confirmation question (lib/confirm.js). Answers the question, then removes the buttons
+ * so it cannot be answered twice. Other callback data is ignored.
+ * @param {import('node-telegram-bot-api')} telegramBot
+ * @param {import('node-telegram-bot-api').CallbackQuery} query
+ */
+export async function handleConfirmCallback(telegramBot, query) {
+  const chatId = query?.message?.chat?.id;
+  if (chatId == null) return;
+  const { handled, answer } = answerConfirmationCallback(String(chatId), query.data);
+  if (!handled) return;
+  const text = answer === undefined ? 'This question has expired.' : answer ? 'Confirmed.' : 'Cancelled.';
+  await telegramBot.answerCallbackQuery(query.id, { text }).catch(() => {});
+  await telegramBot
+    .editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: query.message.message_id })
+    .catch(() => {});
+}
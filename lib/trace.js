@@ -0,0 +1,249 @@
+/**
+ * Per-turn traces: every runAgentTurn is written as one JSON line to <state>/traces/YYYY-MM-DD.jsonl with the
+ * system prompt hash, model calls (raw content and tool calls, model, timing, failures), tool calls with arguments
+ * and results, the final messages, which branch built the reply and the model that answered.
+ * Config (config.json): traces: { enabled?: true, retentionDays?: 14, maxFieldChars?: 4000 }.
+ * Browse them in the dashboard (Traces page, /api/traces).
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { createHash, randomBytes } from 'crypto';
+import { appendFileSync, existsSync, mkdirSync, readFileSync, readdirSync, unlinkSync } from 'fs';
+import { join } from 'path';
+import { getConfigPath, getStateDir } from './paths.js';
+import { usageDay } from './usage-ledger.js';
+
+const TRACES_DIR = 'traces';
+const DAY_FILE = /^(\d{4}-\d{2}-\d{2})\.jsonl$/;
+const traceContext = new AsyncLocalStorage();
+/** State dir → day last pruned, so old files are removed once a day. */
+const prunedOn = new Map();
+
+function loadTraceConfig() {
+  try {
+    const raw = readFileSync(getConfigPath(), 'utf8');
+    const traces = (raw?.trim() && JSON.parse(raw)?.traces) || {};
+    return {
+      enabled: traces.enabled !== false,
+      retentionDays: Math.max(1, Math.floor(Number(traces.retentionDays)) || 14),
+      maxFieldChars: Math.max(200, Math.floor(Number(traces.maxFieldChars)) || 4000),
+    };
+  } catch {
+    return { enabled: true, retentionDays: 14, maxFieldChars: 4000 };
+  }
+}
+
+export function getTracesDir() {
+  return join(getStateDir(), TRACES_DIR);
+}
+
+function clip(value, max) {
+  if (value == null) return value;
+  const s = typeof value === 'string' ? value : JSON.stringify(value);
+  return s.length > max ? s.slice(0, max) + `… [${s.length - max} more chars]` : s;
+}
+
+/**
+ * Start a trace for one agent turn; null when traces are disabled.
+ * @param {{ jid?: string | null, source?: string, route?: string | null, systemPrompt?: string, userText?: string, historyCount?: number, tools?: Array<object> }} info
+ */
+export function startTrace(info) {
+  const config = loadTraceConfig();
+  if (!config.enabled) return null;
+  const now = Date.now();
+  const systemPrompt = String(info.systemPrompt || '');
+  return {
+    id: now.toString(36) + '-' + randomBytes(3).toString('hex'),
+    ts: new Date(now).toISOString(),
+    day: usageDay(now),
+    jid: info.jid != null ? String(info.jid) : null,
+    source: info.source || 'chat',
+    route: info.route || null,
+    systemPromptHash: createHash('sha256').update(systemPrompt).digest('hex').slice(0, 16),
+    systemPromptChars: systemPrompt.length,
+    userText: clip(info.userText || '', config.maxFieldChars),
+    historyCount: info.historyCount || 0,
+    tools: (info.tools || []).map((t) => t?.function?.name).filter(Boolean),
+    steps: [],
+    startedAt: now,
+    maxFieldChars: config.maxFieldChars,
+  };
+}
+
+/** Run fn with trace as the current trace (model and tool calls inside are recorded on it). */
+export function withTrace(trace, fn) {
+  return trace ? traceContext.run(trace, fn) : fn();
+}
+
+function current() {
+  return traceContext.getStore() || null;
+}
+
+/**
+ * Record one model call on the current trace (no-op outside a traced turn).
+ * @param {{ kind: string, model?: string, baseUrl?: string, startedAt: number, content?: string, toolCalls?: Array<{ name: string, arguments: string }>, error?: string }} call
+ */
+export function traceModelCall({ kind, model, baseUrl, startedAt, content, toolCalls, error }) {
+  const trace = current();
+  if (!trace) return;
+  const max = trace.maxFieldChars;
+  trace.steps.push({
+    type: 'model',
+    kind,
+    at: startedAt - trace.startedAt,
+    ms: Date.now() - startedAt,
+    model: model || null,
+    baseUrl: baseUrl || null,
+    ...(error
+      ? { error: clip(error, 500) }
+      : {
+          content: clip(content ?? '', max),
+          toolCalls: (toolCalls || []).map((tc) => ({ name: tc.name, arguments: clip(tc.arguments, max) })),
+        }),
+  });
+  if (!error) trace.answeredBy = { model: model || null, baseUrl: baseUrl || null };
+}
+
+/**
+ * Record one tool call on the current trace.
+ * @param {{ skill: string, tool?: string, args?: object, startedAt: number, result?: string, error?: boolean }} call
+ */
+export function traceToolCall({ skill, tool, args, startedAt, result, error }) {
+  const trace = current();
+  if (!trace) return;
+  trace.steps.push({
+    type: 'tool',
+    skill,
+    tool: tool || null,
+    at: startedAt - trace.startedAt,
+    ms: Date.now() - startedAt,
+    args: clip(args ?? {}, trace.maxFieldChars),
+    result: clip(result ?? '', trace.maxFieldChars),
+    error: !!error,
+  });
+}
+
+/** Set fields on the current trace (e.g. replyFrom, cutShort, messages). */
+export function annotateTrace(fields) {
+  const trace = current();
+  if (trace) Object.assign(trace, fields);
+}
+
+/** Messages as stored: system prompt replaced by its hash, long contents clipped. */
+export function traceMessages(messages, trace = current()) {
+  if (!trace || !Array.isArray(messages)) return undefined;
+  return messages.map((m) => {
+    if (m.role === 'system') return { role: 'system', hash: createHash('sha256').update(String(m.content || '')).digest('hex').slice(0, 16) };
+    const out = { role: m.role, content: clip(m.content ?? null, trace.maxFieldChars) };
+    if (m.tool_calls) out.tool_calls = m.tool_calls.map((tc) => ({ id: tc.id, name: tc.function?.name, arguments: clip(tc.function?.arguments, trace.maxFieldChars) }));
+    if (m.tool_call_id) out.tool_call_id = m.tool_call_id;
+    return out;
+  });
+}
+
+function pruneOldTraces(dir, today, retentionDays) {
+  if (prunedOn.get(dir) === today) return;
+  prunedOn.set(dir, today);
+  const oldest = usageDay(Date.now() - (retentionDays - 1) * 86_400_000);
+  for (const name of readdirSync(dir)) {
+    const m = name.match(DAY_FILE);
+    if (m && m[1] < oldest) {
+      try {
+        unlinkSync(join(dir, name));
+      } catch (_) {}
+    }
+  }
+}
+
+/**
+ * Finish and write a trace.
+ * @param {object | null} trace - From startTrace.
+ * @param {{ reply?: string, skillsCalled?: string[], error?: unknown }} outcome
+ */
+export function finishTrace(trace, { reply, skillsCalled, error } = {}) {
+  if (!trace) return;
+  const { startedAt, maxFieldChars, ...rest } = trace;
+  const record = {
+    ...rest,
+    totalMs: Date.now() - startedAt,
+    reply: clip(reply ?? null, maxFieldChars),
+    skillsCalled: skillsCalled || [],
+    ...(error ? { error: clip(error.message || String(error), 1000) } : {}),
+  };
+  try {
+    const dir = getTracesDir();
+    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+    appendFileSync(join(dir, `${record.day}.jsonl`), JSON.stringify(record) + '\n', 'utf8');
+    pruneOldTraces(dir, record.day, loadTraceConfig().retentionDays);
+  } catch (err) {
+    console.log('[trace] write failed:', err.message);
+  }
+}
+
+/** Days that have traces, newest first. */
+export function listTraceDays() {
+  const dir = getTracesDir();
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir).map((n) => n.match(DAY_FILE)?.[1]).filter(Boolean).sort().reverse();
+}
+
+function readDay(day) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(day || ''))) return [];
+  const path = join(getTracesDir(), `${day}.jsonl`);
+  if (!existsSync(path)) return [];
+  const out = [];
+  for (const line of readFileSync(path, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      out.push(JSON.parse(line));
+    } catch (_) {}
+  }
+  return out;
+}
+
+function summary(t) {
+  const steps = Array.isArray(t.steps) ? t.steps : [];
+  return {
+    id: t.id,
+    ts: t.ts,
+    day: t.day,
+    jid: t.jid,
+    source: t.source,
+    userText: String(t.userText || '').slice(0, 200),
+    reply: String(t.reply || '').slice(0, 200),
+    replyFrom: t.replyFrom || null,
+    cutShort: t.cutShort || null,
+    skillsCalled: t.skillsCalled || [],
+    answeredBy: t.answeredBy?.model || null,
+    modelCalls: steps.filter((s) => s.type === 'model').length,
+    toolCalls: steps.filter((s) => s.type === 'tool').length,
+    totalMs: t.totalMs,
+    error: t.error || null,
+  };
+}
+
+/**
+ * Trace summaries, newest first.
+ * @param {{ day?: string, jid?: string, q?: string, limit?: number }} [opts] - day: one day (default: all days, newest first);
+ *   jid: exact chat id; q: case-insensitive text anywhere in the trace.
+ */
+export function listTraces({ day, jid, q, limit = 100 } = {}) {
+  const days = day ? [day] : listTraceDays();
+  const needle = q ? String(q).toLowerCase() : null;
+  const out = [];
+  for (const d of days) {
+    const traces = readDay(d).reverse();
+    for (const t of traces) {
+      if (jid && t.jid !== String(jid)) continue;
+      if (needle && !JSON.stringify(t).toLowerCase().includes(needle)) continue;
+      out.push(summary(t));
+      if (out.length >= limit) return out;
+    }
+  }
+  return out;
+}
+
+/** Full trace by day and id, or null. */
+export function getTrace(day, id) {
+  return readDay(day).find((t) => t.id === id) || null;
+}
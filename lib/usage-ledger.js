@@ -0,0 +1,225 @@
+/**
+ * Usage ledger: one SQLite row per LLM/embedding/image call with tokens and estimated cost.
+ * Rows are tagged with the chat (jid), the source (chat, cron, tide, dashboard) and the skills called
+ * so far in the turn, taken from the usage context set around each agent turn (withUsageContext).
+ * Prices come from config.json llm.prices: { "<model or prefix>": { input, output } } per 1M tokens,
+ * plus optional { image } per generated image; llm.currency labels the totals (default USD).
+ * Local models (endpoints on this machine or the local network) cost 0; models with no price entry are stored with
+ * cost NULL.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { createRequire } from 'module';
+import { readFileSync, existsSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { getConfigPath, getUsageDbPath } from './paths.js';
+import { isPrivateHost } from './skill-permissions.js';
+import { getResolvedTimezone } from './timezone.js';
+
+const require = createRequire(import.meta.url);
+const TABLE = 'usage';
+const usageContext = new AsyncLocalStorage();
+
+let dbCache = null;
+let dbUnavailable = false;
+
+function openDb() {
+  if (dbCache && dbCache.path === getUsageDbPath()) return dbCache.db;
+  if (dbUnavailable) return null;
+  try {
+    const Database = require('better-sqlite3');
+    const path = getUsageDbPath();
+    if (!existsSync(dirname(path))) mkdirSync(dirname(path), { recursive: true });
+    const db = new Database(path);
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 3000');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS ${TABLE} (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        ts INTEGER NOT NULL,
+        day TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        model TEXT NOT NULL,
+        base_url TEXT,
+        jid TEXT,
+        source TEXT NOT NULL,
+        skills TEXT,
+        input_tokens INTEGER NOT NULL DEFAULT 0,
+        output_tokens INTEGER NOT NULL DEFAULT 0,
+        images INTEGER NOT NULL DEFAULT 0,
+        cost REAL
+      );
+      CREATE INDEX IF NOT EXISTS idx_usage_day ON ${TABLE}(day);
+      CREATE INDEX IF NOT EXISTS idx_usage_jid_day ON ${TABLE}(jid, day);
+    `);
+    if (dbCache) {
+      try { dbCache.db.close(); } catch (_) {}
+    }
+    dbCache = { path, db };
+    return db;
+  } catch (err) {
+    dbUnavailable = true;
+    console.log('[usage] ledger disabled:', err.message);
+    return null;
+  }
+}
+
+function loadLlmConfig() {
+  try {
+    const raw = readFileSync(getConfigPath(), 'utf8');
+    return (raw?.trim() && JSON.parse(raw)?.llm) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Run fn with a usage context so every LLM call inside it (including skills) is tagged with jid and source.
+ * @param {{ jid?: string | null, source?: string }} info
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ * @template T
+ */
+export function withUsageContext(info, fn) {
+  return usageContext.run({ jid: info?.jid ?? null, source: info?.source || 'chat', skills: [] }, fn);
+}
+
+/** Current usage context ({ jid, source, skills }) or null outside an agent turn. */
+export function getUsageContext() {
+  return usageContext.getStore() || null;
+}
+
+/** Note a skill call for the current turn so later ledger rows list it. */
+export function noteSkillCalled(skillId) {
+  const store = usageContext.getStore();
+  if (store && skillId && !store.skills.includes(skillId)) store.skills.push(skillId);
+}
+
+/** Calendar day (YYYY-MM-DD) in the user's configured timezone. */
+export function usageDay(ts = Date.now()) {
+  try {
+    return new Intl.DateTimeFormat('en-CA', { timeZone: getResolvedTimezone(), year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date(ts));
+  } catch {
+    return new Date(ts).toISOString().slice(0, 10);
+  }
+}
+
+/**
+ * Normalize a usage block from OpenAI-compatible ({ prompt_tokens, completion_tokens }) or
+ * Anthropic ({ input_tokens, output_tokens }) responses.
+ * @returns {{ inputTokens: number, outputTokens: number }}
+ */
+export function normalizeUsage(usage) {
+  if (!usage || typeof usage !== 'object') return { inputTokens: 0, outputTokens: 0 };
+  const inputTokens = Number(usage.prompt_tokens ?? usage.input_tokens ?? 0) || 0;
+  const outputTokens = Number(usage.completion_tokens ?? usage.output_tokens ?? 0) || 0;
+  return { inputTokens, outputTokens };
+}
+
+/**
+ * True for endpoints on this machine or the local network (LM Studio, Ollama, e.g. http://192.168.1.20:11434);
+ * they are free and never budget-limited. Cloud providers always use their public preset URLs.
+ */
+export function isLocalBaseUrl(baseUrl) {
+  let url;
+  try {
+    url = new URL(String(baseUrl || ''));
+  } catch {
+    return false;
+  }
+  return (url.protocol === 'http:' || url.protocol === 'https:') && isPrivateHost(url.hostname);
+}
+
+/** Price entry for a model: exact key first, then the longest configured prefix (e.g. "gpt-4o" for "gpt-4o-2024-08-06"). */
+function findPrice(prices, model) {
+  if (!prices || typeof prices !== 'object' || !model) return null;
+  if (prices[model]) return prices[model];
+  const key = Object.keys(prices)
+    .filter((k) => model.startsWith(k))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? prices[key] : null;
+}
+
+/**
+ * Estimated cost of one call, or null when the model has no price entry.
+ * @param {{ model: string, baseUrl?: string, inputTokens?: number, outputTokens?: number, images?: number }} entry
+ * @returns {number | null}
+ */
+export function estimateCost({ model, baseUrl, inputTokens = 0, outputTokens = 0, images = 0 }) {
+  if (isLocalBaseUrl(baseUrl)) return 0;
+  const price = findPrice(loadLlmConfig().prices, model);
+  if (!price) return null;
+  const n = (v) => Number(v) || 0;
+  return (inputTokens * n(price.input) + outputTokens * n(price.output)) / 1_000_000 + images * n(price.image);
+}
+
+/**
+ * Append one call to the ledger. Never throws; a broken ledger must not break replies.
+ * @param {{ kind: 'chat'|'intent'|'vision'|'image'|'embedding', model: string, baseUrl?: string, usage?: object, images?: number }} entry
+ */
+export function recordUsage({ kind, model, baseUrl, usage, images = 0 }) {
+  try {
+    const { inputTokens, outputTokens } = normalizeUsage(usage);
+    if (!inputTokens && !outputTokens && !images) return;
+    const db = openDb();
+    if (!db) return;
+    const ctx = getUsageContext();
+    const ts = Date.now();
+    const cost = estimateCost({ model, baseUrl, inputTokens, outputTokens, images });
+    db.prepare(
+      `INSERT INTO ${TABLE} (ts, day, kind, model, base_url, jid, source, skills, input_tokens, output_tokens, images, cost)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    ).run(
+      ts,
+      usageDay(ts),
+      kind,
+      String(model || 'unknown'),
+      baseUrl || null,
+      ctx?.jid != null ? String(ctx.jid) : null,
+      ctx?.source || 'system',
+      ctx?.skills?.length ? ctx.skills.join(',') : null,
+      inputTokens,
+      outputTokens,
+      images,
+      cost
+    );
+  } catch (err) {
+    console.log('[usage] record failed:', err.message);
+  }
+}
+
+/**
+ * Cloud spend since a day (inclusive), optionally for one chat. Local calls are stored with cost 0 and
+ * are left out, so token caps only count paid providers (unpriced cloud models have cost NULL).
+ * @param {{ fromDay: string, jid?: string | null }} opts
+ * @returns {{ tokens: number, cost: number }}
+ */
+export function sumUsage({ fromDay, jid = null }) {
+  const db = openDb();
+  if (!db) return { tokens: 0, cost: 0 };
+  const row = db.prepare(
+    `SELECT SUM(input_tokens + output_tokens) AS tokens, SUM(cost) AS cost FROM ${TABLE}
+     WHERE day >= ? AND (cost IS NULL OR cost > 0)${jid != null ? ' AND jid = ?' : ''}`
+  ).get(...(jid != null ? [fromDay, String(jid)] : [fromDay]));
+  return { tokens: Number(row?.tokens) || 0, cost: Number(row?.cost) || 0 };
+}
+
+/**
+ * Daily totals per model and per chat since a given day (inclusive).
+ * @param {{ days?: number }} [opts] - Number of days back including today (default 30).
+ * @returns {{ currency: string, since: string, byModel: object[], byChat: object[] }}
+ */
+export function getUsageSummary({ days = 30 } = {}) {
+  const currency = loadLlmConfig().currency || 'USD';
+  const since = usageDay(Date.now() - (Math.max(1, days) - 1) * 86_400_000);
+  const db = openDb();
+  if (!db) return { currency, since, byModel: [], byChat: [] };
+  const totals = `COUNT(*) AS calls, SUM(input_tokens) AS inputTokens, SUM(output_tokens) AS outputTokens, SUM(images) AS images, SUM(cost) AS cost`;
+  const byModel = db.prepare(
+    `SELECT day, model, ${totals} FROM ${TABLE} WHERE day >= ? GROUP BY day, model ORDER BY day DESC, cost DESC`
+  ).all(since);
+  const byChat = db.prepare(
+    `SELECT day, jid, source, ${totals} FROM ${TABLE} WHERE day >= ? GROUP BY day, jid, source ORDER BY day DESC, cost DESC`
+  ).all(since);
+  return { currency, since, byModel, byChat };
+}
@@ -35,6 +35,8 @@ export function getErrorMessageForLog(err) {
 export function toUserMessage(err) {
   const msg = (err && (err.message || err)) && String(err.message || err).trim();
   if (!msg) return "Something went wrong. Please try again.";
+  if (err?.name === 'AbortError') return "Stopped.";
+  if (/LLM budget reached/i.test(msg)) return "The AI spending limit has been reached, so cloud models are paused until it resets.";
   if (/401|409|authentication|api key|unauthorized|x-api-key|required/i.test(msg)) return "I couldn't sign in. Check your API key in setup.";
   if (/timeout/i.test(msg)) return "That took too long. Please try again.";
   if (/No LLM configured|No vision-capable/i.test(msg)) return "AI isn't set up. Run setup to add a model and key.";
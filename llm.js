@@ -1,12 +1,22 @@
 /**
  * Configurable LLM client. All config values are read from .env (keys in config.json
  * are env var names). Supports preset providers and multiple models with priority.
+ * Tests can use a scripted "mock" provider (lib/mock-llm.js) or record/replay cassettes (lib/cassette.js).
  */
 
 import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { getConfigPath, getUploadsDir } from './lib/paths.js';
+import { selectHealthyModels, claimProbe, recordModelSuccess, recordModelFailure, isRequestError } from './lib/model-health.js';
+import { recordUsage } from './lib/usage-ledger.js';
+import { traceModelCall } from './lib/trace.js';
+import { applyBudget, assertBudgetAvailable, getBudgetStatus, isLocalModel } from './lib/budget.js';
+import { abortError, isAbortError, throwIfAborted } from './lib/abort.js';
+import { ollamaHost, readNdjson, pullOllamaModel, logPullProgress } from './lib/ollama.js';
+import { validateJson } from './lib/json-schema.js';
+import { MOCK_BASE_URL, mockChatCompletion } from './lib/mock-llm.js';
+import { withCassette } from './lib/cassette.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -18,7 +28,7 @@ function fromEnv(val) {
   return val;
 }
 
-/** Preset base URLs for standard providers (OpenAI-compatible except Anthropic). */
+/** Preset base URLs for standard providers (OpenAI-compatible except Anthropic and Gemini; mock answers from a script). */
 const PRESETS = {
   openai: 'https://api.openai.com/v1',
   grok: 'https://api.x.ai/v1',
@@ -26,8 +36,10 @@ const PRESETS = {
   together: 'https://api.together.xyz/v1',
   deepseek: 'https://api.deepseek.com/v1',
   anthropic: 'https://api.anthropic.com',
+  gemini: 'https://generativelanguage.googleapis.com/v1beta',
   ollama: 'http://127.0.0.1:11434/v1',
   lmstudio: 'http://127.0.0.1:1234/v1',
+  mock: MOCK_BASE_URL,
 };
 
 /** Only local providers can have baseUrl in config.json; others use preset only. */
@@ -47,12 +59,78 @@ const DEFAULT_CLOUD_MODELS = {
   grok: 'grok-4-1-fast-reasoning',
   xai: 'grok-4-1-fast-reasoning',
   anthropic: 'claude-sonnet-4-5-20250929',
+  gemini: 'gemini-2.5-flash',
   together: 'meta-llama/Llama-3.3-70B-Instruct-Turbo',
   deepseek: 'deepseek-chat',
 };
 
+/**
+ * Default request timeouts. connectTimeoutMs runs until the server starts answering (response headers; for a
+ * streamed reply that is the first chunk), timeoutMs covers the whole request including the body.
+ * Override per model (llm.models[].connectTimeoutMs / timeoutMs) or for all models (llm.connectTimeoutMs / llm.timeoutMs).
+ */
+const DEFAULT_CONNECT_TIMEOUT_MS = 60_000;
+const DEFAULT_TIMEOUT_MS = 180_000;
+
+/**
+ * Context window (tokens) assumed when a model has no contextWindow in config and llm.contextWindow is unset.
+ * Local models are often loaded with a small context, so they get a conservative default.
+ */
+const DEFAULT_LOCAL_CONTEXT_WINDOW = 8192;
+const DEFAULT_CLOUD_CONTEXT_WINDOW = 128_000;
+
+function defaultContextWindow(baseUrl) {
+  return isLocalModel({ baseUrl }) ? DEFAULT_LOCAL_CONTEXT_WINDOW : DEFAULT_CLOUD_CONTEXT_WINDOW;
+}
+
+/** Positive number from a config value (env var names allowed), else fallback. */
+function positiveNumber(val, fallback) {
+  const n = Number(fromEnv(val));
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+/** Timeouts for one model entry, falling back to the llm-level defaults. */
+function parseTimeouts(entry, defaults) {
+  return {
+    connectTimeoutMs: positiveNumber(entry?.connectTimeoutMs, defaults.connectTimeoutMs),
+    timeoutMs: positiveNumber(entry?.timeoutMs, defaults.timeoutMs),
+  };
+}
+
+/**
+ * Native Ollama settings for a provider "ollama" entry: { api: 'ollama', keepAlive, options }. options are sent
+ * as-is (num_ctx, temperature, num_gpu, ...); num_ctx defaults to the entry's contextWindow so the two agree.
+ * An entry with api: "openai" keeps using the OpenAI-compatible /v1 endpoint and gets no extra settings.
+ */
+function parseOllamaSettings(entry, provider) {
+  if (provider !== 'ollama' || String(entry.api || '').toLowerCase() === 'openai') return {};
+  const options = entry.options && typeof entry.options === 'object' && !Array.isArray(entry.options) ? { ...entry.options } : {};
+  const contextWindow = positiveNumber(entry.contextWindow, null);
+  if (options.num_ctx == null && contextWindow) options.num_ctx = contextWindow;
+  const keepAlive = entry.keepAlive != null ? fromEnv(entry.keepAlive) : undefined;
+  return { api: 'ollama', options, ...(keepAlive != null && keepAlive !== '' ? { keepAlive } : {}) };
+}
+
+/** Gemini thinking budget in tokens for a provider "gemini" entry (0 turns thinking off on Flash models, -1 is dynamic). */
+function parseGeminiSettings(entry, provider) {
+  if (provider !== 'gemini' || entry.thinkingBudget == null) return {};
+  const n = Number(fromEnv(entry.thinkingBudget));
+  return Number.isFinite(n) ? { thinkingBudget: n } : {};
+}
+
+/** Script settings for a provider "mock" entry: { api: 'mock', script, rules } (see lib/mock-llm.js). */
+function parseMockSettings(entry, provider) {
+  if (provider !== 'mock') return {};
+  return { api: 'mock', script: entry.script != null ? fromEnv(entry.script) : null, rules: Array.isArray(entry.rules) ? entry.rules : null };
+}
+
+/** Context window for an entry: explicit contextWindow, else Ollama's num_ctx, else the llm-level or built-in default. */
+function entryContextWindow(entry, ollama, defaults, baseUrl) {
+  return positiveNumber(entry.contextWindow, positiveNumber(ollama.options?.num_ctx, defaults.contextWindow || defaultContextWindow(baseUrl)));
+}
+
 /** Parse optional vision fallback model (used when agent models are text-only). Set in setup; no mid-run prompts. */
-function parseVisionFallback(config) {
+function parseVisionFallback(config, defaults) {
   const entry = config.skills?.vision?.fallback || config.llm?.vision;
   if (!entry || typeof entry !== 'object') return null;
   const provider = entry.provider && String(entry.provider).toLowerCase();
@@ -62,9 +140,84 @@ function parseVisionFallback(config) {
     : (entry.provider && PRESETS[provider]);
   const apiKey = fromEnv(entry.apiKey) ?? fromEnv('LLM_API_KEY');
   const modelRaw = entry.model != null ? fromEnv(entry.model) : undefined;
-  const model = modelRaw || (isLocal ? 'local' : fromEnv(cloudModelEnv(provider))) || fromEnv('LLM_MODEL') || (provider && DEFAULT_CLOUD_MODELS[provider]);
+  let model = modelRaw || (isLocal ? 'local' : fromEnv(cloudModelEnv(provider))) || fromEnv('LLM_MODEL') || (provider && DEFAULT_CLOUD_MODELS[provider]);
+  if (!isLocal && model === cloudModelEnv(provider)) model = DEFAULT_CLOUD_MODELS[provider] || model;
   const maxTokens = Number(fromEnv(entry.maxTokens)) || 1024;
-  return { baseUrl: baseUrl || PRESETS.lmstudio, apiKey: apiKey ?? 'not-needed', model: model || 'local', maxTokens };
+  const resolvedBaseUrl = baseUrl || PRESETS.lmstudio;
+  const ollama = parseOllamaSettings(entry, provider);
+  return {
+    baseUrl: resolvedBaseUrl,
+    apiKey: apiKey ?? 'not-needed',
+    model: model || 'local',
+    maxTokens,
+    contextWindow: entryContextWindow(entry, ollama, defaults, resolvedBaseUrl),
+    ...parseTimeouts(entry, defaults),
+    ...ollama,
+    ...parseGeminiSettings(entry, provider),
+  };
+}
+
+/**
+ * Resolve one llm.models entry (or inline route entry) to { baseUrl, apiKey, model, maxTokens, contextWindow,
+ * connectTimeoutMs, timeoutMs }, plus { api: 'ollama', keepAlive, options } for native Ollama entries and
+ * { thinkingBudget } for Gemini entries that set it and { api: 'mock', script, rules } for mock entries.
+ */
+function parseModelEntry(entry, i, defaults) {
+  const provider = entry.provider && String(entry.provider).toLowerCase();
+  const isLocal = provider && LOCAL_PROVIDERS.has(provider);
+  const baseUrl = isLocal
+    ? (fromEnv(entry.baseUrl) || entry.baseUrl || (provider && PRESETS[provider]))
+    : (entry.provider && PRESETS[provider]);
+  const apiKey = fromEnv(entry.apiKey) ?? (i === 0 ? fromEnv('LLM_API_KEY') : undefined);
+  const modelRaw = entry.model != null ? fromEnv(entry.model) : undefined;
+  let model = modelRaw || (isLocal ? 'local' : fromEnv(cloudModelEnv(provider))) || (i === 0 ? fromEnv('LLM_MODEL') : undefined);
+  if (!isLocal && (!model || model === cloudModelEnv(provider))) {
+    model = DEFAULT_CLOUD_MODELS[provider] || model;
+  }
+  if (provider === 'mock' && !modelRaw) model = 'mock';
+  const maxTokens = Number(fromEnv(entry.maxTokens)) || defaults.maxTokens;
+  const resolvedBaseUrl = baseUrl || PRESETS.lmstudio;
+  const ollama = parseOllamaSettings(entry, provider);
+  return {
+    baseUrl: resolvedBaseUrl,
+    apiKey: apiKey ?? 'not-needed',
+    model: model || 'local',
+    maxTokens,
+    contextWindow: entryContextWindow(entry, ollama, defaults, resolvedBaseUrl),
+    ...parseTimeouts(entry, defaults),
+    ...ollama,
+    ...parseGeminiSettings(entry, provider),
+    ...parseMockSettings(entry, provider),
+  };
+}
+
+/**
+ * Resolve llm.routes: { "<task>": ref | ref[] } where a ref is an llm.models entry's id, model name or provider,
+ * or an inline model entry object. The list order is the route's own fallback chain.
+ * @returns {Record<string, Array<{ baseUrl: string, apiKey: string, model: string, maxTokens: number }>>}
+ */
+function parseRoutes(routesConfig, entries, parsed, defaults) {
+  const routes = {};
+  if (!routesConfig || typeof routesConfig !== 'object') return routes;
+  const findRef = (ref) => {
+    const r = String(ref).trim().toLowerCase();
+    const byField = (field) => entries.findIndex((e, i) => String(field(e, i) ?? '').toLowerCase() === r);
+    let idx = byField((e) => e.id);
+    if (idx < 0) idx = byField((_e, i) => parsed[i].model);
+    if (idx < 0) idx = byField((e) => e.provider);
+    return idx >= 0 ? parsed[idx] : null;
+  };
+  for (const [name, value] of Object.entries(routesConfig)) {
+    const refs = Array.isArray(value) ? value : [value];
+    const list = [];
+    for (const ref of refs) {
+      const opts = ref && typeof ref === 'object' ? parseModelEntry(ref, -1, defaults) : (ref != null ? findRef(ref) : null);
+      if (opts) list.push(opts);
+      else console.log('[LLM] route', name + ': unknown model', JSON.stringify(ref));
+    }
+    if (list.length > 0) routes[name] = list;
+  }
+  return routes;
 }
 
 function loadConfig() {
@@ -85,30 +238,20 @@ function loadConfig() {
   }
   const llm = config.llm || {};
   const defaultMaxTokens = Number(fromEnv(llm.maxTokens)) || 100;
+  const timeoutDefaults = {
+    connectTimeoutMs: positiveNumber(llm.connectTimeoutMs, DEFAULT_CONNECT_TIMEOUT_MS),
+    timeoutMs: positiveNumber(llm.timeoutMs, DEFAULT_TIMEOUT_MS),
+  };
+  const contextWindow = positiveNumber(llm.contextWindow, null);
+  const defaults = { maxTokens: defaultMaxTokens, contextWindow, ...timeoutDefaults };
 
   if (Array.isArray(llm.models) && llm.models.length > 0) {
-    let models = llm.models.map((entry, i) => {
-      const provider = entry.provider && String(entry.provider).toLowerCase();
-      const isLocal = provider && LOCAL_PROVIDERS.has(provider);
-      const baseUrl = isLocal
-        ? (fromEnv(entry.baseUrl) || entry.baseUrl || (provider && PRESETS[provider]))
-        : (entry.provider && PRESETS[provider]);
-      const apiKey = fromEnv(entry.apiKey) ?? (i === 0 ? fromEnv('LLM_API_KEY') : undefined);
-      const modelRaw = entry.model != null ? fromEnv(entry.model) : undefined;
-      let model = modelRaw || (isLocal ? 'local' : fromEnv(cloudModelEnv(provider))) || (i === 0 ? fromEnv('LLM_MODEL') : undefined);
-      if (!isLocal && (!model || model === cloudModelEnv(provider))) {
-        model = DEFAULT_CLOUD_MODELS[provider] || model;
-      }
-      const maxTokens = Number(fromEnv(entry.maxTokens)) || defaultMaxTokens;
+    const parsed = llm.models.map((entry, i) => parseModelEntry(entry, i, defaults));
+    let models = parsed.map((m, i) => {
+      const entry = llm.models[i];
       const priority = entry.priority === true || entry.priority === 1 ||
         String(entry.priority).toLowerCase() === 'true' || entry.priority === '1';
-      return {
-        baseUrl: baseUrl || PRESETS.lmstudio,
-        apiKey: apiKey ?? 'not-needed',
-        model: model || 'local',
-        maxTokens,
-        priority,
-      };
+      return { ...m, priority };
     });
     // When any model has priority, try it first regardless of position in config.
     const priorityIndex = models.findIndex((m) => m.priority);
@@ -117,15 +260,16 @@ function loadConfig() {
       models = [priorityModel, ...models];
     }
     models = models.map(({ priority: _p, ...m }) => m);
-    const visionFallback = parseVisionFallback(config);
-    return { models, maxTokens: defaultMaxTokens, visionFallback };
+    const visionFallback = parseVisionFallback(config, defaults);
+    const routes = parseRoutes(llm.routes, llm.models, parsed, defaults);
+    return { models, maxTokens: defaultMaxTokens, visionFallback, routes };
   }
 
   const baseUrl = fromEnv('LLM_BASE_URL') || fromEnv(llm.baseUrl);
   const apiKey = fromEnv('LLM_API_KEY') ?? fromEnv(llm.apiKey);
   const model = fromEnv('LLM_MODEL') || fromEnv(llm.model);
   const maxTokens = Number(fromEnv(llm.maxTokens)) || 2048;
-  const visionFallback = parseVisionFallback(config);
+  const visionFallback = parseVisionFallback(config, { maxTokens, contextWindow, ...timeoutDefaults });
   return {
     models: [
       {
@@ -133,56 +277,786 @@ function loadConfig() {
         apiKey: apiKey ?? 'not-needed',
         model: model || 'local',
         maxTokens,
+        contextWindow: contextWindow || defaultContextWindow(baseUrl || PRESETS.lmstudio),
+        ...timeoutDefaults,
       },
     ],
     maxTokens,
     visionFallback,
+    routes: {},
   };
 }
 
-/** Call Anthropic Messages API and return a Response-like with OpenAI-shaped JSON. */
-async function callAnthropic(messages, { apiKey, model, maxTokens }, tools) {
-  if (!apiKey || apiKey === 'not-needed' || String(apiKey).trim() === '') {
-    return { ok: false, status: 401, text: () => Promise.resolve(JSON.stringify({ error: { message: 'Anthropic API key not set (set LLM_3_API_KEY in ~/.cowcode/.env)' } })) };
+/**
+ * Models to try for a task. route is a name from llm.routes (e.g. "toolCalls", "tide", "judge") or a list of
+ * names; the first one configured wins. Without a matching route, the default priority-ordered models are used.
+ * @param {string | string[] | undefined} route
+ */
+function getRouteModels(route) {
+  const { models, routes } = loadConfig();
+  for (const name of (Array.isArray(route) ? route : [route]).filter(Boolean)) {
+    if (routes[name]?.length) return routes[name];
   }
-  const url = 'https://api.anthropic.com/v1/messages';
+  return models;
+}
+
+/**
+ * Context limits for a task: the smallest contextWindow and the largest maxTokens across the route's models,
+ * so a prompt sized for these fits whichever model in the chain ends up answering.
+ * @param {string | string[] | undefined} route - Same as chat({ route }).
+ * @returns {{ contextWindow: number, maxTokens: number }}
+ */
+export function getContextWindow(route) {
+  const models = getRouteModels(route);
+  return {
+    contextWindow: Math.min(...models.map((m) => m.contextWindow || DEFAULT_LOCAL_CONTEXT_WINDOW)),
+    maxTokens: Math.max(...models.map((m) => m.maxTokens || 0)),
+  };
+}
+
+/** Convert OpenAI-format content (string or parts array) to Anthropic content blocks. */
+function toAnthropicContent(content) {
+  if (content == null) return [];
+  if (typeof content === 'string') return content ? [{ type: 'text', text: content }] : [];
+  if (!Array.isArray(content)) return [{ type: 'text', text: String(content) }];
+  const blocks = [];
+  for (const part of content) {
+    if (!part || typeof part !== 'object') continue;
+    if (part.type === 'text' && part.text) {
+      blocks.push({ type: 'text', text: String(part.text) });
+    } else if (part.type === 'image_url') {
+      const url = String(part.image_url?.url || part.image_url || '');
+      const match = url.match(/^data:(image\/[^;]+);base64,(.+)$/);
+      if (match) blocks.push({ type: 'image', source: { type: 'base64', media_type: match[1], data: match[2] } });
+      else if (url) blocks.push({ type: 'image', source: { type: 'url', url } });
+    } else if (part.type === 'image' || part.type === 'tool_use' || part.type === 'tool_result') {
+      blocks.push(part);
+    }
+  }
+  return blocks;
+}
+
+/** Parse tool call arguments (JSON string from the agent) into an object for Anthropic tool_use.input. */
+function parseToolArguments(args) {
+  if (args && typeof args === 'object') return args;
+  try {
+    const parsed = JSON.parse(args || '{}');
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Translate OpenAI-shaped messages (as built by lib/agent.js) to Anthropic Messages API shape.
+ * - system messages are joined into the top-level system string
+ * - assistant.tool_calls become tool_use blocks; role "tool" messages become tool_result blocks on a user turn
+ * - consecutive messages with the same role are merged (Anthropic requires alternating roles)
+ * When flattenTools is true (request has no tools), tool calls and results are rendered as plain text,
+ * because Anthropic rejects tool_use/tool_result blocks unless tools are defined.
+ * @param {Array<object>} messages
+ * @param {{ flattenTools?: boolean }} [opts]
+ * @returns {{ system: string, messages: Array<{ role: 'user'|'assistant', content: Array<object> }> }}
+ */
+function toAnthropicMessages(messages, { flattenTools = false } = {}) {
   let system = '';
-  const anthropicMessages = [];
-  for (const m of messages) {
-    const role = (m.role || '').toLowerCase();
-    const content = typeof m.content === 'string' ? m.content : (m.content && m.content[0]?.text) || '';
+  const out = [];
+  const toolNameById = Object.create(null);
+  const push = (role, blocks) => {
+    if (!blocks.length) return;
+    const last = out[out.length - 1];
+    if (last && last.role === role) last.content.push(...blocks);
+    else out.push({ role, content: blocks });
+  };
+  for (const m of messages || []) {
+    const role = (m?.role || '').toLowerCase();
     if (role === 'system') {
-      system = (system ? system + '\n\n' : '') + content;
+      const text = typeof m.content === 'string' ? m.content : toAnthropicContent(m.content).filter((b) => b.type === 'text').map((b) => b.text).join('\n');
+      if (text) system = (system ? system + '\n\n' : '') + text;
+      continue;
+    }
+    if (role === 'user') {
+      push('user', toAnthropicContent(m.content));
       continue;
     }
-    if (role === 'user' || role === 'assistant') {
-      anthropicMessages.push({ role, content });
+    if (role === 'assistant') {
+      const blocks = toAnthropicContent(m.content);
+      for (const tc of Array.isArray(m.tool_calls) ? m.tool_calls : []) {
+        const name = tc.function?.name || tc.name || '';
+        const args = tc.function?.arguments ?? tc.arguments;
+        if (tc.id) toolNameById[tc.id] = name;
+        if (flattenTools) {
+          blocks.push({ type: 'text', text: `[Called tool ${name} with ${typeof args === 'string' ? args : JSON.stringify(args || {})}]` });
+        } else {
+          blocks.push({ type: 'tool_use', id: tc.id, name, input: parseToolArguments(args) });
+        }
+      }
+      push('assistant', blocks);
+      continue;
+    }
+    if (role === 'tool') {
+      const text = typeof m.content === 'string' ? m.content : JSON.stringify(m.content ?? '');
+      if (flattenTools) {
+        const name = toolNameById[m.tool_call_id] || 'tool';
+        push('user', [{ type: 'text', text: `[Result of ${name}]\n${text}` }]);
+      } else {
+        push('user', [{ type: 'tool_result', tool_use_id: m.tool_call_id, content: text }]);
+      }
+    }
+  }
+  return { system, messages: out };
+}
+
+/** Convert OpenAI-format tools to Anthropic tools ({ name, description, input_schema }). */
+function toAnthropicTools(tools) {
+  if (!Array.isArray(tools)) return [];
+  return tools
+    .filter((t) => t?.function?.name)
+    .map((t) => ({
+      name: t.function.name,
+      description: t.function.description || '',
+      input_schema: t.function.parameters && typeof t.function.parameters === 'object'
+        ? t.function.parameters
+        : { type: 'object', properties: {} },
+    }));
+}
+
+/** Map an Anthropic Messages API response to the OpenAI chat/completions shape used by chat and chatWithTools. */
+function fromAnthropicResponse(data) {
+  const blocks = Array.isArray(data?.content) ? data.content : [];
+  const text = blocks.filter((c) => c.type === 'text').map((c) => c.text).join('');
+  const toolCalls = blocks
+    .filter((c) => c.type === 'tool_use')
+    .map((c) => ({
+      id: c.id,
+      type: 'function',
+      function: { name: c.name, arguments: JSON.stringify(c.input ?? {}) },
+    }));
+  return { choices: [{ message: { content: text, tool_calls: toolCalls } }], usage: data?.usage };
+}
+
+/** Wrap OpenAI-shaped JSON in a Response-like so callers treat streamed and buffered replies alike. */
+function toResponseLike(status, data) {
+  return {
+    ok: true,
+    status,
+    json: () => Promise.resolve(data),
+    text: () => Promise.resolve(JSON.stringify(data)),
+  };
+}
+
+/**
+ * Read a Server-Sent Events body and yield one { event, data } per event.
+ * Events are separated by a blank line; multiple data: lines are joined with "\n".
+ * @param {Response} res - fetch Response with a streaming body
+ */
+async function* readSseEvents(res) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  const parse = (raw) => {
+    let event = 'message';
+    const data = [];
+    for (const line of raw.split(/\r?\n/)) {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+    }
+    return data.length ? { event, data: data.join('\n') } : null;
+  };
+  for await (const chunk of res.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let match;
+    while ((match = buffer.match(/\r?\n\r?\n/))) {
+      const ev = parse(buffer.slice(0, match.index));
+      buffer = buffer.slice(match.index + match[0].length);
+      if (ev) yield ev;
+    }
+  }
+  buffer += decoder.decode();
+  const ev = buffer.trim() ? parse(buffer) : null;
+  if (ev) yield ev;
+}
+
+/**
+ * Consume an OpenAI-compatible chat/completions stream. Text deltas are accumulated and reported to onDelta;
+ * tool_call fragments are merged by index. Returns the same shape as a non-streamed response.
+ * @param {Response} res
+ * @param {(text: string) => void} onDelta - Called with the full text so far after each text delta.
+ */
+async function readOpenAIStream(res, onDelta) {
+  let content = '';
+  let usage;
+  const calls = [];
+  for await (const { data } of readSseEvents(res)) {
+    if (data.trim() === '[DONE]') break;
+    let chunk;
+    try {
+      chunk = JSON.parse(data);
+    } catch {
+      continue;
+    }
+    if (chunk.error) throw new Error(`LLM stream error: ${chunk.error.message || JSON.stringify(chunk.error)}`);
+    if (chunk.usage) usage = chunk.usage;
+    const delta = chunk.choices?.[0]?.delta;
+    if (!delta) continue;
+    if (typeof delta.content === 'string' && delta.content) {
+      content += delta.content;
+      onDelta(content);
+    }
+    for (const tc of Array.isArray(delta.tool_calls) ? delta.tool_calls : []) {
+      const i = typeof tc.index === 'number' ? tc.index : calls.length;
+      const call = calls[i] || (calls[i] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+      if (tc.id) call.id = tc.id;
+      if (tc.function?.name) call.function.name += tc.function.name;
+      if (tc.function?.arguments) call.function.arguments += tc.function.arguments;
     }
   }
+  return { choices: [{ message: { content, tool_calls: calls.filter(Boolean) } }], usage };
+}
+
+/**
+ * Consume an Anthropic Messages stream (content_block_start / content_block_delta events).
+ * Text is reported to onDelta as it arrives; tool_use input JSON is collected and returned as OpenAI tool_calls.
+ * @param {Response} res
+ * @param {(text: string) => void} onDelta
+ */
+async function readAnthropicStream(res, onDelta) {
+  let content = '';
+  const usage = { input_tokens: 0, output_tokens: 0 };
+  const blocks = [];
+  for await (const { data } of readSseEvents(res)) {
+    let ev;
+    try {
+      ev = JSON.parse(data);
+    } catch {
+      continue;
+    }
+    if (ev.type === 'error') throw new Error(`LLM stream error: ${ev.error?.message || JSON.stringify(ev.error)}`);
+    if (ev.type === 'message_stop') break;
+    if (ev.type === 'message_start') {
+      usage.input_tokens = ev.message?.usage?.input_tokens || 0;
+      usage.output_tokens = ev.message?.usage?.output_tokens || 0;
+    } else if (ev.type === 'message_delta' && ev.usage?.output_tokens != null) {
+      usage.output_tokens = ev.usage.output_tokens;
+    } else if (ev.type === 'content_block_start') {
+      const b = ev.content_block || {};
+      blocks[ev.index] = b.type === 'tool_use' ? { type: 'tool_use', id: b.id, name: b.name, json: '' } : { type: b.type };
+    } else if (ev.type === 'content_block_delta') {
+      const d = ev.delta || {};
+      if (d.type === 'text_delta' && d.text) {
+        content += d.text;
+        onDelta(content);
+      } else if (d.type === 'input_json_delta' && blocks[ev.index]?.type === 'tool_use') {
+        blocks[ev.index].json += d.partial_json || '';
+      }
+    }
+  }
+  const toolCalls = blocks
+    .filter((b) => b?.type === 'tool_use')
+    .map((b) => ({ id: b.id, type: 'function', function: { name: b.name, arguments: b.json || '{}' } }));
+  return { choices: [{ message: { content, tool_calls: toolCalls } }], usage };
+}
+
+/** True when the server actually answered with an event stream (some local servers ignore stream: true). */
+function isEventStream(res) {
+  return /text\/event-stream/i.test(res.headers?.get?.('content-type') || '') && !!res.body;
+}
+
+/** Error for an expired request timeout; it counts against the model so the chain moves on to the next one. */
+function timeoutError(kind, ms) {
+  const err = new Error(`LLM ${kind} timeout after ${ms}ms`);
+  err.code = 'ETIMEDOUT';
+  return err;
+}
+
+/**
+ * fetch with the model's connect and total timeouts and the caller's AbortSignal. readBody consumes the
+ * response while the total timeout still applies, so a server that stalls mid-stream is cut off too.
+ * A timeout throws an ETIMEDOUT error; a caller abort throws an AbortError.
+ * @param {string} url
+ * @param {RequestInit} init
+ * @param {{ connectTimeoutMs?: number, timeoutMs?: number }} timeouts
+ * @param {AbortSignal | undefined} signal
+ * @param {(res: Response) => Promise<T>} readBody
+ * @returns {Promise<T>}
+ * @template T
+ */
+async function fetchWithTimeouts(url, init, { connectTimeoutMs, timeoutMs }, signal, readBody) {
+  throwIfAborted(signal);
+  const controller = new AbortController();
+  let expired = null;
+  const expire = (kind, ms) => () => {
+    expired = timeoutError(kind, ms);
+    controller.abort(expired);
+  };
+  const onAbort = () => controller.abort(signal.reason);
+  signal?.addEventListener('abort', onAbort, { once: true });
+  const connectTimer = connectTimeoutMs > 0 ? setTimeout(expire('connect', connectTimeoutMs), connectTimeoutMs) : null;
+  const totalTimer = timeoutMs > 0 ? setTimeout(expire('total', timeoutMs), timeoutMs) : null;
+  try {
+    const res = await fetch(url, { ...init, signal: controller.signal });
+    clearTimeout(connectTimer);
+    return await readBody(res);
+  } catch (err) {
+    if (expired) throw expired;
+    if (signal?.aborted) throw abortError(signal);
+    throw err;
+  } finally {
+    clearTimeout(connectTimer);
+    clearTimeout(totalTimer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Read a whole LLM response into a Response-like (inside the timeout window). Error bodies are kept as text;
+ * event streams go through readStream (with onDelta); plain JSON is passed through mapJson.
+ */
+async function readResponse(res, { readStream = null, onDelta, mapJson = (data) => data } = {}) {
+  if (!res.ok) {
+    const text = await res.text();
+    return { ok: false, status: res.status, text: () => Promise.resolve(text) };
+  }
+  if (readStream && isEventStream(res)) return toResponseLike(res.status, await readStream(res, onDelta));
+  return toResponseLike(res.status, mapJson(await res.json()));
+}
+
+/**
+ * Call Anthropic Messages API and return a Response-like with OpenAI-shaped JSON. Supports native tool use.
+ * When onDelta is set the request is streamed and onDelta receives the reply text as it grows.
+ */
+async function callAnthropic(messages, { apiKey, model, maxTokens, connectTimeoutMs, timeoutMs }, tools, { onDelta, signal, json } = {}) {
+  if (!apiKey || apiKey === 'not-needed' || String(apiKey).trim() === '') {
+    return { ok: false, status: 401, text: () => Promise.resolve(JSON.stringify({ error: { message: 'Anthropic API key not set (set LLM_3_API_KEY in ~/.cowcode/.env)' } })) };
+  }
+  const url = 'https://api.anthropic.com/v1/messages';
+  const stream = typeof onDelta === 'function';
+  // Structured output: force a single tool whose input schema is the requested JSON schema.
+  const anthropicTools = json ? toAnthropicTools([{ function: { name: json.name, description: 'Return the result.', parameters: json.schema } }]) : toAnthropicTools(tools);
+  const { system, messages: anthropicMessages } = toAnthropicMessages(messages, { flattenTools: anthropicTools.length === 0 || !!json });
   const body = {
     model,
     max_tokens: maxTokens,
     ...(system ? { system } : {}),
     messages: anthropicMessages,
+    ...(anthropicTools.length > 0 ? { tools: anthropicTools } : {}),
+    ...(json ? { tool_choice: { type: 'tool', name: json.name } } : {}),
+    ...(stream ? { stream: true } : {}),
   };
   const headers = {
     'Content-Type': 'application/json',
     'x-api-key': apiKey || '',
     'anthropic-version': '2023-06-01',
   };
-  const res = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body) });
-  if (!res.ok) {
-    return res;
+  return fetchWithTimeouts(url, { method: 'POST', headers, body: JSON.stringify(body) }, { connectTimeoutMs, timeoutMs }, signal, (res) =>
+    readResponse(res, { readStream: stream ? readAnthropicStream : null, onDelta, mapJson: fromAnthropicResponse })
+  );
+}
+
+/** Base URL of the Gemini API (generateContent, streamGenerateContent, batchEmbedContents). */
+function isGeminiUrl(baseUrl) {
+  return (baseUrl || '').includes('generativelanguage.googleapis.com');
+}
+
+/** Schema keys Gemini function declarations accept (an OpenAPI subset); anything else is rejected, so it is dropped. */
+const GEMINI_SCHEMA_KEYS = new Set([
+  'type', 'format', 'title', 'description', 'nullable', 'enum', 'default', 'items', 'properties', 'required',
+  'anyOf', 'minimum', 'maximum', 'minItems', 'maxItems', 'minLength', 'maxLength', 'pattern', 'propertyOrdering',
+]);
+
+/** Convert a JSON Schema to the subset Gemini accepts (type: ["string", "null"] becomes type + nullable). */
+function toGeminiSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toGeminiSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+  const out = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (!GEMINI_SCHEMA_KEYS.has(key)) continue;
+    if (key === 'properties' && value && typeof value === 'object') {
+      out.properties = Object.fromEntries(Object.entries(value).map(([name, s]) => [name, toGeminiSchema(s)]));
+    } else if (key === 'items' || key === 'anyOf') {
+      out[key] = toGeminiSchema(value);
+    } else {
+      out[key] = value;
+    }
   }
-  const data = await res.json();
-  const text = data.content?.find((c) => c.type === 'text')?.text ?? '';
-  const openaiShape = { choices: [{ message: { content: text, tool_calls: [] } }] };
+  if (Array.isArray(out.type)) {
+    const types = out.type.filter((t) => t !== 'null');
+    if (types.length < out.type.length) out.nullable = true;
+    out.type = types[0] || 'string';
+  }
+  return out;
+}
+
+/** Convert OpenAI-format tools to one Gemini tool with functionDeclarations (objects without properties get no parameters). */
+function toGeminiTools(tools) {
+  if (!Array.isArray(tools)) return [];
+  const declarations = tools
+    .filter((t) => t?.function?.name)
+    .map((t) => {
+      const params = t.function.parameters;
+      const hasParams = params && typeof params === 'object' && Object.keys(params.properties || {}).length > 0;
+      return {
+        name: t.function.name,
+        description: t.function.description || '',
+        ...(hasParams ? { parameters: toGeminiSchema(params) } : {}),
+      };
+    });
+  return declarations.length > 0 ? [{ functionDeclarations: declarations }] : [];
+}
+
+/**
+ * Thought signatures Gemini attached to function calls, by tool call id. Gemini 3 models reject a history whose
+ * function calls lost their signature, and the agent only keeps { id, name, arguments }, so they are kept here.
+ */
+const geminiThoughtSignatures = new Map();
+const MAX_THOUGHT_SIGNATURES = 500;
+
+function rememberThoughtSignature(id, signature) {
+  if (!id || !signature) return;
+  geminiThoughtSignatures.set(id, signature);
+  if (geminiThoughtSignatures.size > MAX_THOUGHT_SIGNATURES) geminiThoughtSignatures.delete(geminiThoughtSignatures.keys().next().value);
+}
+
+/** Convert OpenAI-format content (string or parts array) to Gemini parts; images must already be data URIs. */
+function toGeminiParts(content) {
+  if (content == null) return [];
+  if (typeof content === 'string') return content ? [{ text: content }] : [];
+  if (!Array.isArray(content)) return [{ text: String(content) }];
+  const parts = [];
+  for (const part of content) {
+    if (part?.type === 'text' && part.text) parts.push({ text: String(part.text) });
+    else if (part?.type === 'image_url') {
+      const match = String(part.image_url?.url || part.image_url || '').match(/^data:(image\/[^;]+);base64,(.+)$/);
+      if (match) parts.push({ inlineData: { mimeType: match[1], data: match[2] } });
+    }
+  }
+  return parts;
+}
+
+/**
+ * Translate OpenAI-shaped messages to Gemini contents, the same way as toAnthropicMessages: system messages
+ * become systemInstruction, assistant turns use role "model" with functionCall parts, tool results become
+ * functionResponse parts on a user turn, and consecutive turns with the same role are merged. With flattenTools
+ * (request has no tools) calls and results are rendered as text.
+ * @returns {{ system: string, contents: Array<{ role: 'user'|'model', parts: Array<object> }> }}
+ */
+function toGeminiContents(messages, { flattenTools = false } = {}) {
+  let system = '';
+  const contents = [];
+  const toolNameById = Object.create(null);
+  const push = (role, parts) => {
+    if (!parts.length) return;
+    const last = contents[contents.length - 1];
+    if (last && last.role === role) last.parts.push(...parts);
+    else contents.push({ role, parts });
+  };
+  for (const m of messages || []) {
+    const role = (m?.role || '').toLowerCase();
+    if (role === 'system') {
+      const text = toGeminiParts(m.content).filter((p) => p.text).map((p) => p.text).join('\n');
+      if (text) system = (system ? system + '\n\n' : '') + text;
+    } else if (role === 'user') {
+      push('user', toGeminiParts(m.content));
+    } else if (role === 'assistant') {
+      const parts = toGeminiParts(m.content);
+      for (const tc of Array.isArray(m.tool_calls) ? m.tool_calls : []) {
+        const name = tc.function?.name || tc.name || '';
+        const args = tc.function?.arguments ?? tc.arguments;
+        if (tc.id) toolNameById[tc.id] = name;
+        if (flattenTools) {
+          parts.push({ text: `[Called tool ${name} with ${typeof args === 'string' ? args : JSON.stringify(args || {})}]` });
+        } else {
+          const signature = geminiThoughtSignatures.get(tc.id);
+          parts.push({ functionCall: { name, args: parseToolArguments(args) }, ...(signature ? { thoughtSignature: signature } : {}) });
+        }
+      }
+      push('model', parts);
+    } else if (role === 'tool') {
+      const text = typeof m.content === 'string' ? m.content : JSON.stringify(m.content ?? '');
+      const name = toolNameById[m.tool_call_id] || 'tool';
+      if (flattenTools) push('user', [{ text: `[Result of ${name}]\n${text}` }]);
+      else push('user', [{ functionResponse: { name, response: { content: text } } }]);
+    }
+  }
+  return { system, contents };
+}
+
+/** Gemini parts as OpenAI text + tool_calls (thought parts are skipped; signatures are remembered by call id). */
+function fromGeminiParts(parts, offset = 0) {
+  let text = '';
+  const toolCalls = [];
+  for (const part of Array.isArray(parts) ? parts : []) {
+    if (typeof part.text === 'string' && !part.thought) text += part.text;
+    if (part.functionCall) {
+      const id = part.functionCall.id || `call_${Date.now().toString(36)}_${offset + toolCalls.length}`;
+      rememberThoughtSignature(id, part.thoughtSignature);
+      toolCalls.push({ id, type: 'function', function: { name: part.functionCall.name || '', arguments: JSON.stringify(part.functionCall.args ?? {}) } });
+    }
+  }
+  return { text, toolCalls };
+}
+
+/** Token counts from Gemini usageMetadata in OpenAI usage shape (thinking tokens are billed as output). */
+function geminiUsage(meta) {
+  if (!meta) return undefined;
   return {
-    ok: true,
-    status: res.status,
-    json: () => Promise.resolve(openaiShape),
-    text: () => Promise.resolve(JSON.stringify(openaiShape)),
+    prompt_tokens: Number(meta.promptTokenCount) || 0,
+    completion_tokens: (Number(meta.candidatesTokenCount) || 0) + (Number(meta.thoughtsTokenCount) || 0),
+  };
+}
+
+/** Map a generateContent response to the OpenAI chat/completions shape; a blocked prompt throws. */
+function fromGeminiResponse(data) {
+  const candidate = data?.candidates?.[0];
+  if (!candidate) throw new Error(`Gemini returned no candidates${data?.promptFeedback?.blockReason ? ` (blocked: ${data.promptFeedback.blockReason})` : ''}`);
+  const { text, toolCalls } = fromGeminiParts(candidate.content?.parts);
+  return { choices: [{ message: { content: text, tool_calls: toolCalls } }], usage: geminiUsage(data.usageMetadata) };
+}
+
+/**
+ * Consume a streamGenerateContent (alt=sse) stream: each event is a partial response whose text parts are
+ * appended and reported to onDelta; function calls arrive whole. Returns the same shape as fromGeminiResponse.
+ */
+async function readGeminiStream(res, onDelta) {
+  let content = '';
+  let usage;
+  const calls = [];
+  for await (const { data } of readSseEvents(res)) {
+    let chunk;
+    try {
+      chunk = JSON.parse(data);
+    } catch {
+      continue;
+    }
+    if (chunk.error) throw new Error(`LLM stream error: ${chunk.error.message || JSON.stringify(chunk.error)}`);
+    if (chunk.usageMetadata) usage = geminiUsage(chunk.usageMetadata);
+    const { text, toolCalls } = fromGeminiParts(chunk.candidates?.[0]?.content?.parts, calls.length);
+    calls.push(...toolCalls);
+    if (text) {
+      content += text;
+      onDelta(content);
+    }
+  }
+  return { choices: [{ message: { content, tool_calls: calls } }], usage };
+}
+
+/** Replace http(s) image URLs in user messages with data URIs; Gemini only takes inline image bytes. */
+async function inlineImageUrls(messages, signal) {
+  const out = [];
+  for (const m of messages || []) {
+    if (!Array.isArray(m?.content) || !m.content.some((p) => p?.type === 'image_url' && /^https?:/i.test(String(p.image_url?.url || p.image_url || '')))) {
+      out.push(m);
+      continue;
+    }
+    const content = [];
+    for (const part of m.content) {
+      const url = part?.type === 'image_url' ? String(part.image_url?.url || part.image_url || '') : '';
+      if (!/^https?:/i.test(url)) {
+        content.push(part);
+        continue;
+      }
+      const res = await fetch(url, { signal: signal ? AbortSignal.any([signal, AbortSignal.timeout(30_000)]) : AbortSignal.timeout(30_000) });
+      if (!res.ok) throw new Error(`Could not fetch image ${url.slice(0, 80)}: ${res.status}`);
+      const mimeType = (res.headers.get('content-type') || 'image/jpeg').split(';')[0].trim();
+      const data = Buffer.from(await res.arrayBuffer()).toString('base64');
+      content.push({ type: 'image_url', image_url: { url: `data:${mimeType};base64,${data}` } });
+    }
+    out.push({ ...m, content });
+  }
+  return out;
+}
+
+/**
+ * Call Gemini generateContent (streamGenerateContent with onDelta) and return a Response-like with
+ * OpenAI-shaped JSON. Supports function calling and inline images; thinkingBudget from the model entry is
+ * passed as generationConfig.thinkingConfig, and json ({ name, schema }) sets a JSON response schema.
+ */
+async function callGemini(messages, { baseUrl, apiKey, model, maxTokens, thinkingBudget, connectTimeoutMs, timeoutMs }, tools, { onDelta, signal, json } = {}) {
+  if (!apiKey || apiKey === 'not-needed' || String(apiKey).trim() === '') {
+    return { ok: false, status: 401, text: () => Promise.resolve(JSON.stringify({ error: { message: 'Gemini API key not set (set LLM_4_API_KEY in ~/.cowcode/.env)' } })) };
+  }
+  const stream = typeof onDelta === 'function';
+  const geminiTools = toGeminiTools(tools);
+  const { system, contents } = toGeminiContents(await inlineImageUrls(messages, signal), { flattenTools: geminiTools.length === 0 });
+  const body = {
+    contents,
+    ...(system ? { systemInstruction: { parts: [{ text: system }] } } : {}),
+    ...(geminiTools.length > 0 ? { tools: geminiTools } : {}),
+    generationConfig: {
+      maxOutputTokens: maxTokens,
+      ...(thinkingBudget != null ? { thinkingConfig: { thinkingBudget } } : {}),
+      ...(json ? { responseMimeType: 'application/json', responseSchema: toGeminiSchema(json.schema) } : {}),
+    },
+  };
+  const name = String(model || '').replace(/^models\//, '');
+  const url = `${(baseUrl || PRESETS.gemini).replace(/\/$/, '')}/models/${encodeURIComponent(name)}:${stream ? 'streamGenerateContent?alt=sse' : 'generateContent'}`;
+  const headers = { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey };
+  return fetchWithTimeouts(url, { method: 'POST', headers, body: JSON.stringify(body) }, { connectTimeoutMs, timeoutMs }, signal, (res) =>
+    readResponse(res, { readStream: stream ? readGeminiStream : null, onDelta, mapJson: fromGeminiResponse })
+  );
+}
+
+/**
+ * Translate OpenAI-shaped messages to Ollama /api/chat messages: content parts become a text string plus
+ * base64 images (only data URIs; Ollama cannot fetch image URLs), tool call arguments become objects and
+ * tool results carry the tool's name.
+ * @param {Array<object>} messages
+ * @returns {Array<{ role: string, content: string, images?: string[], tool_calls?: Array<object>, tool_name?: string }>}
+ */
+function toOllamaMessages(messages) {
+  const toolNameById = Object.create(null);
+  return (messages || []).map((m) => {
+    const out = { role: m.role, content: '' };
+    if (Array.isArray(m.content)) {
+      const texts = [];
+      const images = [];
+      for (const part of m.content) {
+        if (part?.type === 'text' && part.text) texts.push(String(part.text));
+        else if (part?.type === 'image_url') {
+          const match = String(part.image_url?.url || part.image_url || '').match(/^data:image\/[^;]+;base64,(.+)$/);
+          if (match) images.push(match[1]);
+        }
+      }
+      out.content = texts.join('\n');
+      if (images.length) out.images = images;
+    } else {
+      out.content = m.content == null ? '' : String(m.content);
+    }
+    if (Array.isArray(m.tool_calls) && m.tool_calls.length) {
+      out.tool_calls = m.tool_calls.map((tc) => {
+        const name = tc.function?.name || tc.name || '';
+        if (tc.id) toolNameById[tc.id] = name;
+        return { function: { name, arguments: parseToolArguments(tc.function?.arguments ?? tc.arguments) } };
+      });
+    }
+    if (m.role === 'tool' && toolNameById[m.tool_call_id]) out.tool_name = toolNameById[m.tool_call_id];
+    return out;
+  });
+}
+
+/** Ollama tool calls ({ function: { name, arguments: object } }) as OpenAI tool_calls with generated ids. */
+function fromOllamaToolCalls(calls, offset = 0) {
+  return (Array.isArray(calls) ? calls : []).map((tc, i) => ({
+    id: tc.id || `call_${Date.now().toString(36)}_${offset + i}`,
+    type: 'function',
+    function: {
+      name: tc.function?.name || '',
+      arguments: typeof tc.function?.arguments === 'string' ? tc.function.arguments : JSON.stringify(tc.function?.arguments ?? {}),
+    },
+  }));
+}
+
+/** Token counts from an Ollama reply in OpenAI usage shape. */
+function ollamaUsage(data) {
+  return { prompt_tokens: Number(data?.prompt_eval_count) || 0, completion_tokens: Number(data?.eval_count) || 0 };
+}
+
+/** Map a non-streamed Ollama /api/chat reply to the OpenAI chat/completions shape. */
+function fromOllamaResponse(data) {
+  const msg = data?.message || {};
+  return { choices: [{ message: { content: msg.content || '', tool_calls: fromOllamaToolCalls(msg.tool_calls) } }], usage: ollamaUsage(data) };
+}
+
+/**
+ * Consume an Ollama /api/chat stream (one JSON object per line). Text is reported to onDelta as it arrives;
+ * tool calls (sent whole, not in fragments) are collected; the final done line carries the token counts.
+ * @param {Response} res
+ * @param {(text: string) => void} onDelta
+ */
+async function readOllamaStream(res, onDelta) {
+  let content = '';
+  let usage;
+  const calls = [];
+  for await (const chunk of readNdjson(res)) {
+    if (chunk.error) throw new Error(`LLM stream error: ${chunk.error}`);
+    const msg = chunk.message || {};
+    if (typeof msg.content === 'string' && msg.content) {
+      content += msg.content;
+      onDelta(content);
+    }
+    calls.push(...fromOllamaToolCalls(msg.tool_calls, calls.length));
+    if (chunk.done) {
+      usage = ollamaUsage(chunk);
+      break;
+    }
+  }
+  return { choices: [{ message: { content, tool_calls: calls } }], usage };
+}
+
+/** "<host> <model>" pairs with a pull started by this process (each missing model is pulled once). */
+const ollamaPulls = new Set();
+
+/**
+ * Start pulling a model Ollama reported as missing, in the background. The current call still fails and the
+ * chain moves on to the next model; once the pull is done the model answers again.
+ */
+function pullMissingOllamaModel({ baseUrl, model }) {
+  const key = `${ollamaHost(baseUrl)} ${model}`;
+  if (ollamaPulls.has(key) || !model || model === 'local') return;
+  ollamaPulls.add(key);
+  console.log('[ollama]', model, 'is not installed; pulling it in the background');
+  pullOllamaModel(baseUrl, model, { onProgress: logPullProgress(model) })
+    .then(() => console.log('[ollama] pulled', model))
+    .catch((err) => {
+      ollamaPulls.delete(key);
+      console.log('[ollama] pull failed for', model + ':', err.message);
+    });
+}
+
+/**
+ * Call Ollama's native /api/chat and return a Response-like with OpenAI-shaped JSON. Sends the entry's
+ * keep_alive and options (num_ctx etc.); maxTokens goes in as num_predict unless options sets it. With json
+ * ({ name, schema }) the schema is sent as format.
+ * A "model not found" reply starts a background pull of that model.
+ */
+async function callOllama(messages, { baseUrl, model, maxTokens, keepAlive, options, connectTimeoutMs, timeoutMs }, tools, { onDelta, signal, json } = {}) {
+  const stream = typeof onDelta === 'function';
+  const body = {
+    model,
+    messages: toOllamaMessages(messages),
+    stream,
+    ...(tools && tools.length > 0 ? { tools } : {}),
+    // Ollama turns a JSON schema in format into a grammar, so the reply always parses.
+    ...(json ? { format: json.schema } : {}),
+    options: { ...(maxTokens ? { num_predict: maxTokens } : {}), ...options },
+    ...(keepAlive != null ? { keep_alive: keepAlive } : {}),
   };
+  const res = await fetchWithTimeouts(`${ollamaHost(baseUrl)}/api/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  }, { connectTimeoutMs, timeoutMs }, signal, async (r) => {
+    // Ollama streams NDJSON (application/x-ndjson), not SSE, so the stream is read here rather than via readResponse.
+    if (r.ok && stream && r.body) return toResponseLike(r.status, await readOllamaStream(r, onDelta));
+    return readResponse(r, { mapJson: fromOllamaResponse });
+  });
+  if (res.status === 404) {
+    const text = await res.text();
+    if (/not found/i.test(text)) pullMissingOllamaModel({ baseUrl, model });
+  }
+  return res;
+}
+
+/** Providers whose OpenAI-compatible API only has JSON mode (response_format json_object), not json_schema. */
+const JSON_OBJECT_ONLY_HOSTS = ['api.deepseek.com'];
+
+/**
+ * True when OpenAI strict mode accepts the schema: every object lists all its properties as required and sets
+ * additionalProperties: false. Other schemas are sent non-strict (still guided, and validated afterwards).
+ */
+function isStrictSchema(schema) {
+  if (!schema || typeof schema !== 'object') return true;
+  if (Array.isArray(schema.anyOf) && !schema.anyOf.every(isStrictSchema)) return false;
+  if (schema.items && !isStrictSchema(schema.items)) return false;
+  if (schema.type !== 'object' && !schema.properties) return true;
+  const props = Object.keys(schema.properties || {});
+  const required = new Set(Array.isArray(schema.required) ? schema.required : []);
+  return schema.additionalProperties === false && props.every((p) => required.has(p)) && props.every((p) => isStrictSchema(schema.properties[p]));
+}
+
+/** response_format for an OpenAI-compatible request: json_schema where supported, else plain JSON mode. */
+function toResponseFormat(baseUrl, { name, schema }) {
+  if (JSON_OBJECT_ONLY_HOSTS.some((h) => (baseUrl || '').includes(h))) return { type: 'json_object' };
+  return { type: 'json_schema', json_schema: { name, schema, strict: isStrictSchema(schema) } };
 }
 
 /** OpenAI newer models (e.g. GPT-5.x) require max_completion_tokens instead of max_tokens. */
@@ -190,49 +1064,104 @@ function openaiUsesMaxCompletionTokens(model) {
   return typeof model === 'string' && /^gpt-5/.test(model);
 }
 
-function callOne(messages, { baseUrl, apiKey, model, maxTokens }, tools = null) {
+/**
+ * Send one chat/completions request to a single model and return a Response-like with the body already read.
+ * With onDelta the request is streamed (SSE) and onDelta gets the accumulated text after each chunk;
+ * the returned JSON has the same shape either way. The model's connectTimeoutMs / timeoutMs apply, and
+ * signal cancels the request. Native Ollama entries (api: 'ollama'), Anthropic and Gemini get their own adapters;
+ * mock entries (api: 'mock') answer from their script without a request.
+ * json ({ name, schema }) asks for structured output in whatever form the provider supports (see chatJson).
+ */
+async function callOne(messages, opts, tools = null, { onDelta, signal, json } = {}) {
+  const { baseUrl, apiKey, model, maxTokens, connectTimeoutMs, timeoutMs } = opts;
+  if (opts.api === 'mock') return callMock(messages, opts, { onDelta, signal, json });
+  if (opts.api === 'ollama') return callOllama(messages, opts, tools, { onDelta, signal, json });
+  if (isGeminiUrl(baseUrl)) return callGemini(messages, opts, tools, { onDelta, signal, json });
   const isAnthropic = (baseUrl || '').includes('anthropic.com');
   if (isAnthropic) {
-    return callAnthropic(messages, { apiKey, model, maxTokens }, tools);
+    return callAnthropic(messages, { apiKey, model, maxTokens, connectTimeoutMs, timeoutMs }, tools, { onDelta, signal, json });
   }
+  const stream = typeof onDelta === 'function';
   const url = (baseUrl || '').replace(/\/$/, '') + '/chat/completions';
   const isOpenAINew = (baseUrl || '').includes('openai.com') && openaiUsesMaxCompletionTokens(model);
   const body = {
     model,
     messages,
     ...(isOpenAINew ? { max_completion_tokens: maxTokens } : { max_tokens: maxTokens }),
-    stream: false,
+    stream,
+    ...(stream ? { stream_options: { include_usage: true } } : {}),
     ...(tools && tools.length > 0 ? { tools } : {}),
+    ...(json ? { response_format: toResponseFormat(baseUrl, json) } : {}),
   };
   const headers = {
     'Content-Type': 'application/json',
     ...(apiKey && apiKey !== 'not-needed' && { Authorization: `Bearer ${apiKey}` }),
   };
-  return fetch(url, { method: 'POST', headers, body: JSON.stringify(body) });
+  return fetchWithTimeouts(url, { method: 'POST', headers, body: JSON.stringify(body) }, { connectTimeoutMs, timeoutMs }, signal, (res) =>
+    readResponse(res, { readStream: stream ? readOpenAIStream : null, onDelta })
+  );
+}
+
+/** Answer from a mock entry's script (lib/mock-llm.js); onDelta gets the whole reply at once. */
+async function callMock(messages, opts, { onDelta, signal, json } = {}) {
+  throwIfAborted(signal);
+  const data = mockChatCompletion(messages, opts, { json });
+  const content = data.choices[0].message.content;
+  if (typeof onDelta === 'function' && content) onDelta(content);
+  return toResponseLike(200, data);
+}
+
+/** Error for a non-2xx LLM response; status lets the health tracker tell bad requests from a bad model. */
+async function requestFailedError(res) {
+  const text = await res.text();
+  const err = new Error(`LLM request failed ${res.status}: ${text}`);
+  err.status = res.status;
+  return err;
+}
+
+/** Update model health after a call attempt (request-shaped errors do not count against the model). */
+function recordAttempt(opts, startedAt, err) {
+  if (!err) recordModelSuccess(opts, Date.now() - startedAt);
+  else if (!isRequestError(err)) recordModelFailure(opts, err);
 }
 
 /**
  * @param {Array<{ role: 'system'|'user'|'assistant', content: string }>} messages
+ * @param {{ onDelta?: (text: string) => void, route?: string | string[], signal?: AbortSignal }} [opts] - onDelta streams the reply; called with the text so far.
+ *   route picks the llm.routes entry to use (default models when unset). signal cancels the call (throws AbortError;
+ *   no further models are tried). A model that hits its timeout counts as failed and the next one is tried.
  * @returns {Promise<string>}
  */
-export async function chat(messages) {
-  const { models } = loadConfig();
+export async function chat(messages, { onDelta, route, signal } = {}) {
+  return withCassette('chat', { messages, route }, () => chatModels(messages, { onDelta, route, signal }), {
+    onReplay: (content) => onDelta?.(content),
+  });
+}
+
+/** chat() without the cassette: try the route's models in order. */
+async function chatModels(messages, { onDelta, route, signal }) {
+  const models = getRouteModels(route);
   let lastError;
-  for (const opts of models) {
+  for (const opts of selectHealthyModels(applyBudget(models))) {
+    if (!claimProbe(opts)) continue;
     const label = opts.model || opts.baseUrl?.replace(/^https?:\/\//, '').slice(0, 20) || 'unknown';
+    const startedAt = Date.now();
     try {
-      const res = await callOne(messages, opts);
-      if (!res.ok) {
-        const text = await res.text();
-        throw new Error(`LLM request failed ${res.status}: ${text}`);
-      }
+      const res = await callOne(messages, opts, null, { onDelta, signal });
+      if (!res.ok) throw await requestFailedError(res);
       const data = await res.json();
       const content = data.choices?.[0]?.message?.content;
       if (content == null) throw new Error('No content in LLM response');
+      recordAttempt(opts, startedAt);
+      recordUsage({ kind: 'chat', model: opts.model, baseUrl: opts.baseUrl, usage: data.usage });
+      traceModelCall({ kind: 'chat', model: opts.model, baseUrl: opts.baseUrl, startedAt, content });
       console.log('[LLM] used:', label);
       return content.trim();
     } catch (err) {
+      if (isAbortError(err)) throw err;
       console.log('[LLM] try failed:', label, err.message);
+      traceModelCall({ kind: 'chat', model: opts.model, baseUrl: opts.baseUrl, startedAt, error: err.message });
+      recordAttempt(opts, startedAt, err);
       lastError = err;
     }
   }
@@ -245,19 +1174,28 @@ export async function chat(messages) {
  *
  * @param {Array<{ role: string, content?: string, tool_calls?: Array<{ id: string, type: string, function: { name: string, arguments: string } }> }>} messages
  * @param {Array<{ type: 'function', function: { name: string, description: string, parameters: object } }>} tools - OpenAI tools array
+ * @param {{ onDelta?: (text: string) => void, route?: string | string[], signal?: AbortSignal }} [opts] - onDelta streams the reply text as it arrives (tool calls are still returned at the end);
+ *   route picks the llm.routes entry to use (default models when unset); signal cancels the call as in chat().
  * @returns {Promise<{ content: string, toolCalls: Array<{ id: string, name: string, arguments: string }> }>}
  */
-export async function chatWithTools(messages, tools) {
-  const { models } = loadConfig();
+export async function chatWithTools(messages, tools, { onDelta, route, signal } = {}) {
+  const toolNames = (tools || []).map((t) => t.function?.name);
+  return withCassette('chatWithTools', { messages, tools: toolNames, route }, () => chatWithToolsModels(messages, tools, { onDelta, route, signal }), {
+    onReplay: ({ content }) => content && onDelta?.(content),
+  });
+}
+
+/** chatWithTools() without the cassette: try the route's models in order. */
+async function chatWithToolsModels(messages, tools, { onDelta, route, signal }) {
+  const models = getRouteModels(route);
   let lastError;
-  for (const opts of models) {
+  for (const opts of selectHealthyModels(applyBudget(models))) {
+    if (!claimProbe(opts)) continue;
     const label = opts.model || opts.baseUrl?.replace(/^https?:\/\//, '').slice(0, 20) || 'unknown';
+    const startedAt = Date.now();
     try {
-      const res = await callOne(messages, opts, tools);
-      if (!res.ok) {
-        const text = await res.text();
-        throw new Error(`LLM request failed ${res.status}: ${text}`);
-      }
+      const res = await callOne(messages, opts, tools, { onDelta, signal });
+      if (!res.ok) throw await requestFailedError(res);
       const data = await res.json();
       const msg = data.choices?.[0]?.message;
       if (!msg) throw new Error('No message in LLM response');
@@ -268,10 +1206,16 @@ export async function chatWithTools(messages, tools) {
         name: tc.function?.name || '',
         arguments: typeof tc.function?.arguments === 'string' ? tc.function.arguments : JSON.stringify(tc.function?.arguments || {}),
       }));
+      recordAttempt(opts, startedAt);
+      recordUsage({ kind: 'chat', model: opts.model, baseUrl: opts.baseUrl, usage: data.usage });
+      traceModelCall({ kind: 'chatWithTools', model: opts.model, baseUrl: opts.baseUrl, startedAt, content, toolCalls });
       console.log('[LLM] used:', label, toolCalls.length ? '(with tools)' : '');
       return { content, toolCalls };
     } catch (err) {
+      if (isAbortError(err)) throw err;
       console.log('[LLM] try failed:', label, err.message);
+      traceModelCall({ kind: 'chatWithTools', model: opts.model, baseUrl: opts.baseUrl, startedAt, error: err.message });
+      recordAttempt(opts, startedAt, err);
       lastError = err;
     }
   }
@@ -279,18 +1223,114 @@ export async function chatWithTools(messages, tools) {
 }
 
 /**
- * Classify user intent for routing. Identify first, then we decide reply behaviour.
- * Uses one short LLM call.
- * @param {string} userMessage
- * @returns {Promise<'CHAT'|'SCHEDULE_LIST'|'SCHEDULE_CREATE'>}
+ * Pull a JSON value out of a model reply: drops <think> blocks and code fences, then parses from the first
+ * brace to the last. Returns undefined when nothing parses.
  */
+function parseJsonReply(raw) {
+  if (raw != null && typeof raw === 'object') return raw;
+  let s = String(raw ?? '').replace(/<think>[\s\S]*?<\/think>/gi, '').replace(/<\/?think>/gi, '').trim();
+  const fenced = s.match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (fenced) s = fenced[1].trim();
+  const start = s.indexOf('{');
+  const end = s.lastIndexOf('}');
+  if (start >= 0 && end > start) s = s.slice(start, end + 1);
+  try {
+    return JSON.parse(s);
+  } catch {
+    return undefined;
+  }
+}
+
+/** Error for a reply that is not JSON or does not match the schema; the model answered, so its health is not affected. */
+function invalidOutputError(message) {
+  const err = new Error(message);
+  err.invalidOutput = true;
+  return err;
+}
+
+/**
+ * Structured output: get a JSON object matching schema. Each provider is asked in its own way: OpenAI-compatible
+ * APIs get response_format json_schema (json_object on providers without schema support), Anthropic is forced to
+ * call a tool whose input schema is the schema, Gemini gets responseSchema and Ollama gets the schema as format
+ * (a grammar). The reply is validated against the schema; a reply that does not parse or match moves on to the
+ * next model in the route.
+ * @param {Array<{ role: string, content: string }>} messages
+ * @param {object} schema - JSON Schema of the expected object.
+ * @param {{ name?: string, route?: string | string[], signal?: AbortSignal, maxTokens?: number, timeoutMs?: number, kind?: string }} [opts]
+ *   name labels the schema for the provider (default "result"); maxTokens / timeoutMs override the model's
+ *   (timeoutMs only when shorter); kind is the usage ledger kind (default "chat").
+ * @returns {Promise<object>}
+ */
+export async function chatJson(messages, schema, { name = 'result', route, signal, maxTokens, timeoutMs, kind = 'chat' } = {}) {
+  return withCassette('chatJson', { messages, name, route }, () => chatJsonModels(messages, schema, { name, route, signal, maxTokens, timeoutMs, kind }));
+}
+
+/** chatJson() without the cassette: try the route's models in order until one returns a valid object. */
+async function chatJsonModels(messages, schema, { name, route, signal, maxTokens, timeoutMs, kind }) {
+  const json = { name, schema };
+  const instruction = `Reply with only a JSON object that matches this JSON Schema:\n${JSON.stringify(schema)}`;
+  const withInstruction = messages[0]?.role === 'system'
+    ? [{ ...messages[0], content: `${messages[0].content}\n\n${instruction}` }, ...messages.slice(1)]
+    : [{ role: 'system', content: instruction }, ...messages];
+  let lastError;
+  for (const opts of selectHealthyModels(applyBudget(getRouteModels(route)))) {
+    if (!claimProbe(opts)) continue;
+    const label = opts.model || opts.baseUrl?.replace(/^https?:\/\//, '').slice(0, 20) || 'unknown';
+    const startedAt = Date.now();
+    const callOpts = {
+      ...opts,
+      ...(maxTokens ? { maxTokens } : {}),
+      ...(timeoutMs ? { timeoutMs: Math.min(opts.timeoutMs || timeoutMs, timeoutMs) } : {}),
+    };
+    try {
+      const res = await callOne(withInstruction, callOpts, null, { signal, json });
+      if (!res.ok) throw await requestFailedError(res);
+      const data = await res.json();
+      recordAttempt(opts, startedAt);
+      recordUsage({ kind, model: opts.model, baseUrl: opts.baseUrl, usage: data.usage });
+      const msg = data.choices?.[0]?.message;
+      const value = parseJsonReply(msg?.tool_calls?.[0]?.function?.arguments ?? msg?.content);
+      if (value === undefined) throw invalidOutputError('reply is not valid JSON');
+      const errors = validateJson(value, schema);
+      if (errors.length > 0) throw invalidOutputError(`reply does not match the schema: ${errors.slice(0, 3).join('; ')}`);
+      traceModelCall({ kind: 'json', model: opts.model, baseUrl: opts.baseUrl, startedAt, content: JSON.stringify(value) });
+      console.log('[LLM] used:', label, '(json)');
+      return value;
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      console.log('[LLM] json try failed:', label, err.message);
+      traceModelCall({ kind: 'json', model: opts.model, baseUrl: opts.baseUrl, startedAt, error: err.message });
+      if (!err.invalidOutput) recordAttempt(opts, startedAt, err);
+      lastError = err;
+    }
+  }
+  throw lastError || new Error('No LLM configured');
+}
+
+/** Total timeout for one intent call; a model's own timeoutMs applies when it is shorter. */
 const INTENT_TIMEOUT_MS = 15_000;
 
-export async function classifyIntent(userMessage) {
+const INTENTS = ['CHAT', 'SCHEDULE_LIST', 'SCHEDULE_CREATE', 'SEARCH'];
+
+const INTENT_SCHEMA = {
+  type: 'object',
+  properties: { intent: { type: 'string', enum: INTENTS } },
+  required: ['intent'],
+  additionalProperties: false,
+};
+
+/**
+ * Classify user intent for routing. Identify first, then we decide reply behaviour.
+ * Uses one short structured-output call (chatJson, llm.routes.intent when configured); CHAT when it fails.
+ * @param {string} userMessage
+ * @param {{ signal?: AbortSignal }} [opts]
+ * @returns {Promise<'CHAT'|'SCHEDULE_LIST'|'SCHEDULE_CREATE'|'SEARCH'>}
+ */
+export async function classifyIntent(userMessage, { signal } = {}) {
   const messages = [
     {
       role: 'system',
-      content: `You classify the user's intent. Reply with exactly one word: CHAT, SCHEDULE_LIST, SCHEDULE_CREATE, or SEARCH.
+      content: `You classify the user's intent. Set intent to exactly one of: CHAT, SCHEDULE_LIST, SCHEDULE_CREATE, or SEARCH.
 
 SEARCH = the user wants CURRENT, RECENT, or REAL-TIME information from the web. Any question about WEATHER (for any place, e.g. "how is enola weather", "weather in Tokyo", "what's the weather today") = SEARCH. Any question about current time, date, or live data = SEARCH. Other examples: "what's the time now", "current time", "is it sunny or rainy", "recent AI trends", "latest news about X", "what's trending today", "search for X", "current price of Y".
 
@@ -302,39 +1342,20 @@ CHAT = greetings, general knowledge questions (that don't need current data), or
     },
     { role: 'user', content: (userMessage || '').trim() || 'Hi' },
   ];
-  const { models } = loadConfig();
-  let lastError;
-  for (const opts of models) {
-    const label = opts.model || opts.baseUrl?.replace(/^https?:\/\//, '').slice(0, 20) || 'unknown';
-    try {
-      const res = await Promise.race([
-        callOne(messages, { ...opts, maxTokens: 25 }, null),
-        new Promise((_, reject) => setTimeout(() => reject(new Error('intent timeout')), INTENT_TIMEOUT_MS)),
-      ]);
-      if (!res.ok) {
-        const text = await res.text();
-        throw new Error(`LLM request failed ${res.status}: ${text}`);
-      }
-      const data = await res.json();
-      const content = (data.choices?.[0]?.message?.content || '').trim().toUpperCase();
-      let intent = 'CHAT';
-      if (content.includes('SCHEDULE_LIST')) intent = 'SCHEDULE_LIST';
-      else if (content.includes('SCHEDULE_CREATE')) intent = 'SCHEDULE_CREATE';
-      else if (content.includes('SCHEDULE')) intent = 'SCHEDULE_CREATE';
-      else if (content.includes('SEARCH')) intent = 'SEARCH';
-      // Fallback: if user clearly asked about weather/time/news and model said CHAT, force SEARCH
-      const lower = (userMessage || '').trim().toLowerCase();
-      if (intent === 'CHAT' && (/\bweather\b/.test(lower) || /\b(current )?time\b/.test(lower) || /\b(latest|recent|today'?s?) (news|headlines)\b/.test(lower))) {
-        intent = 'SEARCH';
-      }
-      return intent;
-    } catch (err) {
-      console.log('[LLM] intent try failed:', label, err.message);
-      lastError = err;
-    }
+  let intent = 'CHAT';
+  try {
+    ({ intent } = await chatJson(messages, INTENT_SCHEMA, { name: 'intent', route: 'intent', signal, maxTokens: 50, timeoutMs: INTENT_TIMEOUT_MS, kind: 'intent' }));
+  } catch (err) {
+    if (isAbortError(err)) throw err;
+    console.log('[LLM] intent failed, using CHAT:', err.message);
+    return 'CHAT';
+  }
+  // Fallback: if user clearly asked about weather/time/news and model said CHAT, force SEARCH
+  const lower = (userMessage || '').trim().toLowerCase();
+  if (intent === 'CHAT' && (/\bweather\b/.test(lower) || /\b(current )?time\b/.test(lower) || /\b(latest|recent|today'?s?) (news|headlines)\b/.test(lower))) {
+    intent = 'SEARCH';
   }
-  if (lastError) return 'CHAT';
-  throw new Error('No LLM configured');
+  return intent;
 }
 
 /**
@@ -344,10 +1365,12 @@ CHAT = greetings, general knowledge questions (that don't need current data), or
  * - If the agent is on a text-only model (e.g. GPT-3.5, Llama-3) and all agent models fail, we quietly
  *   use the configured vision fallback (skills.vision.fallback or llm.vision) for that call only.
  *   Configure the fallback at setup; no mid-run prompts.
+ * - llm.routes.vision, when set, replaces the agent models for this call (the fallback still applies).
  * imageUrlOrDataUri: data URI or https URL. For file paths, convert to data URI in the caller.
+ * @param {{ signal?: AbortSignal }} [opts] - signal cancels the call (throws AbortError).
  * @returns {Promise<string>}
  */
-export async function describeImage(imageUrlOrDataUri, prompt, systemPrompt = 'You are a helpful vision assistant. Describe or analyze the image concisely.') {
+export async function describeImage(imageUrlOrDataUri, prompt, systemPrompt = 'You are a helpful vision assistant. Describe or analyze the image concisely.', { signal } = {}) {
   const urlOrData = (imageUrlOrDataUri || '').trim();
   if (!urlOrData) throw new Error('describeImage requires image URL or data URI');
 
@@ -376,8 +1399,15 @@ export async function describeImage(imageUrlOrDataUri, prompt, systemPrompt = 'Y
   }
 
   const messages = [{ role: 'user', content: userContentOpenAI }];
-  const { models, visionFallback } = loadConfig();
-  const candidates = visionFallback ? [...models, visionFallback] : [...models];
+  const { visionFallback } = loadConfig();
+  const models = getRouteModels('vision');
+  let candidates = visionFallback ? [...models, visionFallback] : [...models];
+  // Over budget: only local models may look at the image; the cloud vision fallback is refused.
+  const overBudget = getBudgetStatus().exceeded;
+  if (overBudget) {
+    candidates = candidates.filter(isLocalModel);
+    if (candidates.length === 0) assertBudgetAvailable('Image analysis');
+  }
   let lastError;
   for (const opts of candidates) {
     const label = opts.model || opts.baseUrl?.replace(/^https?:\/\//, '').slice(0, 20) || 'unknown';
@@ -392,7 +1422,7 @@ export async function describeImage(imageUrlOrDataUri, prompt, systemPrompt = 'Y
           system: systemPrompt,
           messages: [{ role: 'user', content: userContentAnthropic }],
         };
-        res = await fetch('https://api.anthropic.com/v1/messages', {
+        res = await fetchWithTimeouts('https://api.anthropic.com/v1/messages', {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
@@ -400,10 +1430,10 @@ export async function describeImage(imageUrlOrDataUri, prompt, systemPrompt = 'Y
             'anthropic-version': '2023-06-01',
           },
           body: JSON.stringify(body),
-        });
+        }, opts, signal, (r) => readResponse(r));
       } else if (!isAnthropic) {
         const fullMessages = systemPrompt ? [{ role: 'system', content: systemPrompt }, ...messages] : messages;
-        res = await callOne(fullMessages, opts, null);
+        res = await callOne(fullMessages, opts, null, { signal });
       } else {
         continue;
       }
@@ -412,6 +1442,7 @@ export async function describeImage(imageUrlOrDataUri, prompt, systemPrompt = 'Y
         throw new Error(`Vision request failed ${res.status}: ${text.slice(0, 200)}`);
       }
       const data = await res.json();
+      recordUsage({ kind: 'vision', model: opts.model, baseUrl: opts.baseUrl, usage: data.usage });
       const text = data.content?.[0]?.text ?? data.choices?.[0]?.message?.content ?? '';
       if (text) {
         console.log('[LLM] vision used:', label);
@@ -419,6 +1450,7 @@ export async function describeImage(imageUrlOrDataUri, prompt, systemPrompt = 'Y
       }
       throw new Error('No content in vision response');
     } catch (err) {
+      if (isAbortError(err)) throw err;
       const msg = (err && err.message) || '';
       const looksLikeTextOnly = /invalid.*content|does not support|400|image|vision|multimodal/i.test(msg);
       console.log('[LLM] vision try failed:', label, err.message);
@@ -426,6 +1458,7 @@ export async function describeImage(imageUrlOrDataUri, prompt, systemPrompt = 'Y
       if (looksLikeTextOnly) continue;
     }
   }
+  if (overBudget && visionFallback && !isLocalModel(visionFallback)) assertBudgetAvailable('The vision fallback model');
   throw lastError || new Error('No vision-capable LLM responded');
 }
 
@@ -434,12 +1467,13 @@ export async function describeImage(imageUrlOrDataUri, prompt, systemPrompt = 'Y
  * or an OpenAI key from skills.vision.fallback when provider is openai.
  * Saves image to uploads dir and returns { path, caption } for sending to chat.
  * @param {string} prompt - What to draw.
- * @param {{ size?: string, model?: string }} [opts] - Optional size (default 1024x1024), model (default dall-e-3).
+ * @param {{ size?: string, model?: string, signal?: AbortSignal }} [opts] - Optional size (default 1024x1024), model (default dall-e-3), signal to cancel.
  * @returns {Promise<{ path: string, caption: string }>}
  */
 export async function generateImage(prompt, opts = {}) {
   const p = (prompt && String(prompt).trim()) || '';
   if (!p) throw new Error('generateImage requires a prompt');
+  assertBudgetAvailable('Image generation');
 
   const config = (() => {
     try {
@@ -468,7 +1502,8 @@ export async function generateImage(prompt, opts = {}) {
   const size = opts.size || imageCfg?.size || '1024x1024';
   const model = opts.model || imageCfg?.model || 'dall-e-3';
 
-  const res = await fetch('https://api.openai.com/v1/images/generations', {
+  const timeouts = { connectTimeoutMs: DEFAULT_CONNECT_TIMEOUT_MS, timeoutMs: DEFAULT_TIMEOUT_MS };
+  const res = await fetchWithTimeouts('https://api.openai.com/v1/images/generations', {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
@@ -482,7 +1517,7 @@ export async function generateImage(prompt, opts = {}) {
       response_format: 'b64_json',
       quality: 'standard',
     }),
-  });
+  }, timeouts, opts.signal, (r) => readResponse(r));
 
   if (!res.ok) {
     const text = await res.text();
@@ -490,6 +1525,7 @@ export async function generateImage(prompt, opts = {}) {
   }
 
   const data = await res.json();
+  recordUsage({ kind: 'image', model, baseUrl: PRESETS.openai, images: 1 });
   const b64 = data.data?.[0]?.b64_json;
   const revised = data.data?.[0]?.revised_prompt;
   if (!b64) throw new Error('No image data in response');
@@ -3,7 +3,9 @@
  * One-off agent run for the dashboard chat UI.
  * Reads JSON from stdin: { "message": "...", "history": [ { "role": "user"|"assistant", "content": "..." } ] }
  * Writes one JSON line to stdout: { "textToSend": "..." } or { "error": "..." }
+ * With "stream": true in the payload, also writes { "delta": "<reply so far>" } lines while the LLM generates.
  * Uses same soul/identity and skills as main app (workspace SOUL.md, WhoAmI.md, MyHuman.md).
+ * SIGTERM (sent by the dashboard when the browser disconnects) cancels the turn so browse sessions close cleanly.
  */
 
 import { getEnvPath, getConfigPath, getCronStorePath, getWorkspaceDir } from '../lib/paths.js';
@@ -36,9 +38,12 @@ async function main() {
     workspaceDir,
     scheduleOneShot: noop,
     startCron: noop,
+    source: 'dashboard',
   };
   const skillContext = getSkillContext();
   const toolsToUse = Array.isArray(skillContext.runSkillTool) && skillContext.runSkillTool.length > 0 ? skillContext.runSkillTool : [];
+  const controller = new AbortController();
+  process.once('SIGTERM', () => controller.abort());
 
   try {
     const { textToSend } = await runAgentTurn({
@@ -49,6 +54,10 @@ async function main() {
       historyMessages,
       getFullSkillDoc: skillContext.getFullSkillDoc,
       resolveToolName: skillContext.resolveToolName,
+      onPartialText: payload.stream === true
+        ? (text) => process.stdout.write(JSON.stringify({ delta: text }) + '\n')
+        : null,
+      signal: controller.signal,
     });
     process.stdout.write(JSON.stringify({ textToSend: textToSend || '' }) + '\n');
   } catch (err) {
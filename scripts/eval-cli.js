@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+/**
+ * Model evaluation: cowcode eval [--models a,b] [--skills cron,write] [--limit N] [--out <dir>]
+ *   [--baseline <path>] [--save-baseline] [--fail-on-regression] [--tolerance 0.05] [--list]
+ * Runs every scripts/test/<folder>/inputs.md query against each llm.models entry (or the ones named in --models:
+ * id, provider, model name or label) and judges the replies with the e2e judge (llm.routes.judge if set).
+ * Writes report.json and report.html to --out (default: <state>/eval/<timestamp>/) and compares with the baseline
+ * (default: <state>/eval/baseline.json). --save-baseline stores this run as the new baseline.
+ * --limit N: only the first N cases per test folder. --list: print the cases and models, run nothing.
+ */
+
+import dotenv from 'dotenv';
+import { readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { getEnvPath, getStateDir, getConfigPath } from '../lib/paths.js';
+import { collectEvalCases, listEvalModels, runEval, summarizeEval } from './test/eval-suite.js';
+import {
+  loadBaseline,
+  saveBaseline,
+  compareWithBaseline,
+  writeReports,
+  formatSummary,
+  DEFAULT_TOLERANCE,
+} from './test/eval-output.js';
+
+// Load .env from state dir so API keys (e.g. LLM_1_API_KEY) are available
+dotenv.config({ path: getEnvPath() });
+
+function splitList(value) {
+  return String(value || '').split(',').map((s) => s.trim()).filter(Boolean);
+}
+
+const argv = process.argv.slice(2);
+let modelFilter = null;
+let folders = null;
+let limit = null;
+let outDir = null;
+let baselinePath = join(getStateDir(), 'eval', 'baseline.json');
+let saveAsBaseline = false;
+let failOnRegression = false;
+let tolerance = DEFAULT_TOLERANCE;
+let listOnly = false;
+for (let i = 0; i < argv.length; i++) {
+  if (argv[i] === '--models' && argv[i + 1]) {
+    modelFilter = splitList(argv[++i]);
+  } else if (argv[i] === '--skills' && argv[i + 1]) {
+    folders = splitList(argv[++i]);
+  } else if (argv[i] === '--limit' && argv[i + 1]) {
+    limit = Math.max(1, Math.floor(Number(argv[++i])) || 1);
+  } else if (argv[i] === '--out' && argv[i + 1]) {
+    outDir = argv[++i];
+  } else if (argv[i] === '--baseline' && argv[i + 1]) {
+    baselinePath = argv[++i];
+  } else if (argv[i] === '--save-baseline') {
+    saveAsBaseline = true;
+  } else if (argv[i] === '--fail-on-regression') {
+    failOnRegression = true;
+  } else if (argv[i] === '--tolerance' && argv[i + 1]) {
+    const n = Number(argv[++i]);
+    if (Number.isFinite(n) && n >= 0) tolerance = n;
+  } else if (argv[i] === '--list') {
+    listOnly = true;
+  }
+}
+
+function currency() {
+  try {
+    const path = getConfigPath();
+    return (existsSync(path) && JSON.parse(readFileSync(path, 'utf8')).llm?.currency) || 'USD';
+  } catch (_) {
+    return 'USD';
+  }
+}
+
+async function main() {
+  const cases = collectEvalCases({ folders, limit });
+  const models = await listEvalModels({ filter: modelFilter });
+  if (!cases.length) {
+    console.error('cowcode eval: no cases found' + (folders ? ` for --skills ${folders.join(',')}` : '') + '.');
+    process.exit(1);
+  }
+  if (!models.length) {
+    console.error('cowcode eval: no matching models in llm.models' + (modelFilter ? ` for --models ${modelFilter.join(',')}` : '') + '.');
+    process.exit(1);
+  }
+
+  if (listOnly) {
+    console.log('Models:');
+    for (const m of models) console.log(`  ${m.label}${m.priority ? ' (priority)' : ''}`);
+    console.log(`Cases (${cases.length}):`);
+    for (const c of cases) {
+      const expect = c.expectSkill === undefined ? '' : ` [${c.expectSkill ?? 'no tool'}]`;
+      console.log(`  ${c.id}${expect} ${c.turns.join(' ⇒ ')}`);
+    }
+    return;
+  }
+
+  console.log(`[eval] ${cases.length} cases × ${models.length} model(s). Timeout per case: 120s.`);
+  const startedAt = new Date().toISOString();
+  let done = 0;
+  const total = cases.length * models.length;
+  const results = await runEval({
+    models,
+    cases,
+    onResult: (r) => {
+      done++;
+      const tool = r.toolCorrect === false ? ' (wrong tool)' : '';
+      console.log(`[eval] ${done}/${total} ${r.model} ${r.caseId}: ${r.pass ? 'pass' : 'FAIL'}${tool} — ${r.query.slice(0, 70)}`);
+    },
+  });
+  const summary = summarizeEval(results, models);
+  const baseline = loadBaseline(baselinePath);
+  const comparison = compareWithBaseline(summary, baseline, { tolerance });
+  const run = {
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    currency: currency(),
+    baselinePath: baseline ? baselinePath : null,
+    tolerance,
+    models: models.map(({ label, priority }) => ({ label, priority })),
+    summary,
+    comparison,
+    results,
+  };
+
+  const dir = outDir || join(getStateDir(), 'eval', startedAt.replace(/[:.]/g, '-'));
+  const { jsonPath, htmlPath } = writeReports(dir, run);
+  console.log('\n' + formatSummary(run));
+  console.log(`\nReport: ${htmlPath}\n        ${jsonPath}`);
+  if (saveAsBaseline) {
+    saveBaseline(baselinePath, run);
+    console.log(`Baseline saved: ${baselinePath}`);
+  } else if (!baseline) {
+    console.log('No baseline yet. Save this run with: cowcode eval --save-baseline');
+  }
+
+  const regressed = comparison.some((row) => row.regressions.length > 0);
+  if (regressed && failOnRegression) process.exit(2);
+}
+
+main().catch((err) => {
+  console.error('cowcode eval:', err.message);
+  process.exit(1);
+});
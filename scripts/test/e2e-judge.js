@@ -27,7 +27,7 @@ export async function judgeUserGotWhatTheyWanted(userMessage, botReply, stateDir
     const prompt =
       opts.prompt ||
       buildDefaultJudgePrompt(userMessage, botReply, opts.skillHint || 'skill');
-    const response = await chat([{ role: 'user', content: prompt }]);
+    const response = await chat([{ role: 'user', content: prompt }], { route: 'judge' });
     const trimmed = (response || '').trim().toUpperCase();
     const pass = trimmed.startsWith('YES');
     return { pass, reason: (response || '').trim().slice(0, 600) };
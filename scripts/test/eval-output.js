@@ -0,0 +1,201 @@
+/**
+ * Reports for cowcode eval: JSON (the full run) and a self-contained HTML page, plus the stored baseline.
+ * A baseline is a saved run summary. Each model in a new run is compared with its own baseline entry, or, when
+ * the baseline has never seen it, with the baseline's priority model. That makes "is this new local model good
+ * enough to become the priority model?" a single run.
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+
+/** Drops that count as a regression (fractions: 0.05 = 5 percentage points). */
+export const DEFAULT_TOLERANCE = 0.05;
+
+/**
+ * Load a baseline file, or null if there is none.
+ * @param {string} path
+ */
+export function loadBaseline(path) {
+  if (!existsSync(path)) return null;
+  try {
+    const data = JSON.parse(readFileSync(path, 'utf8'));
+    return data && typeof data.byModel === 'object' ? data : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Save a run summary as the baseline.
+ * @param {string} path
+ * @param {{ startedAt: string, summary: { byModel: object } }} run
+ */
+export function saveBaseline(path, run) {
+  mkdirSync(dirname(path), { recursive: true });
+  const reference = Object.keys(run.summary.byModel).find((label) => run.summary.byModel[label].priority) || null;
+  const baseline = { version: 1, savedAt: new Date().toISOString(), runStartedAt: run.startedAt, reference, byModel: run.summary.byModel };
+  writeFileSync(path, JSON.stringify(baseline, null, 2), 'utf8');
+  return baseline;
+}
+
+function delta(current, previous) {
+  return current != null && previous != null ? current - previous : null;
+}
+
+/**
+ * Compare a run summary with a baseline.
+ * @param {{ byModel: object }} summary - From summarizeEval.
+ * @param {object | null} baseline - From loadBaseline.
+ * @param {{ tolerance?: number }} [opts]
+ * @returns {Array<{ model: string, against: string, passRate: number|null, toolAccuracy: number|null, medianLatencyMs: number|null, costPerCase: number|null, skills: object, regressions: string[] }>}
+ */
+export function compareWithBaseline(summary, baseline, { tolerance = DEFAULT_TOLERANCE } = {}) {
+  if (!baseline) return [];
+  const rows = [];
+  for (const [label, current] of Object.entries(summary.byModel)) {
+    const against = baseline.byModel[label] ? label : baseline.reference;
+    const previous = against ? baseline.byModel[against] : null;
+    if (!previous) continue;
+    const regressions = [];
+    const passRate = delta(current.passRate, previous.passRate);
+    const toolAccuracy = delta(current.toolAccuracy, previous.toolAccuracy);
+    if (passRate != null && passRate < -tolerance) regressions.push(`pass rate ${pct(previous.passRate)} → ${pct(current.passRate)}`);
+    if (toolAccuracy != null && toolAccuracy < -tolerance) {
+      regressions.push(`tool accuracy ${pct(previous.toolAccuracy)} → ${pct(current.toolAccuracy)}`);
+    }
+    const skills = {};
+    for (const [skill, metrics] of Object.entries(current.bySkill || {})) {
+      const before = previous.bySkill?.[skill];
+      if (!before) continue;
+      skills[skill] = delta(metrics.passRate, before.passRate);
+      if (skills[skill] != null && skills[skill] < -tolerance) {
+        regressions.push(`${skill}: pass rate ${pct(before.passRate)} → ${pct(metrics.passRate)}`);
+      }
+    }
+    rows.push({
+      model: label,
+      against,
+      passRate,
+      toolAccuracy,
+      medianLatencyMs: delta(current.medianLatencyMs, previous.medianLatencyMs),
+      costPerCase: delta(current.costPerCase, previous.costPerCase),
+      skills,
+      regressions,
+    });
+  }
+  return rows;
+}
+
+function pct(value) {
+  return value == null ? 'n/a' : `${Math.round(value * 100)}%`;
+}
+
+function signed(value, format) {
+  if (value == null) return 'n/a';
+  return (value > 0 ? '+' : '') + format(value);
+}
+
+function ms(value) {
+  return value == null ? 'n/a' : value >= 1000 ? `${(value / 1000).toFixed(1)}s` : `${value}ms`;
+}
+
+function money(value, currency) {
+  return value == null ? 'n/a' : `${value.toFixed(4)} ${currency}`;
+}
+
+function escapeHtml(s) {
+  return String(s ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+/** Plain-text summary table for the terminal. */
+export function formatSummary(run) {
+  const { summary, comparison = [], currency = 'USD' } = run;
+  const lines = [];
+  for (const label of summary.ranking) {
+    const m = summary.byModel[label];
+    lines.push(
+      `${label}${m.priority ? ' (priority)' : ''}: pass ${m.passed}/${m.cases} (${pct(m.passRate)}), tools ${pct(m.toolAccuracy)}, ` +
+      `median ${ms(m.medianLatencyMs)}, tokens ${m.tokens ?? 'n/a'}, cost ${money(m.cost, currency)}`
+    );
+    const row = comparison.find((c) => c.model === label);
+    if (row) {
+      lines.push(`  vs baseline ${row.against}: pass ${signed(row.passRate, (v) => pct(v))}, tools ${signed(row.toolAccuracy, (v) => pct(v))}, median ${signed(row.medianLatencyMs, ms)}`);
+      for (const r of row.regressions) lines.push(`  REGRESSION ${r}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+/** Self-contained HTML report. */
+export function renderHtml(run) {
+  const { summary, results, comparison = [], currency = 'USD' } = run;
+  const folders = [...new Set(results.map((r) => r.folder))].sort();
+  const modelRows = summary.ranking.map((label, i) => {
+    const m = summary.byModel[label];
+    const row = comparison.find((c) => c.model === label);
+    const vs = row
+      ? `${escapeHtml(row.against)}: ${signed(row.passRate, pct)} pass, ${signed(row.toolAccuracy, pct)} tools` +
+        (row.regressions.length ? `<div class="bad">${row.regressions.map(escapeHtml).join('<br>')}</div>` : '')
+      : '—';
+    return `<tr><td>${i + 1}</td><td>${escapeHtml(label)}${m.priority ? ' <span class="tag">priority</span>' : ''}</td>` +
+      `<td>${m.passed}/${m.cases} (${pct(m.passRate)})</td><td>${pct(m.toolAccuracy)}</td><td>${ms(m.medianLatencyMs)}</td>` +
+      `<td>${ms(m.avgLatencyMs)}</td><td>${m.tokens ?? 'n/a'}</td><td>${money(m.cost, currency)}</td><td>${vs}</td></tr>`;
+  }).join('\n');
+  const skillHead = folders.map((f) => `<th>${escapeHtml(f)}</th>`).join('');
+  const skillRows = summary.ranking.map((label) => {
+    const cells = folders.map((f) => {
+      const s = summary.byModel[label].bySkill[f];
+      if (!s) return '<td>—</td>';
+      const cls = s.passRate === 1 ? 'good' : s.passRate === 0 ? 'bad' : '';
+      return `<td class="${cls}">${pct(s.passRate)}<small> · tools ${pct(s.toolAccuracy)} · ${ms(s.medianLatencyMs)}</small></td>`;
+    }).join('');
+    return `<tr><td>${escapeHtml(label)}</td>${cells}</tr>`;
+  }).join('\n');
+  const caseRows = results.map((r) => (
+    `<tr class="${r.pass ? 'good' : 'bad'}"><td>${escapeHtml(r.model)}</td><td>${escapeHtml(r.folder)}</td>` +
+    `<td>${escapeHtml(r.query)}${r.turns > 1 ? ` <small>(${r.turns} turns)</small>` : ''}</td><td>${r.pass ? 'pass' : 'fail'}</td>` +
+    `<td>${escapeHtml(r.expectSkill ?? (r.scored ? 'none' : '—'))} → ${escapeHtml(r.skillsCalled.join(', ') || 'none')}` +
+    `${r.toolCorrect === false ? ' ✗' : r.toolCorrect ? ' ✓' : ''}</td><td>${ms(r.latencyMs)}</td><td>${r.tokens ?? 'n/a'}</td>` +
+    `<td><details><summary>reply</summary><pre>${escapeHtml(r.reply)}</pre><p>${escapeHtml(r.reason)}</p></details></td></tr>`
+  )).join('\n');
+  return `<!doctype html>
+<html lang="en"><head><meta charset="utf-8"><title>cowCode eval ${escapeHtml(run.startedAt)}</title>
+<style>
+body { font: 14px/1.4 system-ui, sans-serif; margin: 2rem; color: #222; }
+table { border-collapse: collapse; margin-bottom: 2rem; }
+th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; vertical-align: top; }
+th { background: #f4f4f4; }
+.good { background: #eefbea; } .bad { background: #fdecec; } td.bad, div.bad { color: #a00; }
+.tag { font-size: 11px; background: #333; color: #fff; border-radius: 3px; padding: 0 4px; }
+small { color: #666; } pre { white-space: pre-wrap; max-width: 60ch; }
+</style></head><body>
+<h1>cowCode model eval</h1>
+<p>Started ${escapeHtml(run.startedAt)}, finished ${escapeHtml(run.finishedAt)}. ${results.length} runs. ${run.baselinePath ? `Baseline: ${escapeHtml(run.baselinePath)}` : 'No baseline.'}</p>
+<h2>Models</h2>
+<table><tr><th>#</th><th>Model</th><th>Pass</th><th>Tool accuracy</th><th>Median latency</th><th>Avg latency</th><th>Tokens</th><th>Cost</th><th>vs baseline</th></tr>
+${modelRows}
+</table>
+<h2>Per skill</h2>
+<table><tr><th>Model</th>${skillHead}</tr>
+${skillRows}
+</table>
+<h2>Cases</h2>
+<table><tr><th>Model</th><th>Skill</th><th>Query</th><th>Judge</th><th>Expected → called</th><th>Latency</th><th>Tokens</th><th>Reply</th></tr>
+${caseRows}
+</table>
+</body></html>
+`;
+}
+
+/**
+ * Write report.json and report.html into dir.
+ * @returns {{ jsonPath: string, htmlPath: string }}
+ */
+export function writeReports(dir, run) {
+  mkdirSync(dir, { recursive: true });
+  const jsonPath = join(dir, 'report.json');
+  const htmlPath = join(dir, 'report.html');
+  writeFileSync(jsonPath, JSON.stringify(run, null, 2), 'utf8');
+  writeFileSync(htmlPath, renderHtml(run), 'utf8');
+  return { jsonPath, htmlPath };
+}
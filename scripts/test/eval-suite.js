@@ -0,0 +1,391 @@
+/**
+ * Model evaluation suite (cowcode eval). Collects the queries from every scripts/test/<folder>/inputs.md, runs each
+ * one through the main app (`node index.js --test`) once per configured model, and lets e2e-judge decide whether
+ * the user got what they wanted. Per model and skill it records pass rate, latency, tool-call accuracy and token
+ * cost (read from the case's usage ledger). Reports and baseline comparison live in eval-output.js.
+ *
+ * inputs.md conventions used here:
+ *   - Only the "## Inputs" section is read; "### Heading" starts a category.
+ *   - "- query" bullets are cases ("→ expected" suffixes, backticks and "**Label**:" bullets are dropped).
+ *   - "| Scenario | Message |" tables (agent): the first word of the scenario names the expected skill ("chat" = none).
+ *   - Numbered items with a `backticked message` form one multi-turn case; the last turn is judged.
+ *   - The expected skill is the folder's skill; a "(skill-id)" in the category heading overrides it, and
+ *     "Non-…" categories are not scored for tool accuracy.
+ */
+
+import { spawn } from 'child_process';
+import { readFileSync, writeFileSync, existsSync, readdirSync, rmSync, mkdtempSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { tmpdir } from 'os';
+import { getConfigPath } from '../../lib/paths.js';
+import { prepareStateFromFixture } from './test-fixture-state.js';
+import { judgeUserGotWhatTheyWanted } from './e2e-judge.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..', '..');
+const SKILLS_DIR = join(ROOT, 'skills');
+const PER_CASE_TIMEOUT_MS = 120_000;
+
+/** Test folders whose inputs.md is not a list of chat queries. */
+export const EVAL_SKIP_FOLDERS = new Set(['tide', 'offline', 'simulations']);
+
+/** Test folder → skill id, where they differ. */
+const FOLDER_SKILL = { browser: 'browse' };
+
+function isSkillId(id) {
+  return !!id && existsSync(join(SKILLS_DIR, id, 'SKILL.md'));
+}
+
+function cleanQuery(text) {
+  return text.split(/\s+→\s+/)[0].replace(/`/g, '').trim();
+}
+
+/**
+ * Cases from one inputs.md.
+ * @param {string} text - File contents.
+ * @param {string} folder - Test folder name (e.g. "cron").
+ * @returns {Array<{ id: string, folder: string, category: string, turns: string[], expectSkill: string | null | undefined }>}
+ */
+export function parseInputsMd(text, folder) {
+  const folderSkill = FOLDER_SKILL[folder] || (isSkillId(folder) ? folder : undefined);
+  const cases = [];
+  let inInputs = false;
+  let category = '';
+  let categorySkill = folderSkill;
+  let flow = null;
+  let tableColumns = null;
+
+  const endFlow = () => {
+    if (flow && flow.turns.length) cases.push(flow);
+    flow = null;
+  };
+  const add = (turns, expectSkill, label) => {
+    cases.push({ id: `${folder}#${cases.length + 1}`, folder, category: label ?? category, turns, expectSkill });
+  };
+
+  for (const rawLine of String(text).split('\n')) {
+    const line = rawLine.trim();
+    if (/^##\s/.test(line)) {
+      inInputs = /^##\s+Inputs\b/i.test(line);
+      continue;
+    }
+    if (!inInputs) continue;
+    const heading = line.match(/^###\s+(.+)/);
+    if (heading) {
+      endFlow();
+      tableColumns = null;
+      category = heading[1].trim();
+      const override = category.match(/\(([a-z][a-z0-9-]*)\)/);
+      categorySkill = override && isSkillId(override[1]) ? override[1] : /^non-/i.test(category) ? undefined : folderSkill;
+      continue;
+    }
+    if (line.startsWith('|')) {
+      const cells = line.replace(/^\||\|$/g, '').split('|').map((c) => c.trim());
+      if (cells.every((c) => /^-*$/.test(c))) continue;
+      if (!tableColumns) {
+        tableColumns = cells.map((c) => c.toLowerCase());
+        continue;
+      }
+      const message = cells[tableColumns.indexOf('message')];
+      if (!message) continue;
+      const scenario = cells[tableColumns.indexOf('scenario')] || '';
+      const first = scenario.split(/\s+/)[0].toLowerCase();
+      const expectSkill = first === 'chat' ? null : isSkillId(FOLDER_SKILL[first] || first) ? FOLDER_SKILL[first] || first : undefined;
+      add([cleanQuery(message)], expectSkill, scenario || category);
+      continue;
+    }
+    tableColumns = null;
+    const numbered = line.match(/^\d+\.\s+.*?`([^`]+)`/);
+    if (numbered) {
+      if (!flow) flow = { id: `${folder}#${cases.length + 1}`, folder, category, turns: [], expectSkill: categorySkill };
+      flow.turns.push(numbered[1].trim());
+      continue;
+    }
+    endFlow();
+    const bullet = rawLine.match(/^- (.+)/);
+    if (!bullet || /^\*\*[^*]+\*\*:/.test(bullet[1].trim())) continue;
+    const query = cleanQuery(bullet[1]);
+    if (query) add([query], categorySkill);
+  }
+  endFlow();
+  return cases;
+}
+
+/**
+ * All eval cases under scripts/test/.
+ * @param {{ folders?: string[] | null, limit?: number | null }} [opts] - folders: only these test folders (or skill ids); limit: max cases per folder.
+ */
+export function collectEvalCases({ folders = null, limit = null } = {}) {
+  const wanted = folders?.length ? new Set(folders.map((f) => String(f).toLowerCase())) : null;
+  const cases = [];
+  for (const folder of readdirSync(__dirname).sort()) {
+    if (EVAL_SKIP_FOLDERS.has(folder)) continue;
+    const inputsPath = join(__dirname, folder, 'inputs.md');
+    if (!existsSync(inputsPath)) continue;
+    if (wanted && !wanted.has(folder) && !wanted.has(FOLDER_SKILL[folder] || '')) continue;
+    const parsed = parseInputsMd(readFileSync(inputsPath, 'utf8'), folder);
+    cases.push(...(limit ? parsed.slice(0, limit) : parsed));
+  }
+  return cases;
+}
+
+function readConfig() {
+  const path = getConfigPath();
+  if (!existsSync(path)) return {};
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch (_) {
+    return {};
+  }
+}
+
+/** Run fn with COWCODE_STATE_DIR pointing at stateDir. */
+async function withStateDir(stateDir, fn) {
+  const prev = process.env.COWCODE_STATE_DIR;
+  process.env.COWCODE_STATE_DIR = stateDir;
+  try {
+    return await fn();
+  } finally {
+    if (prev !== undefined) process.env.COWCODE_STATE_DIR = prev;
+    else delete process.env.COWCODE_STATE_DIR;
+  }
+}
+
+/** Config for one model: only that llm.models entry, no routes (so every task uses it), expected skill enabled. */
+function singleModelConfig(baseConfig, entry, expectSkill) {
+  const config = JSON.parse(JSON.stringify(baseConfig));
+  config.llm = { ...(config.llm || {}) };
+  if (entry) {
+    const { priority: _p, ...rest } = entry;
+    config.llm.models = [rest];
+  }
+  delete config.llm.routes;
+  if (expectSkill) {
+    config.skills = { ...(config.skills || {}) };
+    const enabled = Array.isArray(config.skills.enabled) ? config.skills.enabled : [];
+    if (!enabled.includes(expectSkill)) config.skills.enabled = [...enabled, expectSkill];
+  }
+  return config;
+}
+
+/**
+ * Models to evaluate: each llm.models entry with a display label (resolved model name) and whether it is
+ * the current priority model.
+ * @param {{ filter?: string[] | null }} [opts] - Keep entries whose label, id, provider or model matches one of these.
+ * @returns {Promise<Array<{ label: string, entry: object | null, priority: boolean }>>}
+ */
+export async function listEvalModels({ filter = null } = {}) {
+  const baseConfig = readConfig();
+  const entries = Array.isArray(baseConfig.llm?.models) && baseConfig.llm.models.length ? baseConfig.llm.models : [null];
+  const { loadConfig } = await import('../../llm.js');
+  const priorityModel = loadConfig().models[0];
+  const models = [];
+  for (const entry of entries) {
+    const dir = mkdtempSync(join(tmpdir(), 'cowcode-eval-model-'));
+    try {
+      writeFileSync(join(dir, 'config.json'), JSON.stringify(singleModelConfig(baseConfig, entry, null)), 'utf8');
+      const resolved = await withStateDir(dir, () => loadConfig().models[0]);
+      const host = (() => {
+        try {
+          return new URL(resolved.baseUrl).host;
+        } catch (_) {
+          return '';
+        }
+      })();
+      const label = entry?.id || (entry?.provider ? `${entry.provider}:${resolved.model}` : `${resolved.model}@${host}`);
+      const priority = resolved.model === priorityModel.model && resolved.baseUrl === priorityModel.baseUrl;
+      models.push({ label, entry, priority, keys: [label, entry?.id, entry?.provider, resolved.model] });
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  }
+  const wanted = filter?.length ? filter.map((f) => String(f).toLowerCase()) : null;
+  return models
+    .filter((m) => !wanted || m.keys.some((k) => k && wanted.includes(String(k).toLowerCase())))
+    .map(({ keys: _k, ...m }) => m);
+}
+
+/**
+ * One `node index.js --test` run. Resolves with the reply, skills called and agent latency (summed over turns).
+ * @param {string[]} turns
+ * @param {string} stateDir
+ */
+function runMainApp(turns, stateDir) {
+  return new Promise((resolve, reject) => {
+    const env = { ...process.env, COWCODE_STATE_DIR: stateDir };
+    if (turns[1]) env.TEST_MESSAGE_2 = turns[1];
+    else delete env.TEST_MESSAGE_2;
+    const child = spawn(process.execPath, ['index.js', '--test', turns[0]], {
+      cwd: ROOT,
+      env,
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    let stdout = '';
+    let stderr = '';
+    const timeout = setTimeout(() => {
+      child.kill('SIGTERM');
+      reject(new Error(`Timed out after ${PER_CASE_TIMEOUT_MS / 1000}s`));
+    }, PER_CASE_TIMEOUT_MS);
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', (chunk) => { stdout += chunk; });
+    child.stderr.setEncoding('utf8');
+    child.stderr.on('data', (chunk) => { stderr += chunk; });
+    child.on('error', (err) => {
+      clearTimeout(timeout);
+      reject(err);
+    });
+    child.on('close', (code) => {
+      clearTimeout(timeout);
+      const startIdx = stdout.lastIndexOf('E2E_REPLY_START');
+      const endIdx = stdout.lastIndexOf('E2E_REPLY_END');
+      if (startIdx === -1 || endIdx <= startIdx) {
+        reject(new Error(`No E2E reply in output (code ${code}). stderr: ${stderr.slice(-500)}`));
+        return;
+      }
+      const reply = stdout.slice(startIdx + 'E2E_REPLY_START'.length, endIdx).trim();
+      const skillsMatch = stdout.match(/E2E_SKILLS_CALLED:\s*(.*)/);
+      const skillsCalled = skillsMatch ? skillsMatch[1].split(',').map((s) => s.trim()).filter(Boolean) : [];
+      const latencies = [...stdout.matchAll(/E2E_LATENCY_MS:\s*(\d+)/g)].map((m) => Number(m[1]));
+      resolve({ reply, skillsCalled, latencyMs: latencies.length ? latencies.reduce((a, b) => a + b, 0) : null });
+    });
+  });
+}
+
+/** Tokens and cost the case's run recorded in its own usage ledger (null when the ledger is unavailable). */
+async function readCaseUsage(stateDir) {
+  const { getUsageSummary } = await import('../../lib/usage-ledger.js');
+  const { byModel } = await withStateDir(stateDir, () => getUsageSummary({ days: 2 }));
+  if (!byModel.length) return { calls: 0, tokens: null, cost: null };
+  let calls = 0;
+  let tokens = 0;
+  let cost = 0;
+  let priced = true;
+  for (const row of byModel) {
+    calls += Number(row.calls) || 0;
+    tokens += (Number(row.inputTokens) || 0) + (Number(row.outputTokens) || 0);
+    if (row.cost == null) priced = false;
+    else cost += Number(row.cost) || 0;
+  }
+  return { calls, tokens, cost: priced ? cost : null };
+}
+
+/**
+ * Did the model call the right tool? null when the case has no expectation.
+ * @param {string | null | undefined} expectSkill - Skill id, null for "no tool", undefined for not scored.
+ */
+function toolCallCorrect(expectSkill, skillsCalled) {
+  if (expectSkill === undefined) return null;
+  if (expectSkill === null) return skillsCalled.length === 0;
+  return skillsCalled.includes(expectSkill);
+}
+
+/**
+ * Run every case against every model. Sequential: one main-app process at a time.
+ * @param {{ models: Array<{ label: string, entry: object | null }>, cases: object[], onResult?: (result: object) => void }} opts
+ * @returns {Promise<object[]>} One result per model × case.
+ */
+export async function runEval({ models, cases, onResult }) {
+  const baseConfig = readConfig();
+  const judgeStateDir = prepareStateFromFixture();
+  const results = [];
+  try {
+    for (const model of models) {
+      for (const evalCase of cases) {
+        const stateDir = prepareStateFromFixture();
+        const config = singleModelConfig(baseConfig, model.entry, evalCase.expectSkill);
+        writeFileSync(join(stateDir, 'config.json'), JSON.stringify(config, null, 2), 'utf8');
+        const result = {
+          model: model.label,
+          folder: evalCase.folder,
+          caseId: evalCase.id,
+          category: evalCase.category,
+          query: evalCase.turns[evalCase.turns.length - 1],
+          turns: evalCase.turns.length,
+          expectSkill: evalCase.expectSkill ?? null,
+          scored: evalCase.expectSkill !== undefined,
+          pass: false,
+          reason: '',
+          reply: '',
+          skillsCalled: [],
+          toolCorrect: null,
+          latencyMs: null,
+          tokens: null,
+          cost: null,
+        };
+        try {
+          const run = await runMainApp(evalCase.turns, stateDir);
+          Object.assign(result, { reply: run.reply, skillsCalled: run.skillsCalled, latencyMs: run.latencyMs });
+          result.toolCorrect = toolCallCorrect(evalCase.expectSkill, run.skillsCalled);
+          Object.assign(result, await readCaseUsage(stateDir));
+          const verdict = await judgeUserGotWhatTheyWanted(result.query, run.reply, judgeStateDir, { skillHint: evalCase.folder });
+          result.pass = verdict.pass;
+          result.reason = verdict.reason || '';
+        } catch (err) {
+          result.reason = 'Error: ' + (err && err.message ? err.message : String(err));
+          if (result.scored && result.toolCorrect == null) result.toolCorrect = false;
+        } finally {
+          rmSync(stateDir, { recursive: true, force: true });
+        }
+        results.push(result);
+        if (onResult) onResult(result);
+      }
+    }
+  } finally {
+    rmSync(judgeStateDir, { recursive: true, force: true });
+  }
+  return results;
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+/** Pass rate, tool accuracy, latency and cost over a list of results. */
+export function computeMetrics(results) {
+  const scored = results.filter((r) => r.toolCorrect != null);
+  const latencies = results.map((r) => r.latencyMs).filter((v) => v != null);
+  const withTokens = results.filter((r) => r.tokens != null);
+  const costs = results.map((r) => r.cost);
+  const passed = results.filter((r) => r.pass).length;
+  const cost = costs.length && costs.every((c) => c != null) ? costs.reduce((a, b) => a + b, 0) : null;
+  return {
+    cases: results.length,
+    passed,
+    passRate: results.length ? passed / results.length : null,
+    toolAccuracy: scored.length ? scored.filter((r) => r.toolCorrect).length / scored.length : null,
+    avgLatencyMs: latencies.length ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null,
+    medianLatencyMs: median(latencies),
+    tokens: withTokens.length ? withTokens.reduce((a, r) => a + r.tokens, 0) : null,
+    cost,
+    costPerCase: cost != null && results.length ? cost / results.length : null,
+  };
+}
+
+/**
+ * Metrics per model and per model × folder, plus a ranking (pass rate, then tool accuracy, then latency).
+ * @param {object[]} results - From runEval.
+ * @param {Array<{ label: string, priority?: boolean }>} models
+ */
+export function summarizeEval(results, models) {
+  const byModel = {};
+  for (const model of models) {
+    const own = results.filter((r) => r.model === model.label);
+    const bySkill = {};
+    for (const folder of [...new Set(own.map((r) => r.folder))].sort()) {
+      bySkill[folder] = computeMetrics(own.filter((r) => r.folder === folder));
+    }
+    byModel[model.label] = { priority: !!model.priority, ...computeMetrics(own), bySkill };
+  }
+  const ranking = Object.keys(byModel).sort((a, b) => {
+    const ma = byModel[a];
+    const mb = byModel[b];
+    return (mb.passRate ?? -1) - (ma.passRate ?? -1) ||
+      (mb.toolAccuracy ?? -1) - (ma.toolAccuracy ?? -1) ||
+      (ma.medianLatencyMs ?? Infinity) - (mb.medianLatencyMs ?? Infinity);
+  });
+  return { byModel, ranking };
+}
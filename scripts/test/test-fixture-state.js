@@ -7,7 +7,7 @@
  * config/.env from ~/.cowcode (so LLM and skills work). Returns a temp dir path.
  */
 
-import { mkdirSync, copyFileSync, existsSync, cpSync, readFileSync, writeFileSync } from 'fs';
+import { mkdirSync, mkdtempSync, copyFileSync, existsSync, cpSync, readFileSync, writeFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { homedir, tmpdir } from 'os';
@@ -26,8 +26,8 @@ const DEFAULT_STATE_DIR = process.env.COWCODE_STATE_DIR || join(homedir(), '.cow
  * @returns {string} Absolute path to the prepared state dir
  */
 export function prepareStateFromFixture() {
-  const stateDir = join(tmpdir(), 'cowcode-e2e-fixture-' + Date.now());
-  mkdirSync(stateDir, { recursive: true });
+  // A fresh dir per call: the eval suite prepares one for the judge and one per case within the same millisecond.
+  const stateDir = mkdtempSync(join(tmpdir(), 'cowcode-e2e-fixture-'));
 
   if (existsSync(join(DEFAULT_STATE_DIR, 'config.json'))) {
     copyFileSync(join(DEFAULT_STATE_DIR, 'config.json'), join(stateDir, 'config.json'));
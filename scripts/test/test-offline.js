@@ -0,0 +1,364 @@
+/**
+ * Offline tests: agent turns, cron and memory against the scripted mock LLM (no network, no API keys), plus a
+ * cassette record/replay round trip. Suitable for CI. Assertions are in code; no judge.
+ *
+ * Mock script: scripts/test/offline/mock-script.json (see lib/mock-llm.js for the rule format).
+ */
+
+import { mkdirSync, writeFileSync, readFileSync, existsSync, copyFileSync, rmSync, utimesSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { tmpdir } from 'os';
+import { runSkillTests } from './skill-test-runner.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const MOCK_SCRIPT = join(__dirname, 'offline', 'mock-script.json');
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+/** Temp state dir with a mock-only config, the mock script and an empty cron store. */
+function createOfflineStateDir() {
+  const stateDir = join(tmpdir(), 'cowcode-offline-' + Date.now());
+  mkdirSync(join(stateDir, 'cron'), { recursive: true });
+  mkdirSync(join(stateDir, 'workspace'), { recursive: true });
+  copyFileSync(MOCK_SCRIPT, join(stateDir, 'mock-script.json'));
+  writeFileSync(join(stateDir, 'cron', 'jobs.json'), JSON.stringify({ version: 1, jobs: [] }, null, 2), 'utf8');
+  const config = {
+    llm: { maxTokens: 512, models: [{ provider: 'mock', script: 'mock-script.json' }] },
+    skills: { enabled: ['cron', 'memory', 'write'] },
+    memory: { embedding: { provider: 'mock' } },
+    chatSummary: { enabled: false },
+  };
+  writeFileSync(join(stateDir, 'config.json'), JSON.stringify(config, null, 2), 'utf8');
+  return stateDir;
+}
+
+const stateDir = createOfflineStateDir();
+process.env.COWCODE_STATE_DIR = stateDir;
+delete process.env.COWCODE_CASSETTE;
+
+const { runAgentTurn } = await import('../../lib/agent.js');
+const { getSkillContext } = await import('../../skills/loader.js');
+const { listTraces, getTrace } = await import('../../lib/trace.js');
+const { enqueueTurn, stopChat } = await import('../../lib/chat-queue.js');
+const { installSkillPackage, uninstallSkillPackage } = await import('../../lib/skill-packages.js');
+const { syncMcpServers, stopMcpServers } = await import('../../lib/mcp.js');
+
+const storePath = join(stateDir, 'cron', 'jobs.json');
+const workspaceDir = join(stateDir, 'workspace');
+
+/**
+ * One agent turn with the enabled skills, like index.js runs for a private chat.
+ * @param {string} userText
+ * @param {{ confirm?: (summary: string) => Promise<boolean> }} [extraCtx] - e.g. a stand-in for the user's yes/no.
+ * @param {{ signal?: AbortSignal, onToolsStarted?: () => void }} [turnOpts] - From the chat queue.
+ */
+async function runTurn(userText, extraCtx = {}, turnOpts = {}) {
+  const { runSkillTool, getFullSkillDoc, resolveToolName } = getSkillContext();
+  const ctx = {
+    storePath,
+    jid: 'offline-test@s.whatsapp.net',
+    workspaceDir,
+    scheduleOneShot: () => {},
+    startCron: () => {},
+    ...extraCtx,
+  };
+  const { textToSend, skillsCalled = [] } = await runAgentTurn({
+    userText,
+    ctx,
+    systemPrompt: 'You are CowCode, a helpful assistant.',
+    tools: runSkillTool,
+    getFullSkillDoc,
+    resolveToolName,
+    ...turnOpts,
+  });
+  return { reply: textToSend, skillsCalled };
+}
+
+function loadJobs() {
+  return JSON.parse(readFileSync(storePath, 'utf8')).jobs || [];
+}
+
+const tests = [
+  {
+    name: 'Plain reply from the mock script',
+    run: async () => {
+      const result = await runTurn('hello');
+      assert(result.reply.includes('Hello from the mock.'), `Unexpected reply: ${result.reply}`);
+      return result;
+    },
+  },
+  {
+    name: 'Remind me in 10 minutes to stretch → cron job added',
+    run: async () => {
+      const result = await runTurn('Remind me in 10 minutes to stretch');
+      const jobs = loadJobs();
+      assert(jobs.length === 1, `Expected 1 job, got ${jobs.length}`);
+      assert(jobs[0].message === 'stretch', `Unexpected job message: ${jobs[0].message}`);
+      assert(result.skillsCalled.includes('cron'), 'cron was not called');
+      return result;
+    },
+  },
+  {
+    name: "What's scheduled? → reply lists the job",
+    run: async () => {
+      const result = await runTurn("What's scheduled?");
+      assert(/stretch/.test(result.reply), `Reply does not list the job: ${result.reply}`);
+      return result;
+    },
+  },
+  {
+    name: 'remember that … → note saved to MEMORY.md',
+    run: async () => {
+      const result = await runTurn('remember that my favourite colour is teal');
+      const memoryPath = join(workspaceDir, 'MEMORY.md');
+      assert(existsSync(memoryPath), 'MEMORY.md was not written');
+      assert(readFileSync(memoryPath, 'utf8').includes('teal'), 'MEMORY.md does not contain the note');
+      return result;
+    },
+  },
+  {
+    name: 'What is my favourite colour? → memory search',
+    run: async () => {
+      const result = await runTurn('What is my favourite colour?');
+      assert(result.skillsCalled.includes('memory'), 'memory was not called');
+      return result;
+    },
+  },
+  {
+    name: 'Two tool calls in one message → both skills run',
+    run: async () => {
+      const result = await runTurn('check everything');
+      assert(result.skillsCalled.includes('cron') && result.skillsCalled.includes('memory'), `Skills called: ${result.skillsCalled}`);
+      return result;
+    },
+  },
+  {
+    name: 'Tool loop over agents.defaults.maxToolRounds → model wraps up',
+    run: async () => {
+      const configPath = join(stateDir, 'config.json');
+      const original = readFileSync(configPath, 'utf8');
+      writeFileSync(configPath, JSON.stringify({ ...JSON.parse(original), agents: { defaults: { maxToolRounds: 2 } } }, null, 2), 'utf8');
+      try {
+        const result = await runTurn('keep digging');
+        assert(result.skillsCalled.length === 2, `Expected 2 tool rounds, got ${result.skillsCalled.length}`);
+        assert(result.reply.includes('Wrapped up'), `Unexpected reply: ${result.reply}`);
+        return result;
+      } finally {
+        writeFileSync(configPath, original, 'utf8');
+      }
+    },
+  },
+  {
+    name: 'hooks.rateLimit → second cron call in a minute is refused',
+    run: async () => {
+      const configPath = join(stateDir, 'config.json');
+      const original = readFileSync(configPath, 'utf8');
+      writeFileSync(configPath, JSON.stringify({ ...JSON.parse(original), hooks: { rateLimit: { cron: { perMinute: 1 } } } }, null, 2), 'utf8');
+      try {
+        const first = await runTurn("What's scheduled?");
+        assert(/stretch/.test(first.reply), `First call should run: ${first.reply}`);
+        const result = await runTurn("What's scheduled?");
+        const [latest] = listTraces({ limit: 1 });
+        const toolStep = getTrace(latest.day, latest.id)?.steps.find((s) => s.type === 'tool');
+        assert(/rate limit/i.test(toolStep?.result || ''), `Expected the rate limit error, got: ${toolStep?.result}`);
+        return result;
+      } finally {
+        writeFileSync(configPath, original, 'utf8');
+      }
+    },
+  },
+  {
+    name: 'Tool arguments that do not match the tool-schema → precise error, skill not run; slips the executor forgives pass',
+    run: async () => {
+      const before = loadJobs().length;
+      const result = await runTurn('remind me whenever');
+      const [latest] = listTraces({ limit: 1 });
+      const toolStep = getTrace(latest.day, latest.id)?.steps.find((s) => s.type === 'tool');
+      assert(/arguments\.job\.message: expected string, got array/.test(toolStep?.result || ''), `Expected the message type error, got: ${toolStep?.result}`);
+      assert(/arguments\.job\.schedule\.kind: must be one of at, cron/.test(toolStep?.result || ''), `Expected the enum error, got: ${toolStep?.result}`);
+      assert(loadJobs().length === before, 'cron_add ran with invalid arguments');
+      await runTurn('remind me loosely');
+      const added = loadJobs().find((j) => j.schedule?.at === '2099-01-02T09:00:00.000Z');
+      assert(added?.message === 'stretch', `Expected job.text, a null name and kind "AT" to be forgiven, jobs: ${JSON.stringify(loadJobs())}`);
+      return result;
+    },
+  },
+  {
+    name: 'Overwrite an existing file → user is asked; no keeps it, yes writes it',
+    run: async () => {
+      const notesPath = join(workspaceDir, 'notes.md');
+      writeFileSync(notesPath, 'Old notes.', 'utf8');
+      const asked = [];
+      await runTurn('replace my notes', { confirm: async (summary) => (asked.push(summary), false) });
+      assert(asked.length === 1 && asked[0].includes('Overwrite notes.md'), `Unexpected confirmation: ${asked}`);
+      assert(readFileSync(notesPath, 'utf8') === 'Old notes.', 'File was overwritten after the user said no');
+      const result = await runTurn('replace my notes', { confirm: async () => true });
+      assert(readFileSync(notesPath, 'utf8') === 'Fresh notes.', 'File was not written after the user said yes');
+      return result;
+    },
+  },
+  {
+    name: "Write outside the skill's fs-write roots → refused; skills.write.permissions in config.json allows it",
+    run: async () => {
+      const backupPath = join(stateDir, 'notes-backup.md');
+      await runTurn('back up my notes');
+      const [latest] = listTraces({ limit: 1 });
+      const toolStep = getTrace(latest.day, latest.id)?.steps.find((s) => s.type === 'tool');
+      assert(/Permission denied: write may not change/.test(toolStep?.result || ''), `Expected the permission error, got: ${toolStep?.result}`);
+      assert(!existsSync(backupPath), 'write_file ran outside its fs-write roots');
+      const configPath = join(stateDir, 'config.json');
+      const original = readFileSync(configPath, 'utf8');
+      const config = JSON.parse(original);
+      writeFileSync(configPath, JSON.stringify({ ...config, skills: { ...config.skills, write: { permissions: { 'fs-write': ['state'] } } } }, null, 2), 'utf8');
+      try {
+        const result = await runTurn('back up my notes');
+        assert(readFileSync(backupPath, 'utf8') === 'Backup.', 'write_file did not run with the config.json override');
+        return result;
+      } finally {
+        writeFileSync(configPath, original, 'utf8');
+      }
+    },
+  },
+  {
+    name: '/stop → running turn cancelled, waiting message dropped',
+    run: async () => {
+      const replies = [];
+      const queued = (text) => enqueueTurn('offline-test', text, async (t, opts) => replies.push((await runTurn(t, {}, opts)).reply));
+      const first = queued('hello');
+      const second = queued("What's scheduled?");
+      const { stopped, dropped } = stopChat('offline-test');
+      await Promise.all([first, second]);
+      assert(stopped && dropped === 1, `Unexpected stop result: stopped=${stopped}, dropped=${dropped}`);
+      assert(replies.length === 0, `Stopped turns still replied: ${replies}`);
+      return { reply: 'Stopped.', skillsCalled: [] };
+    },
+  },
+  {
+    name: 'Skill folder with executor.js → runs without core changes, reloads when the file changes',
+    run: async () => {
+      const skillDir = join(__dirname, '..', '..', 'skills', 'parrot');
+      const executorPath = join(skillDir, 'executor.js');
+      const configPath = join(stateDir, 'config.json');
+      const original = readFileSync(configPath, 'utf8');
+      const config = JSON.parse(original);
+      writeFileSync(configPath, JSON.stringify({ ...config, skills: { enabled: [...config.skills.enabled, 'parrot'] } }, null, 2), 'utf8');
+      mkdirSync(skillDir, { recursive: true });
+      writeFileSync(
+        join(skillDir, 'SKILL.md'),
+        '---\nid: parrot\ndescription: Repeat text back.\n---\n\n```tool-schema\nparrot_say\n  description: Repeat the text.\n  parameters:\n    text: string\n```\n',
+        'utf8'
+      );
+      try {
+        writeFileSync(executorPath, "export default async (ctx, args) => 'Parrot says ' + args.text;", 'utf8');
+        const first = await runTurn('parrot polly');
+        assert(first.reply.includes('Parrot says polly'), `Executor did not run: ${first.reply}`);
+        writeFileSync(executorPath, "export default async (ctx, args) => 'Parrot v2 says ' + args.text;", 'utf8');
+        utimesSync(executorPath, new Date(), new Date(Date.now() + 5000));
+        const result = await runTurn('parrot polly');
+        assert(result.reply.includes('Parrot v2 says polly'), `Executor was not reloaded: ${result.reply}`);
+        return result;
+      } finally {
+        rmSync(skillDir, { recursive: true, force: true });
+        writeFileSync(configPath, original, 'utf8');
+      }
+    },
+  },
+  {
+    name: 'Skill package installed from a folder → its tool runs; uninstall removes it',
+    run: async () => {
+      const packageDir = join(stateDir, 'parrot-package');
+      mkdirSync(packageDir, { recursive: true });
+      writeFileSync(
+        join(packageDir, 'SKILL.md'),
+        '---\nid: parrot\ndescription: Repeat text back.\nversion: 1.0.0\n---\n\n```tool-schema\nparrot_say\n  description: Repeat the text.\n  parameters:\n    text: string\n```\n',
+        'utf8'
+      );
+      writeFileSync(join(packageDir, 'executor.js'), "export default async (ctx, args) => 'Packaged parrot says ' + args.text;", 'utf8');
+      const configPath = join(stateDir, 'config.json');
+      const original = readFileSync(configPath, 'utf8');
+      const config = JSON.parse(original);
+      const installed = await installSkillPackage(packageDir);
+      assert(installed.ok && installed.id === 'parrot' && installed.version === '1.0.0', `Install failed: ${installed.message}`);
+      assert(existsSync(join(stateDir, 'skills', 'parrot', 'executor.js')), 'Package was not copied to the state dir');
+      try {
+        writeFileSync(configPath, JSON.stringify({ ...config, skills: { enabled: [...config.skills.enabled, 'parrot'] } }, null, 2), 'utf8');
+        const result = await runTurn('parrot polly');
+        assert(result.reply.includes('Packaged parrot says polly'), `Package executor did not run: ${result.reply}`);
+        const removed = uninstallSkillPackage('parrot');
+        assert(removed.ok && !existsSync(join(stateDir, 'skills', 'parrot')), `Uninstall failed: ${removed.message}`);
+        assert(!JSON.parse(readFileSync(configPath, 'utf8')).skills.enabled.includes('parrot'), 'Uninstall left parrot in skills.enabled');
+        assert(!getSkillContext().resolveToolName('parrot_say'), 'parrot_say still offered after uninstall');
+        return result;
+      } finally {
+        uninstallSkillPackage('parrot');
+        writeFileSync(configPath, original, 'utf8');
+      }
+    },
+  },
+  {
+    name: 'MCP stdio server → its tools are offered as mcp_<server>_<tool> and run; hooks.groupBlocked still applies',
+    run: async () => {
+      const serverPath = join(stateDir, 'mcp-echo-server.mjs');
+      writeFileSync(
+        serverPath,
+        [
+          "import { createInterface } from 'readline';",
+          "const send = (m) => process.stdout.write(JSON.stringify(m) + '\\n');",
+          "createInterface({ input: process.stdin }).on('line', (line) => {",
+          '  const m = JSON.parse(line);',
+          "  if (m.method === 'initialize') send({ jsonrpc: '2.0', id: m.id, result: { protocolVersion: '2025-03-26', capabilities: { tools: {} }, serverInfo: { name: 'echo', version: '1.0.0' } } });",
+          "  else if (m.method === 'tools/list') send({ jsonrpc: '2.0', id: m.id, result: { tools: [{ name: 'echo', description: 'Echo the text.', inputSchema: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] } }] } });",
+          "  else if (m.method === 'tools/call') send({ jsonrpc: '2.0', id: m.id, result: { content: [{ type: 'text', text: 'MCP echo: ' + m.params.arguments.text }] } });",
+          '});',
+        ].join('\n'),
+        'utf8'
+      );
+      const configPath = join(stateDir, 'config.json');
+      const original = readFileSync(configPath, 'utf8');
+      const config = JSON.parse(original);
+      writeFileSync(configPath, JSON.stringify({ ...config, mcp: { servers: { echo: { command: process.execPath, args: [serverPath] } } } }, null, 2), 'utf8');
+      try {
+        await syncMcpServers();
+        assert(getSkillContext().resolveToolName('mcp_echo_echo')?.skillId === 'mcp-echo', 'mcp_echo_echo is not offered');
+        const result = await runTurn('echo moo over mcp');
+        assert(result.reply.includes('MCP echo: moo'), `MCP tool did not run: ${result.reply}`);
+        writeFileSync(configPath, JSON.stringify({ ...JSON.parse(readFileSync(configPath, 'utf8')), hooks: { groupBlocked: ['mcp-echo'] } }, null, 2), 'utf8');
+        await runTurn('echo moo over mcp', { isGroup: true });
+        const [latest] = listTraces({ limit: 1 });
+        const toolStep = getTrace(latest.day, latest.id)?.steps.find((s) => s.type === 'tool');
+        assert(/not available in group chats/.test(toolStep?.result || ''), `Expected the group block, got: ${toolStep?.result}`);
+        return result;
+      } finally {
+        writeFileSync(configPath, original, 'utf8');
+        stopMcpServers();
+      }
+    },
+  },
+  {
+    name: 'Cassette: record, then replay without the script',
+    run: async () => {
+      process.env.COWCODE_CASSETTE = join(stateDir, 'cassette.json');
+      process.env.COWCODE_CASSETTE_MODE = 'record';
+      const recorded = await runTurn('hello');
+      assert(existsSync(process.env.COWCODE_CASSETTE), 'Cassette file was not written');
+      process.env.COWCODE_CASSETTE_MODE = 'replay';
+      rmSync(join(stateDir, 'mock-script.json'));
+      try {
+        const replayed = await runTurn('hello');
+        assert(replayed.reply === recorded.reply, `Replay differs: ${replayed.reply} vs ${recorded.reply}`);
+        return replayed;
+      } finally {
+        copyFileSync(MOCK_SCRIPT, join(stateDir, 'mock-script.json'));
+        delete process.env.COWCODE_CASSETTE;
+        delete process.env.COWCODE_CASSETTE_MODE;
+      }
+    },
+  },
+];
+
+const { failed } = await runSkillTests('offline', tests);
+rmSync(stateDir, { recursive: true, force: true });
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,56 @@
+/**
+ * Conversation simulations: runs every script in scripts/test/simulations/ (or the ones given) with
+ * `node index.js --simulate <script>`. Each script plays user turns on fake WhatsApp/Telegram chats and asserts
+ * on every message, file and cron job; see lib/simulator/index.js and E2E.md for the format. The bundled scripts
+ * use the mock LLM, so no network or API keys are needed.
+ *
+ * Usage:
+ *   node scripts/test/test-simulations.js
+ *   node scripts/test/test-simulations.js scripts/test/simulations/basics.yaml
+ */
+
+import { spawn } from 'child_process';
+import { readdirSync } from 'fs';
+import { join, dirname, resolve, relative } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..', '..');
+const SIMULATIONS_DIR = join(__dirname, 'simulations');
+const SIMULATION_TIMEOUT_MS = 5 * 60_000;
+
+function runSimulation(scriptPath) {
+  return new Promise((resolvePromise) => {
+    const child = spawn(process.execPath, ['index.js', '--simulate', scriptPath], {
+      cwd: ROOT,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      env: process.env,
+    });
+    let output = '';
+    child.stdout.setEncoding('utf8');
+    child.stderr.setEncoding('utf8');
+    child.stdout.on('data', (chunk) => { output += chunk; });
+    child.stderr.on('data', (chunk) => { output += chunk; });
+    const timer = setTimeout(() => child.kill('SIGTERM'), SIMULATION_TIMEOUT_MS);
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      resolvePromise({ ok: code === 0, output });
+    });
+  });
+}
+
+const scripts = process.argv.slice(2).length
+  ? process.argv.slice(2).map((p) => resolve(p))
+  : readdirSync(SIMULATIONS_DIR).filter((f) => /\.ya?ml$/.test(f)).sort().map((f) => join(SIMULATIONS_DIR, f));
+
+let failed = 0;
+for (const script of scripts) {
+  const { ok, output } = await runSimulation(script);
+  // Step report lines only; the full log is shown when a script fails.
+  const report = output.split('\n').filter((line) => /^\[simulate\]|^\s+[✓✗→!+]/.test(line));
+  console.log(`\n${ok ? 'PASS' : 'FAIL'} ${relative(ROOT, script)}`);
+  console.log((ok ? report : output.split('\n')).join('\n'));
+  if (!ok) failed++;
+}
+console.log(`\n${scripts.length - failed}/${scripts.length} simulations passed`);
+process.exit(failed > 0 ? 1 : 0);
@@ -11,6 +11,7 @@ import { fileURLToPath } from 'url';
 import { createInterface } from 'readline';
 import { spawnSync, spawn } from 'child_process';
 import { getConfigPath, getEnvPath, getAuthDir, getCronStorePath, ensureStateDir, getWorkspaceDir } from './lib/paths.js';
+import { listOllamaModels, hasOllamaModel, pullOllamaModel, formatPullProgress } from './lib/ollama.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const ROOT = __dirname;
@@ -171,6 +172,12 @@ const CLOUD_LLM_MODELS = {
     { name: 'Claude 3.5 Haiku', value: 'claude-3-5-haiku-20241022' },
     { name: 'Claude 3 Opus', value: 'claude-3-opus-20240229' },
   ],
+  gemini: [
+    { name: 'Gemini 2.5 Flash (recommended)', value: 'gemini-2.5-flash' },
+    { name: 'Gemini 2.5 Pro', value: 'gemini-2.5-pro' },
+    { name: 'Gemini 2.5 Flash-Lite', value: 'gemini-2.5-flash-lite' },
+    { name: 'Gemini 2.0 Flash', value: 'gemini-2.0-flash' },
+  ],
 };
 
 /** Vision fallback: used only when the agent model is text-only (e.g. Llama, GPT-3.5). Same keys as main LLM. */
@@ -178,15 +185,17 @@ const VISION_FALLBACK_CHOICES = [
   { name: 'Skip (use only if your main model supports vision)', value: 'skip' },
   { name: 'OpenAI GPT-4o (vision)', value: 'openai' },
   { name: 'Anthropic Claude (vision)', value: 'anthropic' },
+  { name: 'Google Gemini (vision)', value: 'gemini' },
 ];
 
-/** True if this provider+model is known to support vision (e.g. GPT-4o/5.x, Claude 3/4.x, Grok 4.x/2-vision). */
+/** True if this provider+model is known to support vision (e.g. GPT-4o/5.x, Claude 3/4.x, Grok 4.x/2-vision, Gemini). */
 function isVisionCapable(provider, modelId) {
   const p = (provider || '').toLowerCase();
   const m = (modelId || '').toLowerCase();
   if (p === 'openai') return /^gpt-(4|5)/.test(m);
   if (p === 'anthropic') return /^claude-(3|opus-4|sonnet-4|haiku-4)/.test(m);
   if (p === 'grok' || p === 'xai') return /^grok-(4|2-vision)/.test(m);
+  if (p === 'gemini') return /^gemini-/.test(m);
   return false;
 }
 
@@ -367,6 +376,54 @@ function getDefaultBaseUrl(config) {
   return 'http://127.0.0.1:1234/v1';
 }
 
+/** True when the local base URL points at Ollama (default port 11434). */
+function isOllamaUrl(baseUrl) {
+  return /:11434(\/|$)/.test(String(baseUrl || ''));
+}
+
+/**
+ * Ollama step: list installed models, ask which one to use and pull it (with progress) when it is missing.
+ * @returns {Promise<string>} Chosen model name, or '' when Ollama is not reachable or the step is skipped.
+ */
+async function setupOllamaModel(baseUrl, currentModel) {
+  let installed;
+  try {
+    installed = await listOllamaModels(baseUrl);
+  } catch (err) {
+    console.log(C.dim + `  ! Ollama not reachable at ${baseUrl} (${err.message}). Start it and run setup again to pick a model.` + C.reset);
+    return '';
+  }
+  if (installed.length > 0) {
+    console.log(C.dim + '  Installed Ollama models:' + C.reset);
+    for (const m of installed) {
+      const meta = [m.parameterSize, m.quantization, m.size ? `${(m.size / 1e9).toFixed(1)} GB` : ''].filter(Boolean).join(', ');
+      console.log(C.dim + `    - ${m.name}${meta ? ` (${meta})` : ''}` + C.reset);
+    }
+  } else {
+    console.log(C.dim + '  No Ollama models installed yet.' + C.reset);
+  }
+  const fallback = currentModel && currentModel !== 'local' ? currentModel : (installed[0]?.name || 'llama3.2');
+  const model = (await promptWithDefault(q('Ollama model (installed name, or one to pull)'), fallback)).trim();
+  if (!model || hasOllamaModel(installed, model)) return model;
+  const answer = await ask(q(`${model} is not installed. Pull it now? (y/n)`) + ' ');
+  checkQuit(answer);
+  if (!(answer || '').trim().toLowerCase().startsWith('y')) {
+    console.log(C.dim + '  Skipped; cowCode pulls it when it starts.' + C.reset);
+    return model;
+  }
+  try {
+    await pullOllamaModel(baseUrl, model, {
+      onProgress: (p) => process.stdout.write(`\r\x1b[2K  ${formatPullProgress(p)}`),
+    });
+    process.stdout.write('\n');
+    console.log(C.dim + `  ✓ Pulled ${model}.` + C.reset);
+  } catch (err) {
+    process.stdout.write('\n');
+    console.log(C.dim + `  ! Pull failed: ${err.message}. cowCode will retry when it starts.` + C.reset);
+  }
+  return model;
+}
+
 function parseEnv(content) {
   const lines = (content || '').split('\n');
   const out = {};
@@ -436,12 +493,14 @@ async function onboarding() {
 
   section('Configuration (optional — press Enter to keep defaults or skip)');
 
-  const baseUrl = await promptWithDefault(q('Local LLM base URL (e.g. LM Studio)'), defaultBaseUrl || '');
+  const baseUrl = await promptWithDefault(q('Local LLM base URL (e.g. LM Studio, or Ollama at http://127.0.0.1:11434)'), defaultBaseUrl || '');
+  const ollamaModel = isOllamaUrl(baseUrl) ? await setupOllamaModel(baseUrl, config?.llm?.models?.[0]?.model) : '';
 
   // Cloud LLM: ask provider directly, with skip
   let llm1Key = env.LLM_1_API_KEY || '';
   let llm2Key = env.LLM_2_API_KEY || '';
   let llm3Key = env.LLM_3_API_KEY || '';
+  let llm4Key = env.LLM_4_API_KEY || '';
 
   let provider;
   try {
@@ -453,13 +512,14 @@ async function onboarding() {
         { name: 'OpenAI', value: 'openai' },
         { name: 'Grok', value: 'grok' },
         { name: 'Anthropic', value: 'anthropic' },
+        { name: 'Google Gemini', value: 'gemini' },
         { name: 'Quit', value: 'quit' },
       ],
       theme: selectTheme(),
     });
   } catch (err) {
     if (err?.code === 'ERR_MODULE_NOT_FOUND' || err?.message?.includes('@inquirer/select')) {
-      const answer = await ask(q('Cloud LLM provider?') + ' (skip / openai / grok / anthropic, q to quit): ');
+      const answer = await ask(q('Cloud LLM provider?') + ' (skip / openai / grok / anthropic / gemini, q to quit): ');
       checkQuit(answer);
       provider = (answer || '').trim().toLowerCase() || 'skip';
     } else {
@@ -483,6 +543,10 @@ async function onboarding() {
     const models = CLOUD_LLM_MODELS.anthropic;
     selectedModel = await selectModel(q('Anthropic (Claude) model version'), models);
     llm3Key = await promptSecret(q('Anthropic API key'), env.LLM_3_API_KEY || '');
+  } else if (provider === 'gemini') {
+    const models = CLOUD_LLM_MODELS.gemini;
+    selectedModel = await selectModel(q('Gemini model version'), models);
+    llm4Key = await promptSecret(q('Gemini API key (Google AI Studio)'), env.LLM_4_API_KEY || '');
   }
 
   const braveKey = await promptSecret(q('Brave Search API key – optional'), env.BRAVE_API_KEY || '');
@@ -534,7 +598,7 @@ async function onboarding() {
       });
     } catch (err) {
       if (err?.code === 'ERR_MODULE_NOT_FOUND' || err?.message?.includes('@inquirer/select')) {
-        const answer = await ask(q('Vision fallback?') + ' (skip / openai / anthropic, q to quit): ');
+        const answer = await ask(q('Vision fallback?') + ' (skip / openai / anthropic / gemini, q to quit): ');
         checkQuit(answer);
         visionFallbackProvider = (answer || '').trim().toLowerCase() || 'skip';
       } else {
@@ -542,19 +606,26 @@ async function onboarding() {
       }
     }
   }
-  if (visionFallbackProvider === 'openai' || visionFallbackProvider === 'anthropic') {
+  const visionFallbacks = {
+    openai: { label: 'OpenAI vision model', model: 'gpt-5.2', apiKey: 'LLM_1_API_KEY' },
+    anthropic: { label: 'Anthropic vision model', model: 'claude-sonnet-4-5-20250929', apiKey: 'LLM_3_API_KEY' },
+    gemini: { label: 'Gemini vision model', model: 'gemini-2.5-flash', apiKey: 'LLM_4_API_KEY' },
+  };
+  const visionFallback = visionFallbacks[visionFallbackProvider];
+  if (visionFallback) {
     config = loadConfig() || config;
     if (!config.skills) config.skills = {};
     if (!config.skills.vision) config.skills.vision = {};
-    const visionModel = visionFallbackProvider === 'openai'
-      ? await selectModel(q('OpenAI vision model'), CLOUD_LLM_MODELS.openai)
-      : await selectModel(q('Anthropic vision model'), CLOUD_LLM_MODELS.anthropic);
+    const visionModel = await selectModel(q(visionFallback.label), CLOUD_LLM_MODELS[visionFallbackProvider]);
     config.skills.vision.fallback = {
       provider: visionFallbackProvider,
-      model: visionModel || (visionFallbackProvider === 'openai' ? 'gpt-5.2' : 'claude-sonnet-4-5-20250929'),
-      apiKey: visionFallbackProvider === 'openai' ? 'LLM_1_API_KEY' : 'LLM_3_API_KEY',
+      model: visionModel || visionFallback.model,
+      apiKey: visionFallback.apiKey,
     };
     saveConfig(config);
+    if (visionFallbackProvider === 'gemini' && !(llm4Key || '').trim()) {
+      llm4Key = await promptSecret(q('Gemini API key (Google AI Studio)'), env.LLM_4_API_KEY || '');
+    }
   }
 
   // Speech (voice): Whisper = voice-to-text, 11Labs = text-to-voice. Separate from LLM setup.
@@ -601,6 +672,10 @@ async function onboarding() {
 
   if (baseUrl && config?.llm?.models?.[0]) {
     config.llm.models[0].baseUrl = baseUrl;
+    if (ollamaModel) {
+      config.llm.models[0].provider = 'ollama';
+      config.llm.models[0].model = ollamaModel;
+    }
     saveConfig(config);
   }
 
@@ -608,6 +683,7 @@ async function onboarding() {
   newEnv.LLM_1_API_KEY = llm1Key ?? '';
   newEnv.LLM_2_API_KEY = llm2Key ?? '';
   newEnv.LLM_3_API_KEY = llm3Key ?? '';
+  newEnv.LLM_4_API_KEY = llm4Key ?? '';
   newEnv.BRAVE_API_KEY = braveKey ?? '';
   newEnv.SPEECH_WHISPER_API_KEY = speechWhisperKey ?? '';
   newEnv.ELEVEN_LABS_API_KEY = elevenLabsKey ?? '';
@@ -618,10 +694,15 @@ async function onboarding() {
   const cloudKeyAdded = provider !== 'skip' && (
     (provider === 'openai' && (llm1Key ?? '').trim()) ||
     (provider === 'grok' && (llm2Key ?? '').trim()) ||
-    (provider === 'anthropic' && (llm3Key ?? '').trim())
+    (provider === 'anthropic' && (llm3Key ?? '').trim()) ||
+    (provider === 'gemini' && (llm4Key ?? '').trim())
   );
   if (cloudKeyAdded && Array.isArray(config?.llm?.models)) {
     const models = config.llm.models;
+    // Gemini is not in the default models (an empty key would only cost a failed call); add it when chosen.
+    if (provider === 'gemini' && !models.some((m) => (m.provider || '').toLowerCase() === 'gemini')) {
+      models.push({ provider: 'gemini', apiKey: 'LLM_4_API_KEY' });
+    }
     const hasPriorityAlready = models.some(
       (m) => m.priority === true || m.priority === 1 || String(m.priority).toLowerCase() === 'true'
     );
@@ -0,0 +1,206 @@
+/**
+ * Executors from skill folders: executor.js next to SKILL.md (skills/<id>/ or an installed package, see
+ * lib/skill-dirs.js) makes the skill runnable without touching core code. Contract: the module's default export (or a
+ * named export execute) is
+ *   async (ctx, args, toolName) => string | object
+ * with the args and toolName the built-in executors get (see executor.js). Errors come back to the model.
+ *
+ * Each call runs in its own worker thread (executor-worker.js), so executor.js and everything it imports are fresh on
+ * every call (hot reload), and a throw, a stray rejection or process.exit in it fails that call only. ctx holds the
+ * plain values of the built-in ctx (jid, isGroup, workspaceDir, storePath, …) plus a signal that is aborted on timeout
+ * or when the turn is cancelled; the worker is terminated shortly after. A call may run at most
+ * skills.<id>.timeoutSeconds (default 60). After 3 failures in a row (throws, timeouts, a failed import) the executor
+ * is switched off until executor.js changes. Status is written to <state>/skill-executors.json for the dashboard.
+ */
+
+import { existsSync, readFileSync, statSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { Worker } from 'worker_threads';
+import { abortError, isAbortError, throwIfAborted } from '../lib/abort.js';
+import { getConfigPath, getStateDir } from '../lib/paths.js';
+import { getSkillDir, listSkillDirs } from '../lib/skill-dirs.js';
+
+const WORKER_FILE = join(dirname(fileURLToPath(import.meta.url)), 'executor-worker.js');
+const EXECUTOR_FILE = 'executor.js';
+const STATUS_FILE = 'skill-executors.json';
+const DEFAULT_TIMEOUT_SECONDS = 60;
+const MAX_CONSECUTIVE_FAILURES = 3;
+/** How long a timed-out or cancelled executor gets to notice ctx.signal before its worker is terminated. */
+const ABORT_GRACE_MS = 2000;
+
+/** skillId → { path, mtimeMs, loadError, loadedAt, calls, failures, consecutiveFailures, lastError, lastErrorAt } */
+const loaded = new Map();
+
+export function getExecutorPath(skillId) {
+  const dir = getSkillDir(skillId);
+  const path = dir && join(dir, EXECUTOR_FILE);
+  return path && existsSync(path) ? path : null;
+}
+
+function mtime(path) {
+  try {
+    return statSync(path).mtimeMs;
+  } catch {
+    return 0;
+  }
+}
+
+function timeoutSeconds(skillId) {
+  try {
+    const raw = readFileSync(getConfigPath(), 'utf8');
+    const n = Math.floor(Number(raw?.trim() && JSON.parse(raw)?.skills?.[skillId]?.timeoutSeconds));
+    return Number.isFinite(n) && n > 0 ? n : DEFAULT_TIMEOUT_SECONDS;
+  } catch {
+    return DEFAULT_TIMEOUT_SECONDS;
+  }
+}
+
+function statusOf(id, entry) {
+  return {
+    id,
+    path: entry.path,
+    mtimeMs: entry.mtimeMs,
+    status: entry.loadError ? 'error' : entry.consecutiveFailures >= MAX_CONSECUTIVE_FAILURES ? 'disabled' : 'loaded',
+    loadedAt: entry.loadedAt,
+    calls: entry.calls,
+    failures: entry.failures,
+    lastError: entry.lastError,
+    lastErrorAt: entry.lastErrorAt,
+  };
+}
+
+function writeStatus() {
+  const out = {};
+  for (const [id, entry] of loaded) out[id] = statusOf(id, entry);
+  try {
+    writeFileSync(join(getStateDir(), STATUS_FILE), JSON.stringify(out, null, 2), 'utf8');
+  } catch (_) {}
+}
+
+function recordFailure(entry, skillId, message) {
+  entry.failures++;
+  entry.consecutiveFailures++;
+  entry.lastError = message;
+  entry.lastErrorAt = new Date().toISOString();
+  if (entry.consecutiveFailures === MAX_CONSECUTIVE_FAILURES) {
+    console.error('[skills]', skillId, `executor switched off after ${MAX_CONSECUTIVE_FAILURES} failures in a row; save ${EXECUTOR_FILE} to reload it`);
+  }
+  writeStatus();
+}
+
+/** Plain values of ctx (jid, isGroup, workspaceDir, storePath, …); functions and the signal cannot cross to a worker. */
+function portableCtx(ctx) {
+  const out = {};
+  for (const [key, value] of Object.entries(ctx || {})) {
+    if (value == null || ['string', 'number', 'boolean'].includes(typeof value)) out[key] = value;
+  }
+  return out;
+}
+
+function entryFor(skillId, path) {
+  const mtimeMs = mtime(path);
+  const current = loaded.get(skillId);
+  if (current && current.path === path && current.mtimeMs === mtimeMs) return current;
+  const entry = { path, mtimeMs, loadError: null, loadedAt: new Date().toISOString(), calls: 0, failures: 0, consecutiveFailures: 0, lastError: null, lastErrorAt: null };
+  console.log('[skills]', current ? 'reloaded' : 'loaded', 'executor for', skillId);
+  loaded.set(skillId, entry);
+  writeStatus();
+  return entry;
+}
+
+/**
+ * Run one call in a fresh worker. Resolves with the executor's result (string); rejects with its error, on timeout,
+ * or with an AbortError when signal fires. The worker is terminated in every case.
+ */
+function runInWorker(skillId, path, seconds, ctx, args, toolName) {
+  const signal = ctx?.signal;
+  return new Promise((resolvePromise, rejectPromise) => {
+    const worker = new Worker(WORKER_FILE, { workerData: { path, ctx: portableCtx(ctx), args: args ?? {}, toolName } });
+    let settled = false;
+    let timer = null;
+    const finish = (err, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      if (err) rejectPromise(err);
+      else resolvePromise(value);
+    };
+    // Let the executor see ctx.signal and clean up; then stop it regardless.
+    const stop = (err) => {
+      worker.postMessage({ type: 'abort' });
+      setTimeout(() => worker.terminate(), ABORT_GRACE_MS).unref();
+      finish(err);
+    };
+    const onAbort = () => stop(abortError(signal));
+    timer = setTimeout(() => stop(new Error(`Skill ${skillId} timed out after ${seconds}s.`)), seconds * 1000);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    worker.on('message', (message) => {
+      if (message?.type === 'result') finish(null, message.value);
+      else if (message?.type === 'error') {
+        const err = new Error(message.message);
+        err.load = message.load === true;
+        finish(err);
+      } else return;
+      worker.terminate();
+    });
+    worker.on('error', (err) => finish(err));
+    worker.on('exit', (code) => finish(new Error(`Skill ${skillId} executor exited (code ${code}) before returning a result.`)));
+  });
+}
+
+/**
+ * The runner for a skill folder's executor.js, or null when the folder has none.
+ * @param {string} skillId
+ * @returns {Promise<((ctx: object, args: object, toolName?: string) => Promise<string>) | null>}
+ */
+export async function getFolderExecutor(skillId) {
+  const path = getExecutorPath(skillId);
+  if (!path) return null;
+  const entry = entryFor(skillId, path);
+  return async (ctx, args, toolName) => {
+    throwIfAborted(ctx?.signal);
+    if (entry.loadError) throw new Error(`Skill ${skillId} could not be loaded: ${entry.loadError}`);
+    if (entry.consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+      throw new Error(`Skill ${skillId} is switched off after repeated failures (last: ${entry.lastError}).`);
+    }
+    entry.calls++;
+    try {
+      const result = await runInWorker(skillId, path, timeoutSeconds(skillId), ctx, args, toolName);
+      entry.consecutiveFailures = 0;
+      writeStatus();
+      return result;
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      if (err.load) {
+        entry.loadError = err.message;
+        console.error('[skills]', skillId, 'executor failed to load:', err.message);
+      }
+      recordFailure(entry, skillId, err?.message || String(err));
+      throw err;
+    }
+  };
+}
+
+/**
+ * Skill folders with an executor.js and their last known status (from this process, or from the status file
+ * written by the running bot when called from another process such as the dashboard).
+ * @returns {Array<{ id: string, path: string, status: string, loadedAt?: string, calls?: number, failures?: number, lastError?: string | null, lastErrorAt?: string | null }>}
+ */
+export function listFolderExecutors() {
+  let saved = {};
+  try {
+    saved = JSON.parse(readFileSync(join(getStateDir(), STATUS_FILE), 'utf8')) || {};
+  } catch (_) {}
+  const out = [];
+  for (const { id } of listSkillDirs()) {
+    const path = getExecutorPath(id);
+    if (!path) continue;
+    const entry = loaded.get(id);
+    const known = entry ? statusOf(id, entry) : saved[id];
+    const changed = known?.mtimeMs != null && mtime(path) !== known.mtimeMs;
+    out.push(known ? { ...known, path, ...(changed ? { status: 'changed' } : {}) } : { id, path, status: 'not loaded' });
+  }
+  return out;
+}
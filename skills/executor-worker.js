@@ -0,0 +1,40 @@
+/**
+ * Worker thread for one folder executor call (see executor-loader.js). Imports executor.js, runs it and posts
+ * { type: 'result', value } or { type: 'error', message, load }. A throw, a stray rejection or process.exit in the
+ * executor ends only this worker. ctx.signal is aborted when the bot sends { type: 'abort' } (timeout or cancelled
+ * turn); the bot terminates the worker shortly after.
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { pathToFileURL } from 'url';
+
+const controller = new AbortController();
+parentPort.on('message', (message) => {
+  if (message?.type === 'abort') controller.abort();
+});
+
+function fail(err, load = false) {
+  parentPort.postMessage({ type: 'error', message: err?.message || String(err), load });
+}
+
+process.on('unhandledRejection', (err) => fail(err));
+process.on('uncaughtException', (err) => fail(err));
+
+const { path, ctx, args, toolName } = workerData;
+let run = null;
+try {
+  const mod = await import(pathToFileURL(path).href);
+  run = typeof mod.default === 'function' ? mod.default : mod.execute;
+  if (typeof run !== 'function') throw new Error('executor.js must export a default function (ctx, args, toolName)');
+} catch (err) {
+  run = null;
+  fail(err, true);
+}
+if (run) {
+  try {
+    const value = await run({ ...ctx, signal: controller.signal }, args, toolName);
+    parentPort.postMessage({ type: 'result', value: typeof value === 'string' ? value : JSON.stringify(value ?? null) });
+  } catch (err) {
+    fail(err);
+  }
+}
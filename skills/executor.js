@@ -1,7 +1,8 @@
 /**
  * Single central executor. The agent picks the right skill from the list and runs it here.
  * Skills are shortcuts/recipes (SKILL.md + one entry in the map); all heavy lifting is shared.
- * No per-skill babysitters—one dispatcher, one place.
+ * No per-skill babysitters—one dispatcher, one place. Skills outside the map run the executor.js in their folder
+ * (see executor-loader.js); mcp-<server> ids call a tool on that MCP server (see lib/mcp.js).
  */
 
 import { executeCron } from '../lib/executors/cron.js';
@@ -17,8 +18,11 @@ import { executeApplyPatch } from '../lib/executors/apply-patch.js';
 import { executeGoRead } from '../lib/executors/go-read.js';
 import { executeGoWrite } from '../lib/executors/go-write.js';
 import { executeSpeech } from '../lib/executors/speech.js';
-import { executeHomeAssistant } from '../lib/executors/home-assistant.js';
 import { executeMe } from '../lib/executors/me.js';
+import { getFolderExecutor } from './executor-loader.js';
+import { getMcpExecutor } from '../lib/mcp.js';
+import { runWithHooks } from './hooks.js';
+import { abortable, isAbortError, throwIfAborted } from '../lib/abort.js';
 
 const EXECUTORS = {
   cron: executeCron,
@@ -34,31 +38,31 @@ const EXECUTORS = {
   'apply-patch': executeApplyPatch,
   'go-read': executeGoRead,
   'go-write': executeGoWrite,
-  'home-assistant': executeHomeAssistant,
   me: executeMe,
 };
 
-/** go-read and go-write are disabled in group chats; allowed in DMs and dashboard. */
-const BLOCKED_IN_GROUP = new Set(['go-read', 'go-write']);
-
 /**
- * @param {string} skillId - cron | search | memory | go-read | go-write
- * @param {object} ctx - storePath, jid, workspaceDir, scheduleOneShot, startCron, isGroup
+ * @param {string} skillId - cron | search | memory | go-read | go-write | … a skill folder with executor.js, or mcp-<server>
+ * @param {object} ctx - storePath, jid, workspaceDir, scheduleOneShot, startCron, isGroup, signal?
  * @param {object} args - Parsed LLM tool arguments
- * @param {string} [toolName] - For multi-tool skills (e.g. memory_search, memory_get)
- * @returns {Promise<string>}
+ * @param {string} [toolName] - For multi-tool skills (e.g. memory_search, memory_get) and the MCP server's tool name
+ * @returns {Promise<string>} Errors come back as a JSON error string; only a cancelled turn (ctx.signal) throws (AbortError).
+ * Every call goes through the hook pipeline (hooks.js): group blocking, path policy, rate limits, skill permissions,
+ * audit, redaction.
  */
 export async function executeSkill(skillId, ctx, args, toolName) {
-  if (BLOCKED_IN_GROUP.has(skillId) && ctx?.isGroup) {
-    return JSON.stringify({ error: `${skillId} is not available in group chats.` });
-  }
-  const run = EXECUTORS[skillId];
+  const run = EXECUTORS[skillId] || getMcpExecutor(skillId) || (await getFolderExecutor(skillId));
   if (!run) return JSON.stringify({ error: `Unknown skill: ${skillId}` });
-  try {
-    const result = await run(ctx, args, toolName);
-    return typeof result === 'string' ? result : JSON.stringify(result);
-  } catch (err) {
-    console.error('[skills]', skillId, err.message);
-    return JSON.stringify({ error: err.message });
-  }
+  const signal = ctx?.signal;
+  throwIfAborted(signal);
+  return runWithHooks({ skillId, toolName, args, ctx }, async (finalArgs) => {
+    try {
+      const result = await abortable(run(ctx, finalArgs, toolName), signal);
+      return typeof result === 'string' ? result : JSON.stringify(result);
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      console.error('[skills]', skillId, err.message);
+      return JSON.stringify({ error: err.message });
+    }
+  });
 }
@@ -1,6 +1,7 @@
 /**
  * Home Assistant executor: runs the ha-cli.js CLI with the given command or legacy args.
  * Lives in the skill folder with the CLI; all HA execution (API + token) is in the CLI layer.
+ * Loaded as this skill's folder executor (default export, see skills/executor-loader.js).
  */
 
 import { join, dirname } from 'path';
@@ -106,3 +107,5 @@ export async function executeHomeAssistant(ctx, args) {
   }
   return runCli(argv);
 }
+
+export default executeHomeAssistant;
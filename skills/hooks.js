@@ -0,0 +1,178 @@
+/**
+ * Skill hook pipeline: middleware around every skill call (see executor.js).
+ * A hook is { name, skills?, before?(call), after?(call, result) }:
+ *   before — may return { args } to rewrite the arguments, { veto: reason } to stop the call (the reason is
+ *            returned to the model as { error }) or { confirm: summary, args? } to ask the user first (ctx.confirm;
+ *            no answer, a no or no way to ask is a veto). Hooks run in order; a throwing before hook vetoes the call.
+ *   after  — may return a string to replace the result (e.g. redact it). Runs in reverse order, also for vetoed
+ *            calls (call.vetoedBy is set). A throwing after hook is logged and skipped.
+ * call = { skillId, toolName, args, ctx, jid, isGroup, startedAt, vetoedBy? }. skills limits a hook to those ids.
+ *
+ * Order: built-ins (audit, group-block, path-policy, rate-limit), modules from config.json hooks.modules
+ * (paths relative to the state dir), hooks.js in skill folders (scoped to that skill unless they set skills),
+ * permissions (the skill's SKILL.md permissions, on the arguments the hooks before it settled on), confirm, redact.
+ * Config (config.json hooks): { groupBlocked?, paths?, rateLimit?, audit?, confirm?, redact?, modules? } — see lib/hooks/.
+ */
+
+import { existsSync, readFileSync, statSync } from 'fs';
+import { isAbsolute, join } from 'path';
+import { pathToFileURL } from 'url';
+import { getConfigPath, getEnvPath, getStateDir } from '../lib/paths.js';
+import { listSkillDirs } from '../lib/skill-dirs.js';
+import { createAuditHook } from '../lib/hooks/audit.js';
+import { createConfirmHook } from '../lib/hooks/confirm.js';
+import { createGroupBlockHook } from '../lib/hooks/group-block.js';
+import { createPathPolicyHook } from '../lib/hooks/path-policy.js';
+import { createPermissionsHook } from '../lib/hooks/permissions.js';
+import { createRateLimitHook } from '../lib/hooks/rate-limit.js';
+import { createRedactHook } from '../lib/hooks/redact.js';
+
+/** Hooks for the current config, rebuilt when config.json or .env changes. */
+let cached = null;
+
+function loadHooksConfig() {
+  try {
+    const raw = readFileSync(getConfigPath(), 'utf8');
+    const hooks = raw?.trim() && JSON.parse(raw)?.hooks;
+    return hooks && typeof hooks === 'object' ? hooks : {};
+  } catch {
+    return {};
+  }
+}
+
+function mtime(path) {
+  try {
+    return statSync(path).mtimeMs;
+  } catch {
+    return 0;
+  }
+}
+
+/** Accept a hook or an array of hooks; drop anything without a before or after function. */
+function normalize(exported, source, defaultSkills) {
+  const list = Array.isArray(exported) ? exported : [exported];
+  const out = [];
+  for (const hook of list) {
+    if (!hook || (typeof hook.before !== 'function' && typeof hook.after !== 'function')) {
+      console.log('[hooks] ignoring invalid hook from', source);
+      continue;
+    }
+    const skills = Array.isArray(hook.skills) ? hook.skills.map(String) : defaultSkills;
+    out.push({ ...hook, name: hook.name || source, skills });
+  }
+  return out;
+}
+
+async function importHooks(path, source, defaultSkills) {
+  try {
+    const mod = await import(pathToFileURL(path).href + `?t=${mtime(path)}`);
+    return normalize(mod.default ?? mod.hooks, source, defaultSkills);
+  } catch (err) {
+    console.log('[hooks] failed to load', source + ':', err.message);
+    return [];
+  }
+}
+
+async function skillFolderHooks() {
+  const out = [];
+  for (const { id, dir, source } of listSkillDirs()) {
+    const path = join(dir, 'hooks.js');
+    const label = source === 'builtin' ? `skills/${id}/hooks.js` : `${id}/hooks.js (installed)`;
+    if (existsSync(path)) out.push(...(await importHooks(path, label, [id])));
+  }
+  return out;
+}
+
+/** The hook chain in run order. */
+export async function getHooks() {
+  const configPath = getConfigPath();
+  const stamp = `${configPath}:${mtime(configPath)}:${mtime(getEnvPath())}`;
+  if (cached?.stamp === stamp) return cached.hooks;
+  const config = loadHooksConfig();
+  const modules = [];
+  for (const rel of Array.isArray(config.modules) ? config.modules : []) {
+    const path = isAbsolute(rel) ? rel : join(getStateDir(), rel);
+    modules.push(...(await importHooks(path, rel, undefined)));
+  }
+  const hooks = [
+    createAuditHook(config),
+    createGroupBlockHook(config),
+    createPathPolicyHook(config),
+    createRateLimitHook(config),
+    ...modules,
+    ...(await skillFolderHooks()),
+    createPermissionsHook(),
+    createConfirmHook(config),
+    createRedactHook(config),
+  ].filter(Boolean);
+  cached = { stamp, hooks };
+  return hooks;
+}
+
+/**
+ * Ask the user about a call a hook flagged with { confirm }. Cancelling the turn while waiting throws AbortError.
+ * @returns {Promise<{ args?: object } | { veto: string }>}
+ */
+async function confirmCall(call, hook, out) {
+  const summary = String(out.confirm);
+  if (typeof call.ctx?.confirm !== 'function') {
+    return { veto: `Needs the user's confirmation, which is not available here: ${summary}` };
+  }
+  const confirmed = await call.ctx.confirm(summary, call);
+  if (confirmed !== true) return { veto: `The user did not confirm: ${summary} Do not retry unless they ask again.` };
+  console.log('[hooks]', hook.name, 'confirmed', call.skillId);
+  return { args: out.args };
+}
+
+function applies(hook, skillId) {
+  return !hook.skills || hook.skills.includes(skillId);
+}
+
+/**
+ * Run a skill call through the hook chain.
+ * @param {{ skillId: string, toolName?: string, args: object, ctx: object }} info
+ * @param {(args: object) => Promise<string>} run - The executor; returns the result string.
+ * @returns {Promise<string>}
+ */
+export async function runWithHooks({ skillId, toolName, args, ctx }, run) {
+  const hooks = (await getHooks()).filter((h) => applies(h, skillId));
+  const call = {
+    skillId,
+    toolName,
+    args,
+    ctx,
+    jid: ctx?.jid ?? null,
+    isGroup: !!ctx?.isGroup,
+    startedAt: Date.now(),
+  };
+  let result;
+  for (const hook of hooks) {
+    if (typeof hook.before !== 'function') continue;
+    let out;
+    try {
+      out = await hook.before(call);
+    } catch (err) {
+      console.log('[hooks]', hook.name, 'before failed:', err.message);
+      out = { veto: `Blocked by hook ${hook.name}: ${err.message}` };
+    }
+    if (out?.confirm) out = await confirmCall(call, hook, out);
+    if (out?.veto) {
+      call.vetoedBy = hook.name;
+      console.log('[hooks]', hook.name, 'vetoed', skillId + ':', out.veto);
+      result = JSON.stringify({ error: String(out.veto) });
+      break;
+    }
+    if (out?.args && typeof out.args === 'object') call.args = out.args;
+  }
+  if (result === undefined) result = await run(call.args);
+  for (const hook of [...hooks].reverse()) {
+    if (typeof hook.after !== 'function') continue;
+    try {
+      const out = await hook.after(call, result);
+      if (typeof out === 'string') result = out;
+    } catch (err) {
+      console.log('[hooks]', hook.name, 'after failed:', err.message);
+    }
+  }
+  return result;
+}
@@ -1,16 +1,14 @@
 /**
  * Load skill docs for the LLM. Injects a compact list (name + description) per run;
- * when a skill is called, the executor runs it with full context.
+ * when a skill is called, the executor runs it with full context (built in, or executor.js in the skill folder).
  * Actions (tool variations) are defined in the same SKILL.md via a tool-schema block; no separate JS.
  */
 
-import { readFileSync, readdirSync, existsSync } from 'fs';
-import { dirname, join } from 'path';
-import { fileURLToPath } from 'url';
+import { readFileSync } from 'fs';
 import { getConfigPath } from '../lib/paths.js';
 import { getGroupSkillsEnabled } from '../lib/group-config.js';
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
+import { findSkillMd, getSkillDir } from '../lib/skill-dirs.js';
+import { getMcpTools, reportSkippedTool } from '../lib/mcp.js';
 
 /** Default skill ids enabled on new install and added by migration on update. */
 export const DEFAULT_ENABLED = [
@@ -31,15 +29,12 @@ export const DEFAULT_ENABLED = [
   'home-assistant',
 ];
 
-const MD_NAMES = ['skill.md', 'SKILL.md'];
 const COMPACT_DESC_MAX = 280;
 
+/** SKILL.md of a built-in skill or an installed package (lib/skill-dirs.js). */
 function getSkillMdPath(skillId) {
-  for (const name of MD_NAMES) {
-    const p = join(__dirname, skillId, name);
-    if (existsSync(p)) return p;
-  }
-  return null;
+  const dir = getSkillDir(skillId);
+  return dir ? findSkillMd(dir) : null;
 }
 
 /**
@@ -69,11 +64,71 @@ function parseCompactFromSkillMd(skillMd, skillId) {
   return { name, description: short };
 }
 
+const PARAM_TYPES = new Set(['string', 'number', 'integer', 'boolean', 'object', 'array']);
+
+/**
+ * Parameter type: string | number | integer | boolean | object | array (of strings) | array[<type>] | enum[a|b|c].
+ * @returns {{ type: string, enum?: string[], items?: object }}
+ */
+function parseParamType(raw) {
+  const t = String(raw || '').trim();
+  const enumMatch = t.match(/^enum\[(.*)\]$/i);
+  if (enumMatch) return { type: 'string', enum: enumMatch[1].split('|').map((v) => v.trim()).filter(Boolean) };
+  const arrayMatch = t.match(/^array\[(.*)\]$/i);
+  if (arrayMatch) return { type: 'array', items: parseParamType(arrayMatch[1]) };
+  const type = t.toLowerCase();
+  if (type === 'array') return { type, items: { type: 'string' } };
+  return { type: PARAM_TYPES.has(type) ? type : 'string' };
+}
+
+/** Default value from the schema line: JSON when it parses (numbers, true/false, lists), else the text. */
+function parseDefault(raw) {
+  const text = String(raw).trim();
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text.replace(/^'|'$/g, '');
+  }
+}
+
+/**
+ * One parameter line: "name: type (optional, default x) — description" (flags and description are optional;
+ * " - " also separates the description).
+ * @returns {{ name: string, spec: { type: string, optional?: boolean, default?: unknown, description?: string, enum?: string[], items?: object } }}
+ */
+function parseParamLine(content) {
+  const colon = content.indexOf(':');
+  const name = content.slice(0, colon).trim();
+  const rest = content.slice(colon + 1).trim();
+  const m = rest.match(/^(\S*)\s*(?:\(([^)]*)\))?\s*(?:(?:—|–|-)\s*(.*))?$/);
+  const spec = parseParamType(m ? m[1] : '');
+  if (!m) {
+    spec.description = rest;
+    return { name, spec };
+  }
+  for (const flag of (m[2] || '').split(',').map((f) => f.trim()).filter(Boolean)) {
+    const def = flag.match(/^default\s*[:=]?\s*(.+)$/i);
+    if (/^optional$/i.test(flag)) spec.optional = true;
+    else if (def) {
+      spec.default = parseDefault(def[1]);
+      spec.optional = true;
+    }
+  }
+  if (m[3]) spec.description = m[3].trim();
+  return { name, spec };
+}
+
+function indentOf(line) {
+  return line.match(/^[ \t]*/)[0].replace(/\t/g, '  ').length;
+}
+
 /**
  * Parse a ```tool-schema ... ``` block from SKILL.md body. Returns array of { action, description, parameters } or null.
- * Format: action name on its own line, then indented (2 spaces) description: and parameters: paramName: type.
+ * Format: action name on its own line, then indented (2 spaces) description:, optional destructive: and parameters:
+ * with one "name: type (flags) — description" line per parameter (see parseParamLine). Lines indented under an
+ * object or array[object] parameter are its properties.
  * @param {string} skillMd - Full SKILL.md content
- * @returns {Array<{ action: string, description: string, parameters: Record<string, string> }> | null}
+ * @returns {Array<{ action: string, description: string, destructive?: string, parameters: Record<string, object> }> | null}
  */
 function parseToolSchemaBlock(skillMd) {
   const match = skillMd.match(/```tool-schema\s*\n([\s\S]*?)```/);
@@ -81,6 +136,10 @@ function parseToolSchemaBlock(skillMd) {
   const block = match[1].trim();
   const actions = [];
   let current = null;
+  /** Indent of the parameters: line; deeper lines are parameters. */
+  let paramsIndent = null;
+  /** Open object parameters: { indent, spec }, innermost last. */
+  let stack = [];
   for (const line of block.split('\n')) {
     const trimmed = line.trimEnd();
     if (!trimmed) {
@@ -90,64 +149,77 @@ function parseToolSchemaBlock(skillMd) {
       }
       continue;
     }
-    if (!trimmed.startsWith('  ') && !trimmed.startsWith('\t')) {
+    if (!trimmed.startsWith(' ') && !trimmed.startsWith('\t')) {
       if (current) actions.push(current);
       current = { action: trimmed.split(/\s+/)[0], description: '', parameters: {} };
+      paramsIndent = null;
+      stack = [];
       continue;
     }
     const content = trimmed.trim();
     if (!current) continue;
+    const indent = indentOf(trimmed);
+    if (paramsIndent !== null && indent > paramsIndent && content.includes(':')) {
+      const { name, spec } = parseParamLine(content);
+      while (stack.length && stack[stack.length - 1].indent >= indent) stack.pop();
+      const parent = stack[stack.length - 1]?.spec;
+      let target = current.parameters;
+      if (parent?.type === 'array') {
+        parent.items = { ...parent.items, type: 'object' };
+        target = parent.items.properties || (parent.items.properties = {});
+      } else if (parent) {
+        target = parent.properties || (parent.properties = {});
+      }
+      target[name] = spec;
+      if (spec.type === 'object' || spec.type === 'array') stack.push({ indent, spec });
+      continue;
+    }
     if (content.startsWith('description:')) {
       current.description = content.replace(/^description:\s*/, '').trim();
+    } else if (content.startsWith('destructive:')) {
+      current.destructive = content.replace(/^destructive:\s*/, '').trim();
     } else if (content.startsWith('parameters:')) {
       current.parameters = {};
-    } else if (content.includes(':') && current.parameters && typeof current.parameters === 'object') {
-      const colon = content.indexOf(':');
-      const key = content.slice(0, colon).trim();
-      let type = content.slice(colon + 1).trim();
-      const optional = /\(optional\)$/i.test(type);
-      type = type.replace(/\s*\(optional\)\s*$/i, '').trim() || 'string';
-      current.parameters[key] = type;
+      paramsIndent = indent;
+      stack = [];
     }
   }
   if (current) actions.push(current);
   return actions.length > 0 ? actions : null;
 }
 
-/**
- * Build OpenAI-format parameters schema from parsed parameters object (paramName -> type string).
- * @param {Record<string, string>} params
- * @returns {{ type: 'object', properties: object, required: string[] }}
- */
-function buildParametersSchema(params) {
-  if (!params || Object.keys(params).length === 0) {
-    return { type: 'object', properties: {}, required: [] };
+/** JSON schema for one parsed parameter (description falls back to the name, as the model sees it). */
+function paramSchema(spec, name) {
+  const schema = { type: spec.type };
+  if (name !== undefined || spec.description) schema.description = spec.description || name;
+  if (spec.enum) schema.enum = spec.enum;
+  if (spec.default !== undefined) schema.default = spec.default;
+  if (spec.type === 'array') schema.items = paramSchema(spec.items || { type: 'string' });
+  if (spec.type === 'object') {
+    if (spec.properties) Object.assign(schema, objectSchema(spec.properties));
+    else schema.additionalProperties = true;
   }
+  return schema;
+}
+
+function objectSchema(params) {
   const properties = {};
   const required = [];
-  for (const [key, type] of Object.entries(params)) {
-    const t = (type || 'string').toLowerCase();
-    if (t === 'array') {
-      properties[key] = {
-        type: 'array',
-        description: key,
-        items: { type: 'string' },
-      };
-    } else if (t === 'object') {
-      properties[key] = {
-        type: 'object',
-        description: key,
-        additionalProperties: true,
-      };
-    } else {
-      properties[key] = {
-        type: t === 'number' || t === 'boolean' ? t : 'string',
-        description: key,
-      };
-    }
-    required.push(key);
+  for (const [key, spec] of Object.entries(params)) {
+    properties[key] = paramSchema(spec, key);
+    if (!spec.optional) required.push(key);
   }
-  return { type: 'object', properties, required };
+  return { properties, required };
+}
+
+/**
+ * Build OpenAI-format parameters schema from parsed parameters (paramName -> spec from parseParamLine).
+ * Parameters are required unless marked optional or given a default.
+ * @param {Record<string, object>} params
+ * @returns {{ type: 'object', properties: object, required: string[] }}
+ */
+function buildParametersSchema(params) {
+  return { type: 'object', ...objectSchema(params || {}) };
 }
 
 /**
@@ -166,7 +238,7 @@ function normalizeActionName(skillId, action) {
 /**
  * Build one OpenAI-format tool per action when skill has a tool-schema block. Tool name = skillId_action (e.g. cron_add).
  * @param {string} skillId - e.g. cron, go-read
- * @param {Array<{ action: string, description: string, parameters: Record<string, string> }>} actions
+ * @param {Array<{ action: string, description: string, parameters: Record<string, object> }>} actions
  * @returns {Array<{ type: 'function', function: object }>}
  */
 function buildToolsFromSchema(skillId, actions) {
@@ -183,6 +255,26 @@ function buildToolsFromSchema(skillId, actions) {
   });
 }
 
+/**
+ * Actions of a skill marked destructive: in its tool-schema (the user must confirm each call).
+ * @param {string} skillId
+ * @returns {Record<string, string>} executor action → confirmation summary template ("true" = default summary)
+ */
+export function getDestructiveActions(skillId) {
+  const mdPath = getSkillMdPath(skillId);
+  if (!mdPath) return {};
+  let actions = null;
+  try {
+    actions = parseToolSchemaBlock(readFileSync(mdPath, 'utf8'));
+  } catch (_) {}
+  const out = {};
+  for (const { action, destructive } of actions || []) {
+    if (!destructive || /^false$/i.test(destructive)) continue;
+    out[normalizeActionName(skillId, action).executorAction] = destructive;
+  }
+  return out;
+}
+
 export function getSkillsEnabled() {
   try {
     const raw = readFileSync(getConfigPath(), 'utf8');
@@ -203,8 +295,10 @@ export function getSkillsEnabled() {
  * Load skill folders (SKILL.md with optional YAML front matter and optional tool-schema block).
  * If a skill defines a tool-schema in the same SKILL.md, one tool per action is built (explicit parameters).
  * Otherwise the skill is exposed via the single run_skill tool. No separate JS for actions.
+ * Tools of connected MCP servers (lib/mcp.js) are added as mcp_<server>_<tool>; in groups for non-owners only
+ * when the group's skills list mcp-<server>.
  * @param {{ groupNonOwner?: boolean, groupJid?: string }} [options] - When groupNonOwner true, use group config; groupJid = that group's id for per-group skills.
- * @returns {{ compactList: string, runSkillTool: Array, getFullSkillDoc: (skillId: string) => string, toolNameToSkill: (name: string) => { skillId: string, action: string } | null }}
+ * @returns {{ compactList: string, runSkillTool: Array, getFullSkillDoc: (skillId: string) => string, resolveToolName: (name: string) => { skillId: string, action?: string, toolName?: string } | null }}
  */
 export function getSkillContext(options = {}) {
   const { groupNonOwner = false, groupJid } = options;
@@ -247,6 +341,17 @@ export function getSkillContext(options = {}) {
     } catch (_) {}
   }
 
+  const mcp = getMcpTools(groupNonOwner ? { skillIds: enabled } : {});
+  for (const tool of mcp.tools) {
+    const route = mcp.routes[tool.function.name];
+    if (toolNameToSkill[tool.function.name]) {
+      reportSkippedTool(tool.function.name, route.skillId.slice(4), route.toolName, `skill ${toolNameToSkill[tool.function.name].skillId}`);
+      continue;
+    }
+    actionTools.push(tool);
+    toolNameToSkill[tool.function.name] = route;
+  }
+
   const compactList =
     compactEntries.length > 0
       ? 'Available skills and actions (use the specific tool for each action when listed below, or run_skill for others):\n\n' +